@@ -7,6 +7,8 @@ const express = require('express');
 const http = require('http');
 const { Command } = require('commander');
 const { createServer, registerTools } = require('../src/mcp/mcpServer');
+const { MCP_PATH } = require('../src/mcp/httpTransport');
+const { updateGitFiles } = require('../src/utils/directory');
 const path = require('path');
 const fs = require('fs');
 
@@ -50,9 +52,9 @@ function startServer() {
     
     // Format information in MCP configuration format
     const mcpConfig = {
-      url: `http://${host}:${actualPort}`,
+      url: `http://${host}:${actualPort}${MCP_PATH}`,
       port: actualPort,
-      transport: "sse",
+      transport: "http",
       tools: tools.map(tool => tool.name),
       toolsCount: tools.length
     };
@@ -71,12 +73,20 @@ function startServer() {
   });
 }
 
+// Give projects initialized by earlier versions the ignore entries for runtime files
+updateGitFiles().catch(error => {
+  console.error(`Could not update the git files in .issues: ${error.message}`);
+});
+
 // Start the server
 startServer();
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.error('Shutting down MCP server...');
+  
+  // End the MCP sessions, whose event streams would keep the server open
+  app.locals.closeMcpSessions();
   server.close(() => {
     process.exit(0);
   });
@@ -22,6 +22,27 @@ function configureCommander(program) {
     .version(packageVersion, '-V, --version', 'Output the version number')
     .addHelpCommand(true)
     .showHelpAfterError(true)
+    // Lets subcommands (like templates new) reuse option names of their parent command
+    .enablePositionalOptions()
+    .hook('preAction', async (thisCommand, actionCommand) => {
+      // Attribute issue changes in the history log to the command being run
+      const { setActivity } = require('./utils/history');
+      setActivity({ command: actionCommand.name() });
+      
+      // Projects initialized by earlier versions get the ignore entries for runtime
+      // files; help only reads the documentation and leaves the project alone
+      if (actionCommand.name() === 'help') {
+        return;
+      }
+      
+      const { updateGitFiles } = require('./utils/directory');
+      const output = require('./utils/outputManager');
+      try {
+        await updateGitFiles();
+      } catch (error) {
+        output.debug(`Could not update the git files in .issues: ${error.message}`);
+      }
+    })
     .exitOverride((err) => {
       // Custom handling for commander exit
       if (err.code === 'commander.helpDisplayed' || err.code === 'commander.version') {
@@ -6,7 +6,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { getIssueDirectoryPath } = require('../utils/directory');
 const { getIssueFilePath } = require('../utils/issueManager');
-const { getCurrentIssue } = require('../utils/issueManager');
+const { getCurrentIssue, writeIssue } = require('../utils/issueManager');
 const { 
   addContentToSection, 
   findSectionByName 
@@ -66,7 +66,7 @@ async function addQuestionAction(questionText, options = {}) {
     );
     
     // Write the updated content back to the file
-    await fs.writeFile(issueFilePath, updatedContent, 'utf8');
+    await writeIssue(issueFilePath, updatedContent);
     
     output.success(`Added question to issue #${issueNumber}`);
   } catch (err) {
@@ -6,46 +6,40 @@ const fs = require('fs');
 const { isInitialized } = require('../utils/directory');
 const { listIssues, readIssue, writeIssue, getIssueFilePath } = require('../utils/issueManager');
 const { extractTasks, findCurrentTask, extractTagsFromTask, extractExpandTagsFromTask, isTagAtEnd } = require('../utils/taskParser');
-const { validateTagTemplate, expandTask } = require('../utils/taskExpander');
+const { validateTagTemplate, expandTask, stripExpandTags, resolveTagParameters } = require('../utils/taskExpander');
 const { getTemplateList } = require('../utils/template');
+const { findTaskBlocks, remapTaskReferences } = require('../utils/taskEditor');
 const output = require('../utils/outputManager');
 const { UninitializedError, UserError, SystemError, IssueNotFoundError } = require('../utils/errors');
 
 /**
- * Insert a task into a list of tasks at the specified position
+ * Format a tag the way it is written in task text
  * 
- * @param {string} content - Original issue content
- * @param {string} taskText - Task text to add
- * @param {string} position - Position to insert task ('before-current', 'after-current', 'end')
- * @returns {Promise<string>} Updated issue content
+ * @param {Object} tag - Tag with name and params
+ * @returns {string} Tag such as "+unit-test" or "+update-docs(section=API)"
  */
-async function insertTaskIntoContent(content, taskText, position) {
-  // Extract existing tasks
-  const tasks = await extractTasks(content);
-  
-  // Find the current task
-  const currentTask = findCurrentTask(tasks);
-  
-  // Determine insertion point
-  let insertionIndex = -1;
-  
-  if (position === 'before-current' && currentTask) {
-    // Insert before the current task
-    insertionIndex = findInsertionLineNumber(content, currentTask, true);
-  } else if (position === 'after-current' && currentTask) {
-    // Insert after the current task
-    insertionIndex = findInsertionLineNumber(content, currentTask, false);
-  } else {
-    // Insert at the end of the task list
-    insertionIndex = findTasksSectionEnd(content);
-  }
-  
-  if (insertionIndex === -1) {
-    throw new Error('Could not determine insertion point');
-  }
-  
-  // Check if task has expansion tags (+tag) that need to be expanded
-  const lines = content.split('\n');
+function formatTag(tag) {
+  return tag.params && Object.keys(tag.params).length > 0
+    ? `+${tag.name}(${Object.entries(tag.params).map(([k, v]) => `${k}=${v}`).join(',')})`
+    : `+${tag.name}`;
+}
+
+/**
+ * Build the markdown lines for a new task
+ * 
+ * A task ending in +tags is expanded into the steps of its tag templates;
+ * otherwise it becomes a single task line. With the subtasks option the steps
+ * are nested under the task instead of taking its place, and the task itself
+ * takes the place of the [ACTUAL TASK GOES HERE] step.
+ * 
+ * @param {string} taskText - Task text, optionally with +tags at the end
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.completed=false] - Whether the lines should be checked
+ * @param {boolean} [options.subtasks=false] - Nest expanded steps under the task
+ * @returns {Promise<string[]>} Task lines such as "- [ ] Write tests"
+ */
+async function buildTaskLines(taskText, options = {}) {
+  const checkbox = options.completed ? '[x]' : '[ ]';
   const tasksToInsert = [];
   
   // Create a task object (similar to what extractTasks returns)
@@ -60,44 +54,115 @@ async function insertTaskIntoContent(content, taskText, position) {
   
   if (expandTags && expandTags.length > 0) {
     // Check if each tag is at the end of the task
-    const tagsAtEnd = expandTags.filter(tag => {
-      const tagString = `+${tag.name}`;
-      const tagWithParams = tag.params && Object.keys(tag.params).length > 0 
-        ? `+${tag.name}(${Object.entries(tag.params).map(([k, v]) => `${k}=${v}`).join(',')})`
-        : tagString;
-      
-      return isTagAtEnd(mockTask.text, tagWithParams);
-    });
+    const tagsAtEnd = expandTags.filter(tag => isTagAtEnd(mockTask.text, formatTag(tag)));
     
     if (tagsAtEnd.length > 0) {
-      // Expand the task
-      const expandedSteps = await expandTask(mockTask);
+      // Expand the task; nested steps leave out the task, which becomes their parent
+      const expandedSteps = await expandTask(mockTask, { withoutTask: options.subtasks });
       
       // If expansion was successful, prepare expanded tasks
-      if (expandedSteps && expandedSteps.length > 0) {
+      if (options.subtasks) {
+        // Keep the task itself as the parent of its steps
+        tasksToInsert.push(`- ${checkbox} ${stripExpandTags(taskText)}`);
+        expandedSteps.forEach(step => {
+          tasksToInsert.push(`  - ${checkbox} ${step}`);
+        });
+      } else if (expandedSteps && expandedSteps.length > 0) {
         // Format expanded steps as task lines
         expandedSteps.forEach(step => {
-          tasksToInsert.push(`- [ ] ${step}`);
+          tasksToInsert.push(`- ${checkbox} ${step}`);
         });
       } else {
         // If expansion failed, just add the original task
-        tasksToInsert.push(`- [ ] ${taskText}`);
+        tasksToInsert.push(`- ${checkbox} ${taskText}`);
       }
     } else {
       // Tags found but not at the end of the task, just add the original task
-      tasksToInsert.push(`- [ ] ${taskText}`);
+      tasksToInsert.push(`- ${checkbox} ${taskText}`);
     }
   } else {
     // No expansion tags, just add the original task
-    tasksToInsert.push(`- [ ] ${taskText}`);
+    tasksToInsert.push(`- ${checkbox} ${taskText}`);
   }
   
-  // Insert the tasks at the determined position
-  for (let i = 0; i < tasksToInsert.length; i++) {
-    lines.splice(insertionIndex + i, 0, tasksToInsert[i]);
+  return tasksToInsert;
+}
+
+/**
+ * Work out where a task goes in an issue and the lines it becomes there
+ * 
+ * @param {string} content - Original issue content
+ * @param {string} taskText - Task text to add
+ * @param {string} position - Position to insert task ('before-current', 'after-current', 'end')
+ * @param {Object} [options] - Insert options
+ * @param {boolean} [options.subtasks=false] - Nest expanded tag steps under the task
+ * @returns {Promise<Object>} Line number to insert at and the indented task lines
+ */
+async function getTaskInsertion(content, taskText, position, options = {}) {
+  // Extract existing tasks
+  const tasks = await extractTasks(content);
+  
+  // Find the current task
+  const currentTask = findCurrentTask(tasks);
+  
+  // Determine insertion point
+  let insertionIndex = -1;
+  
+  if (position === 'before-current' && currentTask) {
+    // Insert before the current task
+    insertionIndex = findInsertionLineNumber(content, currentTask, true);
+  } else if (position === 'after-current' && currentTask) {
+    // Insert after the current task
+    insertionIndex = findInsertionLineNumber(content, currentTask, false);
+  } else {
+    // Insert at the end of the task list
+    insertionIndex = findTasksSectionEnd(content);
+  }
+  
+  if (insertionIndex === -1) {
+    throw new Error('Could not determine insertion point');
+  }
+  
+  // Build the task lines, expanding +tags at the end of the task
+  const lines = content.split('\n');
+  const tasksToInsert = await buildTaskLines(taskText, { subtasks: options.subtasks });
+  
+  // Next to a subtask, the new task becomes a subtask of the same parent
+  let indent = '';
+  if (currentTask && position !== 'end') {
+    indent = /^\s*/.exec(lines[findInsertionLineNumber(content, currentTask, true)])[0];
   }
   
-  return lines.join('\n');
+  return {
+    index: insertionIndex,
+    lines: tasksToInsert.map(line => `${indent}${line}`)
+  };
+}
+
+/**
+ * Insert a task into a list of tasks at the specified position
+ * 
+ * Later tasks move down, so after:N references to them are updated.
+ * 
+ * @param {string} content - Original issue content
+ * @param {string} taskText - Task text to add
+ * @param {string} position - Position to insert task ('before-current', 'after-current', 'end')
+ * @param {Object} [options] - Insert options
+ * @param {boolean} [options.subtasks=false] - Nest expanded tag steps under the task
+ * @returns {Promise<string>} Updated issue content
+ */
+async function insertTaskIntoContent(content, taskText, position, options = {}) {
+  const insertion = await getTaskInsertion(content, taskText, position, options);
+  const lines = content.split('\n');
+  const blocks = findTaskBlocks(content);
+  
+  lines.splice(insertion.index, 0, ...insertion.lines);
+  
+  const updatedContent = lines.join('\n');
+  const firstMoved = blocks.filter(block => block.start < insertion.index).length;
+  const added = findTaskBlocks(updatedContent).length - blocks.length;
+  
+  return remapTaskReferences(updatedContent, ref => (ref >= firstMoved ? ref + added : ref));
 }
 
 /**
@@ -224,12 +289,46 @@ async function validateTags(tags) {
     const validation = await validateTagTemplate(tag.name);
     if (!validation.valid) {
       errors.push(`Tag '${tag.name}' has invalid template: ${validation.errors.join(', ')}`);
+      continue;
+    }
+    
+    // Check the parameters given with the tag
+    try {
+      await resolveTagParameters(tag.name, tag.params);
+    } catch (error) {
+      errors.push(error.recoveryHint ? `${error.message} (${error.recoveryHint})` : error.message);
     }
   }
   
   return errors;
 }
 
+/**
+ * Get the task lines a task text would be added as, without changing any issue
+ * 
+ * @param {string} taskText - Task text, optionally with +tags at the end
+ * @param {Object} [options] - Preview options
+ * @param {boolean} [options.subtasks=false] - Nest expanded steps under the task
+ * @returns {Promise<Object>} The task lines and the names of the tags that were expanded
+ * @throws {UserError} If a tag does not exist, has an invalid template or is missing parameters
+ */
+async function previewTask(taskText, options = {}) {
+  const mockTask = { text: taskText, completed: false, index: -1 };
+  const tags = extractExpandTagsFromTask(mockTask);
+  const tagErrors = await validateTags(tags);
+  
+  if (tagErrors.length > 0) {
+    throw new UserError(`Invalid tags in task: ${tagErrors.join(', ')}`);
+  }
+  
+  const lines = await buildTaskLines(taskText, { subtasks: options.subtasks });
+  const expandedTags = tags
+    .filter(tag => isTagAtEnd(taskText, formatTag(tag)))
+    .map(tag => tag.name);
+  
+  return { lines, tags: expandedTags };
+}
+
 /**
  * Action handler for the add-task command
  * 
@@ -292,8 +391,21 @@ async function addTaskAction(taskText, options) {
       position = 'after-current';
     }
     
+    // Show the lines the task would become without writing them
+    if (options.dryRun) {
+      const insertion = await getTaskInsertion(issueContent, taskText, position, {
+        subtasks: options.subtasks
+      });
+      
+      output.section(`Task lines that would be added to issue ${issue.issueNumber}`, insertion.lines);
+      output.info('Dry run: the issue was not changed');
+      return;
+    }
+    
     // Insert the task (and any expanded subtasks)
-    const updatedContent = await insertTaskIntoContent(issueContent, taskText, position);
+    const updatedContent = await insertTaskIntoContent(issueContent, taskText, position, {
+      subtasks: options.subtasks
+    });
     
     // Write the updated issue
     await writeIssue(issuePath, updatedContent);
@@ -303,16 +415,11 @@ async function addTaskAction(taskText, options) {
     const taskTags = extractExpandTagsFromTask(tagCheckTask);
     
     // Check if the tags are at the end of the task text
-    const tagsAtEnd = taskTags.filter(tag => {
-      const tagString = `+${tag.name}`;
-      const tagWithParams = tag.params && Object.keys(tag.params).length > 0 
-        ? `+${tag.name}(${Object.entries(tag.params).map(([k, v]) => `${k}=${v}`).join(',')})`
-        : tagString;
-      
-      return isTagAtEnd(tagCheckTask.text, tagWithParams);
-    });
+    const tagsAtEnd = taskTags.filter(tag => isTagAtEnd(tagCheckTask.text, formatTag(tag)));
     
-    if (tagsAtEnd && tagsAtEnd.length > 0) {
+    if (tagsAtEnd && tagsAtEnd.length > 0 && options.subtasks) {
+      output.success(`Task added to issue ${issue.issueNumber} with nested subtasks from tags: ${tagsAtEnd.map(t => t.name).join(', ')}`);
+    } else if (tagsAtEnd && tagsAtEnd.length > 0) {
       output.success(`Task added to issue ${issue.issueNumber} with expanded subtasks from tags: ${tagsAtEnd.map(t => t.name).join(', ')}`);
     } else {
       output.success(`Task added to issue ${issue.issueNumber} at position: ${position}`);
@@ -347,6 +454,8 @@ function createCommand() {
     .option('-i, --issue <issueNumber>', 'Issue number to add task to (defaults to first open issue)')
     .option('-b, --before', 'Add task before the current task')
     .option('-a, --after', 'Add task after the current task')
+    .option('-s, --subtasks', 'Nest the steps of +tags under the task instead of adding them as separate tasks')
+    .option('--dry-run', 'Show the task lines that would be added without changing the issue')
     .action(addTaskAction);
     
   // Add rich help text
@@ -375,6 +484,12 @@ Examples:
   $ issue-cards add-task "Create User model +unit-test"
   $ issue-cards add-task "Implement login page +unit-test +update-docs"
   
+  # Keep the task and nest the tag's steps under it
+  $ issue-cards add-task "Create User model +unit-test" --subtasks
+  
+  # See which task lines would be added without adding them
+  $ issue-cards add-task "Create User model +unit-test +update-docs" --dry-run
+  
   # Using the shorter alias
   $ issue-cards add "Deploy to production +lint-and-commit"
 
@@ -388,6 +503,23 @@ Task Expansion:
   - Ensure test coverage is adequate
   
   Task tags must be at the end of the task text to be properly expanded.
+  
+  Tags can take parameters, like "+unit-test(component=User,snapshots=true)".
+  A tag template declares them in its "## Parameters" section; steps may
+  depend on them with {{#if snapshots}}...{{/if}}. A task is rejected when a
+  required parameter of its tag is missing.
+  
+  With --subtasks the task itself is kept and the other steps are nested under it:
+  - [ ] Create User model
+    - [ ] Write failing unit tests for the functionality (RED phase)
+    - [ ] ...
+    - [ ] Implement minimal code to pass tests (GREEN phase)
+    - [ ] ...
+  The task is checked automatically once all of its subtasks are completed.
+  
+  With --dry-run the expanded task lines are shown, indented as they would be in
+  the issue, and nothing is written. 'issue-cards expand' shows them without an
+  issue.
 
 Available Tags:
   The built-in tags include unit-test, e2e-test, update-docs, and lint-and-commit.
@@ -396,6 +528,7 @@ Available Tags:
 Related Commands:
   $ issue-cards current      # Show the current task
   $ issue-cards complete     # Mark the current task as complete
+  $ issue-cards expand       # Preview how a task with +tags expands
   $ issue-cards templates    # List available templates including tags
   `);
     
@@ -406,6 +539,9 @@ module.exports = {
   createCommand,
   addTaskAction, // Exported for testing
   insertTaskIntoContent, // Exported for testing
+  buildTaskLines,
+  getTaskInsertion, // Exported for testing
+  previewTask,
   findInsertionLineNumber, // Exported for testing
   findTasksSectionEnd, // Exported for testing
   validateTags, // Exported for testing
@@ -0,0 +1,180 @@
+// ABOUTME: Implementation of the 'answer-question' command
+// ABOUTME: Checks off a question and records its answer, optionally in the planned approach too
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { getCurrentIssue, getIssueFilePath, readIssue, writeIssue } = require('../utils/issueManager');
+const { findQuestionBlocks, selectQuestion, answerQuestion } = require('../utils/questionEditor');
+const { formatTimestamp } = require('../utils/frontMatter');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError, IssueNotFoundError } = require('../utils/errors');
+
+/**
+ * Answer a question in an open issue
+ * 
+ * @param {string} [issueNumber] - Issue number, defaults to the current issue
+ * @param {Object} selection - Question to answer, see selectQuestion()
+ * @param {number} [selection.index] - Question index (starting at 0)
+ * @param {string} [selection.match] - Text of the question
+ * @param {string} answer - The answer
+ * @param {Object} [options] - Answer options
+ * @param {boolean} [options.addToApproach=false] - Also add the answer to the Planned approach section
+ * @param {boolean} [options.force=false] - Allow answering a question that was already answered
+ * @param {string} [options.forceHint] - Recovery hint explaining how to force the change
+ * @returns {Promise<Object>} Result with issueNumber, index, question, answer and answeredAt
+ */
+async function answerQuestionInIssue(issueNumber, selection, answer, options = {}) {
+  if (!answer || !answer.trim()) {
+    throw new UserError('Answer cannot be empty');
+  }
+  
+  let number = issueNumber;
+  
+  if (!number) {
+    const currentIssue = await getCurrentIssue();
+    if (!currentIssue) {
+      throw new UserError('No current issue found')
+        .withRecoveryHint('Specify an issue number or set a current issue');
+    }
+    number = currentIssue.issueNumber;
+  }
+  
+  const paddedNumber = String(number).padStart(4, '0');
+  const filePath = getIssueFilePath(paddedNumber);
+  
+  let content;
+  try {
+    content = await readIssue(filePath);
+  } catch (error) {
+    throw new IssueNotFoundError(paddedNumber)
+      .withRecoveryHint('Only questions of open issues can be answered');
+  }
+  
+  const question = selectQuestion(findQuestionBlocks(content), selection);
+  
+  if (question.answered && !options.force) {
+    throw new UserError(`Question ${question.index} is already answered: ${question.text}`)
+      .withRecoveryHint(options.forceHint || 'Use --force to add another answer');
+  }
+  
+  const answeredAt = formatTimestamp();
+  
+  await writeIssue(filePath, answerQuestion(content, question.index, answer, {
+    timestamp: answeredAt,
+    addToApproach: options.addToApproach
+  }));
+  
+  return {
+    issueNumber: paddedNumber,
+    index: question.index,
+    question: question.text,
+    answer: answer.trim(),
+    answeredAt,
+    addedToApproach: Boolean(options.addToApproach)
+  };
+}
+
+/**
+ * Action handler for the answer-question command
+ * 
+ * @param {string} question - Index or text of the question to answer
+ * @param {string} answer - The answer
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue number (uses current issue if not specified)
+ * @param {boolean} [options.approach] - Also add the answer to the Planned approach section
+ * @param {boolean} [options.force] - Allow answering a question that was already answered
+ */
+async function answerQuestionAction(question, answer, options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    // A number picks the question by index, anything else by its text
+    const selection = /^\d+$/.test(question.trim())
+      ? { index: parseInt(question, 10) }
+      : { match: question };
+    
+    const result = await answerQuestionInIssue(options.issue, selection, answer, {
+      addToApproach: options.approach,
+      force: options.force
+    });
+    
+    output.success(`Answered question ${result.index} in issue #${result.issueNumber}: ${result.question}`);
+    
+    if (result.addedToApproach) {
+      output.info('Added the answer to the planned approach');
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to answer question: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the answer-question command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('answer-question')
+    .alias('answer')
+    .description('Answer a question from the Questions to resolve section')
+    .argument('<question>', 'Index of the question (starts at 0) or text it contains')
+    .argument('<answer>', 'The answer to record')
+    .option('-i, --issue <issueNumber>', 'Issue number (uses current issue if not specified)')
+    .option('-a, --approach', 'Also add the answer to the Planned approach section')
+    .option('-f, --force', 'Add another answer to a question that was already answered')
+    .action(answerQuestionAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Checks off a question in the "Questions to resolve" section and records the
+  answer, with the time it was given, directly below the question. Questions
+  are picked by index (starting at 0) or by text that only one of them contains.
+
+  Answered questions are no longer shown by 'issue-cards current', and tasks
+  waiting on them with question:N are unblocked. With --approach the answer is
+  also added to the "Planned approach" section.
+
+Examples:
+  # Answer the first question of the current issue
+  $ issue-cards answer-question 0 "Use Redis for the session cache"
+
+  # Pick the question by its text and update the planned approach
+  $ issue-cards answer-question "which database" "PostgreSQL" --approach
+
+  # Answer a question in a specific issue
+  $ issue-cards answer 1 "No, keep the current API" -i 3
+
+Output Format:
+  - [x] Which database should we use?
+    - Answer (2024-05-01T10:00:00Z): PostgreSQL
+
+Related Commands:
+  $ issue-cards add-question # Add a question to an issue
+  $ issue-cards current      # View current task with the open questions
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  answerQuestionAction, // Exported for testing
+  answerQuestionInIssue
+};
@@ -0,0 +1,108 @@
+// ABOUTME: Implementation of the 'claim' command
+// ABOUTME: Records which agent works on an issue so others do not change it at the same time
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { getCurrentIssue, claimIssue } = require('../utils/issueManager');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Action handler for the claim command
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue number to claim (defaults to the current issue)
+ * @param {string} [options.owner] - Who claims the issue
+ * @param {boolean} [options.force] - Take over a claim by someone else
+ */
+async function claimAction(options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    // Use current issue if no issue number provided
+    let issueNumber = options.issue;
+    
+    if (!issueNumber) {
+      const currentIssue = await getCurrentIssue();
+      if (!currentIssue) {
+        throw new UserError('No current issue found')
+          .withRecoveryHint('Specify an issue number or set a current issue');
+      }
+      issueNumber = currentIssue.issueNumber;
+    }
+    
+    const claim = await claimIssue(issueNumber, { owner: options.owner, force: options.force });
+    
+    output.success(`Claimed issue #${claim.issueNumber} for ${claim.owner}`);
+    
+    if (claim.previousOwner && claim.previousOwner !== claim.owner) {
+      output.info(`Took over the claim of ${claim.previousOwner}`);
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to claim issue: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the claim command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('claim')
+    .description('Claim an issue so no one else changes it while you work on it')
+    .option('-i, --issue <issueNumber>', 'Issue number to claim (defaults to the current issue)')
+    .option('--owner <name>', 'Who claims the issue (defaults to $ISSUE_CARDS_SESSION, else your git user name)')
+    .option('--force', 'Take over a claim by someone else')
+    .action(claimAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Records in the issue's front matter who works on the issue (claimed_by) and
+  since when (claimed). While an issue is claimed, commands and MCP tools run
+  by anyone else refuse to change it, so parallel agents do not overwrite each
+  other's work. The claim lasts until it is released or the issue is closed.
+
+  The owner is the work session (--session of set-current, ISSUE_CARDS_SESSION
+  or the MCP client) if there is one, else your git user name.
+
+Examples:
+  # Claim the current issue
+  $ issue-cards claim
+
+  # Claim issue 3 for an agent's session
+  $ ISSUE_CARDS_SESSION=agentA issue-cards claim -i 3
+
+  # Take over an issue an agent left claimed
+  $ issue-cards claim -i 3 --force
+
+Related commands:
+  $ issue-cards release      # Release the claim
+  $ issue-cards set-current  # Choose the current issue of a work session
+  $ issue-cards show         # Show who claimed an issue
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  claimAction, // Exported for testing
+};
@@ -3,10 +3,10 @@
 
 const { Command } = require('commander');
 const path = require('path');
-const fs = require('fs');
 const { isInitialized, getIssueDirectoryPath } = require('../utils/directory');
 const { listIssues, saveIssue, getIssue, closeIssue, getCurrentIssue } = require('../utils/issueManager');
-const { extractTasks, findCurrentTask, updateTaskStatus } = require('../utils/taskParser');
+const { extractTasks, findCurrentTask, getParentTasks, updateTaskStatus } = require('../utils/taskParser');
+const { findBlockedTasks, findOpenIssueDependencies, formatBlockedTasks } = require('../utils/taskDependencies');
 // Output manager is used for all output formatting
 const { isGitRepository, isGitAvailable } = require('../utils/gitDetection');
 const { gitStage } = require('../utils/gitOperations');
@@ -44,10 +44,117 @@ async function stageChangesInGit(issueNumber) {
   }
 }
 
+/**
+ * Parse task indices from option values
+ * 
+ * @param {string|number|Array<string|number>} values - Indices, each may be a comma-separated list
+ * @returns {number[]} Task indices
+ * @throws {UserError} If a value is not a whole number
+ */
+function parseTaskIndices(values) {
+  const list = Array.isArray(values) ? values : [values];
+  
+  return list
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(value => value !== '')
+    .map(value => {
+      if (!/^\d+$/.test(value)) {
+        throw new UserError(`Invalid task index: ${value}`)
+          .withRecoveryHint('Task indices are whole numbers starting at 0');
+      }
+      return parseInt(value, 10);
+    });
+}
+
+/**
+ * Check whether options select specific tasks
+ * 
+ * @param {Object} selection - Command options or MCP arguments
+ * @returns {boolean} True if an index or match was given
+ */
+function hasTaskSelection(selection = {}) {
+  const given = value => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+  return given(selection.index) || given(selection.match);
+}
+
+/**
+ * Select tasks by index or by text
+ * 
+ * Each match text must be contained in exactly one task (ignoring case), so a
+ * vague match never changes the wrong task.
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @param {Object} selection - Tasks to select
+ * @param {string|number|Array<string|number>} [selection.index] - Task indices (starting at 0)
+ * @param {string|string[]} [selection.match] - Text of the tasks to select
+ * @returns {Array<Object>} Selected tasks in issue order
+ * @throws {UserError} If an index is out of range or a text matches no task or several tasks
+ */
+function selectTasks(tasks, selection = {}) {
+  const selected = new Set();
+  
+  const indices = selection.index !== undefined && selection.index !== null
+    ? parseTaskIndices(selection.index)
+    : [];
+  
+  for (const index of indices) {
+    if (index >= tasks.length) {
+      throw new UserError(`Task index out of range: ${index}`)
+        .withRecoveryHint(`Issue has ${tasks.length} task${tasks.length !== 1 ? 's' : ''} (indices start at 0)`);
+    }
+    selected.add(index);
+  }
+  
+  const matches = selection.match !== undefined && selection.match !== null
+    ? [].concat(selection.match)
+    : [];
+  
+  for (const text of matches) {
+    const needle = String(text).toLowerCase();
+    const found = tasks.filter(task => task.text.toLowerCase().includes(needle));
+    
+    if (found.length === 0) {
+      throw new UserError(`No task matches "${text}"`)
+        .withRecoveryHint('Run `issue-cards show` to see the tasks of the current issue');
+    }
+    
+    if (found.length > 1) {
+      throw new UserError(`"${text}" matches ${found.length} tasks`)
+        .withRecoveryHint(`Use more specific text or one of these indices: ${found.map(task => `${task.index} (${task.text})`).join(', ')}`);
+    }
+    
+    selected.add(found[0].index);
+  }
+  
+  return tasks.filter(task => selected.has(task.index));
+}
+
+/**
+ * Set the status of several tasks
+ * 
+ * @param {string} content - Issue content
+ * @param {number[]} indices - Indices of the tasks to update
+ * @param {boolean} completed - New completion status
+ * @returns {Promise<string>} Updated issue content
+ */
+async function setTasksStatus(content, indices, completed) {
+  let updatedContent = content;
+  
+  for (const index of indices) {
+    updatedContent = await updateTaskStatus(updatedContent, index, completed);
+  }
+  
+  return updatedContent;
+}
+
 /**
  * Action handler for the complete-task command
  * 
  * @param {Object} options - Command options
+ * @param {string[]} [options.index] - Indices of tasks to change instead of the current task
+ * @param {string[]} [options.match] - Text of tasks to change instead of the current task
+ * @param {boolean} [options.uncomplete] - Mark the selected tasks as not done
  */
 async function completeTaskAction(options = {}) {
   try {
@@ -79,19 +186,56 @@ async function completeTaskAction(options = {}) {
     // Extract tasks from the issue
     const tasks = await extractTasks(targetIssue.content);
     
-    // Find the current (first uncompleted) task
-    const currentTask = findCurrentTask(tasks);
+    const blockedTasks = await findBlockedTasks(tasks, targetIssue.content);
+    const completed = !options.uncomplete;
+    let changedTasks;
     
-    if (!currentTask) {
-      throw new UserError('No tasks found or all tasks are already completed')
-        .withDisplayMessage('No tasks found or all tasks are already completed');
+    if (hasTaskSelection(options)) {
+      const selectedTasks = selectTasks(tasks, options);
+      changedTasks = selectedTasks.filter(task => task.completed !== completed);
+      
+      // Tasks that already have the requested status are left alone
+      for (const task of selectedTasks.filter(task => task.completed === completed)) {
+        output.warn(`Task ${task.index} is already ${completed ? 'completed' : 'not done'}: ${task.text}`);
+      }
+      
+      if (changedTasks.length === 0) {
+        throw new UserError(`Selected task${selectedTasks.length !== 1 ? 's are' : ' is'} already ${completed ? 'completed' : 'not done'}`);
+      }
+      
+      // Completing a blocked task out of order is allowed, but worth pointing out
+      if (completed) {
+        for (const task of changedTasks.filter(task => blockedTasks.has(task.index))) {
+          output.warn(`Task ${task.index} was blocked: ${blockedTasks.get(task.index).map(reason => reason.message).join('; ')}`);
+        }
+      }
+    } else if (options.uncomplete) {
+      throw new UserError('No task selected to mark as not done')
+        .withRecoveryHint('Use --index or --match to choose the task');
+    } else {
+      // Find the current (first uncompleted, unblocked) task
+      const currentTask = findCurrentTask(tasks, blockedTasks);
+      
+      if (!currentTask && blockedTasks.size > 0) {
+        const blockedList = formatBlockedTasks(tasks, blockedTasks).map(line => `  ${line}`).join('\n');
+        throw new UserError('All remaining tasks are blocked')
+          .withRecoveryHint('Resolve the dependencies listed below first')
+          .withDisplayMessage(`All remaining tasks are blocked:\n${blockedList}`);
+      }
+      
+      if (!currentTask) {
+        throw new UserError('No tasks found or all tasks are already completed')
+          .withDisplayMessage('No tasks found or all tasks are already completed');
+      }
+      
+      changedTasks = [currentTask];
     }
     
     // Update the task status
-    const updatedContent = await updateTaskStatus(
+    const updatedContent = await setTasksStatus(
       targetIssue.content, 
-      currentTask.index, 
-      true
+      changedTasks.map(task => task.index), 
+      completed
     );
     
     // Save the updated issue
@@ -101,18 +245,45 @@ async function completeTaskAction(options = {}) {
     await stageChangesInGit(targetIssue.issueNumber);
     
     // Show completion message
-    output.success(`Task completed: ${currentTask.text}`);
+    for (const task of changedTasks) {
+      output.success(completed ? `Task completed: ${task.text}` : `Task marked as not done: ${task.text}`);
+    }
     
     // Check if all tasks are now completed
     const updatedTasks = await extractTasks(updatedContent);
-    const nextTask = findCurrentTask(updatedTasks);
+    
+    // Parent tasks follow their subtasks
+    for (const parent of updatedTasks.filter(task => task.childIndices &&
+      task.completed !== tasks[task.index].completed &&
+      !changedTasks.some(changed => changed.index === task.index))) {
+      output.success(parent.completed
+        ? `All subtasks done, parent task completed: ${parent.text}`
+        : `Parent task reopened: ${parent.text}`);
+    }
+    const updatedBlockedTasks = await findBlockedTasks(updatedTasks, updatedContent);
+    const nextTask = findCurrentTask(updatedTasks, updatedBlockedTasks);
+    
+    // Issues stay open while any of their tasks depends on an open issue
+    const openDependencies = nextTask || updatedBlockedTasks.size > 0
+      ? []
+      : await findOpenIssueDependencies(updatedTasks);
     
     // Add instruction for automatic task transition
     if (nextTask) {
       output.info(`➡️ Unless you have explicit instructions to the contrary, it is now time to work on the next task listed below`);
     }
     
-    if (!nextTask) {
+    if (!nextTask && updatedBlockedTasks.size > 0) {
+      output.blank();
+      output.warn('The remaining tasks are blocked, so the issue stays open.');
+      output.section('BLOCKED TASKS', formatBlockedTasks(updatedTasks, updatedBlockedTasks));
+      output.info('➡️ Resolve the dependencies above or choose another issue to work on');
+    } else if (!nextTask && openDependencies.length > 0) {
+      const dependencyList = openDependencies.map(issueNumber => `#${issueNumber}`).join(', ');
+      output.blank();
+      output.warn(`All tasks are complete, but issue #${targetIssue.issueNumber} stays open until its dependencies are closed: ${dependencyList}`);
+      output.info('➡️ Unless you have explicit instructions to the contrary, you should now work on those issues');
+    } else if (!nextTask) {
       // Close the issue by moving it to the closed directory
       await closeIssue(targetIssue.issueNumber);
       
@@ -127,25 +298,6 @@ async function completeTaskAction(options = {}) {
         output.debug(`Git staging for closed issue skipped: ${error.message}`);
       }
       
-      // Clear .current file if this issue was the current one
-      try {
-        const currentFilePath = path.join(getIssueDirectoryPath(), '.current');
-        const fileExists = await fs.promises.access(currentFilePath, fs.constants.F_OK)
-          .then(() => true)
-          .catch(() => false);
-          
-        if (fileExists) {
-          const currentIssueNumber = await fs.promises.readFile(currentFilePath, 'utf8');
-          // If this was the current issue, clear the .current file
-          if (currentIssueNumber.trim() === targetIssue.issueNumber) {
-            await fs.promises.unlink(currentFilePath);
-          }
-        }
-      } catch (error) {
-        // Silently ignore errors - this is just cleanup
-        output.debug(`Failed to clear .current file: ${error.message}`);
-      }
-      
       output.success(`🎉 All tasks complete! Issue #${targetIssue.issueNumber} has been closed.`);
       output.blank();
       output.info('➡️ Unless you have explicit instructions to the contrary, you should now choose another issue to work on');
@@ -163,7 +315,10 @@ async function completeTaskAction(options = {}) {
       const expandedSteps = await expandTask(nextTask);
       
       // Display the next task with context using the shared utility
-      displayTaskWithContext(nextTask, context, expandedSteps, { headerPrefix: 'NEXT' });
+      displayTaskWithContext(nextTask, context, expandedSteps, {
+        headerPrefix: 'NEXT',
+        parentTasks: getParentTasks(updatedTasks, nextTask)
+      });
     }
   } catch (error) {
     if (error instanceof UninitializedError || error instanceof UserError) {
@@ -189,6 +344,17 @@ function createCommand() {
   const command = new Command('complete-task')
     .alias('complete')
     .description('Mark current task as complete and show next task')
+    .option('--index <indices>', 'Index of a task to change instead of the current task (starts at 0, comma-separated or repeatable)', (value, previous) => {
+      const result = previous || [];
+      result.push(value);
+      return result;
+    })
+    .option('-m, --match <text>', 'Text of a task to change instead of the current task (can be used multiple times)', (value, previous) => {
+      const result = previous || [];
+      result.push(value);
+      return result;
+    })
+    .option('-u, --uncomplete', 'Mark the selected tasks as not done')
     .action(completeTaskAction);
     
   // Add rich help text
@@ -198,12 +364,32 @@ Description:
   and then displays the next task with context. If all tasks are completed, the
   issue is automatically moved to the closed/ directory.
 
+  Use --index or --match to complete any tasks instead of the current one, and
+  add --uncomplete to mark them as not done. A --match text must be found in
+  exactly one task. The next task and automatic closure work the same way.
+
+  When the last open subtask of a task is completed, the parent task is checked
+  as well; marking a subtask as not done unchecks its parent again.
+
+  Tasks that are blocked by their dependencies (depends:#0012, after:3 or
+  question:0, see 'issue-cards current --help') are skipped. An issue is not
+  closed while any of its tasks depends on an issue that is still open.
+
 Examples:
   # Mark the current task as complete
   $ issue-cards complete-task
   
   # Using the shorter alias
   $ issue-cards complete
+  
+  # Complete tasks that were finished out of order
+  $ issue-cards complete-task --index 2,4
+  
+  # Complete the task whose text contains "migration"
+  $ issue-cards complete-task --match "migration"
+  
+  # Mark a task as not done again
+  $ issue-cards complete-task --index 1 --uncomplete
 
 Workflow:
   1. The command identifies the current task in the current issue
@@ -216,7 +402,7 @@ Automatic issue closure:
   When all tasks in an issue are completed, the command:
   - Moves the issue file from open/ to closed/
   - Stages the changes in git (if available)
-  - Clears the .current file if this was the current issue
+  - Clears the .current file and session pointers if this was the current issue
   - Displays a success message with instructions for next steps
 
 Related commands:
@@ -231,4 +417,8 @@ Related commands:
 module.exports = {
   createCommand,
   completeTaskAction, // Exported for testing
+  parseTaskIndices,
+  hasTaskSelection,
+  selectTasks,
+  setTasksStatus
 };
\ No newline at end of file
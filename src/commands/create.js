@@ -2,6 +2,7 @@
 // ABOUTME: Creates new issues from templates
 
 const { Command } = require('commander');
+const fs = require('fs');
 const path = require('path');
 const { isInitialized, getIssueDirectoryPath } = require('../utils/directory');
 const { loadTemplate, renderTemplate, validateTemplate } = require('../utils/template');
@@ -12,6 +13,9 @@ const output = require('../utils/outputManager');
 const { UninitializedError, TemplateNotFoundError, UserError, SystemError } = require('../utils/errors');
 const { extractExpandTagsFromTask, isTagAtEnd } = require('../utils/taskParser');
 const { expandTask } = require('../utils/taskExpander');
+const { PRIORITIES, setFrontMatter, createIssueMetadata } = require('../utils/frontMatter');
+const { parseFieldAssignments, parseFieldsFile, resolveTemplateFields } = require('../utils/templateFields');
+const { loadTemplatePartials } = require('../utils/templateInheritance');
 
 /**
  * Format multi-line input as a list
@@ -94,6 +98,33 @@ async function formatAsTasks(input) {
   return formattedTasks.join('\n');
 }
 
+/**
+ * Collect the custom field values given on the command line
+ * 
+ * Values from --field override the ones from the fields file.
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.fieldsFile] - JSON or YAML file with field values
+ * @param {string[]} [options.field] - KEY=value assignments
+ * @returns {Promise<Object>} Field values by key
+ */
+async function collectFields(options) {
+  let fileFields = {};
+  
+  if (options.fieldsFile) {
+    let text;
+    try {
+      text = await fs.promises.readFile(path.resolve(options.fieldsFile), 'utf8');
+    } catch (error) {
+      throw new UserError(`Cannot read fields file: ${options.fieldsFile}`)
+        .withRecoveryHint(error.code === 'ENOENT' ? 'Check the path of the file' : error.message);
+    }
+    fileFields = parseFieldsFile(text, options.fieldsFile);
+  }
+  
+  return { ...fileFields, ...parseFieldAssignments(options.field) };
+}
+
 /**
  * Stage issue file in git
  * 
@@ -151,14 +182,26 @@ async function createAction(templateName, options) {
         .withDisplayMessage('A title is required (Use --title "Your issue title")');
     }
     
+    // Validate priority
+    if (options.priority && !PRIORITIES.includes(options.priority)) {
+      throw new UserError(`Invalid priority: ${options.priority}`)
+        .withRecoveryHint(`Use one of: ${PRIORITIES.join(', ')}`)
+        .withDisplayMessage(`Invalid priority: ${options.priority} (Use one of: ${PRIORITIES.join(', ')})`);
+    }
+    
     // Get next issue number
     const issueNumber = await getNextIssueNumber();
     
     // Load template
     const templateContent = await loadTemplate(templateName, 'issue');
+    const partials = await loadTemplatePartials(templateName, 'issue', templateContent);
+    
+    // Check the values for the template's own placeholders
+    const fieldData = resolveTemplateFields(templateContent, await collectFields(options), { templateName, partials });
     
     // Prepare template data
     const templateData = {
+      ...fieldData,
       NUMBER: issueNumber,
       TITLE: options.title,
       PROBLEM: options.problem || '',
@@ -169,8 +212,16 @@ async function createAction(templateName, options) {
       INSTRUCTIONS: options.instructions || ''
     };
     
-    // Render template
-    const issueContent = renderTemplate(templateContent, templateData);
+    // Render template and add the front matter metadata
+    const issueContent = setFrontMatter(
+      renderTemplate(templateContent, templateData, partials),
+      createIssueMetadata({
+        template: templateName,
+        priority: options.priority,
+        labels: options.labels,
+        assignee: options.assignee
+      })
+    );
     
     // Save issue
     await saveIssue(issueNumber, issueContent);
@@ -212,7 +263,7 @@ function createCommand() {
     const templateDir = getIssueDirectoryPath('config/templates/issue');
     if (fs.existsSync(templateDir)) {
       const templates = fs.readdirSync(templateDir)
-        .filter(file => file.endsWith('.md'))
+        .filter(file => file.endsWith('.md') && !file.startsWith('_'))
         .map(file => path.basename(file, '.md'));
       
       if (templates.length > 0) {
@@ -237,6 +288,15 @@ function createCommand() {
       return result;
     })
     .option('--instructions <instructionsText>', 'Guidelines to follow during implementation')
+    .option('--priority <priority>', `Issue priority (${PRIORITIES.join(', ')})`)
+    .option('--labels <labelList>', 'Comma-separated list of labels')
+    .option('--assignee <name>', 'Person or agent responsible for the issue')
+    .option('--field <key=value>', 'Value for a custom placeholder of the template (can be used multiple times)', (value, previous) => {
+      const result = previous || [];
+      result.push(value);
+      return result;
+    })
+    .option('--fields-file <path>', 'JSON or YAML file with values for custom placeholders')
     .action(createAction);
 
   // Override the missingArgument behavior to show help instead of error
@@ -280,11 +340,30 @@ Examples:
     --failed-approaches "Tried patching the current JWT implementation but still had security holes." \\
     --questions "Which OAuth2 provider should we use?" \\
     --instructions "Ensure backward compatibility with existing tokens during transition."
+  
+  # Create with metadata
+  $ issue-cards create bugfix --title "Fix session timeout" \\
+    --priority high --labels "auth,backend" --assignee alice
+  
+  # Fill in the custom placeholders of a project template
+  $ issue-cards create spike --title "Evaluate caching" \\
+    --field TIMEBOX="2 days" --field OWNER=alice
+  $ issue-cards create spike --title "Evaluate caching" --fields-file spike.yml
 
 Section formatting:
   --task           Each --task flag adds a new task to the Tasks section
   --failed-approaches, --questions  Multi-line text separated by newlines will be formatted as a list
 
+Custom fields:
+  Placeholders other than the built-in ones ({{TITLE}}, {{PROBLEM}}, ...) are
+  filled in with --field KEY=value or a --fields-file. A JSON file holds an
+  object of values; a YAML file holds "KEY: value" lines. Placeholders that are
+  output directly are required; ones only used in {{#if}} blocks are optional.
+
+Metadata:
+  The template, priority, labels, assignee and created/updated timestamps are
+  stored in a front matter block at the top of the issue file.
+
 For more details on templates and issue structure:
   $ issue-cards help templates
   `);
@@ -298,7 +377,7 @@ For more details on templates and issue structure:
     const templateDir = getIssueDirectoryPath('config/templates/issue');
     if (fs.existsSync(templateDir)) {
       const templates = fs.readdirSync(templateDir)
-        .filter(file => file.endsWith('.md'))
+        .filter(file => file.endsWith('.md') && !file.startsWith('_'))
         .map(file => path.basename(file, '.md'));
       
       if (templates.length > 0) {
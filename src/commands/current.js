@@ -4,8 +4,10 @@
 const { Command } = require('commander');
 const { isInitialized } = require('../utils/directory');
 const { listIssues, getCurrentIssue } = require('../utils/issueManager');
-const { extractTasks, findCurrentTask } = require('../utils/taskParser');
+const { extractTasks, findCurrentTask, getParentTasks } = require('../utils/taskParser');
+const { findBlockedTasks, formatBlockedTasks } = require('../utils/taskDependencies');
 const { expandTask } = require('../utils/taskExpander');
+const { getSession } = require('../utils/session');
 const { displayTaskWithContext } = require('../utils/taskDisplay');
 // Output manager is used for all output
 const output = require('../utils/outputManager');
@@ -49,10 +51,11 @@ function extractContext(content) {
       context.failed = [...listItems, ...structuredNotes];
     },
     'Questions to resolve': (text) => {
+      // Indented items are answers recorded below their question
       context.questions = text
         .split('\n')
-        .filter(line => line.trim().startsWith('-'))
-        .map(line => line.trim().substring(1).trim());
+        .filter(line => line.startsWith('-'))
+        .map(line => line.substring(1).trim());
     },
     'Instructions': (text) => { context.instructions = text; }
   };
@@ -92,8 +95,12 @@ function extractContext(content) {
 
 /**
  * Action handler for the current command
+ * 
+ * @param {Object} [options] - Command options
+ * @param {boolean} [options.allQuestions] - Also show answered questions
+ * @param {string} [options.session] - Session whose current issue to use
  */
-async function currentAction() {
+async function currentAction(options = {}) {
   try {
     // Check if issue tracking is initialized
     const initialized = await isInitialized();
@@ -111,16 +118,28 @@ async function currentAction() {
         .withDisplayMessage('No open issues found.');
     }
     
-    // Get the current issue
-    const currentIssue = await getCurrentIssue();
+    // Get the current issue, of the session if there is one
+    const session = getSession(options.session);
+    const currentIssue = await getCurrentIssue({ session });
+    
+    if (session) {
+      output.info(`Session ${session}: issue #${currentIssue.issueNumber}`);
+    }
     
     // Extract tasks from the issue
     const tasks = await extractTasks(currentIssue.content);
     
-    // Find the current (first uncompleted) task
-    const currentTask = findCurrentTask(tasks);
+    // Find the current (first uncompleted, unblocked) task
+    const blockedTasks = await findBlockedTasks(tasks, currentIssue.content);
+    const currentTask = findCurrentTask(tasks, blockedTasks);
     
     if (!currentTask) {
+      if (blockedTasks.size > 0) {
+        output.warn('All remaining tasks in this issue are blocked.');
+        output.section('BLOCKED TASKS', formatBlockedTasks(tasks, blockedTasks));
+        return;
+      }
+      
       output.success('All tasks completed in this issue!');
       return;
     }
@@ -134,23 +153,36 @@ async function currentAction() {
     // Debug logging removed
     
     // Use the shared task display utility
-    displayTaskWithContext(currentTask, context, expandedSteps, { headerPrefix: 'CURRENT' });
+    displayTaskWithContext(currentTask, context, expandedSteps, {
+      headerPrefix: 'CURRENT',
+      parentTasks: getParentTasks(tasks, currentTask),
+      showAnsweredQuestions: options.allQuestions
+    });
     
     // Add instruction to work on the task
     output.info('➡️ Unless you have explicit instructions to the contrary, it is now time to work on the task listed above');
     
-    // Show upcoming tasks (excluding the current task)
+    // Show upcoming tasks (excluding the current task, blocked tasks and tasks completed
+    // out of order), indenting subtasks
     const upcomingTasks = tasks
-      .filter(task => task.index > currentTask.index)
-      .map(task => task.text);
+      .filter(task => task.index > currentTask.index && !blockedTasks.has(task.index) && !task.completed)
+      .map(task => `${'  '.repeat(getParentTasks(tasks, task).length)}${task.text}`);
       
     if (upcomingTasks.length > 0) {
       output.section('UPCOMING TASKS', upcomingTasks);
       output.info('Note: The above upcoming tasks are for context only. Do not work on them until they become the current task.');
     }
+    
+    // Explain which tasks were skipped because they are waiting on something
+    if (blockedTasks.size > 0) {
+      output.section('BLOCKED TASKS', formatBlockedTasks(tasks, blockedTasks));
+    }
   } catch (error) {
     if (error instanceof UninitializedError || error instanceof UserError) {
-      // Re-throw the error with display message already set
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
       throw error;
     } else {
       // Wrap generic errors in a SystemError
@@ -168,6 +200,8 @@ async function currentAction() {
 function createCommand() {
   const command = new Command('current')
     .description('Show current task with context')
+    .option('-a, --all-questions', 'Also show questions that were already answered')
+    .option('--session <name>', 'Use the current issue of this work session (defaults to $ISSUE_CARDS_SESSION)')
     .action(currentAction);
     
   // Add rich help text
@@ -175,17 +209,46 @@ function createCommand() {
 Description:
   Displays the current task (first uncompleted task) from the current issue with
   relevant context. This command focuses on the specific task at hand rather than
-  showing the entire issue content.
+  showing the entire issue content. Tasks that are blocked by their dependencies
+  are skipped and listed with the reason they are blocked.
 
 Examples:
   $ issue-cards current
 
+  # Include answered questions in the context
+  $ issue-cards current --all-questions
+
+  # Show the current task of a work session
+  $ issue-cards current --session agentA
+
 Output sections:
   The command output includes:
   - CURRENT TASK: The first uncompleted task in the current issue
-  - CONTEXT: Relevant sections from the issue (problem, approach, etc.)
+  - PARENT TASK: The tasks the current task is a subtask of, if any
+  - CONTEXT: Relevant sections from the issue (problem, approach, etc.);
+    only unanswered questions are shown unless --all-questions is given
   - EXPANDED STEPS: If the task has tags like +unit-test, shows expanded steps
   - UPCOMING TASKS: Preview of tasks that will come after the current task
+  - BLOCKED TASKS: Tasks that are waiting on a dependency, and why
+
+Task dependencies:
+  Add a marker to a task's text to make it wait for something else:
+  - depends:#0012   Wait until issue #0012 is closed
+  - after:3         Wait until task 3 of this issue is completed
+  - question:0      Wait until question 0 in "Questions to resolve" is answered
+  Task and question numbers start at 0; use commas for several (after:1,2).
+
+Subtasks:
+  Checkbox items indented under a task are its subtasks. The current task is
+  always the first open subtask, shown together with its parent task, and a
+  parent task is checked automatically once all of its subtasks are completed.
+
+Work sessions:
+  Agents or terminals working on different issues at the same time each use a
+  named session, given with --session or the ISSUE_CARDS_SESSION environment
+  variable. A session's current issue is set with set-current --session and
+  applies to all commands run in that session; until it is set, the session
+  uses the shared current issue.
 
 Task expansion:
   Tasks with tags (e.g., "Implement login form +unit-test") are automatically
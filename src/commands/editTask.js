@@ -0,0 +1,146 @@
+// ABOUTME: Implementation of the 'edit-task' command
+// ABOUTME: Changes the text of an existing task, expanding +tags like add-task
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { writeIssue } = require('../utils/issueManager');
+const { extractExpandTagsFromTask } = require('../utils/taskParser');
+const { parseTaskIndex, loadTaskIssue, getEditableTask, replaceTask } = require('../utils/taskEditor');
+const { buildTaskLines, validateTags } = require('./addTask');
+const { stripExpandTags } = require('../utils/taskExpander');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Replace the text of a task in an open issue
+ * 
+ * @param {string} [issueNumber] - Issue number, defaults to the current issue
+ * @param {number} index - Index of the task to edit
+ * @param {string} taskText - New task text, optionally with +tags at the end
+ * @param {Object} [options] - Edit options
+ * @param {boolean} [options.force=false] - Allow editing a completed task
+ * @param {string} [options.forceHint] - Recovery hint explaining how to force the change
+ * @returns {Promise<Object>} Result with issueNumber, index, previousText and the new task lines
+ */
+async function editTaskInIssue(issueNumber, index, taskText, options = {}) {
+  if (!taskText || !taskText.trim()) {
+    throw new UserError('Task text cannot be empty');
+  }
+  
+  const issue = await loadTaskIssue(issueNumber);
+  const task = getEditableTask(issue.tasks, index, options);
+  
+  // Validate expansion tags the same way add-task does
+  const tagErrors = await validateTags(extractExpandTagsFromTask({ text: taskText }));
+  if (tagErrors.length > 0) {
+    throw new UserError(`Invalid tags in task: ${tagErrors.join(', ')}`);
+  }
+  
+  // A completed task stays completed, even if its tags expand into several tasks
+  const taskLines = await buildTaskLines(taskText.trim(), { completed: task.completed });
+  const tasks = taskLines.map(line => line.replace(/^- \[[ x]\] /, ''));
+  
+  // References to the task point at the task itself, not at the steps its tags added before it
+  const taskOffset = Math.max(tasks.indexOf(stripExpandTags(taskText.trim())), 0);
+  
+  await writeIssue(issue.filePath, replaceTask(issue.content, index, taskLines, taskOffset));
+  
+  return {
+    issueNumber: issue.issueNumber,
+    index,
+    previousText: task.text,
+    tasks
+  };
+}
+
+/**
+ * Action handler for the edit-task command
+ * 
+ * @param {string} index - Index of the task to edit
+ * @param {string} taskText - New task text
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue number (uses current issue if not specified)
+ * @param {boolean} [options.force] - Allow editing a completed task
+ */
+async function editTaskAction(index, taskText, options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const result = await editTaskInIssue(options.issue, parseTaskIndex(index), taskText, {
+      force: options.force
+    });
+    
+    if (result.tasks.length > 1) {
+      output.success(`Task ${result.index} in issue #${result.issueNumber} replaced with ${result.tasks.length} expanded tasks`);
+    } else {
+      output.success(`Task ${result.index} in issue #${result.issueNumber} updated: ${result.tasks[0]}`);
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to edit task: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the edit-task command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('edit-task')
+    .description('Change the text of an existing task')
+    .argument('<index>', 'Index of the task to edit (starts at 0)')
+    .argument('<task-text>', 'New text of the task (use quotes, include expansion tags with + at the end)')
+    .option('-i, --issue <issueNumber>', 'Issue number (uses current issue if not specified)')
+    .option('-f, --force', 'Allow editing a completed task')
+    .action(editTaskAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Replaces the text of a task, keeping its position and completion status. Task
+  indices start at 0 and match the order shown by 'issue-cards show'.
+
+  The new text is treated like the text given to add-task: a +tag at the end
+  expands the task into the steps of the tag's template. Completed tasks are
+  left alone unless --force is given.
+
+Examples:
+  # Fix a typo in the third task of the current issue
+  $ issue-cards edit-task 2 "Validate email addresses"
+
+  # Edit a task in another issue
+  $ issue-cards edit-task 0 "Set up OAuth credentials" -i 3
+
+  # Turn a task into test-driven steps
+  $ issue-cards edit-task 1 "Add password reset +unit-test"
+
+Related commands:
+  $ issue-cards add-task     # Add a new task
+  $ issue-cards remove-task  # Remove a task
+  $ issue-cards move-task    # Change the order of tasks
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  editTaskAction, // Exported for testing
+  editTaskInIssue
+};
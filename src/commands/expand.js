@@ -0,0 +1,100 @@
+// ABOUTME: Implementation of the 'expand' command
+// ABOUTME: Previews the task lines a task with +tags expands into, without changing any issue
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { previewTask } = require('./addTask');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Action handler for the expand command
+ * 
+ * @param {string} taskText - Task text, optionally with +tags at the end
+ * @param {Object} options - Command options
+ * @param {boolean} [options.subtasks] - Nest the steps of +tags under the task
+ * @param {boolean} [options.json] - Output in JSON format
+ */
+async function expandAction(taskText, options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const preview = await previewTask(taskText, { subtasks: options.subtasks });
+    
+    // Configure JSON output if requested
+    if (options.json) {
+      output.configure({ json: true });
+      console.log(JSON.stringify(preview));
+      return;
+    }
+    
+    output.section('Task lines', preview.lines);
+    
+    if (preview.tags.length > 0) {
+      output.info(`Expanded from tags: ${preview.tags.join(', ')}`);
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to expand task: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the expand command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('expand')
+    .description('Show the task lines a task with +tags would be added as')
+    .argument('<task-text>', 'Text of the task (use quotes, include expansion tags with + at the end)')
+    .option('-s, --subtasks', 'Nest the steps of +tags under the task instead of listing them as separate tasks')
+    .option('--json', 'Output in JSON format')
+    .action(expandAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Expands the +tags at the end of a task the same way add-task does and prints
+  the resulting task lines, without changing any issue. Steps of several tags
+  are merged in the order add-task uses, and tag parameters fill in the
+  placeholders of the steps. Unknown tags and missing required parameters are
+  reported as errors, as they would be by add-task.
+
+Examples:
+  # Preview the steps of a tag
+  $ issue-cards expand "Create User model +unit-test"
+
+  # Preview several tags with parameters, nested under the task
+  $ issue-cards expand "Add login page +unit-test +update-docs(section=Auth)" --subtasks
+
+  # Get the lines and the expanded tags as JSON
+  $ issue-cards expand "Create User model +unit-test" --json
+
+Related commands:
+  $ issue-cards add-task     # Add the task to an issue (--dry-run shows its position too)
+  $ issue-cards templates    # List available templates including tags
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  expandAction, // Exported for testing
+};
@@ -211,6 +211,13 @@ function showEnvironmentVariablesHelp() {
   outputManager.detail('Use cases: Shared issue location across repositories, CI/CD environments');
   outputManager.empty();
   
+  outputManager.keyValue('ISSUE_CARDS_BACKUPS', 'Number of previous versions to keep of each issue');
+  outputManager.detail('Default: 10');
+  outputManager.detail('Purpose: Sets how many versions are kept in .issues/.backups for the undo command');
+  outputManager.detail('Format: Integer, 0 keeps no backups');
+  outputManager.detail('Example: export ISSUE_CARDS_BACKUPS=50');
+  outputManager.empty();
+  
   // MCP server variables
   outputManager.subheader('MCP Server Configuration');
   outputManager.keyValue('ISSUE_CARDS_MCP_PORT', 'Port for the MCP server');
@@ -0,0 +1,139 @@
+// ABOUTME: Implementation of the 'history' command
+// ABOUTME: Shows the activity log of changes made to issues
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { issueExists } = require('../utils/issueManager');
+const { getHistory } = require('../utils/history');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError, IssueNotFoundError } = require('../utils/errors');
+
+/**
+ * Format a history entry as a single line
+ * 
+ * @param {Object} entry - History entry
+ * @param {boolean} showIssue - Whether to include the issue number
+ * @returns {string} Formatted line
+ */
+function formatHistoryEntry(entry, showIssue) {
+  const issue = showIssue ? `#${entry.issueNumber}  ` : '';
+  const command = entry.command ? ` via ${entry.command}` : '';
+  
+  return `${entry.timestamp}  ${issue}${entry.summary} (${entry.actor}${command})`;
+}
+
+/**
+ * Action handler for the history command
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Only show changes to this issue
+ * @param {string} [options.limit] - Number of most recent entries to show
+ * @param {boolean} [options.json] - Output in JSON format
+ */
+async function historyAction(options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    let issueNumber;
+    if (options.issue) {
+      issueNumber = options.issue.toString().padStart(4, '0');
+      
+      if (!(await issueExists(issueNumber))) {
+        throw new IssueNotFoundError(options.issue)
+          .withDisplayMessage(`Issue #${options.issue} not found`);
+      }
+    }
+    
+    let limit;
+    if (options.limit !== undefined) {
+      limit = Number(options.limit);
+      
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new UserError(`Invalid limit: ${options.limit}`)
+          .withDisplayMessage(`Invalid limit: ${options.limit} (Must be a positive integer)`);
+      }
+    }
+    
+    const entries = await getHistory({ issueNumber, limit });
+    
+    // Configure JSON output if requested
+    if (options.json) {
+      output.configure({ json: true });
+      console.log(JSON.stringify(entries));
+      return;
+    }
+    
+    if (entries.length === 0) {
+      output.info(issueNumber ? `No changes recorded for issue #${issueNumber}.` : 'No changes recorded yet.');
+      return;
+    }
+    
+    output.section(
+      issueNumber ? `HISTORY OF ISSUE #${issueNumber}` : 'HISTORY',
+      entries.map(entry => formatHistoryEntry(entry, !issueNumber))
+    );
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to show history: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the history command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('history')
+    .description('Show the log of changes made to issues')
+    .option('-i, --issue <issueNumber>', 'Only show changes to this issue')
+    .option('-n, --limit <count>', 'Only show the most recent changes')
+    .option('--json', 'Output in JSON format')
+    .action(historyAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Every change issue-cards makes to an issue, from the CLI or through the MCP
+  server, is appended to .issues/history.jsonl with its time, the command or
+  tool that made it, a short summary and who made it. The actor is the MCP
+  client name for tool calls and the git user (or the system user) otherwise.
+  Entries are listed oldest first.
+
+Examples:
+  # Show all recorded changes
+  $ issue-cards history
+
+  # Show the last 10 changes to issue 3
+  $ issue-cards history -i 3 -n 10
+
+  # Get the raw entries
+  $ issue-cards history --json
+
+Related commands:
+  $ issue-cards show         # Show the current content of an issue
+  $ issue-cards list         # List issues
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  historyAction, // Exported for testing
+};
@@ -1,17 +1,104 @@
 // ABOUTME: Implementation of the 'list' command
-// ABOUTME: Lists all open issues
+// ABOUTME: Lists issues with filtering, sorting and task progress
 
 const { Command } = require('commander');
 const { isInitialized } = require('../utils/directory');
-const { listIssues } = require('../utils/issueManager');
+const { getIssues } = require('../utils/issueManager');
+const { queryIssues, SORT_FIELDS } = require('../utils/issueQuery');
+const { PRIORITIES } = require('../utils/frontMatter');
 const output = require('../utils/outputManager');
-const { UninitializedError, SystemError } = require('../utils/errors');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+const STATES = ['open', 'closed', 'all'];
+
+/**
+ * Format the front matter metadata of an issue as a short suffix
+ * 
+ * @param {Object} [metadata] - Issue metadata
+ * @returns {string} Suffix such as " [high] (ui, auth) @alice", or an empty string
+ */
+function formatMetadataSuffix(metadata = {}) {
+  const parts = [];
+  
+  if (metadata.priority) {
+    parts.push(`[${metadata.priority}]`);
+  }
+  
+  if (Array.isArray(metadata.labels) && metadata.labels.length > 0) {
+    parts.push(`(${metadata.labels.join(', ')})`);
+  }
+  
+  if (metadata.assignee) {
+    parts.push(`@${metadata.assignee}`);
+  }
+  
+  return parts.length > 0 ? ` ${parts.join(' ')}` : '';
+}
+
+/**
+ * Format a single issue line for the standard output
+ * 
+ * @param {Object} issue - Issue with progress attached
+ * @param {boolean} showState - Whether to mark closed issues
+ * @returns {string} Formatted line
+ */
+function formatIssueLine(issue, showState) {
+  const state = showState && issue.state === 'closed' ? ' (closed)' : '';
+  const progress = `${issue.progress.completed}/${issue.progress.total} tasks`;
+  
+  return `#${issue.issueNumber}: ${issue.title}${formatMetadataSuffix(issue.metadata)}${state} - ${progress}`;
+}
+
+/**
+ * Validate list options
+ * 
+ * @param {Object} options - Command options
+ * @returns {Object} Normalized state, sort and limit
+ * @throws {UserError} If an option has an invalid value
+ */
+function validateListOptions(options) {
+  const state = options.state || 'open';
+  const sort = options.sort || 'number';
+  
+  const invalid = (message, hint) => new UserError(message)
+    .withRecoveryHint(hint)
+    .withDisplayMessage(`${message} (${hint})`);
+  
+  if (!STATES.includes(state)) {
+    throw invalid(`Invalid state: ${state}`, `Use one of: ${STATES.join(', ')}`);
+  }
+  
+  if (!SORT_FIELDS.includes(sort)) {
+    throw invalid(`Invalid sort field: ${sort}`, `Use one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  
+  if (options.priority && !PRIORITIES.includes(options.priority)) {
+    throw invalid(`Invalid priority: ${options.priority}`, `Use one of: ${PRIORITIES.join(', ')}`);
+  }
+  
+  let limit;
+  if (options.limit !== undefined) {
+    limit = parseInt(options.limit, 10);
+    if (isNaN(limit) || limit < 1 || String(limit) !== String(options.limit).trim()) {
+      throw invalid(`Invalid limit: ${options.limit}`, 'Use a positive whole number');
+    }
+  }
+  
+  return { state, sort, limit };
+}
 
 /**
  * Action handler for the list command
  * 
  * @param {Object} options - Command options
  * @param {boolean} options.json - Output in JSON format
+ * @param {string} [options.state='open'] - Issue state (open, closed, all)
+ * @param {string[]} [options.label] - Labels the issues must all have
+ * @param {string} [options.priority] - Only issues with this priority
+ * @param {string} [options.template] - Only issues created from this template
+ * @param {boolean} [options.hasOpenQuestions] - Only issues with unanswered questions
+ * @param {string} [options.sort='number'] - Sort field (number, title, progress, updated)
+ * @param {string} [options.limit] - Maximum number of issues to show
  */
 async function listAction(options) {
   try {
@@ -23,16 +110,27 @@ async function listAction(options) {
         .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
     }
     
-    // Get all open issues
-    const issues = await listIssues();
+    const { state, sort, limit } = validateListOptions(options);
+    
+    // Get issues in the requested state and apply filters
+    const issues = await queryIssues(await getIssues(state), {
+      label: options.label,
+      priority: options.priority,
+      template: options.template,
+      hasOpenQuestions: options.hasOpenQuestions,
+      sort,
+      limit
+    });
     
     // Configure JSON output if requested
     if (options.json) {
       output.configure({ json: true });
     }
     
+    const stateLabel = state === 'all' ? '' : `${state} `;
+    
     if (issues.length === 0) {
-      output.info('No open issues found.');
+      output.info(`No ${stateLabel}issues found.`);
       return;
     }
     
@@ -41,11 +139,12 @@ async function listAction(options) {
       console.log(JSON.stringify(issues));
     } else {
       // Display issues in standard format
-      output.section('Open Issues', issues.map(issue => `#${issue.issueNumber}: ${issue.title}`));
-      output.info(`Total: ${issues.length} open issue${issues.length !== 1 ? 's' : ''}`);
+      const title = state === 'all' ? 'All Issues' : `${state.charAt(0).toUpperCase()}${state.slice(1)} Issues`;
+      output.section(title, issues.map(issue => formatIssueLine(issue, state === 'all')));
+      output.info(`Total: ${issues.length} ${stateLabel}issue${issues.length !== 1 ? 's' : ''}`);
     }
   } catch (error) {
-    if (error instanceof UninitializedError) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
       // Just re-throw the error with display message already set
       throw error;
     } else {
@@ -63,15 +162,31 @@ async function listAction(options) {
  */
 function createCommand() {
   const command = new Command('list')
-    .description('List all open issues')
+    .description('List issues (open by default)')
     .option('--json', 'Output in JSON format')
+    .option('-s, --state <state>', 'Issue state to list (open, closed, all)', 'open')
+    .option('-l, --label <label>', 'Only issues with this label (can be used multiple times)', (value, previous) => {
+      const result = previous || [];
+      result.push(value);
+      return result;
+    })
+    .option('-p, --priority <priority>', `Only issues with this priority (${PRIORITIES.join(', ')})`)
+    .option('--template <template>', 'Only issues created from this template')
+    .option('--has-open-questions', 'Only issues with unanswered questions')
+    .option('--sort <field>', `Sort by ${SORT_FIELDS.join(', ')}`, 'number')
+    .option('-n, --limit <count>', 'Show at most this many issues')
     .action(listAction);
     
   // Add rich help text
   command.addHelpText('after', `
 Description:
-  Lists all open issues with their numbers and titles. When using this command 
-  without options, it displays a formatted list of all issues in the open/ directory.
+  Lists issues with their numbers, titles and task progress. When using this
+  command without options, it displays a formatted list of all issues in the
+  open/ directory. Priority, labels and assignee from the issue's front matter
+  are shown after the title, and are included as "metadata" in JSON output.
+
+  Sorting by progress puts the most complete issues first; sorting by updated
+  puts the most recently changed issues first.
 
 Examples:
   # List all open issues in default format
@@ -79,14 +194,20 @@ Examples:
   
   # List issues in JSON format for scripting
   $ issue-cards list --json
+  
+  # List closed and open issues labelled "auth"
+  $ issue-cards list --state all --label auth
+  
+  # Show the five most recently updated high priority issues
+  $ issue-cards list --priority high --sort updated --limit 5
+  
+  # Find issues that still have unanswered questions
+  $ issue-cards list --has-open-questions
 
 Output format:
-  Standard output includes issue number, title, and task status:
-    #0001: Add user authentication (current)
-      Current task: Create User model
-    
-    #0002: Fix login redirect bug
-      Current task: Add error handling
+  Standard output includes issue number, title, metadata and task progress:
+    #0001: Add user authentication [high] (auth) @alice - 2/5 tasks
+    #0002: Fix login redirect bug - 0/3 tasks
 
 Related commands:
   $ issue-cards show         # Show details of the current issue
@@ -99,4 +220,5 @@ Related commands:
 module.exports = {
   createCommand,
   listAction, // Exported for testing
+  formatMetadataSuffix,
 };
\ No newline at end of file
@@ -6,7 +6,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { getIssueDirectoryPath } = require('../utils/directory');
 const { getIssueFilePath } = require('../utils/issueManager');
-const { getCurrentIssue } = require('../utils/issueManager');
+const { getCurrentIssue, writeIssue } = require('../utils/issueManager');
 const { 
   addContentToSection, 
   findSectionByName, 
@@ -64,7 +64,7 @@ async function logFailureAction(approachText, options = {}) {
     );
     
     // Write the updated content back to the file
-    await fs.writeFile(issueFilePath, updatedContent, 'utf8');
+    await writeIssue(issueFilePath, updatedContent);
     
     output.success(`Logged failed approach to issue #${issueNumber}`);
   } catch (err) {
@@ -64,6 +64,12 @@ Description:
   The server uses JSON-RPC 2.0 as the wire format, with each message on a
   separate line.
 
+  Besides the tools, it serves issues and templates as resources
+  (issue://current, issue://current/task, issue://open/0003,
+  template://tag/unit-test) and notifies subscribed clients when they change,
+  and the onboarding flows as prompts (onboarding, workflow, pm, dev and
+  reviewer) filled in with the issue to work on.
+
 Examples:
   # Start the stdio MCP server
   $ issue-cards mcp-stdio
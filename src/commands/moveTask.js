@@ -0,0 +1,121 @@
+// ABOUTME: Implementation of the 'move-task' command
+// ABOUTME: Moves a task to a new position within its issue
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { writeIssue } = require('../utils/issueManager');
+const { parseTaskIndex, loadTaskIssue, getEditableTask, moveTask } = require('../utils/taskEditor');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Move a task of an open issue to a new position
+ * 
+ * after:N references are renumbered so they keep pointing at the same tasks.
+ * 
+ * @param {string} [issueNumber] - Issue number, defaults to the current issue
+ * @param {number} from - Current index of the task
+ * @param {number} to - Index of the task whose position it takes
+ * @param {Object} [options] - Move options
+ * @param {boolean} [options.force=false] - Allow moving a completed task
+ * @param {string} [options.forceHint] - Recovery hint explaining how to force the change
+ * @returns {Promise<Object>} Result with issueNumber, from, to and the task text
+ */
+async function moveTaskInIssue(issueNumber, from, to, options = {}) {
+  const issue = await loadTaskIssue(issueNumber);
+  const task = getEditableTask(issue.tasks, from, options);
+  
+  // moveTask() checks that the target index is in range before anything is written
+  await writeIssue(issue.filePath, moveTask(issue.content, from, to));
+  
+  return {
+    issueNumber: issue.issueNumber,
+    from,
+    to,
+    text: task.text
+  };
+}
+
+/**
+ * Action handler for the move-task command
+ * 
+ * @param {string} from - Current index of the task
+ * @param {string} to - Index of the task whose position it takes
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue number (uses current issue if not specified)
+ * @param {boolean} [options.force] - Allow moving a completed task
+ */
+async function moveTaskAction(from, to, options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const result = await moveTaskInIssue(options.issue, parseTaskIndex(from), parseTaskIndex(to), {
+      force: options.force
+    });
+    
+    output.success(`Task moved from position ${result.from} to ${result.to} in issue #${result.issueNumber}: ${result.text}`);
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to move task: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the move-task command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('move-task')
+    .description('Move a task to a new position in its issue')
+    .argument('<from>', 'Current index of the task (starts at 0)')
+    .argument('<to>', 'Index of the task whose position it takes')
+    .option('-i, --issue <issueNumber>', 'Issue number (uses current issue if not specified)')
+    .option('-f, --force', 'Allow moving a completed task')
+    .action(moveTaskAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Moves a task, together with its notes and subtasks, to the position of the
+  task at the given index. The tasks in between shift, and after:N references
+  in other tasks are updated to keep pointing at the same tasks. A subtask can
+  only trade places with subtasks of the same parent. Completed tasks stay where
+  they are unless --force is given.
+
+Examples:
+  # Make the fourth task the first one
+  $ issue-cards move-task 3 0
+
+  # Move the first task of issue 2 to the end of its three tasks
+  $ issue-cards move-task 0 2 -i 2
+
+Related commands:
+  $ issue-cards add-task     # Add a task before or after the current task
+  $ issue-cards edit-task    # Change the text of a task
+  $ issue-cards remove-task  # Remove a task
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  moveTaskAction, // Exported for testing
+  moveTaskInIssue
+};
@@ -0,0 +1,101 @@
+// ABOUTME: Implementation of the 'release' command
+// ABOUTME: Releases the claim on an issue so others can change it again
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { getCurrentIssue, releaseIssue } = require('../utils/issueManager');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Action handler for the release command
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue number to release (defaults to the current issue)
+ * @param {string} [options.owner] - Who releases the issue
+ * @param {boolean} [options.force] - Release a claim by someone else
+ */
+async function releaseAction(options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    // Use current issue if no issue number provided
+    let issueNumber = options.issue;
+    
+    if (!issueNumber) {
+      const currentIssue = await getCurrentIssue();
+      if (!currentIssue) {
+        throw new UserError('No current issue found')
+          .withRecoveryHint('Specify an issue number or set a current issue');
+      }
+      issueNumber = currentIssue.issueNumber;
+    }
+    
+    const release = await releaseIssue(issueNumber, { owner: options.owner, force: options.force });
+    
+    if (release.released) {
+      output.success(`Released issue #${release.issueNumber}, claimed by ${release.owner}`);
+    } else {
+      output.info(`Issue #${release.issueNumber} is not claimed`);
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to release issue: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the release command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('release')
+    .description('Release the claim on an issue')
+    .option('-i, --issue <issueNumber>', 'Issue number to release (defaults to the current issue)')
+    .option('--owner <name>', 'Who releases the issue (defaults to $ISSUE_CARDS_SESSION, else your git user name)')
+    .option('--force', 'Release a claim by someone else')
+    .action(releaseAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Removes the claim recorded by claim, so anyone can change the issue again.
+  Only the owner of the claim can release it, unless --force is used, for
+  example to free an issue an agent left claimed. Closing an issue releases
+  its claim too.
+
+Examples:
+  # Release the current issue
+  $ issue-cards release
+
+  # Release the claim an agent left on issue 3
+  $ issue-cards release -i 3 --force
+
+Related commands:
+  $ issue-cards claim        # Claim an issue
+  $ issue-cards show         # Show who claimed an issue
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  releaseAction, // Exported for testing
+};
@@ -0,0 +1,136 @@
+// ABOUTME: Implementation of the 'remove-task' command
+// ABOUTME: Deletes a task and its indented lines from an issue
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { writeIssue } = require('../utils/issueManager');
+const { parseTaskIndex, loadTaskIssue, getEditableTask, removeTask } = require('../utils/taskEditor');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Get the subtasks of a task, and theirs
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @param {Object} task - Parent task
+ * @returns {Array<Object>} Subtasks in document order
+ */
+function getDescendants(tasks, task) {
+  return (task.childIndices || []).flatMap(childIndex => {
+    const child = tasks.find(candidate => candidate.index === childIndex);
+    return [child, ...getDescendants(tasks, child)];
+  });
+}
+
+/**
+ * Remove a task, with its subtasks, from an open issue
+ * 
+ * after:N references to later tasks are renumbered, and references to the
+ * removed task are dropped.
+ * 
+ * @param {string} [issueNumber] - Issue number, defaults to the current issue
+ * @param {number} index - Index of the task to remove
+ * @param {Object} [options] - Remove options
+ * @param {boolean} [options.force=false] - Allow removing a completed task, or one with completed subtasks
+ * @param {string} [options.forceHint] - Recovery hint explaining how to force the change
+ * @returns {Promise<Object>} Result with issueNumber, index and the removed task text
+ * @throws {UserError} If the task or one of its subtasks is completed and force is not set
+ */
+async function removeTaskFromIssue(issueNumber, index, options = {}) {
+  const issue = await loadTaskIssue(issueNumber);
+  const task = getEditableTask(issue.tasks, index, options);
+  const completedSubtasks = getDescendants(issue.tasks, task).filter(subtask => subtask.completed);
+  
+  if (completedSubtasks.length > 0 && !options.force) {
+    throw new UserError(`Task ${index} has completed subtasks: ${completedSubtasks.map(subtask => subtask.index).join(', ')}`)
+      .withRecoveryHint(options.forceHint || 'Use --force to remove it with its completed subtasks');
+  }
+  
+  await writeIssue(issue.filePath, removeTask(issue.content, index));
+  
+  return {
+    issueNumber: issue.issueNumber,
+    index,
+    removedText: task.text
+  };
+}
+
+/**
+ * Action handler for the remove-task command
+ * 
+ * @param {string} index - Index of the task to remove
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue number (uses current issue if not specified)
+ * @param {boolean} [options.force] - Allow removing a completed task, or one with completed subtasks
+ */
+async function removeTaskAction(index, options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const result = await removeTaskFromIssue(options.issue, parseTaskIndex(index), {
+      force: options.force
+    });
+    
+    output.success(`Task ${result.index} removed from issue #${result.issueNumber}: ${result.removedText}`);
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to remove task: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the remove-task command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('remove-task')
+    .description('Remove a task from an issue')
+    .argument('<index>', 'Index of the task to remove (starts at 0)')
+    .option('-i, --issue <issueNumber>', 'Issue number (uses current issue if not specified)')
+    .option('-f, --force', 'Allow removing a completed task, or one with completed subtasks')
+    .action(removeTaskAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Deletes a task, together with its notes and subtasks, from an issue. Later
+  tasks move up, and after:N references in other tasks are updated to match.
+  Completed tasks, and tasks with completed subtasks, are kept unless --force
+  is given.
+
+Examples:
+  # Remove the second task of the current issue
+  $ issue-cards remove-task 1
+
+  # Remove a completed task from issue 3
+  $ issue-cards remove-task 0 -i 3 --force
+
+Related commands:
+  $ issue-cards edit-task    # Change the text of a task
+  $ issue-cards move-task    # Change the order of tasks
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  removeTaskAction, // Exported for testing
+  removeTaskFromIssue
+};
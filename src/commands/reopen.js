@@ -0,0 +1,271 @@
+// ABOUTME: Implementation of the 'reopen' command
+// ABOUTME: Moves a closed issue back to open and records why it was reopened
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const {
+  getIssueFilePath,
+  getIssueByNumber,
+  saveIssue,
+  reopenIssue,
+  setCurrentIssue
+} = require('../utils/issueManager');
+const { extractTasks, updateTaskStatus } = require('../utils/taskParser');
+const { addContentToSection, findSectionByName } = require('../utils/sectionManager');
+const { isGitRepository, isGitAvailable } = require('../utils/gitDetection');
+const { gitStage } = require('../utils/gitOperations');
+const { insertTaskIntoContent } = require('./addTask');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError, IssueNotFoundError } = require('../utils/errors');
+
+/**
+ * Format today's date for the reopen entry
+ * 
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function formatReopenDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Apply the reopen changes to an issue's content
+ * 
+ * @param {string} content - Issue content
+ * @param {Object} changes - Changes to apply
+ * @param {string} [changes.reason] - Why the issue is being reopened
+ * @param {number} [changes.uncheck] - Index of a completed task to uncheck
+ * @param {string[]} [changes.tasks] - New tasks to append
+ * @param {string} [changes.date] - Date for the reopen entry (defaults to today)
+ * @returns {Promise<string>} Updated issue content
+ * @throws {UserError} If the task to uncheck does not exist or is not completed
+ */
+async function applyReopenChanges(content, changes = {}) {
+  let updatedContent = content;
+  
+  // Uncheck the requested task
+  if (changes.uncheck !== undefined && changes.uncheck !== null) {
+    const taskIndex = parseInt(changes.uncheck, 10);
+    const tasks = await extractTasks(updatedContent);
+    
+    if (isNaN(taskIndex) || taskIndex < 0 || taskIndex >= tasks.length) {
+      throw new UserError(`Task index out of range: ${changes.uncheck}`)
+        .withRecoveryHint(`Issue has ${tasks.length} task${tasks.length !== 1 ? 's' : ''} (indices start at 0)`);
+    }
+    
+    if (!tasks[taskIndex].completed) {
+      throw new UserError(`Task ${taskIndex} is not completed: ${tasks[taskIndex].text}`)
+        .withRecoveryHint('Only completed tasks can be unchecked; add new work with --task instead');
+    }
+    
+    updatedContent = await updateTaskStatus(updatedContent, taskIndex, false);
+  }
+  
+  // Append any new tasks (expanding +tags like add-task does)
+  for (const taskText of changes.tasks || []) {
+    if (taskText && taskText.trim()) {
+      updatedContent = await insertTaskIntoContent(updatedContent, taskText.trim(), 'end');
+    }
+  }
+  
+  // Record the reopen entry in the problem description
+  const entry = `**Reopened on ${changes.date || formatReopenDate()}:** ${changes.reason || 'Not specified'}`;
+  
+  if (findSectionByName(updatedContent, 'Problem to be solved')) {
+    updatedContent = addContentToSection(updatedContent, 'Problem to be solved', entry, null);
+  } else {
+    updatedContent = `${updatedContent.trimEnd()}\n\n${entry}\n`;
+  }
+  
+  return updatedContent;
+}
+
+/**
+ * Stage both the removed closed file and the new open file in git
+ * 
+ * @param {string} issueNumber - Issue number
+ * @returns {Promise<boolean>} True if the changes were staged
+ */
+async function stageReopenInGit(issueNumber) {
+  try {
+    // Check if git is available and we're in a git repo
+    if (!isGitAvailable() || !(await isGitRepository())) {
+      return false; // Git not available or not in a repo, silently skip
+    }
+    
+    await gitStage(getIssueFilePath(issueNumber, 'open'));
+    
+    // Stage the removal separately - git rejects the path if it was never tracked
+    try {
+      await gitStage(getIssueFilePath(issueNumber, 'closed'));
+    } catch (error) {
+      output.debug(`Git staging for closed issue skipped: ${error.message}`);
+    }
+    return true;
+  } catch (error) {
+    // Silently ignore git errors - git integration is optional
+    output.debug(`Git operation skipped: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Reopen a closed issue and apply the requested changes
+ * 
+ * @param {string} issueNumber - Issue number to reopen
+ * @param {Object} [options] - Reopen options
+ * @param {string} [options.reason] - Why the issue is being reopened
+ * @param {number} [options.uncheck] - Index of a completed task to uncheck
+ * @param {string[]} [options.tasks] - New tasks to append
+ * @param {boolean} [options.setCurrent] - Make the reopened issue current
+ * @returns {Promise<Object>} Result with issueNumber, title, staged flag and open task count
+ */
+async function reopenIssueWithChanges(issueNumber, options = {}) {
+  const paddedNumber = issueNumber.toString().padStart(4, '0');
+  
+  let issue;
+  try {
+    issue = await getIssueByNumber(paddedNumber);
+  } catch (error) {
+    throw new IssueNotFoundError(issueNumber);
+  }
+  
+  if (issue.state !== 'closed') {
+    throw new UserError(`Issue #${paddedNumber} is already open`);
+  }
+  
+  // Update the content before moving so a failure leaves the issue closed
+  const updatedContent = await applyReopenChanges(issue.content, options);
+  await saveIssue(paddedNumber, updatedContent, 'closed');
+  await reopenIssue(paddedNumber);
+  
+  const staged = await stageReopenInGit(paddedNumber);
+  
+  if (options.setCurrent) {
+    await setCurrentIssue(paddedNumber);
+  }
+  
+  const tasks = await extractTasks(updatedContent);
+  
+  return {
+    issueNumber: paddedNumber,
+    title: issue.title,
+    staged,
+    openTasks: tasks.filter(task => !task.completed).length
+  };
+}
+
+/**
+ * Action handler for the reopen command
+ * 
+ * @param {Object} options - Command options
+ * @param {string} options.issue - Issue number to reopen
+ * @param {string} [options.reason] - Why the issue is being reopened
+ * @param {string} [options.uncheck] - Index of a completed task to uncheck
+ * @param {string[]} [options.task] - New tasks to append
+ * @param {boolean} [options.setCurrent] - Make the reopened issue current
+ */
+async function reopenAction(options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const result = await reopenIssueWithChanges(options.issue, {
+      reason: options.reason,
+      uncheck: options.uncheck,
+      tasks: options.task,
+      setCurrent: options.setCurrent
+    });
+    
+    if (result.staged) {
+      output.success('Changes staged in git');
+    }
+    
+    output.success(`Issue #${result.issueNumber} has been reopened: ${result.title}`);
+    
+    if (options.setCurrent) {
+      output.success(`Issue #${result.issueNumber} is now current`);
+    }
+    
+    if (result.openTasks === 0) {
+      output.warn('The reopened issue has no open tasks (Use `issue-cards add-task` to add one)');
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError ||
+        error instanceof UserError ||
+        error instanceof IssueNotFoundError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+    } else {
+      // Wrap non-IssueCardsError errors
+      const errorMsg = `Failed to reopen issue: ${error.message}`;
+      throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the reopen command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('reopen')
+    .description('Move a closed issue back to open')
+    .requiredOption('-i, --issue <issueNumber>', 'Issue number to reopen (required)')
+    .option('-r, --reason <text>', 'Why the issue is being reopened')
+    .option('-u, --uncheck <taskIndex>', 'Index of a completed task to mark as not done (starts at 0)')
+    .option('-t, --task <taskText>', 'A new task to add (can be used multiple times)', (value, previous) => {
+      const result = previous || [];
+      result.push(value);
+      return result;
+    })
+    .option('-c, --set-current', 'Make the reopened issue the current issue')
+    .action(reopenAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Moves an issue from the closed/ directory back to open/. Issues are closed
+  automatically when their last task is completed; use this command when more
+  work turns out to be needed.
+
+  A "Reopened on <date>: <reason>" entry is added to the "Problem to be solved"
+  section so the history of the issue stays visible.
+
+Examples:
+  # Reopen an issue with a reason
+  $ issue-cards reopen -i 3 --reason "Regression found in production"
+
+  # Reopen and mark the third task (index 2) as not done
+  $ issue-cards reopen -i 3 --uncheck 2 -r "Tests were skipped"
+
+  # Reopen with new tasks and make it the current issue
+  $ issue-cards reopen -i 3 --task "Fix Safari layout +unit-test" --set-current
+
+Git integration:
+  If git is available, both the removed closed/ file and the new open/ file
+  are staged automatically.
+
+Related commands:
+  $ issue-cards list         # List open issues
+  $ issue-cards set-current  # Set the current issue
+  $ issue-cards add-task     # Add more tasks to the reopened issue
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  reopenAction, // Exported for testing
+  applyReopenChanges,
+  reopenIssueWithChanges,
+};
@@ -0,0 +1,182 @@
+// ABOUTME: Implementation of the 'search' command
+// ABOUTME: Searches open and closed issues for text or regular expressions
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { getIssues } = require('../utils/issueManager');
+const { searchIssues } = require('../utils/issueSearch');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+const STATES = ['open', 'closed', 'all'];
+
+/**
+ * Apply terminal highlighting to a snippet
+ * 
+ * @param {string} snippet - Snippet text
+ * @param {Array<Object>} highlights - Ranges to highlight
+ * @returns {string} Snippet with highlighted matches
+ */
+function highlightSnippet(snippet, highlights) {
+  let result = '';
+  let position = 0;
+  
+  for (const range of highlights) {
+    result += snippet.substring(position, range.start);
+    result += output.formatHighlight(snippet.substring(range.start, range.end));
+    position = range.end;
+  }
+  
+  return result + snippet.substring(position);
+}
+
+/**
+ * Format the location of a match
+ * 
+ * @param {Object} match - Search match
+ * @returns {string} Location such as "Tasks, line 14, task 2"
+ */
+function formatMatchLocation(match) {
+  const parts = [match.section || 'Title', `line ${match.lineNumber}`];
+  
+  if (match.taskIndex !== null) {
+    parts.push(`task ${match.taskIndex}`);
+  }
+  
+  return parts.join(', ');
+}
+
+/**
+ * Action handler for the search command
+ * 
+ * @param {string} query - Text or regular expression to search for
+ * @param {Object} options - Command options
+ * @param {string} [options.section] - Only search this section
+ * @param {boolean} [options.regex] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive] - Match case exactly
+ * @param {string} [options.state='all'] - Issue state to search (open, closed, all)
+ * @param {boolean} [options.json] - Output in JSON format
+ */
+async function searchAction(query, options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const state = options.state || 'all';
+    if (!STATES.includes(state)) {
+      throw new UserError(`Invalid state: ${state}`)
+        .withRecoveryHint(`Use one of: ${STATES.join(', ')}`)
+        .withDisplayMessage(`Invalid state: ${state} (Use one of: ${STATES.join(', ')})`);
+    }
+    
+    const issues = await getIssues(state);
+    
+    let matches;
+    try {
+      matches = searchIssues(issues, query, {
+        section: options.section,
+        regex: options.regex,
+        caseSensitive: options.caseSensitive
+      });
+    } catch (error) {
+      throw new UserError(error.message)
+        .withDisplayMessage(error.message);
+    }
+    
+    // Configure JSON output if requested
+    if (options.json) {
+      output.configure({ json: true });
+      console.log(JSON.stringify(matches));
+      return;
+    }
+    
+    if (matches.length === 0) {
+      output.info(`No matches found for "${query}".`);
+      return;
+    }
+    
+    // Group matches by issue, keeping the order they were found in
+    const groups = new Map();
+    for (const match of matches) {
+      if (!groups.has(match.issueNumber)) {
+        groups.set(match.issueNumber, []);
+      }
+      groups.get(match.issueNumber).push(match);
+    }
+    
+    for (const issueMatches of groups.values()) {
+      const { issueNumber, title, state: issueState } = issueMatches[0];
+      const closed = issueState === 'closed' ? ' (closed)' : '';
+      
+      output.section(`#${issueNumber}: ${title}${closed}`, issueMatches.map(match =>
+        `  [${formatMatchLocation(match)}] ${highlightSnippet(match.snippet, match.highlights)}`
+      ));
+    }
+    
+    output.info(`Found ${matches.length} match${matches.length !== 1 ? 'es' : ''} in ${groups.size} issue${groups.size !== 1 ? 's' : ''}`);
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Just re-throw the error with display message already set
+      throw error;
+    } else {
+      // Wrap generic errors in a SystemError with display message
+      throw new SystemError(`Failed to search issues: ${error.message}`)
+        .withDisplayMessage(`Failed to search issues: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Create the search command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('search')
+    .description('Search issues for text')
+    .argument('<query>', 'Text to search for (or a regular expression with --regex)')
+    .option('-s, --section <name>', 'Only search this section (e.g. tasks, problem, questions)')
+    .option('-r, --regex', 'Treat the query as a regular expression')
+    .option('-c, --case-sensitive', 'Match case exactly')
+    .option('--state <state>', 'Issue state to search (open, closed, all)', 'all')
+    .option('--json', 'Output in JSON format')
+    .action(searchAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Searches the content of open and closed issues and lists every matching line
+  with its section, line number and, for lines in the Tasks section, the index
+  of the task it belongs to (starting at 0). Searches are case-insensitive
+  unless --case-sensitive is given.
+
+Examples:
+  # Find issues that mention a module
+  $ issue-cards search "authService"
+
+  # Only search task lists
+  $ issue-cards search "migration" --section tasks
+
+  # Search for an error code with a regular expression
+  $ issue-cards search "E[0-9]{3}" --regex --case-sensitive
+
+  # Get machine-readable results, including highlight offsets
+  $ issue-cards search "timeout" --state open --json
+
+Related commands:
+  $ issue-cards list         # List and filter issues by metadata
+  $ issue-cards show         # Show the full content of an issue
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  searchAction, // Exported for testing
+};
@@ -1,8 +1,9 @@
 // ABOUTME: Serve command for launching the MCP server for AI integration
-// ABOUTME: Provides a REST API for interacting with issue-cards via MCP tools
+// ABOUTME: Provides the MCP streamable HTTP endpoint and a REST API for the MCP tools
 
 const { Command } = require('commander');
 const { startServer } = require('../mcp/mcpServer');
+const { MCP_PATH } = require('../mcp/httpTransport');
 const outputManager = require('../utils/outputManager');
 const { isInitialized } = require('../utils/directory');
 const { UserError, UninitializedError } = require('../utils/errors');
@@ -40,6 +41,7 @@ async function serveAction(options) {
   // Output server info
   outputManager.success(`MCP server started successfully`);
   outputManager.info(`Server URL: http://${options.host}:${port}`);
+  outputManager.info(`MCP endpoint: http://${options.host}:${port}${MCP_PATH}`);
   
   // Output authentication info if a token was provided
   if (options.token) {
@@ -51,6 +53,9 @@ async function serveAction(options) {
   // Output API endpoints
   outputManager.info('API Endpoints:');
   outputManager.list([
+    'POST /mcp - MCP JSON-RPC messages (streamable HTTP transport)',
+    'GET  /mcp - MCP event stream for notifications',
+    'DELETE /mcp - End an MCP session',
     'GET  /api/health - Health check endpoint',
     'GET  /api/status - Server status and available tools',
     'GET  /api/tools - List available MCP tools',
@@ -95,11 +100,14 @@ function createCommand() {
   command.addHelpText('after', `
 Description:
   Starts the Model-Code-Prompt (MCP) server for AI integration with Issue Cards.
-  The MCP server provides a REST API that allows AI assistants like Claude or
-  GPT to interact with issues and tasks. The server runs until interrupted.
+  MCP clients connect to http://<host>:<port>/mcp with the streamable HTTP
+  transport, so remote agents can use the tools, resources and prompts without
+  starting a process. The server also provides a REST API for the tools. It
+  runs until interrupted.
 
-  NOTE: This command uses HTTP transport for the MCP server. For stdin/stdout integration,
-  see the 'mcp-stdio' command which implements the stdio transport mechanism.
+  Each MCP client gets a session (the Mcp-Session-Id header) with its own
+  work session and current issue, named after the client. For stdin/stdout
+  integration, see the 'mcp-stdio' command.
 
 Examples:
   # Start the server with default settings (localhost:3000)
@@ -118,6 +126,9 @@ Examples:
   $ ISSUE_CARDS_MCP_PORT=8080 ISSUE_CARDS_MCP_TOKEN=secret issue-cards serve
 
 API Endpoints:
+  POST /mcp              - MCP JSON-RPC messages; responses as JSON or SSE
+  GET  /mcp              - MCP event stream for notifications of the session
+  DELETE /mcp            - End an MCP session
   GET  /api/health       - Health check endpoint
   GET  /api/status       - Server status and available tools
   GET  /api/tools        - List available MCP tools
@@ -4,6 +4,7 @@
 const { Command } = require('commander');
 const { isInitialized } = require('../utils/directory');
 const { issueExists, setCurrentIssue } = require('../utils/issueManager');
+const { getSession } = require('../utils/session');
 const output = require('../utils/outputManager');
 const { UninitializedError, UserError, SystemError, IssueNotFoundError } = require('../utils/errors');
 
@@ -27,6 +28,7 @@ function isValidIssueNumber(issueNumber) {
  * 
  * @param {Object} options - Command options
  * @param {string} options.issue - Issue number to set as current
+ * @param {string} [options.session] - Work session to set the current issue for
  */
 async function setCurrentAction(options) {
   try {
@@ -54,10 +56,11 @@ async function setCurrentAction(options) {
         .withDisplayMessage(`Issue #${issueNumber} not found`);
     }
     
-    // Set the issue as current
-    await setCurrentIssue(issueNumber);
+    // Set the issue as current, for the session if there is one
+    const session = getSession(options.session);
+    await setCurrentIssue(issueNumber, { session });
     
-    output.success(`Issue #${issueNumber} is now current`);
+    output.success(`Issue #${issueNumber} is now current${session ? ` for session ${session}` : ''}`);
     
   } catch (error) {
     if (error instanceof UninitializedError || 
@@ -82,10 +85,39 @@ async function setCurrentAction(options) {
  * @returns {Command} The configured command
  */
 function createCommand() {
-  return new Command('set-current')
+  const command = new Command('set-current')
     .description('Set current issue for operations')
     .requiredOption('-i, --issue <issueNumber>', 'Issue number to set as current (required)')
+    .option('--session <name>', 'Set the current issue of this work session only (defaults to $ISSUE_CARDS_SESSION)')
     .action(setCurrentAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Makes an issue the one that current, complete-task, add-note and the other
+  commands working on "the current issue" use.
+
+  Agents or terminals that work on different issues at the same time each use
+  a named work session, given with --session or the ISSUE_CARDS_SESSION
+  environment variable. Each session keeps its own current issue in
+  .issues/.sessions; a session that has not set one uses the shared current
+  issue. MCP clients get a session named after the client by default.
+
+Examples:
+  # Make issue 3 current
+  $ issue-cards set-current -i 3
+
+  # Let two agents work on different issues
+  $ issue-cards set-current -i 3 --session agentA
+  $ ISSUE_CARDS_SESSION=agentB issue-cards set-current -i 4
+  $ ISSUE_CARDS_SESSION=agentB issue-cards complete-task
+
+Related commands:
+  $ issue-cards current      # Show the current task
+  $ issue-cards list         # List open issues
+  `);
+  
+  return command;
 }
 
 module.exports = {
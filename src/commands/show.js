@@ -5,8 +5,27 @@ const { Command } = require('commander');
 const { isInitialized } = require('../utils/directory');
 const { getIssue, listIssues } = require('../utils/issueManager');
 const output = require('../utils/outputManager');
+const { parseFrontMatter } = require('../utils/frontMatter');
 const { UninitializedError, IssueNotFoundError, UserError, SystemError } = require('../utils/errors');
 
+/**
+ * Display an issue with its front matter metadata as key-value pairs
+ * 
+ * @param {string} content - Issue content
+ */
+function displayIssue(content) {
+  const { metadata, body, hasFrontMatter } = parseFrontMatter(content);
+  
+  if (hasFrontMatter) {
+    for (const [key, value] of Object.entries(metadata)) {
+      output.keyValue(key, Array.isArray(value) ? value.join(', ') : value);
+    }
+    output.blank();
+  }
+  
+  output.raw(body);
+}
+
 /**
  * Action handler for the show command
  * 
@@ -34,7 +53,7 @@ async function showAction(options = {}) {
         output.info('⚠️ This output is for reference only. If you are working on tasks, use "issue-cards current" instead.');
         output.blank();
         
-        output.raw(issueContent);
+        displayIssue(issueContent);
       } catch (error) {
         throw new IssueNotFoundError(options.issue)
           .withDisplayMessage(`Issue #${options.issue} not found`);
@@ -55,7 +74,7 @@ async function showAction(options = {}) {
     output.blank();
     
     // Display the first (current) issue
-    output.raw(issues[0].content);
+    displayIssue(issues[0].content);
   } catch (error) {
     if (error instanceof UninitializedError || 
         error instanceof IssueNotFoundError || 
@@ -98,6 +117,7 @@ Examples:
   
 Issue format:
   Issues are formatted as Markdown files with sections including:
+  - Metadata (priority, labels, assignee, claim, timestamps) if the issue has front matter
   - Title and issue number
   - Problem description
   - Planned approach
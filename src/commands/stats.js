@@ -0,0 +1,265 @@
+// ABOUTME: Implementation of the 'stats' command
+// ABOUTME: Reports task progress, open questions, failed approaches and completions over time
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { getIssues } = require('../utils/issueManager');
+const { getIssueStats } = require('../utils/issueStats');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+const STATES = ['open', 'closed', 'all'];
+const FORMATS = ['table', 'json', 'markdown'];
+
+/**
+ * Parse a positive integer option
+ * 
+ * @param {string|number|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} Parsed value
+ */
+function parsePositiveInteger(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UserError(`Invalid ${name}: ${value}`)
+      .withDisplayMessage(`Invalid ${name}: ${value} (Must be a positive integer)`);
+  }
+  
+  return number;
+}
+
+/**
+ * Validate and normalize the stats options
+ * 
+ * @param {Object} options - Command options
+ * @returns {Object} Normalized state, format, weeks and staleDays
+ */
+function validateStatsOptions(options) {
+  const state = options.state || 'all';
+  if (!STATES.includes(state)) {
+    throw new UserError(`Invalid state: ${state}`)
+      .withDisplayMessage(`Invalid state: ${state} (Use one of: ${STATES.join(', ')})`);
+  }
+  
+  const format = options.json ? 'json' : (options.format || 'table');
+  if (!FORMATS.includes(format)) {
+    throw new UserError(`Invalid format: ${format}`)
+      .withDisplayMessage(`Invalid format: ${format} (Use one of: ${FORMATS.join(', ')})`);
+  }
+  
+  return {
+    state,
+    format,
+    weeks: parsePositiveInteger(options.weeks, 'number of weeks'),
+    staleDays: parsePositiveInteger(options.staleDays, 'number of days')
+  };
+}
+
+/**
+ * Build the rows of the per-issue table
+ * 
+ * @param {Object} stats - Result of getIssueStats()
+ * @returns {Array<Array<string>>} Header row followed by one row per issue
+ */
+function buildIssueRows(stats) {
+  return [
+    ['#', 'Title', 'State', 'Tasks', 'Questions', 'Failed', 'Last activity'],
+    ...stats.issues.map(issue => [
+      issue.issueNumber,
+      issue.title,
+      issue.stalled ? 'stalled' : issue.state,
+      `${issue.tasks.completed}/${issue.tasks.total}${issue.percentComplete !== null ? ` (${issue.percentComplete}%)` : ''}`,
+      String(issue.openQuestions),
+      String(issue.failedApproaches),
+      issue.lastActivity ? issue.lastActivity.slice(0, 10) : '-'
+    ])
+  ];
+}
+
+/**
+ * Align table rows into columns
+ * 
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {Array<string>} Lines with padded columns
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  
+  return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+}
+
+/**
+ * Describe the totals as lines of text
+ * 
+ * @param {Object} totals - Totals from getIssueStats()
+ * @returns {Array<string>} Lines
+ */
+function describeTotals(totals) {
+  const lines = [
+    `Issues: ${totals.issues} (${totals.open} open, ${totals.closed} closed, ${totals.stalled} stalled)`,
+    `Tasks completed: ${totals.completedTasks}/${totals.tasks}`,
+    `Open questions: ${totals.openQuestions}`,
+    `Failed approaches: ${totals.failedApproaches}`
+  ];
+  
+  if (totals.completedThisWeek !== null) {
+    lines.push(`Tasks completed this week: ${totals.completedThisWeek}`);
+  }
+  
+  return lines;
+}
+
+/**
+ * Format statistics as a markdown report
+ * 
+ * @param {Object} stats - Result of getIssueStats()
+ * @returns {string} Markdown document
+ */
+function formatMarkdownReport(stats) {
+  const tableLines = rows => [
+    `| ${rows[0].join(' | ')} |`,
+    `|${rows[0].map(() => '---').join('|')}|`,
+    ...rows.slice(1).map(row => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`)
+  ];
+  
+  const lines = ['# Issue statistics', '', ...describeTotals(stats.totals).map(line => `- ${line}`), ''];
+  
+  if (stats.issues.length > 0) {
+    lines.push('## Issues', '', ...tableLines(buildIssueRows(stats)), '');
+  }
+  
+  if (stats.timeline) {
+    lines.push(
+      '## Completed tasks per week',
+      '',
+      ...tableLines([['Week of', 'Completed'], ...stats.timeline.map(week => [week.weekStart, String(week.completed)])]),
+      ''
+    );
+  }
+  
+  const stalled = stats.issues.filter(issue => issue.stalled);
+  if (stalled.length > 0) {
+    lines.push('## Stalled issues', '', ...stalled.map(issue => `- #${issue.issueNumber} ${issue.title} (last activity ${issue.lastActivity})`), '');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Action handler for the stats command
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.state] - Issue state to include (open, closed, all)
+ * @param {string} [options.format] - Output format (table, json, markdown)
+ * @param {boolean} [options.json] - Shorthand for --format json
+ * @param {string} [options.weeks] - Number of weeks in the completion timeline
+ * @param {string} [options.staleDays] - Days without changes after which an open issue is stalled
+ */
+async function statsAction(options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const { state, format, weeks, staleDays } = validateStatsOptions(options);
+    const stats = await getIssueStats(await getIssues(state), { weeks, staleDays });
+    
+    if (format === 'json') {
+      output.configure({ json: true });
+      console.log(JSON.stringify(stats));
+      return;
+    }
+    
+    if (format === 'markdown') {
+      console.log(formatMarkdownReport(stats));
+      return;
+    }
+    
+    if (stats.issues.length === 0) {
+      output.info(`No ${state === 'all' ? '' : `${state} `}issues found.`);
+      return;
+    }
+    
+    output.section('ISSUES', formatTable(buildIssueRows(stats)));
+    output.section('TOTALS', describeTotals(stats.totals));
+    
+    if (stats.timeline) {
+      output.section('COMPLETED TASKS PER WEEK', stats.timeline.map(week => `Week of ${week.weekStart}: ${week.completed}`));
+    } else {
+      output.info('Completions over time are only available when .issues is in a git repository.');
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Just re-throw the error with display message already set
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to collect statistics: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the stats command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('stats')
+    .alias('report')
+    .description('Show task progress and activity statistics for issues')
+    .option('--state <state>', 'Issue state to include (open, closed, all)', 'all')
+    .option('-f, --format <format>', 'Output format (table, json, markdown)', 'table')
+    .option('--json', 'Output in JSON format (same as --format json)')
+    .option('-w, --weeks <count>', 'Number of weeks of completed tasks to show', '4')
+    .option('--stale-days <days>', 'Days without changes after which an open issue is stalled', '14')
+    .action(statsAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Shows, for each issue, how many of its tasks are done, how many questions are
+  still open, how many failed approaches were logged and when it last changed,
+  followed by totals. An open issue with unfinished tasks is marked stalled
+  when it has not changed for --stale-days days (last changes come from the
+  history log and the updated timestamp).
+
+  When .issues is part of a git repository, the tasks checked off in commits
+  of the last --weeks weeks are counted per week, so the report includes the
+  number of tasks completed this week.
+
+Examples:
+  # Show statistics for all issues
+  $ issue-cards stats
+
+  # Weekly report for open issues as markdown, e.g. for a status update
+  $ issue-cards report --state open --format markdown
+
+  # Flag issues that have not moved for a week
+  $ issue-cards stats --stale-days 7
+
+  # Get the numbers as JSON
+  $ issue-cards stats --json
+
+Related commands:
+  $ issue-cards list         # List and filter issues with their progress
+  $ issue-cards history      # Show the log of changes made to issues
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  statsAction, // Exported for testing
+  formatMarkdownReport
+};
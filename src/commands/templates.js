@@ -2,9 +2,23 @@
 // ABOUTME: Handles template display and management
 
 const { Command } = require('commander');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
 const { isInitialized } = require('../utils/directory');
 const { getTemplateList, loadTemplate, validateTemplate } = require('../utils/template');
 const { validateTemplateStructure } = require('../utils/templateValidation');
+const { getTemplateReferences, loadTemplatePartials, flattenTemplate } = require('../utils/templateInheritance');
+const {
+  createTemplate,
+  copyTemplate,
+  updateTemplate,
+  removeTemplate,
+  diffTemplate,
+  resolveTemplateType
+} = require('../utils/templateAuthoring');
+const { syncTemplates } = require('../utils/templateSync');
 const output = require('../utils/outputManager');
 const { UninitializedError, TemplateNotFoundError, UserError, IssueCardsError, SystemError } = require('../utils/errors');
 
@@ -19,8 +33,53 @@ function createCommand() {
     .option('-t, --type <templateType>', 'Template type (issue or tag)')
     .option('-n, --name <templateName>', 'Template name to display')
     .option('-v, --validate', 'Validate template structure')
+    // Subcommands have their own --type and --name options
+    .enablePositionalOptions()
     .action(templatesAction);
   
+  command.command('new')
+    .description('Create a new template from a skeleton or a file')
+    .requiredOption('-t, --type <templateType>', 'Template type (issue or tag)')
+    .requiredOption('-n, --name <templateName>', 'Name of the new template')
+    .option('--file <path>', 'Read the template content from a file')
+    .option('-f, --force', 'Replace an existing template')
+    .action(newTemplateAction);
+  
+  command.command('copy')
+    .description('Copy a template under a new name')
+    .argument('<source>', 'Name of the template to copy')
+    .argument('<name>', 'Name of the new template')
+    .option('-t, --type <templateType>', 'Template type (only needed if an issue and a tag template share the name)')
+    .option('-f, --force', 'Replace an existing template')
+    .action(copyTemplateAction);
+  
+  command.command('edit')
+    .description('Edit a template in $EDITOR, or replace it with the content of a file')
+    .argument('<name>', 'Name of the template')
+    .option('-t, --type <templateType>', 'Template type (only needed if an issue and a tag template share the name)')
+    .option('--file <path>', 'Read the new template content from a file')
+    .action(editTemplateAction);
+  
+  command.command('remove')
+    .description('Remove a template')
+    .argument('<name>', 'Name of the template')
+    .option('-t, --type <templateType>', 'Template type (only needed if an issue and a tag template share the name)')
+    .option('-f, --force', 'Remove the template even if other templates extend or include it')
+    .action(removeTemplateAction);
+  
+  command.command('diff')
+    .description('Show how a template differs from the default that comes with issue-cards')
+    .argument('<name>', 'Name of the template')
+    .option('-t, --type <templateType>', 'Template type (only needed if an issue and a tag template share the name)')
+    .action(diffTemplateAction);
+  
+  command.command('sync')
+    .description('Add new default templates and update untouched ones to the installed version of issue-cards')
+    .option('-t, --type <templateType>', 'Only sync templates of this type (issue or tag)')
+    .option('--dry-run', 'Only report what would change')
+    .option('--restore', 'Also add default templates that were removed from the project')
+    .action(syncTemplatesAction);
+  
   // Add rich help text
   command.addHelpText('after', `
 Description:
@@ -43,6 +102,28 @@ Examples:
   $ issue-cards templates --validate
   $ issue-cards templates -t issue -n feature -v
 
+Authoring templates:
+  $ issue-cards templates new --type tag --name code-review
+  $ issue-cards templates copy feature my-feature
+  $ issue-cards templates edit code-review
+  $ issue-cards templates diff unit-test
+  $ issue-cards templates remove code-review
+
+  Templates are validated before they are written, so an issue template keeps
+  its sections and placeholders and a tag template keeps its "## Steps" list
+  with the [ACTUAL TASK GOES HERE] step. 'diff' compares a project template
+  with the default of the same name that comes with issue-cards. 'remove'
+  refuses to delete a template that other templates extend or include unless
+  --force is given.
+
+Keeping templates up to date:
+  $ issue-cards templates sync --dry-run
+  $ issue-cards templates sync
+
+  'init' copies the default templates once. After upgrading issue-cards,
+  'sync' adds new default templates and updates the ones you never changed.
+  Customized templates are left alone; review them with 'templates diff'.
+
 Template Types:
   - issue: Templates for creating new issues (feature, bugfix, refactor, audit)
   - tag: Templates for expanding tasks with standardized steps (unit-test, e2e-test)
@@ -59,6 +140,13 @@ Template Structure:
   creating a new issue. Tag templates contain steps that are inserted when
   expanding a task.
   
+  An issue template can start with "extends: _base" to reuse the sections of
+  the _base template, filling in its slots with {{#*inline "heading"}}...
+  {{/inline}}. Any template can include another with {{> name}}; a tag
+  template step "- {{> lint-and-commit}}" is replaced by that tag's steps.
+  Templates whose name starts with _ are only used this way and are not
+  listed. --validate reports missing includes and cycles.
+  
   For detailed information on template structure and customization:
   $ issue-cards help templates
 
@@ -258,6 +346,18 @@ async function showTemplate(name, type, validate) {
     output.raw(content);
     output.blank();
     
+    // Show what an issue template that extends or includes others renders to
+    if (type === 'issue' && getTemplateReferences(content).length > 0) {
+      try {
+        const partials = await loadTemplatePartials(name, type, content);
+        output.section('Resolved template', '');
+        output.raw(flattenTemplate(content, partials));
+        output.blank();
+      } catch (error) {
+        output.warn(`Template could not be resolved: ${error.message}`);
+      }
+    }
+    
     // Show usage information
     output.section('Usage', '');
     if (type === 'issue') {
@@ -301,7 +401,312 @@ function showUsageInfo(type) {
   }
 }
 
+/**
+ * Make sure issue tracking is initialized
+ * 
+ * @returns {Promise<void>}
+ * @throws {UninitializedError} If issue tracking is not initialized
+ */
+async function checkInitialized() {
+  const initialized = await isInitialized();
+  if (!initialized) {
+    throw new UninitializedError()
+      .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+  }
+}
+
+/**
+ * Prepare an error from a template authoring command for display
+ * 
+ * @param {Error} error - The error
+ * @param {string} failure - What failed, e.g. "create template"
+ * @returns {IssueCardsError} Error with a display message
+ */
+function toDisplayError(error, failure) {
+  if (error instanceof IssueCardsError) {
+    if (!error.displayMessage) {
+      const hint = error.recoveryHint ? ` (${error.recoveryHint})` : '';
+      error.withDisplayMessage(`${error.message}${hint}`);
+    }
+    return error;
+  }
+  
+  const errorMsg = `Failed to ${failure}: ${error.message}`;
+  return new SystemError(errorMsg).withDisplayMessage(errorMsg);
+}
+
+/**
+ * Read template content from a file given on the command line
+ * 
+ * @param {string} file - Path to the file
+ * @returns {Promise<string>} File content
+ * @throws {UserError} If the file cannot be read
+ */
+async function readContentFile(file) {
+  try {
+    return await fs.promises.readFile(path.resolve(file), 'utf8');
+  } catch (error) {
+    throw new UserError(`Cannot read template file: ${file}`)
+      .withRecoveryHint(error.code === 'ENOENT' ? 'Check the path of the file' : error.message);
+  }
+}
+
+/**
+ * Let the user edit template content in their editor
+ * 
+ * The content is edited in a temporary file, which is left in place so no
+ * work is lost if the result turns out to be invalid.
+ * 
+ * @param {string} content - Current template content
+ * @param {string} name - Template name, used for the temporary file name
+ * @returns {{content: string, file: string}} Edited content and the temporary file
+ * @throws {UserError} If the editor cannot be started or exits with an error
+ */
+function editInEditor(content, name) {
+  const file = path.join(os.tmpdir(), `issue-cards-${name}-${process.pid}.md`);
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  
+  fs.writeFileSync(file, content, 'utf8');
+  
+  const result = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+  if (result.error || result.status !== 0) {
+    throw new UserError(`Editor "${editor}" did not exit cleanly`)
+      .withRecoveryHint('Set $EDITOR to your editor, or use --file to give the new content');
+  }
+  
+  return { content: fs.readFileSync(file, 'utf8'), file };
+}
+
+/**
+ * Show how to use a template
+ * 
+ * @param {string} name - Template name
+ * @param {string} type - Template type
+ */
+function showTemplateUsage(name, type) {
+  if (type === 'issue') {
+    output.info(`Use it with: issue-cards create ${name} --title "Issue title"`);
+  } else {
+    output.info(`Use it with: issue-cards add-task "Task description +${name}"`);
+  }
+}
+
+/**
+ * Action handler for templates new
+ * 
+ * @param {Object} options - Command options
+ * @param {string} options.type - Template type (issue or tag)
+ * @param {string} options.name - Name of the new template
+ * @param {string} [options.file] - File to read the template content from
+ * @param {boolean} [options.force] - Replace an existing template
+ * @returns {Promise<void>}
+ */
+async function newTemplateAction(options) {
+  try {
+    await checkInitialized();
+    
+    const content = options.file ? await readContentFile(options.file) : undefined;
+    const result = await createTemplate(options.name, options.type, content, { force: options.force });
+    
+    output.success(`Created ${result.type} template: ${result.name}`);
+    if (!content) {
+      output.info(`Fill it in with: issue-cards templates edit ${result.name} --type ${result.type}`);
+    }
+    showTemplateUsage(result.name, result.type);
+  } catch (error) {
+    throw toDisplayError(error, 'create template');
+  }
+}
+
+/**
+ * Action handler for templates copy
+ * 
+ * @param {string} source - Name of the template to copy
+ * @param {string} name - Name of the new template
+ * @param {Object} options - Command options
+ * @param {string} [options.type] - Template type
+ * @param {boolean} [options.force] - Replace an existing template
+ * @returns {Promise<void>}
+ */
+async function copyTemplateAction(source, name, options = {}) {
+  try {
+    await checkInitialized();
+    
+    const result = await copyTemplate(source, name, { type: options.type, force: options.force });
+    
+    output.success(`Copied ${result.type} template ${result.source} to ${result.name}`);
+    showTemplateUsage(result.name, result.type);
+  } catch (error) {
+    throw toDisplayError(error, 'copy template');
+  }
+}
+
+/**
+ * Action handler for templates edit
+ * 
+ * @param {string} name - Name of the template
+ * @param {Object} options - Command options
+ * @param {string} [options.type] - Template type
+ * @param {string} [options.file] - File to read the new template content from
+ * @returns {Promise<void>}
+ */
+async function editTemplateAction(name, options = {}) {
+  let editedFile = null;
+  
+  try {
+    await checkInitialized();
+    
+    const type = await resolveTemplateType(name, options.type);
+    let content;
+    
+    if (options.file) {
+      content = await readContentFile(options.file);
+    } else {
+      const edited = editInEditor(await loadTemplate(name, type), name);
+      content = edited.content;
+      editedFile = edited.file;
+    }
+    
+    const result = await updateTemplate(name, type, content);
+    
+    if (editedFile) {
+      fs.unlinkSync(editedFile);
+    }
+    
+    if (result.changed) {
+      output.success(`Updated ${result.type} template: ${result.name}`);
+    } else {
+      output.info(`No changes made to ${result.type} template: ${result.name}`);
+    }
+  } catch (error) {
+    if (editedFile && error instanceof UserError) {
+      error.withRecoveryHint(`Your changes are saved in ${editedFile}; fix them and run 'issue-cards templates edit ${name} --file ${editedFile}'`);
+    }
+    throw toDisplayError(error, 'edit template');
+  }
+}
+
+/**
+ * Action handler for templates remove
+ * 
+ * @param {string} name - Name of the template
+ * @param {Object} options - Command options
+ * @param {string} [options.type] - Template type
+ * @param {boolean} [options.force] - Remove the template even if other templates refer to it
+ * @returns {Promise<void>}
+ */
+async function removeTemplateAction(name, options = {}) {
+  try {
+    await checkInitialized();
+    
+    const result = await removeTemplate(name, options.type, { force: options.force });
+    
+    output.success(`Removed ${result.type} template: ${result.name}`);
+    if (result.hasDefault) {
+      output.info(`The default ${result.type} template named ${result.name} is not restored in its place (restore it with: issue-cards templates sync --restore)`);
+    }
+  } catch (error) {
+    throw toDisplayError(error, 'remove template');
+  }
+}
+
+/**
+ * Action handler for templates diff
+ * 
+ * @param {string} name - Name of the template
+ * @param {Object} options - Command options
+ * @param {string} [options.type] - Template type
+ * @returns {Promise<void>}
+ */
+async function diffTemplateAction(name, options = {}) {
+  try {
+    await checkInitialized();
+    
+    const result = await diffTemplate(name, options.type);
+    
+    if (result.identical) {
+      output.success(`${result.name} (${result.type}) is the same as the default template`);
+      return;
+    }
+    
+    output.section(`Changes to ${result.name} (${result.type}) compared to the default template`, result.diff);
+  } catch (error) {
+    throw toDisplayError(error, 'compare template');
+  }
+}
+
+/**
+ * Descriptions of template sync statuses, in the order they are reported
+ */
+const SYNC_SECTIONS = [
+  { status: 'new', title: 'New default templates', applied: 'added', dryRun: 'would be added' },
+  { status: 'outdated', title: 'Updated default templates', applied: 'updated', dryRun: 'would be updated' },
+  { status: 'customized', title: 'Customized templates (left alone)' },
+  { status: 'removed', title: 'Default templates removed from this project', applied: 'restored', dryRun: 'would be restored' },
+  { status: 'local', title: 'Project templates without a default' }
+];
+
+/**
+ * Action handler for templates sync
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.type] - Only sync templates of this type
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {boolean} [options.restore] - Also add defaults that were removed from the project
+ * @returns {Promise<void>}
+ */
+async function syncTemplatesAction(options = {}) {
+  try {
+    await checkInitialized();
+    
+    const result = await syncTemplates({
+      type: options.type,
+      dryRun: options.dryRun,
+      restore: options.restore
+    });
+    
+    for (const section of SYNC_SECTIONS) {
+      const templates = result.templates.filter(template => template.status === section.status);
+      if (templates.length === 0) {
+        continue;
+      }
+      
+      output.section(section.title, templates.map(template => {
+        const label = template.action ? ` (${result.dryRun ? section.dryRun : section.applied})` : '';
+        return `${template.type}/${template.name}${label}`;
+      }));
+    }
+    
+    const current = result.templates.filter(template => template.status === 'current').length;
+    const changed = result.templates.filter(template => template.action).length;
+    
+    if (result.templates.some(template => template.status === 'customized')) {
+      output.info('Compare a customized template with the new default with: issue-cards templates diff <name>');
+      if (!result.recordedVersion) {
+        output.info('This project does not record which defaults it was initialized with, so every changed template counts as customized');
+      }
+    }
+    
+    if (result.dryRun) {
+      output.info(`Dry run: ${changed} template${changed !== 1 ? 's' : ''} would change, ${current} up to date`);
+    } else if (changed > 0) {
+      output.success(`Synced ${changed} template${changed !== 1 ? 's' : ''}, ${current} already up to date`);
+    } else {
+      output.success(`Templates are up to date (${current} match the defaults)`);
+    }
+  } catch (error) {
+    throw toDisplayError(error, 'sync templates');
+  }
+}
+
 module.exports = {
   createCommand,
   templatesAction,
+  // Exported for testing
+  newTemplateAction,
+  copyTemplateAction,
+  editTemplateAction,
+  removeTemplateAction,
+  diffTemplateAction,
+  syncTemplatesAction
 };
\ No newline at end of file
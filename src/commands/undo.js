@@ -0,0 +1,86 @@
+// ABOUTME: Implementation of the 'undo' command
+// ABOUTME: Restores the previous version of the last changed issue from its backups
+
+const { Command } = require('commander');
+const { isInitialized } = require('../utils/directory');
+const { undoLastChange } = require('../utils/issueManager');
+const output = require('../utils/outputManager');
+const { UninitializedError, UserError, SystemError } = require('../utils/errors');
+
+/**
+ * Action handler for the undo command
+ * 
+ * @param {Object} options - Command options
+ * @param {string} [options.issue] - Issue to restore (defaults to the last changed issue)
+ */
+async function undoAction(options = {}) {
+  try {
+    // Check if issue tracking is initialized
+    const initialized = await isInitialized();
+    
+    if (!initialized) {
+      throw new UninitializedError()
+        .withDisplayMessage('Issue tracking is not initialized (Run `issue-cards init` first)');
+    }
+    
+    const undo = await undoLastChange(options.issue);
+    
+    output.success(`Restored the previous version of issue #${undo.issueNumber} (undid: ${undo.undone})`);
+    
+    if (undo.previousState && undo.previousState !== undo.state) {
+      output.info(`Issue #${undo.issueNumber} is ${undo.state} again`);
+    }
+  } catch (error) {
+    if (error instanceof UninitializedError || error instanceof UserError) {
+      // Add formatted display message if not already set
+      if (!error.displayMessage) {
+        error.withDisplayMessage(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
+      throw error;
+    }
+    
+    // Wrap non-IssueCardsError errors
+    const errorMsg = `Failed to undo change: ${error.message}`;
+    throw new SystemError(errorMsg).withDisplayMessage(errorMsg);
+  }
+}
+
+/**
+ * Create the undo command
+ * 
+ * @returns {Command} The configured command
+ */
+function createCommand() {
+  const command = new Command('undo')
+    .description('Restore the previous version of the last changed issue')
+    .option('-i, --issue <issueNumber>', 'Issue to restore (defaults to the last changed issue)')
+    .action(undoAction);
+  
+  // Add rich help text
+  command.addHelpText('after', `
+Description:
+  Every change to an issue first keeps a copy of the version it replaces in
+  .issues/.backups. Undo restores the newest copy, of the last changed issue
+  or of the given one, and running it again goes back one more version.
+  Undoing a close reopens the issue. The number of versions kept of each
+  issue is set by ISSUE_CARDS_BACKUPS (default 10).
+
+Examples:
+  # Undo the last change to any issue
+  $ issue-cards undo
+
+  # Undo the last change to issue 3
+  $ issue-cards undo -i 3
+
+Related commands:
+  $ issue-cards history      # Show the changes made to an issue
+  $ issue-cards show         # Show the restored issue
+  `);
+  
+  return command;
+}
+
+module.exports = {
+  createCommand,
+  undoAction, // Exported for testing
+};
@@ -1,6 +1,8 @@
 // ABOUTME: Common error handling for MCP tools
 // ABOUTME: Standardizes error responses and formats
 
+const { IssueLockedError, IssueConflictError, IssueClaimedError, CancelledError } = require('../utils/errors');
+
 /**
  * Create a standard error response for MCP tools
  * 
@@ -60,9 +62,30 @@ function createOperationError(operation, message) {
   );
 }
 
+/**
+ * Create an error response for an issue change that was refused because the
+ * issue is locked, claimed by someone else or changed concurrently
+ * 
+ * @param {Error} error - The error
+ * @returns {Object|null} Error response, or null for other errors
+ */
+function createConcurrencyError(error) {
+  if (!(error instanceof IssueLockedError ||
+        error instanceof IssueConflictError ||
+        error instanceof IssueClaimedError)) {
+    return null;
+  }
+  
+  return createErrorResponse(error.name, error.recoveryHint
+    ? `${error.message} (${error.recoveryHint})`
+    : error.message);
+}
+
 /**
  * Try-catch wrapper for MCP tools that creates standardized responses
  * 
+ * Cancellations are rethrown, so the transport can answer with a cancelled error.
+ * 
  * @param {Function} toolFunction - The tool function to wrap
  * @param {string} operation - Operation name for error reporting
  * @returns {Function} Wrapped function with error handling
@@ -72,7 +95,11 @@ function withErrorHandling(toolFunction, operation) {
     try {
       return await toolFunction(...args);
     } catch (error) {
-      return createOperationError(operation, `Failed to ${operation}: ${error.message}`);
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+      return createConcurrencyError(error) ||
+        createOperationError(operation, `Failed to ${operation}: ${error.message}`);
     }
   };
 }
@@ -82,5 +109,6 @@ module.exports = {
   createValidationError,
   createNotFoundError,
   createOperationError,
+  createConcurrencyError,
   withErrorHandling
 };
\ No newline at end of file
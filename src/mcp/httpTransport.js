@@ -0,0 +1,382 @@
+// ABOUTME: MCP streamable HTTP transport for the serve command
+// ABOUTME: Handles JSON-RPC over POST with JSON or SSE responses, in sessions named by Mcp-Session-Id
+
+const crypto = require('crypto');
+const express = require('express');
+const { AsyncLocalStorage } = require('async_hooks');
+const StdioTransport = require('./stdioTransport');
+const { getRegisteredTools } = require('./registration');
+const { runWithActivity } = require('../utils/history');
+const { runWithSession, toSessionName } = require('../utils/session');
+
+const MCP_PATH = '/mcp';
+const SESSION_HEADER = 'Mcp-Session-Id';
+const STREAMABLE_HTTP_PROTOCOL_VERSION = '2025-03-26';
+
+// Sessions without requests or an open event stream for this long are closed
+const SESSION_IDLE_TIMEOUT = 60 * 60 * 1000;
+
+// The POST request being handled, whose responses and notifications go back on its own response
+const currentExchange = new AsyncLocalStorage();
+
+/**
+ * Write a JSON-RPC message as a server-sent event
+ * 
+ * @param {Express.Response} res - Response streaming text/event-stream
+ * @param {Object} message - JSON-RPC message
+ */
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Start streaming server-sent events on a response
+ * 
+ * @param {Express.Response} res - Express response
+ */
+function startEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+/**
+ * Send a JSON-RPC error that is not the response to a request, such as for a missing session
+ * 
+ * @param {Express.Response} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendHttpError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: { code, message }
+  });
+}
+
+/**
+ * Check whether the client accepts a content type
+ * 
+ * @param {Express.Request} req - Express request
+ * @param {string} type - Content type, such as text/event-stream
+ * @returns {boolean} True if the Accept header lists the type
+ */
+function acceptsType(req, type) {
+  return (req.headers.accept || '').split(',').some(value => value.trim().split(';')[0] === type);
+}
+
+/**
+ * Check the Origin of a request, which browsers send, to prevent DNS rebinding attacks
+ * 
+ * @param {Express.Request} req - Express request
+ * @returns {boolean} True without an Origin, or for the server's own host and localhost
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  
+  try {
+    const { host, hostname } = new URL(origin);
+    return host === req.headers.host || ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create the exchange of one POST request
+ * 
+ * With an event stream, every message sent while handling the request is
+ * streamed as it is sent. Otherwise the responses are collected and returned
+ * as JSON once all requests were handled.
+ * 
+ * @param {Express.Response} res - Express response
+ * @param {boolean} useEventStream - Whether to respond with text/event-stream
+ * @returns {Object} Exchange with send and finish functions
+ */
+function createExchange(res, useEventStream) {
+  const responses = [];
+  let streaming = false;
+  
+  const exchange = {
+    finished: false,
+    
+    /**
+     * Send a message on this exchange
+     * 
+     * @param {Object} message - JSON-RPC message
+     * @returns {boolean} False if the message has to go elsewhere
+     */
+    send(message) {
+      if (!useEventStream) {
+        // Only responses fit in a JSON response
+        if (message.method) {
+          return false;
+        }
+        responses.push(message);
+        return true;
+      }
+      
+      if (!streaming) {
+        startEventStream(res);
+        streaming = true;
+      }
+      writeEvent(res, message);
+      return true;
+    },
+    
+    /**
+     * End the response once all requests were handled
+     * 
+     * @param {boolean} isBatch - Whether the POST body was a batch of messages
+     */
+    finish(isBatch) {
+      exchange.finished = true;
+      
+      if (streaming) {
+        res.end();
+      } else if (responses.length === 0) {
+        res.status(202).end();
+      } else {
+        res.status(200).json(isBatch ? responses : responses[0]);
+      }
+    }
+  };
+  
+  // A client that goes away does not cancel its requests; later messages go to the event stream
+  res.on('close', () => {
+    exchange.finished = true;
+  });
+  
+  return exchange;
+}
+
+/**
+ * MCP session of one HTTP client
+ * 
+ * Handles JSON-RPC messages exactly like the stdio transport, but sends the
+ * responses back on the HTTP request they answer, and other messages on the
+ * event stream the client opened with GET. The client's name applies to the
+ * requests of its session only, as the server has many clients.
+ */
+class HttpSessionTransport extends StdioTransport {
+  /**
+   * Create a session
+   * 
+   * @param {string} id - Session ID, sent as Mcp-Session-Id
+   */
+  constructor(id) {
+    super({ logging: false });
+    this.id = id;
+    this.tools = getRegisteredTools() || [];
+    this.protocolVersion = STREAMABLE_HTTP_PROTOCOL_VERSION;
+    this.isRunning = true;
+    this.lastUsed = Date.now();
+    
+    // Response of the GET request streaming server-initiated messages
+    this.eventStream = null;
+    
+    // Who changes issues in this session, and the work session whose current issue it uses
+    this.actor = null;
+    this.workSession = null;
+  }
+  
+  /**
+   * Remember the client that initialized the session
+   * 
+   * @param {Object} clientInfo - Client name and version from the initialize request
+   */
+  setClient(clientInfo) {
+    this.clientInfo = clientInfo;
+    this.actor = clientInfo.name;
+    this.workSession = toSessionName(clientInfo.name);
+  }
+  
+  /**
+   * Run a function as the client of this session
+   * 
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of the function
+   */
+  run(fn) {
+    this.lastUsed = Date.now();
+    return runWithActivity(this.actor ? { actor: this.actor } : {}, () =>
+      runWithSession(this.workSession, fn));
+  }
+  
+  /**
+   * Open the event stream for server-initiated messages, replacing an earlier one
+   * 
+   * @param {Express.Response} res - Response of the GET request
+   */
+  openEventStream(res) {
+    this.closeEventStream();
+    startEventStream(res);
+    this.eventStream = res;
+    res.on('close', () => {
+      if (this.eventStream === res) {
+        this.eventStream = null;
+      }
+    });
+  }
+  
+  /**
+   * End the event stream, if open
+   */
+  closeEventStream() {
+    if (this.eventStream) {
+      const stream = this.eventStream;
+      this.eventStream = null;
+      stream.end();
+    }
+  }
+  
+  /**
+   * End the session
+   * 
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.closeEventStream();
+    await super.stop();
+  }
+  
+  /**
+   * Send a JSON-RPC message to the client
+   * 
+   * Messages without a request to go back on, or that do not fit in a JSON
+   * response, are sent on the event stream; without one they are dropped.
+   * 
+   * @param {Object} message - JSON-RPC message
+   */
+  sendMessage(message) {
+    const exchange = currentExchange.getStore();
+    if (exchange && !exchange.finished && exchange.send(message)) {
+      return;
+    }
+    
+    if (this.eventStream) {
+      writeEvent(this.eventStream, message);
+    }
+  }
+}
+
+/**
+ * Create the router of the MCP endpoint
+ * 
+ * @returns {Express.Router} Router with a closeSessions function to end all sessions
+ */
+function createMcpRouter() {
+  const router = express.Router();
+  const sessions = new Map();
+  
+  const createSession = () => {
+    // Close sessions that clients abandoned without a DELETE request
+    for (const session of sessions.values()) {
+      if (!session.eventStream && Date.now() - session.lastUsed > SESSION_IDLE_TIMEOUT) {
+        session.stop();
+      }
+    }
+    
+    const session = new HttpSessionTransport(crypto.randomBytes(16).toString('hex'));
+    session.onDisconnect = () => {
+      sessions.delete(session.id);
+    };
+    sessions.set(session.id, session);
+    return session;
+  };
+  
+  // Get the session of a request, or respond with an error if there is none
+  const findSession = (req, res) => {
+    const id = req.get(SESSION_HEADER);
+    if (!id) {
+      sendHttpError(res, 400, -32000, `Bad Request: ${SESSION_HEADER} header is required`);
+      return null;
+    }
+    
+    const session = sessions.get(id);
+    if (!session) {
+      sendHttpError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+    return session;
+  };
+  
+  router.use((req, res, next) => {
+    if (!isAllowedOrigin(req)) {
+      return sendHttpError(res, 403, -32000, `Forbidden: requests from ${req.headers.origin} are not allowed`);
+    }
+    next();
+  });
+  
+  // JSON-RPC messages from the client
+  router.post('/', async (req, res) => {
+    const isBatch = Array.isArray(req.body);
+    const messages = isBatch ? req.body : [req.body];
+    
+    if (!req.is('application/json') || messages.length === 0 ||
+        messages.some(message => !message || typeof message !== 'object' || Array.isArray(message))) {
+      return sendHttpError(res, 400, -32600, 'Invalid Request: expected a JSON-RPC message or batch');
+    }
+    
+    let session;
+    if (messages.some(message => message.method === 'initialize')) {
+      if (messages.length > 1) {
+        return sendHttpError(res, 400, -32600, 'Invalid Request: initialize must be sent on its own');
+      }
+      session = createSession();
+      res.setHeader(SESSION_HEADER, session.id);
+    } else {
+      session = findSession(req, res);
+      if (!session) return;
+    }
+    
+    const exchange = createExchange(res, acceptsType(req, 'text/event-stream'));
+    await currentExchange.run(exchange, () =>
+      session.run(() => Promise.all(messages.map(message => session.processMessage(message)))));
+    exchange.finish(isBatch);
+  });
+  
+  // Event stream for notifications, such as changes to subscribed resources
+  router.get('/', (req, res) => {
+    if (!acceptsType(req, 'text/event-stream')) {
+      return sendHttpError(res, 406, -32000, 'Not Acceptable: the client must accept text/event-stream');
+    }
+    
+    const session = findSession(req, res);
+    if (session) {
+      session.lastUsed = Date.now();
+      session.openEventStream(res);
+    }
+  });
+  
+  // End of a session
+  router.delete('/', async (req, res) => {
+    const session = findSession(req, res);
+    if (session) {
+      await session.stop();
+      res.status(204).end();
+    }
+  });
+  
+  router.closeSessions = () => {
+    for (const session of sessions.values()) {
+      session.stop();
+    }
+  };
+  
+  return router;
+}
+
+module.exports = {
+  MCP_PATH,
+  SESSION_HEADER,
+  HttpSessionTransport,
+  createMcpRouter
+};
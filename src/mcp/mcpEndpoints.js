@@ -45,6 +45,8 @@ function setupApiRoutes(router) {
       tools: availableTools.map(tool => ({
         name: tool.name,
         description: tool.description,
+        inputSchema: tool.inputSchema,
+        outputSchema: tool.outputSchema,
         parameters: tool.parameters
       }))
     });
@@ -1,9 +1,10 @@
 // ABOUTME: Core MCP server functionality for AI integrations
-// ABOUTME: Handles server creation, middleware, and tool registration
+// ABOUTME: Handles server creation, middleware, tool registration and the MCP endpoint
 
 const express = require('express');
 const http = require('http');
 const { setupHealthCheck, setupApiRoutes } = require('./mcpEndpoints');
+const { MCP_PATH, SESSION_HEADER, createMcpRouter } = require('./httpTransport');
 
 /**
  * Create an Express server application with configured middleware and routes
@@ -28,6 +29,11 @@ function createServer(options = {}) {
   // Mount API router at /api
   app.use('/api', apiRouter);
   
+  // MCP clients connect to the streamable HTTP endpoint
+  const mcpRouter = createMcpRouter();
+  app.use(MCP_PATH, mcpRouter);
+  app.locals.closeMcpSessions = mcpRouter.closeSessions;
+  
   // Handle 404 errors
   app.use((req, res) => {
     res.status(404).json({
@@ -58,7 +64,8 @@ function configureMiddleware(app, options = {}) {
   if (options.enableCors) {
     app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Access-Control-Allow-Headers', `Origin, X-Requested-With, Content-Type, Accept, Authorization, ${SESSION_HEADER}`);
+      res.header('Access-Control-Expose-Headers', SESSION_HEADER);
       if (req.method === 'OPTIONS') {
         res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
         return res.status(200).json({});
@@ -70,10 +77,20 @@ function configureMiddleware(app, options = {}) {
   // Add authentication middleware if token is provided
   if (options.token) {
     app.use('/api', authMiddleware(options.token));
+    app.use(MCP_PATH, authMiddleware(options.token));
   }
   
   // Add error handling middleware - should be last
   app.use((err, req, res, next) => {
+    // MCP clients expect a JSON-RPC parse error for malformed JSON
+    if (err.type === 'entity.parse.failed' && req.path === MCP_PATH) {
+      return res.status(400).json({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32700, message: 'Parse error' }
+      });
+    }
+    
     console.error('Server error:', err.message);
     res.status(500).json({
       error: 'Internal server error',
@@ -151,6 +168,11 @@ function startServer(options) {
   // Create HTTP server
   const server = http.createServer(app);
   
+  // End the MCP sessions with the server, so their resource watchers stop
+  server.on('close', () => {
+    app.locals.closeMcpSessions();
+  });
+  
   // Handle server errors
   server.on('error', (error) => {
     if (error.code === 'EADDRINUSE') {
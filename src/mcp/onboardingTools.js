@@ -6,11 +6,14 @@ const { withErrorHandling, createValidationError } = require('./errorHandler');
 const { loadRoleDoc } = require('../utils/documentationParser');
 const { isInitialized } = require('../utils/directory');
 const { loadTemplate, getTemplateList } = require('../utils/template');
+const { loadTemplatePartials } = require('../utils/templateInheritance');
+const { getTagParameterDefinitions } = require('../utils/taskExpander');
 
 /**
- * Get available tag templates with their descriptions
+ * Get available tag templates with their descriptions and parameters
  * 
- * @returns {Promise<Array<{name: string, description: string}>>} Array of tag templates with descriptions
+ * @returns {Promise<Array<{name: string, description: string, parameters: Array<Object>}>>} Array of tag
+ *   templates with descriptions and the parameters they take
  */
 async function getTagTemplatesWithDescriptions() {
   try {
@@ -22,19 +25,24 @@ async function getTagTemplatesWithDescriptions() {
       try {
         const content = await loadTemplate(name, 'tag');
         
-        // Extract description from the content (after the title and before the steps section)
-        const descriptionMatch = content.match(/^#\s+.*?\n\n>\s+(.*?)\n\n##\s+Steps/s);
+        // Extract description from the content (after the title and before the first section)
+        const descriptionMatch = content.match(/^#\s+.*?\n\n>\s+(.*?)\n\n##\s/s);
         const description = descriptionMatch ? descriptionMatch[1].trim() : 'No description available';
         
+        // Parameters it declares itself or through the tag templates it includes
+        const partials = await loadTemplatePartials(name, 'tag', content);
+        
         return {
           name,
-          description
+          description,
+          parameters: getTagParameterDefinitions(content, partials)
         };
       } catch (error) {
         // Return template name without description if loading fails
         return {
           name,
-          description: 'Description unavailable'
+          description: 'Description unavailable',
+          parameters: []
         };
       }
     }));
@@ -379,7 +387,8 @@ const mcp__availableTags = withValidation('mcp__availableTags',
           categorizedTemplates: categorizedTemplates,
           usage: {
             example: "Add authentication to login page +unit-test",
-            description: "Adding +unit-test to a task will automatically expand it to include Test-Driven Development steps"
+            description: "Adding +unit-test to a task will automatically expand it to include Test-Driven Development steps",
+            parameters: "Give a tag's parameters as +tag(name=value,other=value). Required parameters have no default; the others fall back to their default."
           },
           workflowGuidance: {
             message: "Tag templates provide structured workflows for common development tasks:",
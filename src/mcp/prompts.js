@@ -0,0 +1,390 @@
+// ABOUTME: MCP prompts for the onboarding flows of the pm, developer and reviewer roles
+// ABOUTME: Renders the role guides and workflows, and the issue to work on, as prompt messages
+
+const { getTagTemplatesWithDescriptions } = require('./onboardingTools');
+const { readResource } = require('./resources');
+const { isInitialized } = require('../utils/directory');
+const { getCurrentIssue } = require('../utils/issueManager');
+const { runWithIssueVersions } = require('../utils/issueLock');
+const { UserError, IssueNotFoundError } = require('../utils/errors');
+
+const ISSUE_NUMBER_ARGUMENT = {
+  name: 'issueNumber',
+  description: 'The issue, such as 0004 or 4',
+  required: false
+};
+
+/**
+ * The prompts, with the arguments clients ask for
+ */
+const PROMPTS = [
+  {
+    name: 'onboarding',
+    description: 'Get started with issue-cards in a role',
+    arguments: [
+      { name: 'role', description: 'pm, developer or reviewer (defaults to pm)', required: false }
+    ]
+  },
+  {
+    name: 'workflow',
+    description: 'Follow an issue-cards workflow step by step',
+    arguments: [
+      {
+        name: 'workflow',
+        description: 'create-feature, bugfix, task-management, review or audit (lists the workflows if not given)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'pm',
+    description: 'Plan work as project manager, or plan the tasks of an issue',
+    arguments: [ISSUE_NUMBER_ARGUMENT]
+  },
+  {
+    name: 'dev',
+    description: 'Start working on an issue as developer (defaults to the current issue)',
+    arguments: [ISSUE_NUMBER_ARGUMENT]
+  },
+  {
+    name: 'reviewer',
+    description: 'Review an issue as reviewer (defaults to the current issue)',
+    arguments: [ISSUE_NUMBER_ARGUMENT]
+  }
+];
+
+/**
+ * The onboarding guide of each role
+ */
+const ROLE_GUIDES = {
+  pm: {
+    title: 'Project Manager Onboarding',
+    description: 'As project manager you turn problems into issues with a clear approach and small, ordered tasks that developers can work through one at a time.',
+    startingSteps: [
+      '1. See the existing issues with mcp__listIssues, or search them with mcp__searchIssues',
+      '2. Create an issue with mcp__createIssue, using the feature, bugfix, refactor or audit template',
+      '3. Break the work into tasks in the order they should be done with mcp__addTask',
+      '4. Add tag templates such as +unit-test to tasks that need a standard workflow',
+      '5. Follow progress with mcp__showIssue and mcp__getStats'
+    ],
+    bestPractices: [
+      'Describe the problem before the solution, so the approach can be judged against it',
+      'Keep tasks small enough to finish and verify in one step',
+      'Start tasks with a verb and name what is done when the task is complete',
+      'Use after:N on a task that has to wait for another task',
+      'Record open questions with mcp__addQuestion instead of guessing'
+    ],
+    workflows: ['create-feature', 'bugfix', 'task-management', 'audit']
+  },
+  developer: {
+    title: 'Developer Onboarding',
+    description: 'As developer you work through the tasks of an issue one at a time, and record what you learn in the issue as you go.',
+    startingSteps: [
+      '1. See the open issues with mcp__listIssues',
+      '2. Make an issue your current issue with mcp__setCurrentIssue',
+      '3. Get your current task with mcp__getCurrentTask',
+      '4. Implement only that task, then mark it done with mcp__completeTask',
+      '5. Follow the TDD cycle for tasks with test tags'
+    ],
+    bestPractices: [
+      'Work on one task at a time and complete it before starting the next',
+      'Record decisions and findings with mcp__addNote',
+      'Log approaches that did not work with mcp__logFailure, so nobody tries them again',
+      'Ask with mcp__addQuestion when a task is unclear',
+      'Add tasks you discover with mcp__addTask instead of doing unplanned work'
+    ],
+    workflows: ['task-management', 'bugfix']
+  },
+  reviewer: {
+    title: 'Reviewer Onboarding',
+    description: 'As reviewer you check that completed tasks were done as described and that the issue solves the problem it states.',
+    startingSteps: [
+      '1. See the issues to review with mcp__listIssues',
+      '2. Read an issue with mcp__showIssue',
+      '3. Check each completed task against its description and the planned approach',
+      '4. Record problems with mcp__addQuestion or mcp__addNote',
+      '5. Add tasks for missing work with mcp__addTask'
+    ],
+    bestPractices: [
+      'Review against the problem and planned approach of the issue, not only the tasks',
+      'Check that tagged tasks went through all steps of their tag template',
+      'Read the failed approaches before suggesting alternatives',
+      'Phrase problems as questions or tasks that someone can act on'
+    ],
+    workflows: ['review', 'audit']
+  }
+};
+
+const ROLE_ALIASES = {
+  dev: 'developer',
+  'project-manager': 'pm'
+};
+
+const TDD_GUIDANCE = [
+  'For tasks with +unit-test, +integration-test or +e2e-test, follow the TDD cycle:',
+  '- RED: Write failing tests that define the expected behavior',
+  '- GREEN: Write the minimum code necessary to pass the tests',
+  '- REFACTOR: Improve the code while keeping the tests passing'
+];
+
+/**
+ * The workflows, with the steps to follow
+ */
+const WORKFLOWS = {
+  'create-feature': {
+    title: 'Create Feature Workflow',
+    description: 'Plan a new feature as an issue with tasks that can be worked through one at a time.',
+    steps: [
+      'Check with mcp__searchIssues that no issue covers the feature yet',
+      'Create the issue with mcp__createIssue and the feature template, with the problem, approach and first tasks',
+      'Add the remaining tasks in order with mcp__addTask, with +unit-test or +e2e-test where tests are needed',
+      'Record open questions with mcp__addQuestion',
+      'Check the result with mcp__showIssue'
+    ],
+    tips: [
+      'Use mcp__previewTask to see how a tagged task expands before adding it',
+      'Use after:N for tasks that depend on an earlier task'
+    ]
+  },
+  bugfix: {
+    title: 'Bugfix Workflow',
+    description: 'Fix a bug test first, and keep a record of what was tried.',
+    steps: [
+      'Create the issue with mcp__createIssue and the bugfix template, describing how to reproduce the bug',
+      'Make it your current issue with mcp__setCurrentIssue',
+      'Write a test that reproduces the bug and fails',
+      'Fix the bug until the test passes, logging dead ends with mcp__logFailure',
+      'Complete each task with mcp__completeTask'
+    ],
+    tips: [
+      'Add the cause of the bug as a note with mcp__addNote',
+      'Check with mcp__searchIssues whether the bug was fixed before'
+    ]
+  },
+  'task-management': {
+    title: 'Task Management Workflow',
+    description: 'Work through the tasks of an issue one at a time.',
+    steps: [
+      'Make the issue your current issue with mcp__setCurrentIssue',
+      'Claim it with mcp__claimIssue if others may work on the same issue',
+      'Get your current task with mcp__getCurrentTask',
+      'Implement the task, then complete it with mcp__completeTask',
+      'Repeat until the issue is closed, then release it with mcp__releaseIssue if you claimed it'
+    ],
+    tips: [
+      'Change a task that turned out different with mcp__updateTask, or reorder tasks with mcp__moveTask',
+      'Use mcp__undo if a change went to the wrong issue'
+    ]
+  },
+  review: {
+    title: 'Review Workflow',
+    description: 'Check the work done in an issue before it is considered finished.',
+    steps: [
+      'Read the issue with mcp__showIssue',
+      'Compare each completed task with its description and the planned approach',
+      'Check the notes, failed approaches and answered questions for open ends',
+      'Record problems with mcp__addQuestion, or add tasks with mcp__addTask',
+      'Reopen a closed issue that needs more work with mcp__reopenIssue'
+    ],
+    tips: [
+      'Use mcp__getIssueHistory to see who changed the issue and when'
+    ]
+  },
+  audit: {
+    title: 'Audit Workflow',
+    description: 'Review a part of the codebase and turn the findings into tasks.',
+    steps: [
+      'Create the issue with mcp__createIssue and the audit template, naming what is audited and why',
+      'Add a task for each area to examine with mcp__addTask',
+      'Record each finding with mcp__addNote as you complete the tasks',
+      'Create follow-up issues for findings that need work'
+    ],
+    tips: [
+      'Use mcp__getStats to find stalled issues and open questions across the project'
+    ]
+  }
+};
+
+/**
+ * What each role is asked to do with an issue
+ */
+const ISSUE_REQUESTS = {
+  pm: {
+    action: 'Plan',
+    instructions: () => 'Make sure the problem and planned approach are clear, then break the work into small tasks in the order they should be done, using mcp__addTask. Add +tags such as +unit-test to tasks that need a standard workflow.'
+  },
+  developer: {
+    action: 'Start working on',
+    instructions: issueNumber => `Make it your current issue with mcp__setCurrentIssue (issueNumber "${issueNumber}"), get your task with mcp__getCurrentTask, and complete one task at a time with mcp__completeTask. Record decisions with mcp__addNote and open questions with mcp__addQuestion.`
+  },
+  reviewer: {
+    action: 'Review',
+    instructions: () => 'Check that each completed task was done as described and that the planned approach was followed. Record problems with mcp__addQuestion or mcp__addNote, and add tasks for missing work with mcp__addTask.'
+  }
+};
+
+/**
+ * List the prompts
+ * 
+ * @returns {Array<Object>} Prompts with name, description and arguments
+ */
+function listPrompts() {
+  return PROMPTS.map(prompt => ({
+    ...prompt,
+    arguments: prompt.arguments.map(argument => ({ ...argument }))
+  }));
+}
+
+/**
+ * Render the onboarding guide of a role as markdown
+ * 
+ * @param {string} role - pm, developer or reviewer
+ * @returns {Promise<string>} Onboarding guide with the tag templates of the project
+ */
+async function formatRoleGuide(role) {
+  const guide = ROLE_GUIDES[role];
+  const lines = [`# ${guide.title}`, '', guide.description];
+  
+  if (!(await isInitialized())) {
+    lines.push('', 'This project is not initialized for issue-cards yet. Run mcp__init first.');
+  }
+  
+  lines.push('', '## Getting started', ...guide.startingSteps);
+  
+  if (role === 'developer') {
+    lines.push('', ...TDD_GUIDANCE);
+  }
+  
+  lines.push('', '## Best practices', ...guide.bestPractices.map(practice => `- ${practice}`));
+  lines.push('', '## Workflows', ...guide.workflows.map(id => `- ${id}: ${WORKFLOWS[id].title}`));
+  
+  const tagTemplates = await getTagTemplatesWithDescriptions();
+  if (tagTemplates.length > 0) {
+    lines.push('', '## Tag templates', ...tagTemplates.map(tag => `- +${tag.name}: ${tag.description}`));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Render a workflow as markdown
+ * 
+ * @param {string} [id] - Workflow ID, lists the workflows if not given
+ * @returns {{title: string, text: string}} Title and guide of the workflow
+ * @throws {UserError} For an unknown workflow
+ */
+function formatWorkflow(id) {
+  if (!id) {
+    const title = 'Available Workflows';
+    const workflows = Object.entries(WORKFLOWS).map(([workflowId, workflow]) => `- ${workflowId}: ${workflow.description}`);
+    return { title, text: [`# ${title}`, '', ...workflows].join('\n') };
+  }
+  
+  const workflow = WORKFLOWS[id];
+  if (!workflow) {
+    throw new UserError(`Unknown workflow: ${id}`)
+      .withRecoveryHint(`Available workflows: ${Object.keys(WORKFLOWS).join(', ')}`);
+  }
+  
+  const lines = [`# ${workflow.title}`, '', workflow.description, '', '## Steps'];
+  lines.push(...workflow.steps.map((step, index) => `${index + 1}. ${step}`));
+  lines.push('', '## Tips', ...workflow.tips.map(tip => `- ${tip}`));
+  
+  return { title: workflow.title, text: lines.join('\n') };
+}
+
+/**
+ * Read the issue a prompt is about
+ * 
+ * @param {string} [issueNumber] - Issue number, the current issue if not given
+ * @returns {Promise<{issueNumber: string, content: string}|null>} The issue, or null without a current issue
+ * @throws {IssueNotFoundError} If the given issue does not exist
+ */
+async function readPromptIssue(issueNumber) {
+  if (!issueNumber) {
+    const current = await runWithIssueVersions(() => getCurrentIssue());
+    return current ? { issueNumber: current.issueNumber, content: current.content } : null;
+  }
+  
+  if (!/^\d{1,4}$/.test(issueNumber)) {
+    throw new UserError(`Invalid issue number: ${issueNumber}`);
+  }
+  
+  const paddedIssueNumber = issueNumber.padStart(4, '0');
+  for (const state of ['open', 'closed']) {
+    const issue = await readResource(`issue://${state}/${paddedIssueNumber}`);
+    if (issue) {
+      return { issueNumber: paddedIssueNumber, content: issue.text };
+    }
+  }
+  
+  throw new IssueNotFoundError(paddedIssueNumber);
+}
+
+/**
+ * Create a prompt message
+ * 
+ * @param {string} text - Message text
+ * @returns {Object} Prompt message from the user
+ */
+function createMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+/**
+ * Get a prompt with its arguments filled in
+ * 
+ * The role prompts start with the onboarding guide of the role. Given an
+ * issue, or with a current issue for dev and reviewer, a second message asks
+ * to work on that issue and contains its content.
+ * 
+ * @param {string} name - Prompt name
+ * @param {Object} [args] - Prompt arguments, all strings
+ * @returns {Promise<{description: string, messages: Array<Object>}>} The prompt
+ * @throws {UserError} For an unknown prompt, role, workflow or issue
+ */
+async function getPrompt(name, args = {}) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new UserError(`Unknown prompt: ${name}`)
+      .withRecoveryHint(`Available prompts: ${PROMPTS.map(candidate => candidate.name).join(', ')}`);
+  }
+  
+  if (name === 'workflow') {
+    const workflow = formatWorkflow(args.workflow);
+    return { description: workflow.title, messages: [createMessage(workflow.text)] };
+  }
+  
+  const requestedRole = name === 'onboarding' ? (args.role || 'pm') : name;
+  const role = ROLE_ALIASES[requestedRole] || requestedRole;
+  if (!ROLE_GUIDES[role]) {
+    throw new UserError(`Unknown role: ${requestedRole}`)
+      .withRecoveryHint(`Available roles: ${Object.keys(ROLE_GUIDES).join(', ')}`);
+  }
+  
+  const guideTitle = ROLE_GUIDES[role].title;
+  const messages = [createMessage(await formatRoleGuide(role))];
+  
+  if (name === 'onboarding' || (name === 'pm' && !args.issueNumber)) {
+    return { description: guideTitle, messages };
+  }
+  
+  const issue = await readPromptIssue(args.issueNumber);
+  if (!issue) {
+    messages.push(createMessage('There is no current issue. List the open issues with mcp__listIssues and choose one to work on.'));
+    return { description: guideTitle, messages };
+  }
+  
+  const request = ISSUE_REQUESTS[role];
+  const description = `${request.action} issue #${issue.issueNumber}`;
+  messages.push(createMessage(
+    [`${description}, shown below.`, '', request.instructions(issue.issueNumber), '', issue.content.trim()].join('\n')
+  ));
+  
+  return { description, messages };
+}
+
+module.exports = {
+  listPrompts,
+  getPrompt
+};
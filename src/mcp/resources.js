@@ -0,0 +1,336 @@
+// ABOUTME: MCP resources for issues, the current task and templates
+// ABOUTME: Resolves issue:// and template:// URIs and watches subscribed resources for changes
+
+const fs = require('fs');
+const path = require('path');
+const { getIssueDirectoryPath } = require('../utils/directory');
+const {
+  getIssueFilePath,
+  getIssues,
+  getCurrentIssue,
+  getCurrentTask
+} = require('../utils/issueManager');
+const { extractTasks } = require('../utils/taskParser');
+const { findBlockedTasks, describeBlockedTasks } = require('../utils/taskDependencies');
+const { loadTemplate, validateTemplate, getTemplateList } = require('../utils/template');
+const { getSessionsDirectoryPath } = require('../utils/session');
+const { getContentVersion, runWithIssueVersions } = require('../utils/issueLock');
+
+const CURRENT_ISSUE_URI = 'issue://current';
+const CURRENT_TASK_URI = 'issue://current/task';
+const ISSUE_URI_PATTERN = /^issue:\/\/(open|closed)\/(\d{1,4})$/;
+const TEMPLATE_URI_PATTERN = /^template:\/\/(issue|tag)\/(_?[A-Za-z0-9][A-Za-z0-9_-]*)$/;
+
+/**
+ * URI templates of the resources that are not all listed
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'issue://open/{issueNumber}',
+    name: 'Open issue',
+    description: 'An open issue as markdown, by its four-digit number (e.g. issue://open/0003)',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'issue://closed/{issueNumber}',
+    name: 'Closed issue',
+    description: 'A closed issue as markdown, by its four-digit number',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'template://issue/{name}',
+    name: 'Issue template',
+    description: 'An issue template, such as template://issue/feature',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'template://tag/{name}',
+    name: 'Tag template',
+    description: 'A tag template with the steps a +tag adds, such as template://tag/unit-test',
+    mimeType: 'text/markdown'
+  }
+];
+
+/**
+ * Check whether a URI names an issue-cards resource, whether or not it exists now
+ * 
+ * @param {string} uri - Resource URI
+ * @returns {boolean} True for issue:// and template:// URIs of resources this server has
+ */
+function isResourceUri(uri) {
+  return uri === CURRENT_ISSUE_URI || uri === CURRENT_TASK_URI ||
+    ISSUE_URI_PATTERN.test(uri) || TEMPLATE_URI_PATTERN.test(uri);
+}
+
+/**
+ * Read a file, or get null if it does not exist
+ * 
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} Content of the file
+ */
+async function readFileIfExists(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the current task of the current issue as shown by the issue://current/task resource
+ * 
+ * Like mcp__getCurrentTask, without the workflow guidance.
+ * 
+ * @returns {Promise<Object|null>} Current task with its context, or null without a current issue
+ */
+async function getCurrentTaskResource() {
+  const currentIssue = await getCurrentIssue();
+  if (!currentIssue) {
+    return null;
+  }
+  
+  const currentTask = await getCurrentTask();
+  const data = {
+    issueNumber: currentIssue.issueNumber,
+    issueTitle: currentIssue.title,
+    taskId: currentTask ? currentTask.id : null,
+    description: currentTask ? currentTask.description : null
+  };
+  
+  if (currentTask) {
+    data.context = currentTask.contextData;
+    if (currentTask.parentTasks) {
+      data.parentTasks = currentTask.parentTasks;
+    }
+  }
+  
+  const tasks = await extractTasks(currentIssue.content || '');
+  const blockedTasks = await findBlockedTasks(tasks, currentIssue.content);
+  if (blockedTasks.size > 0) {
+    data.blockedTasks = describeBlockedTasks(tasks, blockedTasks);
+  }
+  
+  return data;
+}
+
+/**
+ * Read a resource
+ * 
+ * @param {string} uri - Resource URI, such as issue://open/0003 or template://tag/unit-test
+ * @returns {Promise<{uri: string, mimeType: string, text: string}|null>} Resource contents,
+ *   or null if there is no such resource
+ */
+async function readResource(uri) {
+  // Reading a resource must not count as reading the issue for a later change
+  return runWithIssueVersions(async () => {
+    if (uri === CURRENT_ISSUE_URI) {
+      const currentIssue = await getCurrentIssue();
+      return currentIssue ? { uri, mimeType: 'text/markdown', text: currentIssue.content } : null;
+    }
+    
+    if (uri === CURRENT_TASK_URI) {
+      const task = await getCurrentTaskResource();
+      return task ? { uri, mimeType: 'application/json', text: JSON.stringify(task, null, 2) } : null;
+    }
+    
+    const issueMatch = typeof uri === 'string' && uri.match(ISSUE_URI_PATTERN);
+    if (issueMatch) {
+      const content = await readFileIfExists(getIssueFilePath(issueMatch[2].padStart(4, '0'), issueMatch[1]));
+      return content === null ? null : { uri, mimeType: 'text/markdown', text: content };
+    }
+    
+    const templateMatch = typeof uri === 'string' && uri.match(TEMPLATE_URI_PATTERN);
+    if (templateMatch && await validateTemplate(templateMatch[2], templateMatch[1])) {
+      return { uri, mimeType: 'text/markdown', text: await loadTemplate(templateMatch[2], templateMatch[1]) };
+    }
+    
+    return null;
+  });
+}
+
+/**
+ * List the resources: the current issue and task, the open issues and the templates
+ * 
+ * Closed issues are left out of the list but can be read through their URI template.
+ * 
+ * @returns {Promise<Array<Object>>} Resources with uri, name, description and mimeType
+ */
+async function listResources() {
+  const resources = [
+    {
+      uri: CURRENT_ISSUE_URI,
+      name: 'Current issue',
+      description: 'The current issue of your work session as markdown',
+      mimeType: 'text/markdown'
+    },
+    {
+      uri: CURRENT_TASK_URI,
+      name: 'Current task',
+      description: 'The current task with its context, skipping tasks blocked by dependencies',
+      mimeType: 'application/json'
+    }
+  ];
+  
+  const issues = await runWithIssueVersions(() => getIssues('open'));
+  for (const issue of issues) {
+    resources.push({
+      uri: `issue://open/${issue.issueNumber}`,
+      name: `Issue ${issue.issueNumber}: ${issue.title}`,
+      mimeType: 'text/markdown'
+    });
+  }
+  
+  for (const type of ['issue', 'tag']) {
+    for (const name of await getTemplateList(type)) {
+      resources.push({
+        uri: `template://${type}/${name}`,
+        name: `${type === 'issue' ? 'Issue' : 'Tag'} template: ${name}`,
+        mimeType: 'text/markdown'
+      });
+    }
+  }
+  
+  return resources;
+}
+
+/**
+ * Get the URI templates of the resources
+ * 
+ * @returns {Array<Object>} Resource templates with uriTemplate, name, description and mimeType
+ */
+function listResourceTemplates() {
+  return RESOURCE_TEMPLATES.map(template => ({ ...template }));
+}
+
+/**
+ * Get the directories whose changes may change a resource
+ * 
+ * @returns {Array<string>} Issue, session and template directories
+ */
+function getWatchedDirectories() {
+  return [
+    getIssueDirectoryPath(),
+    getIssueDirectoryPath('open'),
+    getIssueDirectoryPath('closed'),
+    getSessionsDirectoryPath(),
+    getIssueDirectoryPath(path.join('config', 'templates', 'issue')),
+    getIssueDirectoryPath(path.join('config', 'templates', 'tag'))
+  ];
+}
+
+/**
+ * Watch subscribed resources for changes
+ * 
+ * The issue directories are watched while there are subscriptions. After
+ * changes settle, each subscribed resource is read again and onUpdated is
+ * called for those whose contents changed, so writes that leave a resource
+ * as it was (or only touch other issues) are not reported.
+ * 
+ * @param {Function} onUpdated - Called with the URI of each changed resource
+ * @param {Object} [options] - Watcher options
+ * @param {number} [options.delay=100] - Milliseconds to wait for changes to settle
+ * @returns {{subscribe: Function, unsubscribe: Function, close: Function}} The watcher
+ */
+function createResourceWatcher(onUpdated, options = {}) {
+  const delay = options.delay !== undefined ? options.delay : 100;
+  const versions = new Map();
+  const watchers = new Map();
+  let timer = null;
+  
+  const getVersion = async uri => {
+    try {
+      const resource = await readResource(uri);
+      return resource ? getContentVersion(resource.text) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  
+  const checkForUpdates = async () => {
+    // Directories created since, such as the sessions directory, are watched too
+    watchDirectories();
+    
+    for (const [uri, version] of versions) {
+      const currentVersion = await getVersion(uri);
+      if (versions.has(uri) && currentVersion !== version) {
+        versions.set(uri, currentVersion);
+        onUpdated(uri);
+      }
+    }
+  };
+  
+  const scheduleCheck = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      checkForUpdates();
+    }, delay);
+  };
+  
+  const watchDirectories = () => {
+    for (const directory of getWatchedDirectories()) {
+      if (watchers.has(directory)) continue;
+      
+      try {
+        const watcher = fs.watch(directory, scheduleCheck);
+        watcher.on('error', () => {
+          watcher.close();
+          watchers.delete(directory);
+        });
+        watchers.set(directory, watcher);
+      } catch (error) {
+        // The directory does not exist (yet)
+      }
+    }
+  };
+  
+  const close = () => {
+    clearTimeout(timer);
+    timer = null;
+    versions.clear();
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
+    watchers.clear();
+  };
+  
+  return {
+    /**
+     * Start reporting changes to a resource
+     * 
+     * @param {string} uri - Resource URI
+     * @returns {Promise<void>}
+     */
+    async subscribe(uri) {
+      if (versions.size === 0) {
+        watchDirectories();
+      }
+      versions.set(uri, await getVersion(uri));
+    },
+    
+    /**
+     * Stop reporting changes to a resource
+     * 
+     * @param {string} uri - Resource URI
+     */
+    unsubscribe(uri) {
+      versions.delete(uri);
+      if (versions.size === 0) {
+        close();
+      }
+    },
+    
+    close
+  };
+}
+
+module.exports = {
+  isResourceUri,
+  readResource,
+  listResources,
+  listResourceTemplates,
+  createResourceWatcher
+};
@@ -4,6 +4,51 @@
 const { createInterface } = require('readline');
 const { getRegisteredTools } = require('./registration');
 const McpLogger = require('../utils/mcpLogger');
+const { setActivity } = require('../utils/history');
+const { setDefaultSession, toSessionName } = require('../utils/session');
+const {
+  isResourceUri,
+  readResource,
+  listResources,
+  listResourceTemplates,
+  createResourceWatcher
+} = require('./resources');
+const { listPrompts, getPrompt } = require('./prompts');
+const { UserError, CancelledError } = require('../utils/errors');
+
+// JSON-RPC error code of a request the client cancelled
+const REQUEST_CANCELLED = -32800;
+
+/**
+ * Get the JSON Schema of the arguments of a tool
+ * 
+ * Tools from the tool definitions carry their schema; for others it is built
+ * from their parameter list.
+ * 
+ * @param {Object} tool - Registered tool
+ * @returns {Object} Input schema of the tool
+ */
+function getToolInputSchema(tool) {
+  if (tool.inputSchema) {
+    return tool.inputSchema;
+  }
+  
+  return {
+    type: 'object',
+    properties: Object.fromEntries(
+      (tool.parameters || []).map(param => [
+        param.name,
+        {
+          type: param.type || 'string',
+          description: param.description || ''
+        }
+      ])
+    ),
+    required: (tool.parameters || [])
+      .filter(param => param.required)
+      .map(param => param.name)
+  };
+}
 
 /**
  * MCP Stdio transport for communicating over stdin/stdout
@@ -31,10 +76,17 @@ class StdioTransport {
     this.onConnect = null;
     this.onDisconnect = null;
     
+    // Watches the resources the client subscribed to, created on the first subscription
+    this.resourceWatcher = null;
+    
+    // Abort controllers of the running tool calls, by request ID
+    this.activeCalls = new Map();
+    
     // MCP protocol state
     this.initialized = false;
     this.shutdownRequested = false;
     this.clientCapabilities = null;
+    this.clientInfo = null;
     this.protocolVersion = "2024-11-05"; // Previous MCP protocol version for backward compatibility
     
     // Initialize logger if enabled
@@ -103,10 +155,10 @@ class StdioTransport {
           supported: false
         },
         resources: {
-          supported: false
+          supported: true
         },
         prompts: {
-          supported: false
+          supported: true
         }
       }
     });
@@ -133,6 +185,14 @@ class StdioTransport {
       this.readline = null;
     }
     
+    // Stop watching subscribed resources
+    if (this.resourceWatcher) {
+      this.resourceWatcher.close();
+      this.resourceWatcher = null;
+    }
+    
+    this.cancelAllRequests();
+    
     // Close logger if enabled, but don't try to log after closing
     const wasLogging = this.logging && this.logger;
     this.logging = false; // Disable logging before other operations
@@ -350,10 +410,10 @@ class StdioTransport {
               supported: false
             },
             resources: {
-              supported: false
+              supported: true
             },
             prompts: {
-              supported: false
+              supported: true
             }
           }
         });
@@ -366,21 +426,7 @@ class StdioTransport {
           tools: this.tools.map(tool => ({
             name: tool.name,
             description: tool.description || 'No description available',
-            input_schema: {
-              type: 'object',
-              properties: Object.fromEntries(
-                (tool.parameters || []).map(param => [
-                  param.name,
-                  {
-                    type: param.type || 'string',
-                    description: param.description || ''
-                  }
-                ])
-              ),
-              required: (tool.parameters || [])
-                .filter(param => param.required)
-                .map(param => param.name)
-            }
+            input_schema: getToolInputSchema(tool)
           }))
         };
         
@@ -401,15 +447,26 @@ class StdioTransport {
           this.clientCapabilities = params.capabilities;
         }
         
+        if (params && params.clientInfo && params.clientInfo.name) {
+          this.setClient(params.clientInfo);
+        }
+        
         // Send back server capabilities matching expected field names
         this.sendResponse(id, {
           protocolVersion: this.protocolVersion,
           capabilities: {
             tools: {
               supported: true
+            },
+            resources: {
+              subscribe: true,
+              listChanged: false
+            },
+            prompts: {
+              listChanged: false
             }
-            // Note: async_tools, resources, and prompts are 2025-03-26 features
-            // Omitting them for 2024-11-05 compatibility
+            // Note: async_tools is a 2025-03-26 feature
+            // Omitting it for 2024-11-05 compatibility
           },
           serverInfo: {
             name: 'issue-cards-mcp',
@@ -426,21 +483,8 @@ class StdioTransport {
           tools: this.tools.map(tool => ({
             name: tool.name,
             description: tool.description || 'No description available',
-            inputSchema: {
-              type: 'object',
-              properties: Object.fromEntries(
-                (tool.parameters || []).map(param => [
-                  param.name,
-                  {
-                    type: param.type || 'string',
-                    description: param.description || ''
-                  }
-                ])
-              ),
-              required: (tool.parameters || [])
-                .filter(param => param.required)
-                .map(param => param.name)
-            }
+            inputSchema: getToolInputSchema(tool),
+            ...(tool.outputSchema ? { outputSchema: tool.outputSchema } : {})
           }))
         };
         
@@ -467,11 +511,97 @@ class StdioTransport {
         
         await this.handleToolExecution(id, {
           tool: toolName,
-          args: toolArgs
+          args: toolArgs,
+          progressToken: params._meta ? params._meta.progressToken : undefined
         });
         return;
       }
       
+      // Handle resources/list request - issues and templates clients can read as context
+      if (method === 'resources/list') {
+        this.sendResponse(id, { resources: await listResources() });
+        return;
+      }
+      
+      // Handle resources/templates/list request - URIs of issues and templates by name
+      if (method === 'resources/templates/list') {
+        this.sendResponse(id, { resourceTemplates: listResourceTemplates() });
+        return;
+      }
+      
+      // Handle resources/read request
+      if (method === 'resources/read') {
+        if (!params || !params.uri) {
+          return this.sendErrorResponse(id, -32602, 'Invalid params', { 
+            details: 'Missing required parameter: uri' 
+          });
+        }
+        
+        const resource = await readResource(params.uri);
+        if (!resource) {
+          return this.sendErrorResponse(id, -32002, 'Resource not found', { uri: params.uri });
+        }
+        
+        this.sendResponse(id, { contents: [resource] });
+        return;
+      }
+      
+      // Handle resources/subscribe and resources/unsubscribe requests; subscribed
+      // resources are reported with notifications/resources/updated when they change
+      if (method === 'resources/subscribe' || method === 'resources/unsubscribe') {
+        if (!params || !params.uri) {
+          return this.sendErrorResponse(id, -32602, 'Invalid params', { 
+            details: 'Missing required parameter: uri' 
+          });
+        }
+        
+        if (!isResourceUri(params.uri)) {
+          return this.sendErrorResponse(id, -32002, 'Resource not found', { uri: params.uri });
+        }
+        
+        if (method === 'resources/subscribe') {
+          if (!this.resourceWatcher) {
+            this.resourceWatcher = createResourceWatcher(uri => {
+              this.sendNotification('notifications/resources/updated', { uri });
+            });
+          }
+          await this.resourceWatcher.subscribe(params.uri);
+        } else if (this.resourceWatcher) {
+          this.resourceWatcher.unsubscribe(params.uri);
+        }
+        
+        this.sendResponse(id, {});
+        return;
+      }
+      
+      // Handle prompts/list request - the onboarding flows as prompts clients can offer
+      if (method === 'prompts/list') {
+        this.sendResponse(id, { prompts: listPrompts() });
+        return;
+      }
+      
+      // Handle prompts/get request
+      if (method === 'prompts/get') {
+        if (!params || !params.name) {
+          return this.sendErrorResponse(id, -32602, 'Invalid params', { 
+            details: 'Missing required parameter: name' 
+          });
+        }
+        
+        try {
+          this.sendResponse(id, await getPrompt(params.name, params.arguments || {}));
+        } catch (error) {
+          // Unknown prompts, roles, workflows and issues
+          if (!(error instanceof UserError)) {
+            throw error;
+          }
+          this.sendErrorResponse(id, -32602, 'Invalid params', {
+            details: `${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`
+          });
+        }
+        return;
+      }
+      
       // Handle shutdown request - Required by MCP spec
       if (method === 'shutdown') {
         this.shutdownRequested = true;
@@ -491,6 +621,21 @@ class StdioTransport {
     }
   }
 
+  /**
+   * Remember the client that initialized the connection
+   * 
+   * Issue changes in the history log are attributed to the client, and the
+   * client gets its own work session with its own current issue. The stdio
+   * server has one client, so this applies to the whole process.
+   * 
+   * @param {Object} clientInfo - Client name and version from the initialize request
+   */
+  setClient(clientInfo) {
+    this.clientInfo = clientInfo;
+    setActivity({ actor: clientInfo.name });
+    setDefaultSession(toSessionName(clientInfo.name));
+  }
+  
   /**
    * Handle a JSON-RPC notification
    * 
@@ -540,11 +685,13 @@ class StdioTransport {
         return;
       }
       
-      // Handle $/cancelRequest notification - Required by MCP spec for async tools
-      if (method === '$/cancelRequest') {
-        if (params && params.id) {
-          this.logDebug(`Request cancellation received for id: ${params.id}`);
-          // We don't support async cancellation yet, but acknowledge the request
+      // Handle cancellation of a running request: notifications/cancelled is the MCP
+      // notification, $/cancelRequest the one of earlier clients
+      if (method === 'notifications/cancelled' || method === '$/cancelRequest') {
+        const requestId = params && (method === '$/cancelRequest' ? params.id : params.requestId);
+        if (requestId !== undefined) {
+          this.logDebug(`Request cancellation received for id: ${requestId}`);
+          this.cancelRequest(requestId);
         }
         return;
       }
@@ -590,14 +737,47 @@ class StdioTransport {
     }
   }
 
+  /**
+   * Cancel a running tool call
+   * 
+   * @param {string|number} id - Request ID of the call
+   * @returns {boolean} False if no call with this ID is running
+   */
+  cancelRequest(id) {
+    const controller = this.activeCalls.get(id);
+    if (!controller) {
+      this.logDebug(`No running request to cancel for id: ${id}`);
+      return false;
+    }
+    
+    controller.abort();
+    return true;
+  }
+  
+  /**
+   * Cancel all running tool calls, when the transport stops
+   */
+  cancelAllRequests() {
+    for (const controller of this.activeCalls.values()) {
+      controller.abort();
+    }
+  }
+  
   /**
    * Handle a tool execution request
    * 
+   * Tools get an abort signal that cancels the call, and a progress callback
+   * that sends notifications/progress if the client asked for them with a
+   * progress token.
+   * 
    * @param {string|number} id - Request ID
    * @param {Object} params - Request parameters
+   * @param {string} params.tool - Tool name
+   * @param {Object} params.args - Tool arguments
+   * @param {string|number} [params.progressToken] - Token of the progress notifications
    */
   async handleToolExecution(id, params) {
-    const { tool, args } = params;
+    const { tool, args, progressToken } = params;
     
     if (!tool) {
       return this.sendErrorResponse(id, -32602, 'Invalid params', { 
@@ -620,6 +800,16 @@ class StdioTransport {
       });
     }
     
+    const controller = new AbortController();
+    this.activeCalls.set(id, controller);
+    
+    const context = { signal: controller.signal };
+    if (progressToken !== undefined) {
+      context.onProgress = (progress, total) => {
+        this.sendNotification('notifications/progress', { progressToken, progress, total });
+      };
+    }
+    
     try {
       // Get access to all MCP tools
       const { getRegisteredTools } = require('./registration');
@@ -644,7 +834,7 @@ class StdioTransport {
         }
         
         // Execute the tool with validation
-        const result = await implementation(args);
+        const result = await implementation(args, context);
         
         // Format the result to match Claude's expected format
         // Claude CLI expects a result with a content field
@@ -654,7 +844,7 @@ class StdioTransport {
         this.sendResponse(id, formattedResult);
       } else {
         // Use the implementation from the registered tool
-        const result = await registeredTool.implementation(args);
+        const result = await registeredTool.implementation(args, context);
         
         // Format the result to match Claude's expected format
         const formattedResult = this.formatToolResponse(result);
@@ -663,6 +853,12 @@ class StdioTransport {
         this.sendResponse(id, formattedResult);
       }
     } catch (error) {
+      if (error instanceof CancelledError) {
+        this.logDebug(`Tool ${tool} cancelled`);
+        this.sendErrorResponse(id, REQUEST_CANCELLED, 'Request cancelled', { tool });
+        return;
+      }
+      
       this.logError(`Error executing tool ${tool}: ${error.message}`);
       
       // Log the error if logging is enabled
@@ -678,6 +874,8 @@ class StdioTransport {
         message: error.message,
         stack: error.stack
       });
+    } finally {
+      this.activeCalls.delete(id);
     }
   }
 
@@ -688,6 +886,12 @@ class StdioTransport {
     this.logDebug('Connection closed');
     this.isRunning = false;
     
+    // Stop watching subscribed resources, so the process can exit
+    if (this.resourceWatcher) {
+      this.resourceWatcher.close();
+      this.resourceWatcher = null;
+    }
+    
     // Call disconnect handler if provided
     if (typeof this.onDisconnect === 'function') {
       this.onDisconnect();
@@ -852,6 +1056,9 @@ class StdioTransport {
     // Create a deep copy of the result first to avoid modifying the original
     const copyResult = JSON.parse(JSON.stringify(result || {}));
     
+    // The result as declared by the outputSchema of the tool
+    copyResult.structuredContent = JSON.parse(JSON.stringify(result || {}));
+    
     // For test compatibility, we need to preserve the original structure
     // but also add the content field required by Claude CLI
     copyResult.content = [
@@ -0,0 +1,1077 @@
+// ABOUTME: Definitions of the MCP tools with their description, input schema and output schema
+// ABOUTME: Single source for tools/list, the HTTP API, argument validation and the tool reference
+
+/**
+ * Schema of a four-digit issue number
+ */
+const ISSUE_NUMBER_SCHEMA = { type: 'string', pattern: '^\\d{4}$' };
+
+/**
+ * Schema of an issue in the list of mcp__listIssues
+ */
+const ISSUE_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    issueNumber: ISSUE_NUMBER_SCHEMA,
+    title: { type: 'string' },
+    state: { type: 'string', enum: ['open', 'closed'] },
+    content: { type: 'string' },
+    metadata: { type: 'object' },
+    progress: {
+      type: 'object',
+      properties: {
+        completed: { type: 'integer', minimum: 0 },
+        total: { type: 'integer', minimum: 0 }
+      },
+      required: ['completed', 'total']
+    }
+  },
+  required: ['issueNumber', 'title', 'state']
+};
+
+/**
+ * Schema of the current task, which is null without a current issue
+ */
+const CURRENT_TASK_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    issueNumber: ISSUE_NUMBER_SCHEMA,
+    issueTitle: { type: 'string' },
+    taskId: { type: ['string', 'null'] },
+    description: { type: ['string', 'null'] },
+    session: { type: 'string' },
+    context: { type: 'object' },
+    parentTasks: { type: 'array' },
+    blockedTasks: { type: 'array' },
+    nextSteps: { type: 'string' }
+  },
+  required: ['issueNumber', 'issueTitle', 'taskId', 'description']
+};
+
+/**
+ * Create the schema of a tool result
+ * 
+ * Every tool returns success with its data, or an error with a type and message.
+ * 
+ * @param {Object} [dataSchema] - Schema of the data of a successful result
+ * @returns {Object} JSON Schema of the result
+ */
+function createOutputSchema(dataSchema = {}) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: dataSchema,
+      error: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          message: { type: 'string' }
+        },
+        required: ['type', 'message']
+      }
+    },
+    required: ['success']
+  };
+}
+
+/**
+ * The tools by name
+ * 
+ * Tools without an outputSchema here get the generic result schema below.
+ */
+const toolDefinitions = {
+  mcp__listIssues: {
+    description: 'List issues with task progress, optionally filtered by state, label, priority, template or open questions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        state: {
+          type: 'string',
+          enum: ['open', 'closed', 'all'],
+          default: 'all',
+          description: 'Filter by issue state (open, closed, all)'
+        },
+        label: {
+          oneOf: [
+            { type: 'string', minLength: 1 },
+            { type: 'array', items: { type: 'string', minLength: 1 } }
+          ],
+          description: 'Only issues that have all of these labels'
+        },
+        priority: {
+          type: 'string',
+          enum: ['low', 'medium', 'high', 'critical'],
+          description: 'Only issues with this priority (low, medium, high, critical)'
+        },
+        template: {
+          type: 'string',
+          minLength: 1,
+          description: 'Only issues created from this template'
+        },
+        hasOpenQuestions: {
+          type: 'boolean',
+          description: 'Only issues with unanswered questions'
+        },
+        sort: {
+          type: 'string',
+          enum: ['number', 'title', 'progress', 'updated'],
+          description: 'Sort by number, title, progress or updated'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of issues to return'
+        }
+      },
+      additionalProperties: false
+    },
+    outputSchema: createOutputSchema({
+      type: 'array',
+      items: ISSUE_SUMMARY_SCHEMA
+    })
+  },
+  
+  mcp__showIssue: {
+    description: 'Show details of a specific issue by number',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number to show'
+        }
+      },
+      required: ['issueNumber'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__searchIssues: {
+    description: 'Search open and closed issues for text, optionally within one section',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          minLength: 1,
+          description: 'Text to search for (or a regular expression if regex is true)'
+        },
+        section: {
+          type: 'string',
+          minLength: 1,
+          description: 'Only search this section (e.g. tasks, problem, questions)'
+        },
+        regex: {
+          type: 'boolean',
+          default: false,
+          description: 'Treat the query as a regular expression'
+        },
+        caseSensitive: {
+          type: 'boolean',
+          default: false,
+          description: 'Match case exactly'
+        },
+        state: {
+          type: 'string',
+          enum: ['open', 'closed', 'all'],
+          default: 'all',
+          description: 'Issue state to search (open, closed, all)'
+        }
+      },
+      required: ['query'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__getIssueHistory: {
+    description: 'Get the log of changes made to issues: when, by whom, with which command, and what changed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'Only return changes to this issue (all issues if not specified)'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Only return this many of the most recent changes'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  mcp__getStats: {
+    description: 'Get task progress, open questions, failed approaches and stalled issues, plus tasks completed per week',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        state: {
+          type: 'string',
+          enum: ['open', 'closed', 'all'],
+          default: 'all',
+          description: 'Issue state to include (open, closed, all; default all)'
+        },
+        weeks: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Number of weeks of completed tasks to report (default 4)'
+        },
+        staleDays: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Days without changes after which an open issue counts as stalled (default 14)'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  mcp__getCurrentTask: {
+    description: 'Get the current task from the current issue, skipping tasks blocked by dependencies; subtasks include their parentTasks',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    outputSchema: createOutputSchema(CURRENT_TASK_SCHEMA)
+  },
+  
+  mcp__setCurrentIssue: {
+    description: 'Make an open issue the current issue of your work session',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The open issue to make current'
+        }
+      },
+      required: ['issueNumber'],
+      additionalProperties: false
+    },
+    outputSchema: createOutputSchema({
+      type: 'object',
+      properties: {
+        issueNumber: ISSUE_NUMBER_SCHEMA,
+        title: { type: 'string' },
+        session: { type: ['string', 'null'] }
+      },
+      required: ['issueNumber', 'title']
+    })
+  },
+  
+  mcp__claimIssue: {
+    description: 'Claim an open issue for your work session so no one else changes it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The open issue to claim (defaults to the current issue)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Take over a claim by someone else'
+        }
+      },
+      additionalProperties: false
+    },
+    outputSchema: createOutputSchema({
+      type: 'object',
+      properties: {
+        issueNumber: ISSUE_NUMBER_SCHEMA,
+        owner: { type: 'string' },
+        previousOwner: { type: ['string', 'null'] }
+      },
+      required: ['issueNumber', 'owner', 'previousOwner']
+    })
+  },
+  
+  mcp__releaseIssue: {
+    description: 'Release your claim on an open issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The open issue to release (defaults to the current issue)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Release a claim by someone else'
+        }
+      },
+      additionalProperties: false
+    },
+    outputSchema: createOutputSchema({
+      type: 'object',
+      properties: {
+        issueNumber: ISSUE_NUMBER_SCHEMA,
+        owner: { type: ['string', 'null'] },
+        released: { type: 'boolean' }
+      },
+      required: ['issueNumber', 'owner', 'released']
+    })
+  },
+  
+  mcp__undo: {
+    description: 'Undo the last change to an issue by restoring its previous version, for example after a mistaken change',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue to restore (defaults to the last changed issue)'
+        }
+      },
+      additionalProperties: false
+    },
+    outputSchema: createOutputSchema({
+      type: 'object',
+      properties: {
+        issueNumber: ISSUE_NUMBER_SCHEMA,
+        state: { type: 'string', enum: ['open', 'closed'] },
+        previousState: { type: ['string', 'null'] },
+        undone: { type: 'string' }
+      },
+      required: ['issueNumber', 'state', 'previousState', 'undone']
+    })
+  },
+  
+  mcp__addTask: {
+    description: 'Add a new task to a specific issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number to add the task to'
+        },
+        description: {
+          type: 'string',
+          minLength: 1,
+          description: 'The task description'
+        }
+      },
+      required: ['issueNumber', 'description'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__previewTask: {
+    description: 'Get the task lines a task with +tags would be added as, with the steps of several tags merged and parameters filled in, without changing any issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        description: {
+          type: 'string',
+          minLength: 1,
+          description: 'The task text, optionally with +tags at the end'
+        },
+        subtasks: {
+          type: 'boolean',
+          description: 'Nest the steps of +tags under the task instead of listing them as separate tasks'
+        }
+      },
+      required: ['description'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__createIssue: {
+    description: 'Create a new issue from a template',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        template: {
+          type: 'string',
+          minLength: 1,
+          description: 'The template to use, such as feature, bugfix, refactor or audit'
+        },
+        title: {
+          type: 'string',
+          minLength: 1,
+          description: 'The title of the issue'
+        },
+        problem: {
+          type: 'string',
+          description: 'Description of the problem to be solved'
+        },
+        approach: {
+          type: 'string',
+          description: 'Planned approach to solve the problem'
+        },
+        failedApproaches: {
+          type: 'string',
+          description: 'Approaches already tried (one per line)'
+        },
+        questions: {
+          type: 'string',
+          description: 'Questions that need answers (one per line)'
+        },
+        task: {
+          oneOf: [
+            { type: 'string', minLength: 1 },
+            { type: 'array', items: { type: 'string', minLength: 1 } }
+          ],
+          description: 'A task, or a list of tasks, to add to the issue'
+        },
+        instructions: {
+          type: 'string',
+          description: 'Guidelines to follow during implementation'
+        },
+        nextSteps: {
+          type: 'string',
+          description: 'Next steps (one per line)'
+        },
+        priority: {
+          type: 'string',
+          enum: ['low', 'medium', 'high', 'critical'],
+          description: 'Issue priority (low, medium, high, critical)'
+        },
+        labels: {
+          type: 'array',
+          items: {
+            type: 'string',
+            minLength: 1
+          },
+          description: 'Labels to attach to the issue'
+        },
+        assignee: {
+          type: 'string',
+          minLength: 1,
+          description: 'Person or agent responsible for the issue'
+        },
+        fields: {
+          type: 'object',
+          additionalProperties: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'number' },
+              { type: 'boolean' },
+              { type: 'array', items: { type: 'string' } }
+            ]
+          },
+          description: 'Values for custom placeholders of the template, e.g. { "TIMEBOX": "2 days" }'
+        }
+      },
+      required: ['template', 'title'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__completeTask: {
+    description: 'Mark the current task, or tasks chosen by index or text, as completed and move to the next task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        index: {
+          oneOf: [
+            { type: 'integer', minimum: 0 },
+            {
+              type: 'array',
+              items: {
+                type: 'integer',
+                minimum: 0
+              },
+              minItems: 1
+            }
+          ],
+          description: 'Indices of tasks to change instead of the current task (starting at 0)'
+        },
+        match: {
+          oneOf: [
+            { type: 'string', minLength: 1 },
+            {
+              type: 'array',
+              items: {
+                type: 'string',
+                minLength: 1
+              },
+              minItems: 1
+            }
+          ],
+          description: 'Text of tasks to change instead of the current task; each must match exactly one task'
+        },
+        uncomplete: {
+          type: 'boolean',
+          description: 'Mark the selected tasks as not done'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  mcp__reopenIssue: {
+    description: 'Move a closed issue back to open, optionally unchecking or adding tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The closed issue number to reopen'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why the issue is being reopened'
+        },
+        uncheckTask: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Index of a completed task to mark as not done (starts at 0)'
+        },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'string',
+            minLength: 1
+          },
+          description: 'New tasks to add to the issue'
+        },
+        setCurrent: {
+          type: 'boolean',
+          default: false,
+          description: 'Make the reopened issue the current issue'
+        }
+      },
+      required: ['issueNumber'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__updateTask: {
+    description: 'Change the text of a task, expanding +tags like addTask',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (uses current issue if not specified)'
+        },
+        index: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Index of the task (starts at 0)'
+        },
+        description: {
+          type: 'string',
+          minLength: 1,
+          description: 'New task text, optionally with +tags at the end'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Allow changing a completed task'
+        }
+      },
+      required: ['index', 'description'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__removeTask: {
+    description: 'Remove a task from an issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (uses current issue if not specified)'
+        },
+        index: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Index of the task (starts at 0)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Allow removing a completed task, or one with completed subtasks'
+        }
+      },
+      required: ['index'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__moveTask: {
+    description: 'Move a task to a new position in its issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (uses current issue if not specified)'
+        },
+        index: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Index of the task (starts at 0)'
+        },
+        to: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Index of the task whose position it takes (a subtask can only trade places with subtasks of the same task)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Allow changing a completed task'
+        }
+      },
+      required: ['index', 'to'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__addNote: {
+    description: 'Add a note to the current issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (defaults to current)'
+        },
+        note: {
+          type: 'string',
+          minLength: 1,
+          description: 'The note to add'
+        },
+        section: {
+          type: 'string',
+          minLength: 1,
+          description: 'The section to add the note to'
+        }
+      },
+      required: ['note', 'section'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__addQuestion: {
+    description: 'Add a question to the current issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (defaults to current)'
+        },
+        question: {
+          type: 'string',
+          minLength: 1,
+          description: 'The question to add'
+        }
+      },
+      required: ['question'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__answerQuestion: {
+    description: 'Answer a question chosen by index or text, optionally adding the answer to the planned approach',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (defaults to current)'
+        },
+        index: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Index of the question (starts at 0); give index or match'
+        },
+        match: {
+          type: 'string',
+          minLength: 1,
+          description: 'Text the question contains; give index or match'
+        },
+        answer: {
+          type: 'string',
+          minLength: 1,
+          description: 'The answer to record'
+        },
+        addToApproach: {
+          type: 'boolean',
+          description: 'Also add the answer to the Planned approach section'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Add another answer to a question that was already answered'
+        }
+      },
+      required: ['answer'],
+      oneOf: [
+        { required: ['index'] },
+        { required: ['match'] }
+      ],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__logFailure: {
+    description: 'Log a failed approach in the current issue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueNumber: {
+          type: 'string',
+          pattern: '^\\d{4}$',
+          description: 'The issue number (defaults to current)'
+        },
+        approach: {
+          type: 'string',
+          minLength: 1,
+          description: 'Description of the failed approach'
+        },
+        reason: {
+          type: 'string',
+          default: 'Not specified',
+          description: 'Reason why the approach failed'
+        }
+      },
+      required: ['approach'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__listTemplates: {
+    description: 'List available issue templates',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag)'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  mcp__showTemplate: {
+    description: 'Show the contents of a specific template, with resolvedContent for issue templates that extend or include others',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          minLength: 1,
+          description: 'The template name to show'
+        },
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag)'
+        }
+      },
+      required: ['name', 'type'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__createTemplate: {
+    description: 'Create an issue or tag template, validated before it is written',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          pattern: '^_?[A-Za-z0-9][A-Za-z0-9_-]*$',
+          description: 'Name of the new template (letters, digits, dashes and underscores)'
+        },
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag)'
+        },
+        content: {
+          type: 'string',
+          minLength: 1,
+          description: 'Template content (defaults to a skeleton to fill in)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Replace an existing template'
+        }
+      },
+      required: ['name', 'type'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__copyTemplate: {
+    description: 'Copy a template under a new name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'string',
+          pattern: '^_?[A-Za-z0-9][A-Za-z0-9_-]*$',
+          description: 'Name of the template to copy'
+        },
+        name: {
+          type: 'string',
+          pattern: '^_?[A-Za-z0-9][A-Za-z0-9_-]*$',
+          description: 'Name of the new template'
+        },
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag); only needed if an issue and a tag template share the name'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Replace an existing template'
+        }
+      },
+      required: ['source', 'name'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__updateTemplate: {
+    description: 'Replace the content of a template, validated before it is written',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          pattern: '^_?[A-Za-z0-9][A-Za-z0-9_-]*$',
+          description: 'The template name'
+        },
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag); only needed if an issue and a tag template share the name'
+        },
+        content: {
+          type: 'string',
+          minLength: 1,
+          description: 'New template content'
+        }
+      },
+      required: ['name', 'content'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__removeTemplate: {
+    description: 'Remove a template',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          pattern: '^_?[A-Za-z0-9][A-Za-z0-9_-]*$',
+          description: 'The template name'
+        },
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag); only needed if an issue and a tag template share the name'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Remove the template even if other templates extend or include it'
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__diffTemplate: {
+    description: 'Compare a template with the default of the same name that comes with issue-cards',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          pattern: '^_?[A-Za-z0-9][A-Za-z0-9_-]*$',
+          description: 'The template name'
+        },
+        type: {
+          type: 'string',
+          enum: ['issue', 'tag'],
+          description: 'Template type (issue or tag); only needed if an issue and a tag template share the name'
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    }
+  },
+  
+  mcp__init: {
+    description: 'Initialize issue tracking in the current project',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  
+  mcp__onboarding: {
+    description: 'Provides onboarding information for new users',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        role: {
+          type: 'string',
+          enum: ['pm', 'developer', 'reviewer'],
+          default: 'pm',
+          description: 'Role-specific onboarding (pm, developer, reviewer)'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  mcp__workflow: {
+    description: 'Provides information about the recommended workflow',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workflow: {
+          type: 'string',
+          description: 'The workflow to get guidance for'
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  mcp__pm: {
+    description: 'Provides information for project managers',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  
+  mcp__dev: {
+    description: 'Provides information for developers',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  
+  mcp__reviewer: {
+    description: 'Provides information for code reviewers',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  
+  mcp__availableTags: {
+    description: 'List the tag templates with their descriptions and how to add them to tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Aliases with the tools they run
+ */
+const TOOL_ALIASES = {
+  mcp__complete: { tool: 'mcp__completeTask', description: 'Alias for completeTask - marks the current task as completed' },
+  mcp__add: { tool: 'mcp__addTask', description: 'Alias for addTask - adds a new task to an issue' },
+  mcp__question: { tool: 'mcp__addQuestion', description: 'Alias for addQuestion - adds a question to the current issue' },
+  mcp__failure: { tool: 'mcp__logFailure', description: 'Alias for logFailure - logs a failed approach' }
+};
+
+Object.values(toolDefinitions).forEach(definition => {
+  definition.outputSchema = definition.outputSchema || createOutputSchema();
+});
+
+// Aliases share the schemas of their tools
+Object.entries(TOOL_ALIASES).forEach(([alias, { tool, description }]) => {
+  toolDefinitions[alias] = { ...toolDefinitions[tool], description };
+});
+
+/**
+ * Tools that work on the current issue or change issues; they take the work session whose
+ * current issue to use, which is also who claims and changes issues
+ */
+const SESSION_TOOLS = [
+  'mcp__getCurrentTask',
+  'mcp__setCurrentIssue',
+  'mcp__claimIssue',
+  'mcp__releaseIssue',
+  'mcp__undo',
+  'mcp__addTask',
+  'mcp__add',
+  'mcp__completeTask',
+  'mcp__complete',
+  'mcp__reopenIssue',
+  'mcp__updateTask',
+  'mcp__removeTask',
+  'mcp__moveTask',
+  'mcp__addNote',
+  'mcp__addQuestion',
+  'mcp__question',
+  'mcp__answerQuestion',
+  'mcp__logFailure',
+  'mcp__failure'
+];
+
+SESSION_TOOLS.forEach(name => {
+  toolDefinitions[name].inputSchema.properties.session = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]*$',
+    description: 'Work session whose current issue to use and that owns claims (defaults to the MCP client name, or $ISSUE_CARDS_SESSION)'
+  };
+});
+
+/**
+ * Get the parameters of a tool as a flat list
+ * 
+ * For clients of the older tool listings that show name, type and
+ * description per parameter.
+ * 
+ * @param {Object} inputSchema - Input schema of the tool
+ * @returns {Array<{name: string, type: string, description: string, required: boolean}>} Parameters
+ */
+function getToolParameters(inputSchema) {
+  const required = inputSchema.required || [];
+  
+  return Object.entries(inputSchema.properties || {}).map(([name, property]) => ({
+    name,
+    type: property.type || (property.oneOf ? property.oneOf[0].type : 'string'),
+    description: property.description || '',
+    required: required.includes(name)
+  }));
+}
+
+module.exports = {
+  toolDefinitions,
+  TOOL_ALIASES,
+  SESSION_TOOLS,
+  createOutputSchema,
+  getToolParameters
+};
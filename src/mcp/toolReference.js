@@ -0,0 +1,134 @@
+// ABOUTME: Markdown reference of the MCP tools, generated from the tool definitions
+// ABOUTME: Describes the arguments and result data of each tool for docs/mcp-tools.md
+
+const { toolDefinitions, TOOL_ALIASES } = require('./toolDefinitions');
+
+const REFERENCE_HEADER = [
+  '# MCP Tool Reference',
+  '',
+  '<!-- Generated from src/mcp/toolDefinitions.js by `npm run docs:tools`; do not edit by hand -->',
+  '',
+  'Every tool returns `{ "success": true, "data": ... }`, or `{ "success": false, "error": { "type": ..., "message": ... } }` when it fails.',
+  'The `tools/list` request of the MCP server and `GET /api/tools` of the HTTP server return the full JSON Schemas.',
+  'See [AI Integration](ai-integration.md) for how to connect to the servers.'
+];
+
+/**
+ * Describe the type of a schema in words
+ * 
+ * @param {Object} schema - JSON Schema of a value
+ * @returns {string} Type description, such as "`open`, `closed` or `all`"
+ */
+function describeType(schema) {
+  if (schema.oneOf) {
+    return schema.oneOf.map(describeType).join(' or ');
+  }
+  
+  if (schema.enum) {
+    const values = schema.enum.map(value => `\`${value}\``);
+    return values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : values[0];
+  }
+  
+  const types = [].concat(schema.type || 'any');
+  let type = types.join(' or ');
+  
+  if (types[0] === 'array' && schema.items) {
+    type = `array of ${describeType(schema.items)}`;
+  }
+  if (schema.pattern) {
+    type += ` matching \`${schema.pattern}\``;
+  }
+  if (schema.minimum !== undefined) {
+    type += ` ≥ ${schema.minimum}`;
+  }
+  
+  return type;
+}
+
+/**
+ * Escape text for a markdown table cell
+ * 
+ * @param {string} text - Cell text
+ * @returns {string} Text with pipes escaped
+ */
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Render the arguments of a tool as a markdown table
+ * 
+ * @param {Object} inputSchema - Input schema of the tool
+ * @returns {Array<string>} Lines of the table, or a sentence if there are no arguments
+ */
+function renderArguments(inputSchema) {
+  const properties = Object.entries(inputSchema.properties || {});
+  if (properties.length === 0) {
+    return ['No arguments.'];
+  }
+  
+  const required = inputSchema.required || [];
+  const lines = ['| Argument | Type | Required | Description |', '|----------|------|----------|-------------|'];
+  
+  for (const [name, property] of properties) {
+    const description = property.description || '';
+    const defaultValue = property.default !== undefined && !description.includes('default')
+      ? ` (default \`${property.default}\`)`
+      : '';
+    lines.push(`| \`${name}\` | ${escapeCell(describeType(property))} | ${required.includes(name) ? 'yes' : 'no'} | ${escapeCell(description)}${defaultValue} |`);
+  }
+  
+  return lines;
+}
+
+/**
+ * Describe the data of a successful result
+ * 
+ * @param {Object} outputSchema - Output schema of the tool
+ * @returns {string|null} Sentence listing the data fields, or null if they are not declared
+ */
+function describeResultData(outputSchema) {
+  const data = outputSchema.properties.data;
+  const fieldsSchema = data.type === 'array' ? data.items : data;
+  const fields = Object.keys((fieldsSchema && fieldsSchema.properties) || {});
+  
+  if (fields.length === 0) {
+    return null;
+  }
+  
+  const subject = data.type === 'array' ? 'A list of objects' : 'An object';
+  const orNull = [].concat(data.type).includes('null') ? ', or null' : '';
+  return `Returns: ${subject} with ${fields.map(field => `\`${field}\``).join(', ')}${orNull}.`;
+}
+
+/**
+ * Render the reference of all MCP tools
+ * 
+ * @returns {string} Markdown reference
+ */
+function renderToolReference() {
+  const lines = [...REFERENCE_HEADER];
+  const aliases = [];
+  
+  for (const [name, definition] of Object.entries(toolDefinitions)) {
+    if (TOOL_ALIASES[name]) {
+      aliases.push(`- \`${name}\`: ${definition.description}`);
+      continue;
+    }
+    
+    lines.push('', `## ${name}`, '', definition.description, '', ...renderArguments(definition.inputSchema));
+    
+    const resultData = describeResultData(definition.outputSchema);
+    if (resultData) {
+      lines.push('', resultData);
+    }
+  }
+  
+  lines.push('', '## Aliases', '', 'Aliases take the same arguments as their tools.', '', ...aliases);
+  
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  renderToolReference
+};
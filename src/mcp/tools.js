@@ -12,7 +12,12 @@ const {
   getNextIssueNumber,
   saveIssue,
   getIssue,
-  closeIssue
+  closeIssue,
+  issueExists,
+  setCurrentIssue,
+  claimIssue,
+  releaseIssue,
+  undoLastChange
 } = require('../utils/issueManager');
 const { 
   isInitialized, 
@@ -22,8 +27,10 @@ const {
   copyDefaultTemplates 
 } = require('../utils/templateInit');
 const {
+  createErrorResponse,
   createValidationError,
   createNotFoundError,
+  createConcurrencyError,
   withErrorHandling
 } = require('./errorHandler');
 const {
@@ -35,6 +42,13 @@ const {
   validateTemplate, 
   getTemplateList 
 } = require('../utils/template');
+const {
+  createTemplate,
+  copyTemplate,
+  updateTemplate,
+  removeTemplate,
+  diffTemplate
+} = require('../utils/templateAuthoring');
 const { 
   addContentToSection, 
   findSectionByName, 
@@ -42,20 +56,48 @@ const {
 } = require('../utils/sectionManager');
 const { 
   extractTasks, 
-  findCurrentTask, 
-  updateTaskStatus 
+  findCurrentTask,
+  getParentTasks
 } = require('../utils/taskParser');
+const { reopenIssueWithChanges } = require('../commands/reopen');
+const { hasTaskSelection, selectTasks, setTasksStatus } = require('../commands/completeTask');
+const { editTaskInIssue } = require('../commands/editTask');
+const { previewTask } = require('../commands/addTask');
+const { getSession } = require('../utils/session');
+const { removeTaskFromIssue } = require('../commands/removeTask');
+const { moveTaskInIssue } = require('../commands/moveTask');
+const { answerQuestionInIssue } = require('../commands/answerQuestion');
+const { setFrontMatter, createIssueMetadata } = require('../utils/frontMatter');
+const { queryIssues } = require('../utils/issueQuery');
+const { buildSearchPattern, searchIssues } = require('../utils/issueSearch');
+const { mapWithProgress } = require('../utils/progress');
+const { getHistory } = require('../utils/history');
+const { getIssueStats } = require('../utils/issueStats');
+const { resolveTemplateFields } = require('../utils/templateFields');
+const { getTemplateReferences, loadTemplatePartials, flattenTemplate } = require('../utils/templateInheritance');
+const {
+  findBlockedTasks,
+  findOpenIssueDependencies,
+  describeBlockedTasks
+} = require('../utils/taskDependencies');
+const { IssueNotFoundError, TemplateNotFoundError, UserError } = require('../utils/errors');
 
 /**
  * List all issues
  * 
  * @param {Object} args - Command arguments
  * @param {string} [args.state] - Filter by issue state (open, closed, all)
+ * @param {string|string[]} [args.label] - Only issues with all of these labels
+ * @param {string} [args.priority] - Only issues with this priority
+ * @param {string} [args.template] - Only issues created from this template
+ * @param {boolean} [args.hasOpenQuestions] - Only issues with unanswered questions
+ * @param {string} [args.sort] - Sort by number, title, progress or updated
+ * @param {number} [args.limit] - Maximum number of issues to return
  * @returns {Promise<Object>} MCP result object
  */
 const mcp__listIssues = withValidation('mcp__listIssues',
   withErrorHandling(async (args) => {
-    const issues = await getIssues(args.state);
+    const issues = await queryIssues(await getIssues(args.state), args);
     
     // Add comprehensive workflow guidance to the response
     return {
@@ -175,6 +217,105 @@ const mcp__showIssue = withValidation('mcp__showIssue', async (args) => {
   }
 });
 
+/**
+ * Search open and closed issues for text or a regular expression
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.query - Text or regular expression to search for
+ * @param {string} [args.section] - Only search this section
+ * @param {boolean} [args.regex] - Treat the query as a regular expression
+ * @param {boolean} [args.caseSensitive] - Match case exactly
+ * @param {string} [args.state] - Issue state to search (open, closed, all)
+ * @param {Object} [context] - Call context
+ * @param {AbortSignal} [context.signal] - Signal that cancels the search
+ * @param {Function} [context.onProgress] - Called with the number of issues searched and the total
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__searchIssues = withValidation('mcp__searchIssues',
+  withErrorHandling(async (args, context = {}) => {
+    const searchOptions = {
+      section: args.section,
+      regex: args.regex,
+      caseSensitive: args.caseSensitive
+    };
+    
+    try {
+      buildSearchPattern(args.query, searchOptions);
+    } catch (error) {
+      return createValidationError(error.message);
+    }
+    
+    // Search issue by issue, so a long search reports progress and can be cancelled
+    const issues = await getIssues(args.state || 'all');
+    const matches = (await mapWithProgress(issues,
+      issue => searchIssues([issue], args.query, searchOptions), context)).flat();
+    
+    return {
+      success: true,
+      data: {
+        query: args.query,
+        totalMatches: matches.length,
+        issueCount: new Set(matches.map(match => match.issueNumber)).size,
+        matches
+      }
+    };
+  }, 'searchIssues')
+);
+
+/**
+ * Get the log of changes made to issues
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - Only return changes to this issue
+ * @param {number} [args.limit] - Only return this many of the most recent changes
+ * @returns {Promise<Object>} MCP result object with the history entries, oldest first
+ */
+const mcp__getIssueHistory = withValidation('mcp__getIssueHistory',
+  withErrorHandling(async (args) => {
+    if (args.issueNumber && !(await issueExists(args.issueNumber))) {
+      return createNotFoundError('Issue', args.issueNumber);
+    }
+    
+    const entries = await getHistory({ issueNumber: args.issueNumber, limit: args.limit });
+    
+    return {
+      success: true,
+      data: {
+        issueNumber: args.issueNumber || null,
+        entries
+      }
+    };
+  }, 'getIssueHistory')
+);
+
+/**
+ * Get task progress and activity statistics for issues
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.state] - Issue state to include (open, closed, all)
+ * @param {number} [args.weeks] - Number of weeks in the completion timeline
+ * @param {number} [args.staleDays] - Days without changes after which an open issue is stalled
+ * @param {Object} [context] - Call context
+ * @param {AbortSignal} [context.signal] - Signal that cancels collecting the statistics
+ * @param {Function} [context.onProgress] - Called with the number of issues done and the total
+ * @returns {Promise<Object>} MCP result object with per-issue statistics, totals and timeline
+ */
+const mcp__getStats = withValidation('mcp__getStats',
+  withErrorHandling(async (args, context = {}) => {
+    const issues = await getIssues(args.state || 'all');
+    
+    return {
+      success: true,
+      data: await getIssueStats(issues, {
+        weeks: args.weeks,
+        staleDays: args.staleDays,
+        signal: context.signal,
+        onProgress: context.onProgress
+      })
+    };
+  }, 'getStats')
+);
+
 /**
  * Get the current task
  * 
@@ -194,7 +335,7 @@ const mcp__getCurrentTask = withValidation('mcp__getCurrentTask',
       };
     }
     
-    // Get current task for the issue
+    // Get current task for the issue, skipping blocked tasks
     const currentTask = await getCurrentTask();
     
     // Format the response
@@ -205,11 +346,34 @@ const mcp__getCurrentTask = withValidation('mcp__getCurrentTask',
       description: currentTask ? currentTask.description : null
     };
     
+    // Say which work session the issue is current in
+    const session = getSession();
+    if (session) {
+      response.session = session;
+    }
+    
     // Include context data if available
     if (currentTask && currentTask.contextData) {
       response.context = currentTask.contextData;
     }
     
+    // Subtasks come with the tasks they are part of
+    if (currentTask && currentTask.parentTasks) {
+      response.parentTasks = currentTask.parentTasks;
+    }
+    
+    // Explain which tasks were skipped because of their dependencies
+    const tasks = await extractTasks(currentIssue.content || '');
+    const blockedTasks = await findBlockedTasks(tasks, currentIssue.content);
+    
+    if (blockedTasks.size > 0) {
+      response.blockedTasks = describeBlockedTasks(tasks, blockedTasks);
+      
+      if (!currentTask) {
+        response.message = "All remaining tasks in this issue are blocked. Resolve the dependencies listed in blockedTasks, or choose another issue with mcp__listIssues.";
+      }
+    }
+    
     // Add comprehensive implementation guidance for the current task
     if (currentTask) {
       const taskHasTDDTag = currentTask.description && 
@@ -290,6 +454,138 @@ const mcp__getCurrentTask = withValidation('mcp__getCurrentTask',
   }, 'getCurrentTask')
 );
 
+/**
+ * Set the current issue, for the work session if there is one
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.issueNumber - The open issue to make current
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__setCurrentIssue = withValidation('mcp__setCurrentIssue',
+  withErrorHandling(async (args) => {
+    const session = getSession();
+    
+    try {
+      await setCurrentIssue(args.issueNumber, { session });
+    } catch (error) {
+      return createNotFoundError('Open issue', args.issueNumber);
+    }
+    
+    const currentIssue = await getCurrentIssue({ session });
+    
+    return {
+      success: true,
+      data: {
+        issueNumber: currentIssue.issueNumber,
+        title: currentIssue.title,
+        session,
+        nextSteps: "Use mcp__getCurrentTask to get the first task to implement"
+      }
+    };
+  }, 'setCurrentIssue')
+);
+
+/**
+ * Get the issue a claim tool works on: the given issue, else the current issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - The issue number
+ * @returns {Promise<string|null>} Issue number, or null if there is no current issue
+ */
+async function getClaimIssueNumber(args) {
+  if (args.issueNumber) {
+    return args.issueNumber;
+  }
+  
+  const currentIssue = await getCurrentIssue();
+  return currentIssue ? currentIssue.issueNumber : null;
+}
+
+/**
+ * Claim an open issue for the work session, or the actor without a session
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - The issue to claim (defaults to the current issue)
+ * @param {boolean} [args.force] - Take over a claim by someone else
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__claimIssue = withValidation('mcp__claimIssue',
+  withErrorHandling(async (args) => {
+    const issueNumber = await getClaimIssueNumber(args);
+    if (!issueNumber) {
+      return createErrorResponse('UserError', 'No current issue found (Specify an issue number or set a current issue)');
+    }
+    
+    let claim;
+    try {
+      claim = await claimIssue(issueNumber, { force: args.force });
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Open issue', issueNumber);
+      }
+      throw error;
+    }
+    
+    return {
+      success: true,
+      data: {
+        ...claim,
+        nextSteps: "Use mcp__releaseIssue when you stop working on the issue; completing its last task releases it too"
+      }
+    };
+  }, 'claimIssue')
+);
+
+/**
+ * Release the claim on an open issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - The issue to release (defaults to the current issue)
+ * @param {boolean} [args.force] - Release a claim by someone else
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__releaseIssue = withValidation('mcp__releaseIssue',
+  withErrorHandling(async (args) => {
+    const issueNumber = await getClaimIssueNumber(args);
+    if (!issueNumber) {
+      return createErrorResponse('UserError', 'No current issue found (Specify an issue number or set a current issue)');
+    }
+    
+    try {
+      return { success: true, data: await releaseIssue(issueNumber, { force: args.force }) };
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Open issue', issueNumber);
+      }
+      throw error;
+    }
+  }, 'releaseIssue')
+);
+
+/**
+ * Restore the previous version of the last changed issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - The issue to restore (defaults to the last changed issue)
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__undo = withValidation('mcp__undo',
+  withErrorHandling(async (args) => {
+    try {
+      return { success: true, data: await undoLastChange(args.issueNumber) };
+    } catch (error) {
+      const concurrencyError = createConcurrencyError(error);
+      if (concurrencyError) {
+        return concurrencyError;
+      }
+      if (error instanceof UserError) {
+        return createErrorResponse('UserError', `${error.message} (${error.recoveryHint})`);
+      }
+      throw error;
+    }
+  }, 'undo')
+);
+
 /**
  * Add a task to an issue
  * 
@@ -308,10 +604,42 @@ const mcp__addTask = withValidation('mcp__addTask', async (args) => {
       data: newTask
     };
   } catch (error) {
-    return createNotFoundError('Issue', args.issueNumber);
+    return createConcurrencyError(error) || createNotFoundError('Issue', args.issueNumber);
   }
 });
 
+/**
+ * Preview the task lines a task expands into without changing any issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.description - The task text, optionally with +tags at the end
+ * @param {boolean} [args.subtasks] - Nest the steps of +tags under the task
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__previewTask = withValidation('mcp__previewTask',
+  withErrorHandling(async (args) => {
+    try {
+      const preview = await previewTask(args.description, { subtasks: args.subtasks });
+      
+      return {
+        success: true,
+        data: {
+          description: args.description,
+          lines: preview.lines,
+          tags: preview.tags
+        }
+      };
+    } catch (error) {
+      if (error instanceof UserError) {
+        return createErrorResponse('UserError', error.recoveryHint
+          ? `${error.message} (${error.recoveryHint})`
+          : error.message);
+      }
+      throw error;
+    }
+  }, 'previewTask')
+);
+
 /**
  * Create a new issue from a template
  * 
@@ -325,6 +653,10 @@ const mcp__addTask = withValidation('mcp__addTask', async (args) => {
  * @param {string|string[]} [args.task] - Task or tasks to add
  * @param {string} [args.instructions] - Implementation instructions
  * @param {string} [args.nextSteps] - Multi-line list of next steps
+ * @param {string} [args.priority] - Issue priority
+ * @param {string[]} [args.labels] - Labels to attach to the issue
+ * @param {string} [args.assignee] - Person or agent responsible for the issue
+ * @param {Object} [args.fields] - Values for the custom placeholders of the template
  * @returns {Promise<Object>} MCP result object
  */
 const mcp__createIssue = withValidation('mcp__createIssue',
@@ -347,6 +679,14 @@ const mcp__createIssue = withValidation('mcp__createIssue',
       
       // Load template
       const templateContent = await loadTemplate(args.template, 'issue');
+      const partials = await loadTemplatePartials(args.template, 'issue', templateContent);
+      
+      // Check the values for the template's own placeholders
+      const fieldData = resolveTemplateFields(templateContent, args.fields, {
+        templateName: args.template,
+        partials,
+        missingHint: 'Add them to the fields parameter'
+      });
     
     // Format arrays or multi-line strings as lists
     const formatAsList = (input) => {
@@ -385,6 +725,7 @@ const mcp__createIssue = withValidation('mcp__createIssue',
     
     // Prepare template data
     const templateData = {
+      ...fieldData,
       NUMBER: issueNumber,
       TITLE: args.title,
       PROBLEM: args.problem || '',
@@ -396,8 +737,14 @@ const mcp__createIssue = withValidation('mcp__createIssue',
       NEXT_STEPS: formatAsList(args.nextSteps)
     };
     
-    // Render template
-    const issueContent = renderTemplate(templateContent, templateData);
+    // Render template and add the front matter metadata
+    const metadata = createIssueMetadata({
+      template: args.template,
+      priority: args.priority,
+      labels: args.labels,
+      assignee: args.assignee
+    });
+    const issueContent = setFrontMatter(renderTemplate(templateContent, templateData, partials), metadata);
     
     // Save issue
     await saveIssue(issueNumber, issueContent);
@@ -409,6 +756,7 @@ const mcp__createIssue = withValidation('mcp__createIssue',
         issueNumber: issueNumber,
         title: args.title,
         template: args.template,
+        metadata,
         // Add detailed workflow guidance
         workflowGuidance: {
           message: "✅ Issue created successfully! Here's how to start working on it:",
@@ -438,15 +786,21 @@ const mcp__createIssue = withValidation('mcp__createIssue',
       }
     };
   } catch (error) {
+      if (error instanceof UserError) {
+        return createValidationError(`${error.message}${error.recoveryHint ? ` (${error.recoveryHint})` : ''}`);
+      }
       return createValidationError(`Failed to create issue: ${error.message}`);
     }
   }
 );
 
 /**
- * Complete the current task and show the next task
+ * Complete the current task, or selected tasks, and show the next task
  * 
  * @param {Object} args - Command arguments
+ * @param {number|number[]} [args.index] - Indices of tasks to change instead of the current task
+ * @param {string|string[]} [args.match] - Text of tasks to change instead of the current task
+ * @param {boolean} [args.uncomplete] - Mark the selected tasks as not done
  * @returns {Promise<Object>} MCP result object
  */
 const mcp__completeTask = withValidation('mcp__completeTask',
@@ -460,25 +814,66 @@ const mcp__completeTask = withValidation('mcp__completeTask',
     
     // Extract tasks from the issue
     const tasks = await extractTasks(currentIssue.content);
+    const blockedTasks = await findBlockedTasks(tasks, currentIssue.content);
+    const completed = !args.uncomplete;
+    let changedTasks;
+    let unchangedTasks = [];
     
-    // Find the current (first uncompleted) task
-    const currentTask = findCurrentTask(tasks);
-    
-    if (!currentTask) {
-      return {
-        success: false,
-        error: {
-          type: 'UserError',
-          message: 'No tasks found or all tasks are already completed'
+    if (hasTaskSelection(args)) {
+      let selectedTasks;
+      try {
+        selectedTasks = selectTasks(tasks, args);
+      } catch (error) {
+        if (error instanceof UserError) {
+          return createErrorResponse('UserError', error.recoveryHint
+            ? `${error.message} (${error.recoveryHint})`
+            : error.message);
         }
-      };
+        throw error;
+      }
+      
+      changedTasks = selectedTasks.filter(task => task.completed !== completed);
+      unchangedTasks = selectedTasks.filter(task => task.completed === completed);
+      
+      if (changedTasks.length === 0) {
+        return createErrorResponse('UserError',
+          `Selected task${selectedTasks.length !== 1 ? 's are' : ' is'} already ${completed ? 'completed' : 'not done'}`);
+      }
+    } else if (args.uncomplete) {
+      return createValidationError('uncomplete requires index or match to choose the task');
+    } else {
+      // Find the current (first uncompleted, unblocked) task
+      const currentTask = findCurrentTask(tasks, blockedTasks);
+      
+      if (!currentTask && blockedTasks.size > 0) {
+        return {
+          success: false,
+          error: {
+            type: 'UserError',
+            message: 'All remaining tasks are blocked',
+            blockedTasks: describeBlockedTasks(tasks, blockedTasks)
+          }
+        };
+      }
+      
+      if (!currentTask) {
+        return {
+          success: false,
+          error: {
+            type: 'UserError',
+            message: 'No tasks found or all tasks are already completed'
+          }
+        };
+      }
+      
+      changedTasks = [currentTask];
     }
     
     // Update the task status
-    const updatedContent = await updateTaskStatus(
+    const updatedContent = await setTasksStatus(
       currentIssue.content, 
-      currentTask.index, 
-      true
+      changedTasks.map(task => task.index), 
+      completed
     );
     
     // Save the updated issue
@@ -486,19 +881,60 @@ const mcp__completeTask = withValidation('mcp__completeTask',
     
     // Check if all tasks are now completed
     const updatedTasks = await extractTasks(updatedContent);
-    const nextTask = findCurrentTask(updatedTasks);
+    const updatedBlockedTasks = await findBlockedTasks(updatedTasks, updatedContent);
+    const nextTask = findCurrentTask(updatedTasks, updatedBlockedTasks);
     
     // Prepare response data
     const responseData = {
-      taskCompleted: currentTask.text,
-      issueNumber: currentIssue.issueNumber
+      issueNumber: currentIssue.issueNumber,
+      updatedTasks: changedTasks.map(task => ({
+        id: `task-${task.index}`,
+        description: task.text,
+        completed
+      }))
     };
     
-    if (!nextTask) {
-      // All tasks are completed, close the issue
-      await closeIssue(currentIssue.issueNumber);
+    // A single completed task is reported the same way as completing the current task
+    if (completed && changedTasks.length === 1) {
+      responseData.taskCompleted = changedTasks[0].text;
+    }
+    
+    if (unchangedTasks.length > 0) {
+      responseData.unchangedTasks = unchangedTasks.map(task => `task-${task.index}`);
+    }
+    
+    // Parent tasks follow their subtasks
+    const rolledUpTasks = updatedTasks.filter(task => task.childIndices &&
+      task.completed !== tasks[task.index].completed &&
+      !changedTasks.some(changed => changed.index === task.index));
+    
+    if (rolledUpTasks.length > 0) {
+      responseData.parentTasksUpdated = rolledUpTasks.map(task => ({
+        id: `task-${task.index}`,
+        description: task.text,
+        completed: task.completed
+      }));
+    }
+    
+    if (!nextTask && updatedBlockedTasks.size > 0) {
+      // Only blocked tasks are left, so the issue stays open
+      responseData.nextTask = null;
+      responseData.issueCompleted = false;
+      responseData.blockedTasks = describeBlockedTasks(updatedTasks, updatedBlockedTasks);
+      responseData.nextSteps = "The remaining tasks are blocked. Resolve the dependencies listed in blockedTasks, or choose another issue with mcp__listIssues.";
+    } else if (!nextTask) {
+      // All tasks are completed, close the issue unless it depends on open issues
+      const openDependencies = await findOpenIssueDependencies(updatedTasks);
       responseData.nextTask = null;
-      responseData.issueCompleted = true;
+      
+      if (openDependencies.length > 0) {
+        responseData.issueCompleted = false;
+        responseData.openDependencies = openDependencies;
+        responseData.nextSteps = `All tasks are complete, but the issue stays open until these issues are closed: ${openDependencies.map(issueNumber => `#${issueNumber}`).join(', ')}`;
+      } else {
+        await closeIssue(currentIssue.issueNumber);
+        responseData.issueCompleted = true;
+      }
     } else {
       // There's a next task, include it in the response with clear instructions
       responseData.nextTask = {
@@ -506,6 +942,14 @@ const mcp__completeTask = withValidation('mcp__completeTask',
         description: nextTask.text
       };
       
+      const nextParentTasks = getParentTasks(updatedTasks, nextTask);
+      if (nextParentTasks.length > 0) {
+        responseData.nextTask.parentTasks = nextParentTasks.map(parent => ({
+          id: `task-${parent.index}`,
+          description: parent.text
+        }));
+      }
+      
       // Add explicit, comprehensive guidance for the next task
       responseData.taskGuidance = "Important: Please focus ONLY on completing this specific task. Do not work on any other tasks or future tasks until this task is complete and marked as completed.";
       
@@ -600,6 +1044,181 @@ const mcp__completeTask = withValidation('mcp__completeTask',
   }, 'completeTask')
 );
 
+/**
+ * Reopen a closed issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.issueNumber - The issue number to reopen
+ * @param {string} [args.reason] - Why the issue is being reopened
+ * @param {number} [args.uncheckTask] - Index of a completed task to mark as not done
+ * @param {string[]} [args.tasks] - New tasks to add to the issue
+ * @param {boolean} [args.setCurrent] - Make the reopened issue current
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__reopenIssue = withValidation('mcp__reopenIssue',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await reopenIssueWithChanges(args.issueNumber, {
+        reason: args.reason,
+        uncheck: args.uncheckTask,
+        tasks: args.tasks,
+        setCurrent: args.setCurrent
+      });
+      
+      return {
+        success: true,
+        data: {
+          issueNumber: result.issueNumber,
+          title: result.title,
+          reopened: true,
+          isCurrent: Boolean(args.setCurrent),
+          openTasks: result.openTasks,
+          workflowGuidance: {
+            message: result.openTasks > 0
+              ? "✅ Issue reopened. Set it as current and continue with its open tasks."
+              : "⚠️ Issue reopened, but it has no open tasks. Add the follow-up work with mcp__addTask.",
+            nextSteps: [
+              "1️⃣ Use mcp__setCurrentIssue if the issue is not current yet",
+              "2️⃣ Use mcp__getCurrentTask to see the next open task"
+            ]
+          }
+        }
+      };
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Issue', args.issueNumber);
+      }
+      if (error instanceof UserError) {
+        return createErrorResponse('UserError', error.recoveryHint
+          ? `${error.message} (${error.recoveryHint})`
+          : error.message);
+      }
+      throw error;
+    }
+  }, 'reopenIssue')
+);
+
+/**
+ * Change the text of a task
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - Issue number (uses current if not specified)
+ * @param {number} args.index - Index of the task to edit
+ * @param {string} args.description - New task text, optionally with +tags at the end
+ * @param {boolean} [args.force] - Allow editing a completed task
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__updateTask = withValidation('mcp__updateTask',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await editTaskInIssue(args.issueNumber, args.index, args.description, {
+        force: args.force,
+        forceHint: 'Set force to true to change a completed task'
+      });
+      
+      return {
+        success: true,
+        data: {
+          issueNumber: result.issueNumber,
+          index: result.index,
+          previousDescription: result.previousText,
+          tasks: result.tasks
+        }
+      };
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Issue', args.issueNumber);
+      }
+      if (error instanceof UserError) {
+        return createErrorResponse('UserError', error.recoveryHint
+          ? `${error.message} (${error.recoveryHint})`
+          : error.message);
+      }
+      throw error;
+    }
+  }, 'updateTask')
+);
+
+/**
+ * Remove a task from an issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - Issue number (uses current if not specified)
+ * @param {number} args.index - Index of the task to remove
+ * @param {boolean} [args.force] - Allow removing a completed task, or one with completed subtasks
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__removeTask = withValidation('mcp__removeTask',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await removeTaskFromIssue(args.issueNumber, args.index, {
+        force: args.force,
+        forceHint: 'Set force to true to change a completed task'
+      });
+      
+      return {
+        success: true,
+        data: {
+          issueNumber: result.issueNumber,
+          index: result.index,
+          removedTask: result.removedText
+        }
+      };
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Issue', args.issueNumber);
+      }
+      if (error instanceof UserError) {
+        return createErrorResponse('UserError', error.recoveryHint
+          ? `${error.message} (${error.recoveryHint})`
+          : error.message);
+      }
+      throw error;
+    }
+  }, 'removeTask')
+);
+
+/**
+ * Move a task to a new position in its issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - Issue number (uses current if not specified)
+ * @param {number} args.index - Current index of the task
+ * @param {number} args.to - Index of the task whose position it takes
+ * @param {boolean} [args.force] - Allow moving a completed task
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__moveTask = withValidation('mcp__moveTask',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await moveTaskInIssue(args.issueNumber, args.index, args.to, {
+        force: args.force,
+        forceHint: 'Set force to true to change a completed task'
+      });
+      
+      return {
+        success: true,
+        data: {
+          issueNumber: result.issueNumber,
+          from: result.from,
+          to: result.to,
+          description: result.text
+        }
+      };
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Issue', args.issueNumber);
+      }
+      if (error instanceof UserError) {
+        return createErrorResponse('UserError', error.recoveryHint
+          ? `${error.message} (${error.recoveryHint})`
+          : error.message);
+      }
+      throw error;
+    }
+  }, 'moveTask')
+);
+
 /**
  * Add a plain text note to a specific section of an issue
  * 
@@ -671,7 +1290,7 @@ const mcp__addNote = withValidation('mcp__addNote',
       }
     } catch (error) {
       // Handle issue not found
-      return createNotFoundError('Issue', issueNumber);
+      return createConcurrencyError(error) || createNotFoundError('Issue', issueNumber);
     }
   }, 'addNote')
 );
@@ -746,11 +1365,50 @@ const mcp__addQuestion = withValidation('mcp__addQuestion',
       };
     } catch (error) {
       // Handle issue not found
-      return createNotFoundError('Issue', issueNumber);
+      return createConcurrencyError(error) || createNotFoundError('Issue', issueNumber);
     }
   }, 'addQuestion')
 );
 
+/**
+ * Answer a question in an issue
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} [args.issueNumber] - Issue number (uses current if not specified)
+ * @param {number} [args.index] - Index of the question to answer
+ * @param {string} [args.match] - Text of the question to answer
+ * @param {string} args.answer - The answer
+ * @param {boolean} [args.addToApproach] - Also add the answer to the Planned approach section
+ * @param {boolean} [args.force] - Add another answer to a question that was already answered
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__answerQuestion = withValidation('mcp__answerQuestion',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await answerQuestionInIssue(args.issueNumber, { index: args.index, match: args.match }, args.answer, {
+        addToApproach: args.addToApproach,
+        force: args.force,
+        forceHint: 'Set force to true to add another answer'
+      });
+      
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      if (error instanceof IssueNotFoundError) {
+        return createNotFoundError('Issue', args.issueNumber);
+      }
+      if (error instanceof UserError) {
+        return createErrorResponse(error.name, error.recoveryHint
+          ? `${error.message} (${error.recoveryHint})`
+          : error.message);
+      }
+      throw error;
+    }
+  }, 'answerQuestion')
+);
+
 /**
  * Log a failed approach to an issue
  * 
@@ -818,7 +1476,7 @@ const mcp__logFailure = withValidation('mcp__logFailure',
       };
     } catch (error) {
       // Handle issue not found
-      return createNotFoundError('Issue', issueNumber);
+      return createConcurrencyError(error) || createNotFoundError('Issue', issueNumber);
     }
   }, 'logFailure')
 );
@@ -898,14 +1556,20 @@ const mcp__showTemplate = withValidation('mcp__showTemplate',
       
       // Load the template
       const content = await loadTemplate(args.name, args.type);
+      const data = {
+        name: args.name,
+        type: args.type,
+        content
+      };
+      
+      // Issue templates that extend or include others also come as they render
+      if (args.type === 'issue' && getTemplateReferences(content).length > 0) {
+        data.resolvedContent = flattenTemplate(content, await loadTemplatePartials(args.name, args.type, content));
+      }
       
       return {
         success: true,
-        data: {
-          name: args.name,
-          type: args.type,
-          content
-        }
+        data
       };
     } catch (error) {
       return createValidationError(`Failed to show template: ${error.message}`);
@@ -913,21 +1577,187 @@ const mcp__showTemplate = withValidation('mcp__showTemplate',
   }
 );
 
+/**
+ * Turn an error from the template authoring utilities into an MCP result
+ * 
+ * @param {Error} error - The error
+ * @param {string} name - Template name
+ * @param {string} [type] - Template type
+ * @returns {Object} MCP error result
+ * @throws {Error} If the error is not a user error
+ */
+function createTemplateErrorResponse(error, name, type) {
+  if (error instanceof TemplateNotFoundError) {
+    return createNotFoundError('Template', type ? `${name} (${type})` : name);
+  }
+  if (error instanceof UserError) {
+    return createErrorResponse('UserError', error.recoveryHint
+      ? `${error.message} (${error.recoveryHint})`
+      : error.message);
+  }
+  throw error;
+}
+
+/**
+ * Create a new template
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.type - Template type (issue or tag)
+ * @param {string} args.name - Name of the new template
+ * @param {string} [args.content] - Template content (defaults to a skeleton to fill in)
+ * @param {boolean} [args.force] - Replace an existing template
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__createTemplate = withValidation('mcp__createTemplate',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await createTemplate(args.name, args.type, args.content, {
+        force: args.force,
+        forceHint: 'Set force to true to replace it'
+      });
+      
+      return {
+        success: true,
+        data: {
+          name: result.name,
+          type: result.type,
+          content: await loadTemplate(result.name, result.type)
+        }
+      };
+    } catch (error) {
+      return createTemplateErrorResponse(error, args.name, args.type);
+    }
+  }, 'createTemplate')
+);
+
+/**
+ * Copy a template under a new name
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.source - Name of the template to copy
+ * @param {string} args.name - Name of the new template
+ * @param {string} [args.type] - Template type (looked up when not given)
+ * @param {boolean} [args.force] - Replace an existing template
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__copyTemplate = withValidation('mcp__copyTemplate',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await copyTemplate(args.source, args.name, {
+        type: args.type,
+        force: args.force,
+        forceHint: 'Set force to true to replace it'
+      });
+      
+      return {
+        success: true,
+        data: {
+          source: result.source,
+          name: result.name,
+          type: result.type
+        }
+      };
+    } catch (error) {
+      return createTemplateErrorResponse(error, args.source, args.type);
+    }
+  }, 'copyTemplate')
+);
+
+/**
+ * Replace the content of a template
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.name - Template name
+ * @param {string} [args.type] - Template type (looked up when not given)
+ * @param {string} args.content - New template content
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__updateTemplate = withValidation('mcp__updateTemplate',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await updateTemplate(args.name, args.type, args.content);
+      
+      return {
+        success: true,
+        data: {
+          name: result.name,
+          type: result.type,
+          changed: result.changed
+        }
+      };
+    } catch (error) {
+      return createTemplateErrorResponse(error, args.name, args.type);
+    }
+  }, 'updateTemplate')
+);
+
+/**
+ * Remove a template
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.name - Template name
+ * @param {string} [args.type] - Template type (looked up when not given)
+ * @param {boolean} [args.force] - Remove the template even if other templates extend or include it
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__removeTemplate = withValidation('mcp__removeTemplate',
+  withErrorHandling(async (args) => {
+    try {
+      const result = await removeTemplate(args.name, args.type, {
+        force: args.force,
+        forceHint: 'set force to true to remove it anyway'
+      });
+      
+      return {
+        success: true,
+        data: {
+          name: result.name,
+          type: result.type,
+          removed: true
+        }
+      };
+    } catch (error) {
+      return createTemplateErrorResponse(error, args.name, args.type);
+    }
+  }, 'removeTemplate')
+);
+
+/**
+ * Compare a template with the default of the same name that comes with issue-cards
+ * 
+ * @param {Object} args - Command arguments
+ * @param {string} args.name - Template name
+ * @param {string} [args.type] - Template type (looked up when not given)
+ * @returns {Promise<Object>} MCP result object
+ */
+const mcp__diffTemplate = withValidation('mcp__diffTemplate',
+  withErrorHandling(async (args) => {
+    try {
+      return {
+        success: true,
+        data: await diffTemplate(args.name, args.type)
+      };
+    } catch (error) {
+      return createTemplateErrorResponse(error, args.name, args.type);
+    }
+  }, 'diffTemplate')
+);
+
 // Create aliases for commonly used commands with proper validation
-const mcp__complete = withValidation('mcp__complete', async (args) => {
-  return await mcp__completeTask(args);
+const mcp__complete = withValidation('mcp__complete', async (args, context) => {
+  return await mcp__completeTask(args, context);
 });
 
-const mcp__add = withValidation('mcp__add', async (args) => {
-  return await mcp__addTask(args);
+const mcp__add = withValidation('mcp__add', async (args, context) => {
+  return await mcp__addTask(args, context);
 });
 
-const mcp__question = withValidation('mcp__question', async (args) => {
-  return await mcp__addQuestion(args);
+const mcp__question = withValidation('mcp__question', async (args, context) => {
+  return await mcp__addQuestion(args, context);
 });
 
-const mcp__failure = withValidation('mcp__failure', async (args) => {
-  return await mcp__logFailure(args);
+const mcp__failure = withValidation('mcp__failure', async (args, context) => {
+  return await mcp__logFailure(args, context);
 });
 
 /**
@@ -980,15 +1810,33 @@ const mcp__init = withValidation('mcp__init',
 module.exports = {
   mcp__listIssues,
   mcp__showIssue,
+  mcp__searchIssues,
+  mcp__getIssueHistory,
+  mcp__getStats,
   mcp__getCurrentTask,
+  mcp__setCurrentIssue,
+  mcp__claimIssue,
+  mcp__releaseIssue,
+  mcp__undo,
   mcp__addTask,
+  mcp__previewTask,
   mcp__createIssue,
   mcp__completeTask,
+  mcp__reopenIssue,
+  mcp__updateTask,
+  mcp__removeTask,
+  mcp__moveTask,
   mcp__addNote,
   mcp__addQuestion,
+  mcp__answerQuestion,
   mcp__logFailure,
   mcp__listTemplates,
   mcp__showTemplate,
+  mcp__createTemplate,
+  mcp__copyTemplate,
+  mcp__updateTemplate,
+  mcp__removeTemplate,
+  mcp__diffTemplate,
   mcp__init,
   // Aliases
   mcp__complete,
@@ -3,6 +3,10 @@
 
 const Ajv = require('ajv');
 const { createValidationError } = require('./errorHandler');
+const { runWithActivity } = require('../utils/history');
+const { runWithSession } = require('../utils/session');
+const { runWithIssueVersions } = require('../utils/issueLock');
+const { toolDefinitions, SESSION_TOOLS } = require('./toolDefinitions');
 
 // Create Ajv instance
 const ajv = new Ajv({
@@ -11,313 +15,10 @@ const ajv = new Ajv({
   useDefaults: true
 });
 
-// Define schemas for each MCP tool
-const schemas = {
-  // Schema for mcp__listIssues
-  mcp__listIssues: {
-    type: 'object',
-    properties: {
-      state: {
-        type: 'string',
-        enum: ['open', 'closed', 'all'],
-        default: 'all'
-      }
-    },
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__showIssue
-  mcp__showIssue: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      }
-    },
-    required: ['issueNumber'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__getCurrentTask
-  mcp__getCurrentTask: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__addTask
-  mcp__addTask: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      description: {
-        type: 'string',
-        minLength: 1
-      }
-    },
-    required: ['issueNumber', 'description'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__createIssue
-  mcp__createIssue: {
-    type: 'object',
-    properties: {
-      template: {
-        type: 'string',
-        minLength: 1
-      },
-      title: {
-        type: 'string',
-        minLength: 1
-      },
-      problem: {
-        type: 'string'
-      },
-      approach: {
-        type: 'string'
-      },
-      failedApproaches: {
-        type: 'string'
-      },
-      questions: {
-        type: 'string'
-      },
-      task: {
-        oneOf: [
-          { type: 'string', minLength: 1 },
-          { 
-            type: 'array', 
-            items: { type: 'string', minLength: 1 }
-          }
-        ]
-      },
-      instructions: {
-        type: 'string'
-      },
-      nextSteps: {
-        type: 'string'
-      }
-    },
-    required: ['template', 'title'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__completeTask
-  mcp__completeTask: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__addNote
-  mcp__addNote: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      note: {
-        type: 'string',
-        minLength: 1
-      },
-      section: {
-        type: 'string',
-        minLength: 1
-      }
-    },
-    required: ['note', 'section'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__addQuestion
-  mcp__addQuestion: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      question: {
-        type: 'string',
-        minLength: 1
-      }
-    },
-    required: ['question'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__logFailure
-  mcp__logFailure: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      approach: {
-        type: 'string',
-        minLength: 1
-      },
-      reason: {
-        type: 'string',
-        default: 'Not specified'
-      }
-    },
-    required: ['approach'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__listTemplates
-  mcp__listTemplates: {
-    type: 'object',
-    properties: {
-      type: {
-        type: 'string',
-        enum: ['issue', 'tag']
-      }
-    },
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__showTemplate
-  mcp__showTemplate: {
-    type: 'object',
-    properties: {
-      name: {
-        type: 'string',
-        minLength: 1
-      },
-      type: {
-        type: 'string',
-        enum: ['issue', 'tag']
-      }
-    },
-    required: ['name', 'type'],
-    additionalProperties: false
-  },
-  
-  // Alias schemas - duplicate the original schemas
-  mcp__complete: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  mcp__add: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      description: {
-        type: 'string',
-        minLength: 1
-      }
-    },
-    required: ['issueNumber', 'description'],
-    additionalProperties: false
-  },
-  
-  mcp__question: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      question: {
-        type: 'string',
-        minLength: 1
-      }
-    },
-    required: ['question'],
-    additionalProperties: false
-  },
-  
-  mcp__failure: {
-    type: 'object',
-    properties: {
-      issueNumber: {
-        type: 'string',
-        pattern: '^\\d{4}$'
-      },
-      approach: {
-        type: 'string',
-        minLength: 1
-      },
-      reason: {
-        type: 'string',
-        default: 'Not specified'
-      }
-    },
-    required: ['approach'],
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__onboarding
-  mcp__onboarding: {
-    type: 'object',
-    properties: {
-      role: {
-        type: 'string',
-        enum: ['pm', 'developer', 'reviewer'],
-        default: 'pm'
-      }
-    },
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__workflow
-  mcp__workflow: {
-    type: 'object',
-    properties: {
-      workflow: {
-        type: 'string'
-      }
-    },
-    additionalProperties: false
-  },
-  
-  // Alias schemas for onboarding
-  mcp__pm: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  mcp__dev: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  mcp__reviewer: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__init
-  mcp__init: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  },
-  
-  // Schema for mcp__availableTags
-  mcp__availableTags: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  }
-};
+// Input schemas of the tools, by tool name
+const schemas = Object.fromEntries(
+  Object.entries(toolDefinitions).map(([name, definition]) => [name, definition.inputSchema])
+);
 
 // Compile schemas
 const validators = {};
@@ -367,6 +68,11 @@ function validateArgs(toolName, args) {
 /**
  * Middleware that adds schema validation to MCP tools
  * 
+ * Changes the tool makes are recorded in the issue history under the tool name,
+ * and a session argument selects the work session whose current issue is used.
+ * The wrapped tool takes the call context of the transport as second argument:
+ * an abort signal that cancels the call and an onProgress callback.
+ * 
  * @param {Function|string} toolFuncOrName - The tool function to wrap or explicit tool name
  * @param {Function} [actualFunc] - The actual function (when first param is a name)
  * @returns {Function} Wrapped function with validation
@@ -390,7 +96,7 @@ function withValidation(toolFuncOrName, actualFunc) {
     throw new Error('Invalid arguments to withValidation');
   }
   
-  return async function(args) {
+  return async function(args, context = {}) {
     // Determine tool name from module exports if not found
     if (!toolName) {
       // Try to find the tool name by checking what properties in the exports match this function
@@ -409,13 +115,17 @@ function withValidation(toolFuncOrName, actualFunc) {
       return validationError;
     }
     
-    // Execute tool with validated arguments
-    return await toolFunc.call(this, args);
+    // Execute tool with validated arguments, attributing issue changes to the tool and
+    // checking them against the issue versions this call read
+    return await runWithActivity({ command: toolName }, () =>
+      runWithSession(args && args.session, () =>
+        runWithIssueVersions(() => toolFunc.call(this, args, context))));
   };
 }
 
 module.exports = {
   validateArgs,
   withValidation,
-  schemas
+  schemas,
+  SESSION_TOOLS
 };
\ No newline at end of file
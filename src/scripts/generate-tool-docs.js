@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+// ABOUTME: CLI script that writes the MCP tool reference to docs/mcp-tools.md
+// ABOUTME: With --check, fails instead if the reference is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { renderToolReference } = require('../mcp/toolReference');
+
+const REFERENCE_PATH = path.join(__dirname, '..', '..', 'docs', 'mcp-tools.md');
+
+/**
+ * Write the tool reference, or check that it is up to date
+ */
+function generateToolDocs() {
+  const reference = renderToolReference();
+  
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(REFERENCE_PATH) ? fs.readFileSync(REFERENCE_PATH, 'utf8') : '';
+    if (current !== reference) {
+      console.error('docs/mcp-tools.md is out of date. Run npm run docs:tools to update it.');
+      process.exit(1);
+    }
+    console.log('docs/mcp-tools.md is up to date.');
+    return;
+  }
+  
+  fs.writeFileSync(REFERENCE_PATH, reference);
+  console.log(`Wrote ${path.relative(process.cwd(), REFERENCE_PATH)}`);
+}
+
+generateToolDocs();
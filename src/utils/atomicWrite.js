@@ -0,0 +1,50 @@
+// ABOUTME: Atomic file writes
+// ABOUTME: Writes to a temporary file and renames it, so readers never see a half-written file
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Get a temporary file path next to a file
+ * 
+ * The name starts with a dot and does not end in .md, so issue listings skip it.
+ * 
+ * @param {string} filePath - Path of the file to write
+ * @returns {string} Unique temporary path in the same directory
+ */
+function getTempFilePath(filePath) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}.tmp`);
+}
+
+/**
+ * Write a file atomically
+ * 
+ * The content is written to a temporary file in the same directory, which
+ * then replaces the file in one rename. A crash during the write leaves the
+ * previous content in place instead of a truncated file.
+ * 
+ * @param {string} filePath - Path of the file to write
+ * @param {string} content - Content to write
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = getTempFilePath(filePath);
+  
+  try {
+    await fs.promises.writeFile(tempPath, content, 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    try {
+      await fs.promises.unlink(tempPath);
+    } catch (unlinkError) {
+      // Nothing was written
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
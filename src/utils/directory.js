@@ -4,6 +4,19 @@
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Files in the issues directory that belong to one checkout and are not committed:
+ * the current issue, undo backups, per-session current issues, issue locks and
+ * temp files left by interrupted writes
+ */
+const GITIGNORE_ENTRIES = ['.current', '.backups/', '.sessions/', '*.lock', '*.tmp'];
+
+/**
+ * Git attributes for the issues directory. The history log is committed and
+ * only ever appended to, so branches that both add entries merge without conflicts.
+ */
+const GITATTRIBUTES_ENTRIES = ['history.jsonl merge=union'];
+
 /**
  * Get the absolute path to the issue directory or a subdirectory
  * 
@@ -46,10 +59,66 @@ async function createDirectoryStructure() {
   // Create template directories
   await fs.promises.mkdir(path.join(issuesDir, 'config', 'templates', 'issue'), { recursive: true });
   await fs.promises.mkdir(path.join(issuesDir, 'config', 'templates', 'tag'), { recursive: true });
+  
+  // Keep per-checkout runtime files out of version control
+  await addMissingLines(path.join(issuesDir, '.gitignore'), GITIGNORE_ENTRIES);
+  await addMissingLines(path.join(issuesDir, '.gitattributes'), GITATTRIBUTES_ENTRIES);
+}
+
+/**
+ * Append the lines a file is missing, creating the file if needed
+ * 
+ * @param {string} filePath - Path to the file
+ * @param {string[]} lines - Lines the file should contain
+ * @returns {Promise<boolean>} True if the file was changed
+ */
+async function addMissingLines(filePath, lines) {
+  let content = '';
+  
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  const existing = content.split(/\r?\n/).map(line => line.trim());
+  const missing = lines.filter(line => !existing.includes(line));
+  
+  if (missing.length === 0) {
+    return false;
+  }
+  
+  const separator = content && !content.endsWith('\n') ? '\n' : '';
+  await fs.promises.writeFile(filePath, `${content}${separator}${missing.join('\n')}\n`, 'utf8');
+  return true;
+}
+
+/**
+ * Add missing entries to the .gitignore and .gitattributes of the issues directory
+ * 
+ * Projects initialized by an earlier version lack some or all of them. Lines
+ * already in the files are kept, and nothing is written when issue tracking
+ * is not initialized.
+ * 
+ * @returns {Promise<void>}
+ */
+async function updateGitFiles() {
+  if (!(await isInitialized())) {
+    return;
+  }
+  
+  const issuesDir = getIssueDirectoryPath();
+  await addMissingLines(path.join(issuesDir, '.gitignore'), GITIGNORE_ENTRIES);
+  await addMissingLines(path.join(issuesDir, '.gitattributes'), GITATTRIBUTES_ENTRIES);
 }
 
 module.exports = {
+  GITIGNORE_ENTRIES,
+  GITATTRIBUTES_ENTRIES,
   getIssueDirectoryPath,
   isInitialized,
   createDirectoryStructure,
+  updateGitFiles,
 };
\ No newline at end of file
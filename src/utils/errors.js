@@ -157,6 +157,69 @@ class SectionNotFoundError extends UserError {
   }
 }
 
+/**
+ * Error for an issue that another process is writing
+ */
+class IssueLockedError extends UserError {
+  /**
+   * Create a new IssueLockedError
+   * 
+   * @param {string|number} issueNumber - The locked issue number
+   */
+  constructor(issueNumber) {
+    super(`Issue #${issueNumber} is locked by another process`);
+    this.name = 'IssueLockedError';
+  }
+}
+
+/**
+ * Error for an issue that changed after it was read
+ */
+class IssueConflictError extends UserError {
+  /**
+   * Create a new IssueConflictError
+   * 
+   * @param {string|number} issueNumber - The changed issue number
+   */
+  constructor(issueNumber) {
+    super(`Issue #${issueNumber} was changed by someone else while this change was being made`);
+    this.name = 'IssueConflictError';
+    this.withRecoveryHint('Run the command again to apply it to the latest version of the issue');
+  }
+}
+
+/**
+ * Error for an issue claimed by another agent
+ */
+class IssueClaimedError extends UserError {
+  /**
+   * Create a new IssueClaimedError
+   * 
+   * @param {string|number} issueNumber - The claimed issue number
+   * @param {string} owner - Who claimed the issue
+   */
+  constructor(issueNumber, owner) {
+    super(`Issue #${issueNumber} is claimed by ${owner}`);
+    this.name = 'IssueClaimedError';
+    this.owner = owner;
+  }
+}
+
+/**
+ * Error for an operation that was cancelled before it finished
+ */
+class CancelledError extends IssueCardsError {
+  /**
+   * Create a new CancelledError
+   * 
+   * @param {string} [message] - Error message
+   */
+  constructor(message = 'The operation was cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
 module.exports = {
   IssueCardsError,
   UserError,
@@ -166,4 +229,8 @@ module.exports = {
   IssueNotFoundError,
   TemplateNotFoundError,
   SectionNotFoundError,
+  IssueLockedError,
+  IssueConflictError,
+  IssueClaimedError,
+  CancelledError,
 };
\ No newline at end of file
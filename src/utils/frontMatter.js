@@ -0,0 +1,273 @@
+// ABOUTME: Front matter utilities for issue files
+// ABOUTME: Parses and writes the optional YAML metadata block at the top of an issue
+
+/**
+ * Allowed values for the priority field, lowest first
+ */
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Order in which known fields are written, unknown fields follow in insertion order
+ */
+const FIELD_ORDER = ['status', 'priority', 'labels', 'assignee', 'claimed_by', 'claimed', 'template', 'created', 'updated', 'closed'];
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Format a date as a front matter timestamp (ISO 8601 without milliseconds)
+ * 
+ * @param {Date} [date=new Date()] - Date to format
+ * @returns {string} Timestamp such as 2024-05-01T12:30:00Z
+ */
+function formatTimestamp(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Parse a single scalar value
+ * 
+ * @param {string} raw - Raw value text
+ * @returns {string} Parsed value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  
+  return value;
+}
+
+/**
+ * Parse a value that may be an inline list ([a, b])
+ * 
+ * @param {string} raw - Raw value text
+ * @returns {string|string[]} Parsed value
+ */
+function parseValue(raw) {
+  const value = raw.trim();
+  
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1);
+    // Whitespace before an item is skipped, so quoted items after ", " keep their commas
+    const items = inner.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+    
+    return items
+      .map(parseScalar)
+      .filter(item => item !== '');
+  }
+  
+  return parseScalar(value);
+}
+
+/**
+ * Split issue content into its front matter metadata and markdown body
+ * 
+ * Content without a front matter block is returned unchanged as the body with
+ * empty metadata, so issues created before front matter existed keep working.
+ * 
+ * @param {string} content - Issue content
+ * @returns {Object} Object with metadata, body and hasFrontMatter
+ */
+function parseFrontMatter(content) {
+  const text = content || '';
+  const match = text.match(FRONT_MATTER_PATTERN);
+  
+  if (!match) {
+    return { metadata: {}, body: text, hasFrontMatter: false };
+  }
+  
+  const metadata = {};
+  
+  for (const line of match[1].split(/\r?\n/)) {
+    // Skip blank lines and comments
+    if (!line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+    
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      continue;
+    }
+    
+    const key = line.substring(0, separator).trim();
+    const value = parseValue(line.substring(separator + 1));
+    
+    if (value !== '') {
+      metadata[key] = value;
+    }
+  }
+  
+  return {
+    metadata,
+    body: text.substring(match[0].length),
+    hasFrontMatter: true
+  };
+}
+
+/**
+ * Format a scalar value, quoting it when it would not parse back unchanged
+ * 
+ * @param {*} value - Value to format
+ * @param {boolean} inList - Whether the value is an item of an inline list
+ * @returns {string} Formatted value
+ */
+function formatScalar(value, inList) {
+  const text = String(value);
+  const needsQuotes = text === '' ||
+    /^\s|\s$/.test(text) ||
+    /: | #/.test(text) ||
+    /^[[\]{}"'#&*!|>%@`-]/.test(text) ||
+    (inList && /[,\]]/.test(text));
+
+  return needsQuotes ? JSON.stringify(text) : text;
+}
+
+/**
+ * Serialize metadata into a front matter block
+ * 
+ * @param {Object} metadata - Metadata fields
+ * @returns {string} Front matter block, or an empty string if there is no metadata
+ */
+function stringifyFrontMatter(metadata = {}) {
+  const keys = Object.keys(metadata)
+    .filter(key => metadata[key] !== undefined && metadata[key] !== null)
+    .sort((a, b) => {
+      const orderA = FIELD_ORDER.indexOf(a) === -1 ? FIELD_ORDER.length : FIELD_ORDER.indexOf(a);
+      const orderB = FIELD_ORDER.indexOf(b) === -1 ? FIELD_ORDER.length : FIELD_ORDER.indexOf(b);
+      return orderA - orderB;
+    });
+
+  if (keys.length === 0) {
+    return '';
+  }
+
+  const lines = keys.map(key => {
+    const value = metadata[key];
+
+    if (Array.isArray(value)) {
+      return `${key}: [${value.map(item => formatScalar(item, true)).join(', ')}]`;
+    }
+
+    return `${key}: ${formatScalar(value, false)}`;
+  });
+
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Replace the front matter of issue content
+ * 
+ * @param {string} content - Issue content, with or without front matter
+ * @param {Object} metadata - New metadata fields
+ * @returns {string} Content with the new front matter block
+ */
+function setFrontMatter(content, metadata) {
+  const { body } = parseFrontMatter(content);
+  return `${stringifyFrontMatter(metadata)}${body}`;
+}
+
+/**
+ * Merge changes into the front matter of issue content
+ * 
+ * Fields set to null or undefined are removed.
+ * 
+ * @param {string} content - Issue content
+ * @param {Object} changes - Fields to change
+ * @returns {string} Updated content
+ */
+function updateFrontMatter(content, changes) {
+  const { metadata } = parseFrontMatter(content);
+  const merged = { ...metadata };
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined || value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return setFrontMatter(content, merged);
+}
+
+/**
+ * Set the updated timestamp of an issue that has front matter
+ * 
+ * Issues without front matter are returned unchanged.
+ * 
+ * @param {string} content - Issue content
+ * @param {Date} [date=new Date()] - Time of the update
+ * @returns {string} Updated content
+ */
+function touchUpdated(content, date = new Date()) {
+  if (!parseFrontMatter(content).hasFrontMatter) {
+    return content;
+  }
+
+  return updateFrontMatter(content, { updated: formatTimestamp(date) });
+}
+
+/**
+ * Normalize a label list given as an array or comma-separated string
+ * 
+ * @param {string|string[]} labels - Labels to normalize
+ * @returns {string[]} Trimmed, non-empty labels
+ */
+function normalizeLabels(labels) {
+  if (!labels) return [];
+
+  const list = Array.isArray(labels) ? labels : String(labels).split(',');
+  return list
+    .map(label => String(label).trim())
+    .filter(label => label);
+}
+
+/**
+ * Build the front matter for a newly created issue
+ * 
+ * @param {Object} fields - Issue fields
+ * @param {string} fields.template - Template used to create the issue
+ * @param {string} [fields.priority] - Issue priority
+ * @param {string|string[]} [fields.labels] - Labels as an array or comma-separated string
+ * @param {string} [fields.assignee] - Assignee
+ * @param {Date} [date=new Date()] - Creation time
+ * @returns {Object} Metadata for the new issue
+ */
+function createIssueMetadata(fields, date = new Date()) {
+  const timestamp = formatTimestamp(date);
+  const labels = normalizeLabels(fields.labels);
+
+  const metadata = { status: 'open' };
+
+  if (fields.priority) metadata.priority = fields.priority;
+  if (labels.length > 0) metadata.labels = labels;
+  if (fields.assignee) metadata.assignee = fields.assignee;
+
+  metadata.template = fields.template;
+  metadata.created = timestamp;
+  metadata.updated = timestamp;
+
+  return metadata;
+}
+
+module.exports = {
+  PRIORITIES,
+  formatTimestamp,
+  normalizeLabels,
+  createIssueMetadata,
+  parseFrontMatter,
+  stringifyFrontMatter,
+  setFrontMatter,
+  updateFrontMatter,
+  touchUpdated
+};
@@ -0,0 +1,263 @@
+// ABOUTME: Append-only activity log for issues
+// ABOUTME: Records who changed which issue, with what command, in .issues/history.jsonl
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getIssueDirectoryPath } = require('./directory');
+const { extractTasks } = require('./taskParser');
+const { getSections } = require('./sectionManager');
+const { formatTimestamp, parseFrontMatter } = require('./frontMatter');
+
+const HISTORY_FILE = 'history.jsonl';
+
+// Activity of the running process (CLI command, MCP client) and of the MCP call being handled
+const processActivity = { command: null, actor: null };
+const callActivity = new AsyncLocalStorage();
+
+let defaultActor = null;
+
+/**
+ * Get the path of the history log
+ * 
+ * @returns {string} Absolute path to .issues/history.jsonl
+ */
+function getHistoryFilePath() {
+  return path.join(getIssueDirectoryPath(), HISTORY_FILE);
+}
+
+/**
+ * Set the command and/or actor that changes made by this process are attributed to
+ * 
+ * @param {Object} activity - Activity details
+ * @param {string} [activity.command] - Command name (e.g. 'complete-task')
+ * @param {string} [activity.actor] - Who runs the command (e.g. the MCP client name)
+ */
+function setActivity(activity) {
+  for (const key of Object.keys(processActivity)) {
+    if (activity[key]) {
+      processActivity[key] = activity[key];
+    }
+  }
+}
+
+/**
+ * Run a function with changes attributed to the given command and/or actor
+ * 
+ * Used for MCP tool calls, which may run concurrently in one server process.
+ * 
+ * @param {Object} activity - Activity details (command, actor)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runWithActivity(activity, fn) {
+  return callActivity.run({ ...callActivity.getStore(), ...activity }, fn);
+}
+
+/**
+ * Determine who is making changes when no actor was set: the git user, else the OS user
+ * 
+ * @returns {string} Actor name
+ */
+function getDefaultActor() {
+  if (!defaultActor) {
+    try {
+      defaultActor = execSync('git config user.name', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+      // Not a git user, fall back to the OS user below
+    }
+    
+    if (!defaultActor) {
+      try {
+        defaultActor = os.userInfo().username;
+      } catch (error) {
+        defaultActor = 'unknown';
+      }
+    }
+  }
+  
+  return defaultActor;
+}
+
+/**
+ * Get the command and actor that changes are currently attributed to
+ * 
+ * @returns {{command: string|null, actor: string}} Current activity
+ */
+function getActivity() {
+  const store = callActivity.getStore() || {};
+  
+  return {
+    command: store.command || processActivity.command || null,
+    actor: store.actor || processActivity.actor || getDefaultActor()
+  };
+}
+
+/**
+ * Describe what changed in a list of tasks
+ * 
+ * @param {Array<Object>} before - Tasks before the change
+ * @param {Array<Object>} after - Tasks after the change
+ * @returns {Array<string>} Change descriptions, empty if the tasks are unchanged
+ */
+function describeTaskChanges(before, after) {
+  const changes = [];
+  const remaining = [...before];
+  const added = [];
+  
+  for (const task of after) {
+    const match = remaining.findIndex(previous => previous.text === task.text);
+    
+    if (match === -1) {
+      added.push(task);
+      continue;
+    }
+    
+    const [previous] = remaining.splice(match, 1);
+    if (previous.completed !== task.completed) {
+      changes.push(`${task.completed ? 'Completed' : 'Reopened'} task: ${task.text}`);
+    }
+  }
+  
+  if (added.length === 1 && remaining.length === 1) {
+    changes.push(`Changed task: ${remaining[0].text} -> ${added[0].text}`);
+  } else {
+    changes.push(...added.map(task => `Added task: ${task.text}`));
+    changes.push(...remaining.map(task => `Removed task: ${task.text}`));
+  }
+  
+  if (changes.length === 0 && before.some((task, i) => task.text !== after[i].text)) {
+    changes.push('Reordered tasks');
+  }
+  
+  return changes;
+}
+
+/**
+ * Summarize the change between two versions of an issue
+ * 
+ * @param {string|null} before - Previous content, or null for a new issue
+ * @param {string} after - New content
+ * @returns {Promise<string>} Short summary of the change
+ */
+async function describeChange(before, after) {
+  if (before === null || before === undefined) {
+    const title = after.match(/^# Issue \d+: (.+)$/m);
+    return title ? `Created issue: ${title[1].trim()}` : 'Created issue';
+  }
+  
+  const changes = describeTaskChanges(await extractTasks(before), await extractTasks(after));
+  
+  const claimedBefore = parseFrontMatter(before).metadata.claimed_by;
+  const claimedAfter = parseFrontMatter(after).metadata.claimed_by;
+  if (claimedBefore !== claimedAfter) {
+    changes.push(claimedAfter ? `Claimed by ${claimedAfter}` : `Released claim of ${claimedBefore}`);
+  }
+  
+  const previousSections = new Map(getSections(before).map(section => [section.name, section.content]));
+  for (const section of getSections(after)) {
+    if (section.name !== 'Tasks' && previousSections.get(section.name) !== section.content) {
+      changes.push(`Updated ${section.name}`);
+    }
+  }
+  
+  return changes.length > 0 ? changes.join('; ') : 'Updated issue';
+}
+
+/**
+ * Append an entry to the history log
+ * 
+ * Recording is best effort: a failure to write the log never fails the change itself.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @param {string} summary - Short description of the change
+ * @returns {Promise<Object|null>} The recorded entry, or null if it could not be written
+ */
+async function recordActivity(issueNumber, summary) {
+  const { command, actor } = getActivity();
+  const entry = {
+    timestamp: formatTimestamp(),
+    issueNumber,
+    actor,
+    command,
+    summary
+  };
+  
+  try {
+    await fs.promises.appendFile(getHistoryFilePath(), `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record the change between two versions of an issue in the history log
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @param {string|null} before - Previous content, or null for a new issue
+ * @param {string} after - New content
+ * @returns {Promise<Object|null>} The recorded entry, or null if it could not be written
+ */
+async function recordChange(issueNumber, before, after) {
+  let summary;
+  try {
+    summary = await describeChange(before, after);
+  } catch (error) {
+    summary = 'Updated issue';
+  }
+  
+  return recordActivity(issueNumber, summary);
+}
+
+/**
+ * Read entries from the history log, oldest first
+ * 
+ * @param {Object} [options={}] - Read options
+ * @param {string} [options.issueNumber] - Only return entries for this issue
+ * @param {number} [options.limit] - Only return this many of the most recent entries
+ * @returns {Promise<Array<Object>>} History entries
+ */
+async function getHistory(options = {}) {
+  let content;
+  try {
+    content = await fs.promises.readFile(getHistoryFilePath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  
+  let entries = content
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // Skip lines that were cut short
+        return null;
+      }
+    })
+    .filter(entry => entry && (!options.issueNumber || entry.issueNumber === options.issueNumber));
+  
+  if (options.limit) {
+    entries = entries.slice(-options.limit);
+  }
+  
+  return entries;
+}
+
+module.exports = {
+  getHistoryFilePath,
+  setActivity,
+  runWithActivity,
+  getActivity,
+  describeChange,
+  recordActivity,
+  recordChange,
+  getHistory
+};
@@ -0,0 +1,133 @@
+// ABOUTME: Backups of previous versions of issue files
+// ABOUTME: Keeps the last versions of each issue in .issues/.backups so changes can be undone
+
+const fs = require('fs');
+const path = require('path');
+const { getIssueDirectoryPath } = require('./directory');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const BACKUPS_DIRECTORY = '.backups';
+const BACKUP_COUNT_ENV = 'ISSUE_CARDS_BACKUPS';
+const DEFAULT_BACKUP_COUNT = 10;
+const BACKUP_FILE_PATTERN = /^(\d+)\.(open|closed)\.md$/;
+
+// Keeps backups made by this process in order when several are made in one millisecond
+let lastBackupStamp = 0;
+
+/**
+ * Get the path of the directory holding the backups
+ * 
+ * @returns {string} Absolute path to .issues/.backups
+ */
+function getBackupsDirectoryPath() {
+  return path.join(getIssueDirectoryPath(), BACKUPS_DIRECTORY);
+}
+
+/**
+ * Get how many previous versions to keep of each issue
+ * 
+ * @returns {number} Number of versions from ISSUE_CARDS_BACKUPS, 0 to keep none, default 10
+ */
+function getBackupCount() {
+  const count = parseInt(process.env[BACKUP_COUNT_ENV], 10);
+  return Number.isNaN(count) || count < 0 ? DEFAULT_BACKUP_COUNT : count;
+}
+
+/**
+ * List the backups of one issue, or of all issues, newest first
+ * 
+ * @param {string} [issueNumber] - Issue number (e.g., '0001'), all issues if not given
+ * @returns {Promise<Array<{issueNumber: string, state: string, timestamp: Date, filePath: string}>>} Backups
+ */
+async function listBackups(issueNumber) {
+  const backupsDir = getBackupsDirectoryPath();
+  let issueDirs;
+  
+  try {
+    issueDirs = issueNumber ? [`issue-${issueNumber}`] : await fs.promises.readdir(backupsDir);
+  } catch (error) {
+    return [];
+  }
+  
+  const backups = [];
+  
+  for (const issueDir of issueDirs) {
+    const match = issueDir.match(/^issue-(\d+)$/);
+    if (!match) continue;
+    
+    let files;
+    try {
+      files = await fs.promises.readdir(path.join(backupsDir, issueDir));
+    } catch (error) {
+      continue;
+    }
+    
+    for (const file of files) {
+      const fileMatch = file.match(BACKUP_FILE_PATTERN);
+      if (fileMatch) {
+        backups.push({
+          issueNumber: match[1],
+          state: fileMatch[2],
+          timestamp: new Date(parseInt(fileMatch[1], 10)),
+          filePath: path.join(backupsDir, issueDir, file)
+        });
+      }
+    }
+  }
+  
+  return backups.sort((a, b) => b.timestamp - a.timestamp || b.filePath.localeCompare(a.filePath));
+}
+
+/**
+ * Keep a copy of the version of an issue that is about to be changed
+ * 
+ * Older backups beyond ISSUE_CARDS_BACKUPS are removed. Backups are best
+ * effort: a failure to write one never fails the change itself.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @param {string} state - Where the version was, 'open' or 'closed'
+ * @param {string} content - Content of the version
+ * @returns {Promise<string|null>} Path of the backup, or null if none was made
+ */
+async function backupIssue(issueNumber, state, content) {
+  const count = getBackupCount();
+  if (count === 0 || typeof content !== 'string') {
+    return null;
+  }
+  
+  try {
+    const issueDir = path.join(getBackupsDirectoryPath(), `issue-${issueNumber}`);
+    await fs.promises.mkdir(issueDir, { recursive: true });
+    
+    lastBackupStamp = Math.max(Date.now(), lastBackupStamp + 1);
+    const filePath = path.join(issueDir, `${lastBackupStamp}.${state}.md`);
+    await writeFileAtomic(filePath, content);
+    
+    const outdated = (await listBackups(issueNumber)).slice(count);
+    await Promise.all(outdated.map(backup => fs.promises.unlink(backup.filePath)));
+    
+    return filePath;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the newest backup of one issue, or of all issues
+ * 
+ * @param {string} [issueNumber] - Issue number (e.g., '0001'), all issues if not given
+ * @returns {Promise<Object|null>} Backup as returned by listBackups, or null if there is none
+ */
+async function getLatestBackup(issueNumber) {
+  const backups = await listBackups(issueNumber);
+  return backups.length > 0 ? backups[0] : null;
+}
+
+module.exports = {
+  BACKUP_COUNT_ENV,
+  getBackupsDirectoryPath,
+  getBackupCount,
+  listBackups,
+  backupIssue,
+  getLatestBackup
+};
@@ -0,0 +1,161 @@
+// ABOUTME: Advisory locking and version checks for issue files
+// ABOUTME: Keeps concurrent commands and MCP calls from losing each other's changes
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getIssueDirectoryPath } = require('./directory');
+const { IssueLockedError } = require('./errors');
+
+// How long to wait for a lock, and when a lock is considered left behind by a crashed process
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 20;
+
+// Versions of the issue files read by the running process, and by the MCP call being handled
+const processVersions = new Map();
+const callVersions = new AsyncLocalStorage();
+
+/**
+ * Get the path of the lock file of an issue
+ * 
+ * The lock is per issue number, so it also covers moving the issue between
+ * the open and closed directories.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @returns {string} Absolute path to .issues/issue-<number>.lock
+ */
+function getLockFilePath(issueNumber) {
+  return path.join(getIssueDirectoryPath(), `issue-${issueNumber}.lock`);
+}
+
+/**
+ * Remove a lock file that is older than a command can take
+ * 
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Promise<boolean>} True if a stale lock was removed
+ */
+async function removeStaleLock(lockPath) {
+  try {
+    const stats = await fs.promises.stat(lockPath);
+    if (Date.now() - stats.mtimeMs < STALE_LOCK_MS) {
+      return false;
+    }
+    
+    await fs.promises.unlink(lockPath);
+    return true;
+  } catch (error) {
+    // Released in the meantime, try again
+    return error.code === 'ENOENT';
+  }
+}
+
+/**
+ * Run a function while holding the lock of an issue
+ * 
+ * The lock is a file created exclusively, so it works across processes (CLI
+ * commands, MCP servers) as well as for concurrent MCP calls in one server.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @param {Function} fn - Function to run, may be async
+ * @param {Object} [options={}] - Lock options
+ * @param {number} [options.timeout] - Milliseconds to wait for the lock
+ * @returns {Promise<*>} Result of the function
+ * @throws {IssueLockedError} If the lock could not be taken in time
+ */
+async function withIssueLock(issueNumber, fn, options = {}) {
+  const lockPath = getLockFilePath(issueNumber);
+  const timeout = options.timeout === undefined ? LOCK_TIMEOUT_MS : options.timeout;
+  const deadline = Date.now() + timeout;
+  
+  for (;;) {
+    try {
+      await fs.promises.writeFile(lockPath, `${process.pid}\n`, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      
+      if (await removeStaleLock(lockPath)) {
+        continue;
+      }
+      
+      if (Date.now() >= deadline) {
+        throw new IssueLockedError(issueNumber)
+          .withRecoveryHint(`Try again, or delete ${lockPath} if no other issue-cards command is running`);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+  
+  try {
+    return await fn();
+  } finally {
+    await fs.promises.unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * Get the version of issue content
+ * 
+ * @param {string} content - Issue content
+ * @returns {string} Short hash of the content
+ */
+function getContentVersion(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Get the versions read by the MCP call being handled, or by the process
+ * 
+ * @returns {Map<string, string>} Versions by issue file path
+ */
+function getReadVersions() {
+  return callVersions.getStore() || processVersions;
+}
+
+/**
+ * Remember the version of an issue file that was read or written
+ * 
+ * @param {string} filePath - Path to the issue file
+ * @param {string} content - Content of the file
+ */
+function rememberIssueVersion(filePath, content) {
+  if (typeof content === 'string') {
+    getReadVersions().set(path.resolve(filePath), getContentVersion(content));
+  }
+}
+
+/**
+ * Get the version of an issue file when it was last read or written
+ * 
+ * @param {string} filePath - Path to the issue file
+ * @returns {string|null} Version, or null if the file was not read
+ */
+function getRememberedVersion(filePath) {
+  return getReadVersions().get(path.resolve(filePath)) || null;
+}
+
+/**
+ * Run a function with its own record of the issue versions it reads
+ * 
+ * Used for MCP tool calls, which may run concurrently in one server process.
+ * 
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runWithIssueVersions(fn) {
+  return callVersions.run(new Map(), fn);
+}
+
+module.exports = {
+  getLockFilePath,
+  withIssueLock,
+  getContentVersion,
+  rememberIssueVersion,
+  getRememberedVersion,
+  runWithIssueVersions
+};
@@ -4,8 +4,16 @@
 const fs = require('fs');
 const path = require('path');
 const { getIssueDirectoryPath } = require('./directory');
-const { extractTasks, findCurrentTask } = require('./taskParser');
+const { extractTasks, findCurrentTask, getParentTasks } = require('./taskParser');
 const { extractContext } = require('./contextExtractor');
+const { findBlockedTasks } = require('./taskDependencies');
+const { parseFrontMatter, updateFrontMatter, touchUpdated, formatTimestamp } = require('./frontMatter');
+const { recordChange, recordActivity, getActivity, describeChange } = require('./history');
+const { getSession, getSessionsDirectoryPath, getSessionFilePath } = require('./session');
+const { withIssueLock, getContentVersion, rememberIssueVersion, getRememberedVersion } = require('./issueLock');
+const { backupIssue, getLatestBackup, getBackupCount } = require('./issueBackup');
+const { writeFileAtomic } = require('./atomicWrite');
+const { IssueCardsError, UserError, IssueNotFoundError, IssueConflictError, IssueClaimedError } = require('./errors');
 
 /**
  * Get the file path for an issue
@@ -58,9 +66,105 @@ async function getNextIssueNumber() {
   }
 }
 
+/**
+ * Read the current content of an issue file, if there is one
+ * 
+ * @param {string} filePath - Path to the issue file
+ * @returns {Promise<string|null>} Issue content, or null if the file does not exist yet
+ */
+async function readExistingIssue(filePath) {
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return typeof content === 'string' ? content : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get who claims and edits issues: the work session if there is one, else the actor
+ * 
+ * @returns {string} Owner name
+ */
+function getClaimOwner() {
+  return getSession() || getActivity().actor;
+}
+
+/**
+ * Check that an issue may be changed from its previous content to new content
+ * 
+ * The change is refused if the file changed since this command or MCP call
+ * read it, or if the issue is claimed by someone else and the change keeps
+ * their claim.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @param {string} filePath - Path to the issue file
+ * @param {string|null} previousContent - Content of the file now, or null for a new issue
+ * @param {string} content - New content
+ * @throws {IssueConflictError} If the file changed since it was read
+ * @throws {IssueClaimedError} If the issue is claimed by someone else
+ */
+function checkIssueWrite(issueNumber, filePath, previousContent, content) {
+  if (previousContent === null) {
+    return;
+  }
+  
+  const readVersion = getRememberedVersion(filePath);
+  if (readVersion && readVersion !== getContentVersion(previousContent)) {
+    throw new IssueConflictError(issueNumber);
+  }
+  
+  const owner = parseFrontMatter(previousContent).metadata.claimed_by;
+  if (owner && owner !== getClaimOwner() && parseFrontMatter(content).metadata.claimed_by === owner) {
+    throw new IssueClaimedError(issueNumber, owner)
+      .withRecoveryHint(`Ask ${owner} to release it, or run \`issue-cards release -i ${parseInt(issueNumber, 10)} --force\``);
+  }
+}
+
+/**
+ * Get whether an issue file is in the open or closed directory
+ * 
+ * @param {string} filePath - Path to the issue file
+ * @returns {string} 'closed' for files in the closed directory, else 'open'
+ */
+function getIssueFileState(filePath) {
+  return path.resolve(path.dirname(filePath)) === path.resolve(getIssueDirectoryPath('closed')) ? 'closed' : 'open';
+}
+
+/**
+ * Write issue content and record the change in the history log
+ * 
+ * The write holds the lock of the issue, is checked with checkIssueWrite and
+ * replaces the file atomically. The previous version is kept as a backup.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @param {string} filePath - Path to the issue file
+ * @param {string} content - Issue content in markdown format
+ * @returns {Promise<void>}
+ */
+async function writeIssueWithHistory(issueNumber, filePath, content) {
+  await withIssueLock(issueNumber, async () => {
+    const previousContent = await readExistingIssue(filePath);
+    checkIssueWrite(issueNumber, filePath, previousContent, content);
+    
+    if (previousContent !== null) {
+      await backupIssue(issueNumber, getIssueFileState(filePath), previousContent);
+    }
+    
+    const updatedContent = touchUpdated(content);
+    await writeFileAtomic(filePath, updatedContent);
+    rememberIssueVersion(filePath, updatedContent);
+    
+    await recordChange(issueNumber, previousContent, content);
+  });
+}
+
 /**
  * Save issue content to a file
  * 
+ * If the issue has front matter, its updated timestamp is refreshed. The change
+ * is recorded in the history log.
+ * 
  * @param {string} issueNumber - Issue number (e.g., '0001')
  * @param {string} content - Issue content in markdown format
  * @param {string} [status='open'] - Issue status ('open' or 'closed')
@@ -69,8 +173,11 @@ async function getNextIssueNumber() {
 async function saveIssue(issueNumber, content, status = 'open') {
   try {
     const filePath = getIssueFilePath(issueNumber, status);
-    await fs.promises.writeFile(filePath, content, 'utf8');
+    await writeIssueWithHistory(issueNumber, filePath, content);
   } catch (error) {
+    if (error instanceof IssueCardsError) {
+      throw error;
+    }
     throw new Error(`Failed to save issue: ${error.message}`);
   }
 }
@@ -86,11 +193,15 @@ async function getIssue(issueNumber) {
     // Try open directory first
     try {
       const openPath = getIssueFilePath(issueNumber, 'open');
-      return await fs.promises.readFile(openPath, 'utf8');
+      const content = await fs.promises.readFile(openPath, 'utf8');
+      rememberIssueVersion(openPath, content);
+      return content;
     } catch (openError) {
       // If not found in open, try closed directory
       const closedPath = getIssueFilePath(issueNumber, 'closed');
-      return await fs.promises.readFile(closedPath, 'utf8');
+      const content = await fs.promises.readFile(closedPath, 'utf8');
+      rememberIssueVersion(closedPath, content);
+      return content;
     }
   } catch (error) {
     throw new Error(`Issue #${issueNumber} not found`);
@@ -106,8 +217,8 @@ async function getIssue(issueNumber) {
  */
 function extractIssueTitle(content, issueNumber) {
   try {
-    // Look for the title in the first line (# Issue XXXX: Title)
-    const firstLine = content.split('\n')[0] || '';
+    // Look for the title in the first line after any front matter (# Issue XXXX: Title)
+    const firstLine = parseFrontMatter(content).body.split('\n')[0] || '';
     const match = firstLine.match(/^#\s+Issue\s+\d+:\s+(.+)$/);
     
     if (match && match[1]) {
@@ -167,6 +278,7 @@ async function getIssues(state = 'open') {
               path.join(issuesDir, file),
               'utf8'
             );
+            rememberIssueVersion(path.join(issuesDir, file), content);
             
             const title = extractIssueTitle(content, issueNumber);
             
@@ -174,7 +286,8 @@ async function getIssues(state = 'open') {
               issueNumber: issueNumber,
               title,
               content,
-              state: currentState
+              state: currentState,
+              metadata: parseFrontMatter(content).metadata
             };
           } catch (error) {
             // If we can't read the file, still return basic info with error
@@ -182,7 +295,8 @@ async function getIssues(state = 'open') {
               issueNumber: issueNumber,
               title: `Error: ${error.message}`,
               content: '',
-              state: currentState
+              state: currentState,
+              metadata: {}
             };
           }
         })
@@ -207,12 +321,31 @@ async function listIssues() {
   return getIssues('open');
 }
 
+/**
+ * Get the files that may point at the current issue, in the order they apply
+ * 
+ * @param {string|null} session - Session name, or null when working without a session
+ * @returns {Array<string>} The session's file, if any, followed by the shared .current file
+ */
+function getCurrentFilePaths(session) {
+  const currentFilePath = path.join(getIssueDirectoryPath(), '.current');
+  
+  return session ? [getSessionFilePath(session), currentFilePath] : [currentFilePath];
+}
+
 /**
  * Get the current issue, either from .current file or the oldest open issue
  * 
+ * Within a session the issue set current for the session comes first, so
+ * sessions that have not set one share the .current file.
+ * 
+ * @param {Object} [options] - Options
+ * @param {string} [options.session] - Session name (defaults to getSession())
  * @returns {Promise<Object|null>} Current issue object or null if none exists
  */
-async function getCurrentIssue() {
+async function getCurrentIssue(options = {}) {
+  const session = getSession(options.session);
+  
   try {
     const issues = await listIssues();
     
@@ -220,37 +353,39 @@ async function getCurrentIssue() {
       return null;
     }
     
-    // First check if there's a .current file
-    const currentFilePath = path.join(getIssueDirectoryPath(), '.current');
-    try {
-      // Try to read the .current file
-      const currentIssueNumber = await fs.promises.readFile(currentFilePath, 'utf8');
-      
-      // Find the issue in the list - handle both padded and unpadded formats
-      const trimmedNumber = currentIssueNumber.trim();
-      const currentIssue = issues.find(issue => {
-        // Try different formats for comparison (padded or unpadded)
-        const issueNum = issue.issueNumber;
-        const unpadded = String(parseInt(trimmedNumber, 10));
+    // First check the session's file and the .current file
+    for (const currentFilePath of getCurrentFilePaths(session)) {
+      try {
+        // Try to read the file
+        const currentIssueNumber = await fs.promises.readFile(currentFilePath, 'utf8');
         
-        return issueNum === trimmedNumber || 
-               issueNum === unpadded || 
-               issueNum === unpadded.padStart(4, '0') ||
-               parseInt(issueNum, 10) === parseInt(trimmedNumber, 10);
-      });
-      
-      // If found, return it
-      if (currentIssue) {
-        return {
-          issueNumber: currentIssue.issueNumber,
-          title: currentIssue.title,
-          content: currentIssue.content,
-          path: getIssueFilePath(currentIssue.issueNumber, 'open')
-        };
+        // Find the issue in the list - handle both padded and unpadded formats
+        const trimmedNumber = currentIssueNumber.trim();
+        const currentIssue = issues.find(issue => {
+          // Try different formats for comparison (padded or unpadded)
+          const issueNum = issue.issueNumber;
+          const unpadded = String(parseInt(trimmedNumber, 10));
+          
+          return issueNum === trimmedNumber || 
+                 issueNum === unpadded || 
+                 issueNum === unpadded.padStart(4, '0') ||
+                 parseInt(issueNum, 10) === parseInt(trimmedNumber, 10);
+        });
+        
+        // If found, return it
+        if (currentIssue) {
+          return {
+            issueNumber: currentIssue.issueNumber,
+            title: currentIssue.title,
+            content: currentIssue.content,
+            metadata: currentIssue.metadata,
+            path: getIssueFilePath(currentIssue.issueNumber, 'open')
+          };
+        }
+        // If not found or file is empty, try the next file
+      } catch (error) {
+        // If file doesn't exist or can't be read, try the next file
       }
-      // If not found or file is empty, fall back to default behavior
-    } catch (error) {
-      // If file doesn't exist or can't be read, just fall back to default behavior
     }
     
     // Return the oldest issue (first in the alphabetically sorted list)
@@ -260,6 +395,7 @@ async function getCurrentIssue() {
       issueNumber: firstIssue.issueNumber,
       title: firstIssue.title,
       content: firstIssue.content,
+      metadata: firstIssue.metadata,
       path: getIssueFilePath(firstIssue.issueNumber, 'open')
     };
   } catch (error) {
@@ -275,7 +411,9 @@ async function getCurrentIssue() {
  */
 async function readIssue(filePath) {
   try {
-    return await fs.promises.readFile(filePath, 'utf8');
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    rememberIssueVersion(filePath, content);
+    return content;
   } catch (error) {
     throw new Error(`Failed to read issue: ${error.message}`);
   }
@@ -284,14 +422,21 @@ async function readIssue(filePath) {
 /**
  * Write issue content to file path
  * 
+ * If the issue has front matter, its updated timestamp is refreshed. The change
+ * is recorded in the history log.
+ * 
  * @param {string} filePath - Path to the issue file
  * @param {string} content - Content to write
  * @returns {Promise<void>}
  */
 async function writeIssue(filePath, content) {
   try {
-    await fs.promises.writeFile(filePath, content, 'utf8');
+    const match = path.basename(filePath).match(/^issue-(\d+)\.md$/);
+    await writeIssueWithHistory(match ? match[1] : path.basename(filePath), filePath, content);
   } catch (error) {
+    if (error instanceof IssueCardsError) {
+      throw error;
+    }
     throw new Error(`Failed to write issue: ${error.message}`);
   }
 }
@@ -299,25 +444,85 @@ async function writeIssue(filePath, content) {
 /**
  * Close an issue by moving it from open to closed directory
  * 
+ * If the issue has front matter, its status and closed timestamp are recorded
+ * and its claim is released. The issue stops being current, in the .current
+ * file and in every session.
+ * 
  * @param {string} issueNumber - Issue number (e.g., '0001')
  * @returns {Promise<void>}
  */
 async function closeIssue(issueNumber) {
   try {
-    // Check that the issue exists in the open directory
-    const openPath = getIssueFilePath(issueNumber, 'open');
+    await withIssueLock(issueNumber, async () => {
+      // Check that the issue exists in the open directory
+      const openPath = getIssueFilePath(issueNumber, 'open');
+      
+      // Read the issue content to verify it exists
+      const content = await fs.promises.readFile(openPath, 'utf8');
+      await backupIssue(issueNumber, 'open', content);
+      
+      // Record the close in the front matter
+      if (parseFrontMatter(content).hasFrontMatter) {
+        const now = formatTimestamp();
+        const updatedContent = updateFrontMatter(content, {
+          status: 'closed',
+          updated: now,
+          closed: now,
+          claimed_by: null,
+          claimed: null
+        });
+        await writeFileAtomic(openPath, updatedContent);
+      }
+      
+      // Move the issue file from open to closed directory
+      const closedPath = getIssueFilePath(issueNumber, 'closed');
+      await fs.promises.rename(openPath, closedPath);
+    });
     
-    // Read the issue content to verify it exists
-    await fs.promises.readFile(openPath, 'utf8');
+    // A closed issue is no longer current anywhere
+    await clearCurrentIssue(issueNumber);
     
-    // Move the issue file from open to closed directory
-    const closedPath = getIssueFilePath(issueNumber, 'closed');
-    await fs.promises.rename(openPath, closedPath);
+    await recordActivity(issueNumber, 'Closed issue');
   } catch (error) {
     throw new Error(`Failed to close issue: ${error.message}`);
   }
 }
 
+/**
+ * Reopen an issue by moving it from closed back to open directory
+ * 
+ * If the issue has front matter, its status is reset and the closed timestamp removed.
+ * 
+ * @param {string} issueNumber - Issue number (e.g., '0001')
+ * @returns {Promise<void>}
+ */
+async function reopenIssue(issueNumber) {
+  try {
+    await withIssueLock(issueNumber, async () => {
+      // Check that the issue exists in the closed directory
+      const closedPath = getIssueFilePath(issueNumber, 'closed');
+      
+      // Read the issue content to verify it exists
+      const content = await fs.promises.readFile(closedPath, 'utf8');
+      await backupIssue(issueNumber, 'closed', content);
+      
+      // Clear the close from the front matter
+      if (parseFrontMatter(content).hasFrontMatter) {
+        const updatedContent = updateFrontMatter(content, { status: 'open', updated: formatTimestamp(), closed: null });
+        await writeFileAtomic(closedPath, updatedContent);
+      }
+      
+      // Move the issue file from closed to open directory
+      const openPath = getIssueFilePath(issueNumber, 'open');
+      await fs.promises.rename(closedPath, openPath);
+    });
+    
+    await recordActivity(issueNumber, 'Reopened issue');
+  } catch (error) {
+    throw new Error(`Failed to reopen issue: ${error.message}`);
+  }
+}
+
 /**
  * Check if an issue exists in the open or closed directory
  * 
@@ -340,10 +545,16 @@ async function issueExists(issueNumber) {
 /**
  * Set the current issue by writing the issue number to .current file
  * 
+ * Within a session only the session's own file is written.
+ * 
  * @param {string} issueNumber - Issue number to set as current
+ * @param {Object} [options] - Options
+ * @param {string} [options.session] - Session name (defaults to getSession())
  * @returns {Promise<void>}
  */
-async function setCurrentIssue(issueNumber) {
+async function setCurrentIssue(issueNumber, options = {}) {
+  const session = getSession(options.session);
+  
   try {
     // Normalize issue number - ensure it's padded to 4 digits
     const paddedIssueNumber = issueNumber.padStart(4, '0');
@@ -352,8 +563,9 @@ async function setCurrentIssue(issueNumber) {
     const openPath = getIssueFilePath(paddedIssueNumber, 'open');
     await fs.promises.access(openPath, fs.constants.F_OK);
     
-    // Write issue number to .current file
-    const currentFilePath = path.join(getIssueDirectoryPath(), '.current');
+    // Write issue number to the session's file or the .current file
+    const [currentFilePath] = getCurrentFilePaths(session);
+    await fs.promises.mkdir(path.dirname(currentFilePath), { recursive: true });
     await fs.promises.writeFile(currentFilePath, paddedIssueNumber, 'utf8');
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -363,9 +575,182 @@ async function setCurrentIssue(issueNumber) {
   }
 }
 
+/**
+ * Stop an issue from being current, in the .current file and in every session
+ * 
+ * @param {string} issueNumber - Issue number, e.g. after closing the issue
+ * @returns {Promise<void>}
+ */
+async function clearCurrentIssue(issueNumber) {
+  const sessionsPath = getSessionsDirectoryPath();
+  let sessionFiles = [];
+  
+  try {
+    sessionFiles = (await fs.promises.readdir(sessionsPath)).map(file => path.join(sessionsPath, file));
+  } catch (error) {
+    // No session has set a current issue yet
+  }
+  
+  for (const currentFilePath of [path.join(getIssueDirectoryPath(), '.current'), ...sessionFiles]) {
+    try {
+      const currentIssueNumber = await fs.promises.readFile(currentFilePath, 'utf8');
+      
+      if (currentIssueNumber.trim() === issueNumber) {
+        await fs.promises.unlink(currentFilePath);
+      }
+    } catch (error) {
+      // The file does not exist or was removed meanwhile
+    }
+  }
+}
+
+/**
+ * Read an open issue that is about to be claimed or released
+ * 
+ * @param {string} issueNumber - Issue number
+ * @returns {Promise<{issueNumber: string, filePath: string, content: string}>} The issue
+ * @throws {IssueNotFoundError} If there is no such open issue
+ */
+async function readIssueToClaim(issueNumber) {
+  const paddedIssueNumber = String(issueNumber).padStart(4, '0');
+  const filePath = getIssueFilePath(paddedIssueNumber, 'open');
+  
+  try {
+    return { issueNumber: paddedIssueNumber, filePath, content: await readIssue(filePath) };
+  } catch (error) {
+    throw new IssueNotFoundError(paddedIssueNumber)
+      .withRecoveryHint('Only open issues can be claimed');
+  }
+}
+
+/**
+ * Claim an open issue, recording who works on it in its front matter
+ * 
+ * While an issue is claimed, changes by anyone else are refused.
+ * 
+ * @param {string} issueNumber - Issue number
+ * @param {Object} [options={}] - Claim options
+ * @param {string} [options.owner] - Who claims the issue (defaults to the session, else the actor)
+ * @param {boolean} [options.force] - Take over a claim by someone else
+ * @returns {Promise<{issueNumber: string, owner: string, previousOwner: string|null}>} The claim
+ * @throws {IssueClaimedError} If someone else claimed the issue and force is not set
+ */
+async function claimIssue(issueNumber, options = {}) {
+  const issue = await readIssueToClaim(issueNumber);
+  const owner = options.owner || getClaimOwner();
+  const previousOwner = parseFrontMatter(issue.content).metadata.claimed_by || null;
+  
+  if (previousOwner && previousOwner !== owner && !options.force) {
+    throw new IssueClaimedError(issue.issueNumber, previousOwner)
+      .withRecoveryHint(`Ask ${previousOwner} to release it, or take it over with --force`);
+  }
+  
+  await writeIssue(issue.filePath, updateFrontMatter(issue.content, { claimed_by: owner, claimed: formatTimestamp() }));
+  
+  return { issueNumber: issue.issueNumber, owner, previousOwner };
+}
+
+/**
+ * Release the claim on an open issue
+ * 
+ * @param {string} issueNumber - Issue number
+ * @param {Object} [options={}] - Release options
+ * @param {string} [options.owner] - Who releases the issue (defaults to the session, else the actor)
+ * @param {boolean} [options.force] - Release a claim by someone else
+ * @returns {Promise<{issueNumber: string, owner: string|null, released: boolean}>} The
+ *   released claim, with released false if the issue was not claimed
+ * @throws {IssueClaimedError} If someone else claimed the issue and force is not set
+ */
+async function releaseIssue(issueNumber, options = {}) {
+  const issue = await readIssueToClaim(issueNumber);
+  const owner = parseFrontMatter(issue.content).metadata.claimed_by || null;
+  
+  if (!owner) {
+    return { issueNumber: issue.issueNumber, owner: null, released: false };
+  }
+  
+  if (owner !== (options.owner || getClaimOwner()) && !options.force) {
+    throw new IssueClaimedError(issue.issueNumber, owner)
+      .withRecoveryHint(`Only ${owner} can release it, unless you use --force`);
+  }
+  
+  await writeIssue(issue.filePath, updateFrontMatter(issue.content, { claimed_by: null, claimed: null }));
+  
+  return { issueNumber: issue.issueNumber, owner, released: true };
+}
+
+/**
+ * Restore the previous version of the most recently changed issue, or of the given issue
+ * 
+ * The newest backup is written back, moving the issue between the open and
+ * closed directories if it was closed or reopened since, and then removed, so
+ * undoing again goes further back.
+ * 
+ * @param {string} [issueNumber] - Issue number, the most recently changed issue if not given
+ * @returns {Promise<{issueNumber: string, state: string, previousState: string|null, undone: string}>}
+ *   The restored issue, where it was before, and a summary of the undone change
+ * @throws {UserError} If there is no earlier version to restore
+ * @throws {IssueClaimedError} If the issue is claimed by someone else
+ */
+async function undoLastChange(issueNumber) {
+  const paddedIssueNumber = issueNumber ? String(issueNumber).padStart(4, '0') : undefined;
+  const backup = await getLatestBackup(paddedIssueNumber);
+  
+  if (!backup) {
+    throw new UserError(paddedIssueNumber ? `No earlier version of issue #${paddedIssueNumber} to restore` : 'No changes to undo')
+      .withRecoveryHint(`The last ${getBackupCount()} versions of each issue are kept in .issues/.backups`);
+  }
+  
+  return withIssueLock(backup.issueNumber, async () => {
+    const content = await fs.promises.readFile(backup.filePath, 'utf8');
+    
+    // Find the issue now, which may have been closed or reopened since
+    let previousState = null;
+    let currentContent = null;
+    for (const state of [backup.state, backup.state === 'open' ? 'closed' : 'open']) {
+      currentContent = await readExistingIssue(getIssueFilePath(backup.issueNumber, state));
+      if (currentContent !== null) {
+        previousState = state;
+        break;
+      }
+    }
+    
+    // Restoring a version from before a claim would drop the claim of someone else
+    const owner = currentContent !== null && parseFrontMatter(currentContent).metadata.claimed_by;
+    if (owner && owner !== getClaimOwner()) {
+      throw new IssueClaimedError(backup.issueNumber, owner)
+        .withRecoveryHint(`Only ${owner} can undo changes to it while it is claimed`);
+    }
+    
+    const filePath = getIssueFilePath(backup.issueNumber, backup.state);
+    checkIssueWrite(backup.issueNumber, filePath, currentContent, content);
+    
+    await writeFileAtomic(filePath, content);
+    if (previousState && previousState !== backup.state) {
+      await fs.promises.unlink(getIssueFilePath(backup.issueNumber, previousState));
+    }
+    rememberIssueVersion(filePath, content);
+    await fs.promises.unlink(backup.filePath);
+    
+    let undone;
+    if (previousState === null) {
+      undone = 'Removed issue';
+    } else if (previousState !== backup.state) {
+      undone = previousState === 'closed' ? 'Closed issue' : 'Reopened issue';
+    } else {
+      undone = await describeChange(content, currentContent);
+    }
+    await recordActivity(backup.issueNumber, `Undid: ${undone}`);
+    
+    return { issueNumber: backup.issueNumber, state: backup.state, previousState, undone };
+  });
+}
+
 /**
  * Get the current task from the current issue
  * 
+ * Tasks blocked by their dependencies are skipped.
+ * 
  * @returns {Promise<Object|null>} Current task or null if no current task
  */
 async function getCurrentTask() {
@@ -380,8 +765,9 @@ async function getCurrentTask() {
     // Extract tasks from the issue content
     const tasks = await extractTasks(currentIssue.content);
     
-    // Find the first uncompleted task
-    const currentTask = findCurrentTask(tasks);
+    // Find the first uncompleted task that is not blocked
+    const blockedTasks = await findBlockedTasks(tasks, currentIssue.content);
+    const currentTask = findCurrentTask(tasks, blockedTasks);
     
     if (!currentTask) {
       return null;
@@ -391,7 +777,7 @@ async function getCurrentTask() {
     const contextData = await extractContext(currentIssue.content);
     
     // Return formatted task with context
-    return {
+    const formattedTask = {
       id: `task-${currentTask.index}`,
       description: currentTask.text,
       completed: currentTask.completed,
@@ -401,6 +787,17 @@ async function getCurrentTask() {
         instructions: contextData['Instructions'] || ''
       }
     };
+    
+    // A subtask comes with the tasks it is part of, outermost first
+    const parentTasks = getParentTasks(tasks, currentTask);
+    if (parentTasks.length > 0) {
+      formattedTask.parentTasks = parentTasks.map(parent => ({
+        id: `task-${parent.index}`,
+        description: parent.text
+      }));
+    }
+    
+    return formattedTask;
   } catch (error) {
     throw new Error(`Failed to get current task: ${error.message}`);
   }
@@ -436,7 +833,8 @@ async function getIssueByNumber(issueNumber) {
       issueNumber: paddedIssueNumber,
       title,
       content,
-      state
+      state,
+      metadata: parseFrontMatter(content).metadata
     };
   } catch (error) {
     throw new Error(`Issue #${issueNumber} not found`);
@@ -467,30 +865,42 @@ async function addTaskToIssue(issueNumber, description) {
     
     // Verify issue exists in open directory
     const openPath = getIssueFilePath(paddedIssueNumber, 'open');
-    let content;
-    
-    try {
-      content = await fs.promises.readFile(openPath, 'utf8');
-    } catch (error) {
-      throw new Error(`Issue #${issueNumber} is not an open issue`);
-    }
     
-    // Find the Tasks section
-    const tasksSectionMatch = content.match(/## Tasks\n([\s\S]*?)(?=\n##|$)/);
-    
-    if (!tasksSectionMatch) {
-      throw new Error('Tasks section not found in issue');
-    }
-    
-    // Add task to the end of the Tasks section
-    const tasksSection = tasksSectionMatch[0];
-    const newTasksSection = `${tasksSection.trimEnd()}\n- [ ] ${description}\n`;
-    
-    // Replace the Tasks section in the content
-    const newContent = content.replace(tasksSection, newTasksSection);
-    
-    // Write the updated content back to the file
-    await fs.promises.writeFile(openPath, newContent, 'utf8');
+    // Read and update the issue without letting another change in between
+    const newContent = await withIssueLock(paddedIssueNumber, async () => {
+      let content;
+      
+      try {
+        content = await fs.promises.readFile(openPath, 'utf8');
+      } catch (error) {
+        throw new Error(`Issue #${issueNumber} is not an open issue`);
+      }
+      rememberIssueVersion(openPath, content);
+      
+      // Find the Tasks section
+      const tasksSectionMatch = content.match(/## Tasks\n([\s\S]*?)(?=\n##|$)/);
+      
+      if (!tasksSectionMatch) {
+        throw new Error('Tasks section not found in issue');
+      }
+      
+      // Add task to the end of the Tasks section
+      const tasksSection = tasksSectionMatch[0];
+      const newTasksSection = `${tasksSection.trimEnd()}\n- [ ] ${description}\n`;
+      
+      // Replace the Tasks section in the content
+      const updatedContent = content.replace(tasksSection, newTasksSection);
+      checkIssueWrite(paddedIssueNumber, openPath, content, updatedContent);
+      
+      // Write the updated content back to the file, keeping the previous version
+      await backupIssue(paddedIssueNumber, 'open', content);
+      const writtenContent = touchUpdated(updatedContent);
+      await writeFileAtomic(openPath, writtenContent);
+      rememberIssueVersion(openPath, writtenContent);
+      await recordChange(paddedIssueNumber, content, updatedContent);
+      
+      return updatedContent;
+    });
     
     // Extract tasks to get the index of the new task
     const tasks = await extractTasks(newContent);
@@ -503,6 +913,9 @@ async function addTaskToIssue(issueNumber, description) {
       issueNumber: paddedIssueNumber
     };
   } catch (error) {
+    if (error instanceof IssueCardsError) {
+      throw error;
+    }
     throw new Error(`Failed to add task: ${error.message}`);
   }
 }
@@ -523,6 +936,12 @@ module.exports = {
   readIssue,
   writeIssue,
   closeIssue,
+  reopenIssue,
   issueExists,
-  setCurrentIssue
+  setCurrentIssue,
+  clearCurrentIssue,
+  getClaimOwner,
+  claimIssue,
+  releaseIssue,
+  undoLastChange
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+// ABOUTME: Issue query utilities
+// ABOUTME: Filters, sorts and limits issue lists for the list command and MCP tools
+
+const { extractTasks } = require('./taskParser');
+const { findQuestionBlocks } = require('./questionEditor');
+const { normalizeLabels } = require('./frontMatter');
+
+/**
+ * Fields issues can be sorted by
+ */
+const SORT_FIELDS = ['number', 'title', 'progress', 'updated'];
+
+/**
+ * Count completed and total tasks in an issue
+ * 
+ * @param {string} content - Issue content
+ * @returns {Promise<Object>} Progress with completed and total task counts
+ */
+async function getIssueProgress(content) {
+  const tasks = await extractTasks(content || '');
+  
+  return {
+    completed: tasks.filter(task => task.completed).length,
+    total: tasks.length
+  };
+}
+
+/**
+ * List the questions of an issue
+ * 
+ * Questions are list items in the "Questions to resolve" section; checked
+ * items ("- [x]") count as answered. Answers recorded with answer-question
+ * are nested below their question.
+ * 
+ * @param {string} content - Issue content
+ * @returns {Array<Object>} Questions with index, text, answered flag and answer (null if none was recorded)
+ */
+function getQuestions(content) {
+  return findQuestionBlocks(content).map(question => ({
+    index: question.index,
+    text: question.text,
+    answered: question.answered,
+    answer: question.answer
+  }));
+}
+
+/**
+ * Check whether an issue has unanswered questions
+ * 
+ * @param {string} content - Issue content
+ * @returns {boolean} True if at least one question is still open
+ */
+function hasOpenQuestions(content) {
+  return getQuestions(content).some(question => !question.answered);
+}
+
+/**
+ * Filter issues by their metadata and content
+ * 
+ * @param {Array<Object>} issues - Issues from getIssues()
+ * @param {Object} [filters] - Filters to apply
+ * @param {string|string[]} [filters.label] - Labels the issue must all have
+ * @param {string} [filters.priority] - Required priority
+ * @param {string} [filters.template] - Template the issue was created from
+ * @param {boolean} [filters.hasOpenQuestions] - Only issues with unanswered questions
+ * @returns {Array<Object>} Matching issues
+ */
+function filterIssues(issues, filters = {}) {
+  const labels = normalizeLabels(filters.label);
+  
+  return issues.filter(issue => {
+    const metadata = issue.metadata || {};
+    const issueLabels = Array.isArray(metadata.labels) ? metadata.labels : normalizeLabels(metadata.labels);
+    
+    if (labels.length > 0 && !labels.every(label => issueLabels.includes(label))) {
+      return false;
+    }
+    
+    if (filters.priority && metadata.priority !== filters.priority) {
+      return false;
+    }
+    
+    if (filters.template && metadata.template !== filters.template) {
+      return false;
+    }
+    
+    if (filters.hasOpenQuestions && !hasOpenQuestions(issue.content)) {
+      return false;
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Sort issues
+ * 
+ * Numbers and titles sort ascending; progress sorts the most complete issues
+ * first and updated sorts the most recently changed first. Issues without
+ * tasks or an updated timestamp go last.
+ * 
+ * @param {Array<Object>} issues - Issues with progress attached
+ * @param {string} [sortBy='number'] - One of SORT_FIELDS
+ * @returns {Array<Object>} Sorted copy of the issues
+ */
+function sortIssues(issues, sortBy = 'number') {
+  const byNumber = (a, b) => parseInt(a.issueNumber, 10) - parseInt(b.issueNumber, 10);
+  const ratio = issue => (issue.progress && issue.progress.total > 0
+    ? issue.progress.completed / issue.progress.total
+    : -1);
+  const updated = issue => (issue.metadata && issue.metadata.updated) || '';
+  
+  const comparators = {
+    number: byNumber,
+    title: (a, b) => a.title.localeCompare(b.title) || byNumber(a, b),
+    progress: (a, b) => ratio(b) - ratio(a) || byNumber(a, b),
+    updated: (a, b) => updated(b).localeCompare(updated(a)) || byNumber(a, b)
+  };
+  
+  return [...issues].sort(comparators[sortBy] || byNumber);
+}
+
+/**
+ * Filter, sort and limit issues, attaching task progress to each
+ * 
+ * @param {Array<Object>} issues - Issues from getIssues()
+ * @param {Object} [options] - Query options
+ * @param {string|string[]} [options.label] - Labels the issue must all have
+ * @param {string} [options.priority] - Required priority
+ * @param {string} [options.template] - Template the issue was created from
+ * @param {boolean} [options.hasOpenQuestions] - Only issues with unanswered questions
+ * @param {string} [options.sort='number'] - One of SORT_FIELDS
+ * @param {number} [options.limit] - Maximum number of issues to return
+ * @returns {Promise<Array<Object>>} Matching issues with a progress property
+ */
+async function queryIssues(issues, options = {}) {
+  const matching = filterIssues(issues, options);
+  
+  const withProgress = await Promise.all(matching.map(async issue => ({
+    ...issue,
+    progress: await getIssueProgress(issue.content)
+  })));
+  
+  const sorted = sortIssues(withProgress, options.sort);
+  
+  return options.limit ? sorted.slice(0, options.limit) : sorted;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  getIssueProgress,
+  getQuestions,
+  hasOpenQuestions,
+  filterIssues,
+  sortIssues,
+  queryIssues
+};
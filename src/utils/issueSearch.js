@@ -0,0 +1,203 @@
+// ABOUTME: Full-text search across issue content
+// ABOUTME: Finds matching lines with their section, task index and highlighted snippet
+
+const { getSections, findSectionByName } = require('./sectionManager');
+const { parseFrontMatter } = require('./frontMatter');
+const { findTaskBlocks } = require('./taskEditor');
+
+/**
+ * Maximum length of a snippet before it is shortened around the first match
+ */
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Build the regular expression used for a search
+ * 
+ * @param {string} query - Search text or regular expression source
+ * @param {Object} [options] - Search options
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case exactly
+ * @returns {RegExp} Global search pattern
+ * @throws {Error} If the query is empty or not a valid regular expression
+ */
+function buildSearchPattern(query, options = {}) {
+  if (!query) {
+    throw new Error('Search query cannot be empty');
+  }
+  
+  const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flags = options.caseSensitive ? 'g' : 'gi';
+  
+  // An invalid regex throws a SyntaxError such as "Invalid regular expression: /(/: Unterminated group"
+  return new RegExp(source, flags);
+}
+
+/**
+ * Find all match ranges of a pattern in a line
+ * 
+ * @param {string} line - Line to search
+ * @param {RegExp} pattern - Global search pattern
+ * @returns {Array<Object>} Ranges with start and end offsets
+ */
+function findMatchRanges(line, pattern) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+  
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    if (match[0].length === 0) {
+      // Skip empty matches so patterns like "a*" cannot loop forever
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+  
+  return ranges;
+}
+
+/**
+ * Shorten a matching line to a snippet around its first match
+ * 
+ * @param {string} line - Matching line
+ * @param {Array<Object>} ranges - Match ranges in the line
+ * @returns {Object} Snippet text and highlight ranges relative to the snippet
+ */
+function createSnippet(line, ranges) {
+  const text = line.trim();
+  const textStart = line.length - line.trimStart().length;
+  const textEnd = textStart + text.length;
+  let windowStart = textStart;
+  let windowEnd = textEnd;
+  
+  if (text.length > SNIPPET_LENGTH) {
+    windowStart = Math.max(textStart, Math.min(ranges[0].start - 20, textEnd - SNIPPET_LENGTH));
+    windowEnd = windowStart + SNIPPET_LENGTH;
+  }
+  
+  const prefix = windowStart > textStart ? '...' : '';
+  const suffix = windowEnd < textEnd ? '...' : '';
+  
+  // Convert line offsets to snippet offsets, dropping matches outside the window
+  const highlights = ranges
+    .map(range => ({
+      start: Math.max(range.start, windowStart) - windowStart + prefix.length,
+      end: Math.min(range.end, windowEnd) - windowStart + prefix.length
+    }))
+    .filter(range => range.end > range.start);
+  
+  return {
+    snippet: `${prefix}${line.substring(windowStart, windowEnd)}${suffix}`,
+    highlights
+  };
+}
+
+/**
+ * Search the content of a single issue
+ * 
+ * @param {string} content - Issue content
+ * @param {RegExp} pattern - Global search pattern
+ * @param {Object} [options] - Search options
+ * @param {string} [options.section] - Only search this section
+ * @returns {Array<Object>} Matches with section, lineNumber, line, taskIndex, snippet and highlights
+ */
+function searchIssueContent(content, pattern, options = {}) {
+  const { body } = parseFrontMatter(content);
+  const lines = body.split('\n');
+  
+  // Line numbers are reported for the whole file, including any front matter
+  const lineOffset = content.split('\n').length - lines.length;
+  
+  const sections = getSections(body);
+  
+  // Index of the task, subtasks included, that starts on each line
+  const taskStarts = new Map(findTaskBlocks(body).map(block => [block.start, block.index]));
+  let scope = null;
+  
+  if (options.section) {
+    scope = findSectionByName(body, options.section);
+    if (!scope) {
+      return [];
+    }
+  }
+  
+  const matches = [];
+  let currentSection = null;
+  let nextSection = 0;
+  let taskIndex = -1;
+  
+  for (let i = 0; i < lines.length; i++) {
+    // Heading lines start a new section and are not searched themselves
+    if (nextSection < sections.length && sections[nextSection].startLine === i) {
+      currentSection = sections[nextSection++];
+      taskIndex = -1;
+      continue;
+    }
+    
+    const line = lines[i];
+    const sectionName = currentSection ? currentSection.name : null;
+    
+    // Track the task each line belongs to, numbered like extractTasks()
+    if (sectionName === 'Tasks' && taskStarts.has(i)) {
+      taskIndex = taskStarts.get(i);
+    }
+    
+    // Lines before the first section (the title) only match unscoped searches
+    if (scope && (!currentSection || currentSection.startLine !== scope.startLine)) {
+      continue;
+    }
+    
+    const ranges = findMatchRanges(line, pattern);
+    if (ranges.length === 0) {
+      continue;
+    }
+    
+    matches.push({
+      section: sectionName,
+      lineNumber: lineOffset + i + 1,
+      line,
+      taskIndex: sectionName === 'Tasks' && taskIndex >= 0 ? taskIndex : null,
+      ...createSnippet(line, ranges)
+    });
+  }
+  
+  return matches;
+}
+
+/**
+ * Search issues for a query
+ * 
+ * @param {Array<Object>} issues - Issues from getIssues()
+ * @param {string} query - Search text or regular expression source
+ * @param {Object} [options] - Search options
+ * @param {string} [options.section] - Only search this section
+ * @param {boolean} [options.regex=false] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive=false] - Match case exactly
+ * @returns {Array<Object>} Matches with issueNumber, title and state added
+ * @throws {Error} If the query is empty or not a valid regular expression
+ */
+function searchIssues(issues, query, options = {}) {
+  const pattern = buildSearchPattern(query, options);
+  const results = [];
+  
+  for (const issue of issues) {
+    for (const match of searchIssueContent(issue.content || '', pattern, options)) {
+      results.push({
+        issueNumber: issue.issueNumber,
+        title: issue.title,
+        state: issue.state,
+        ...match
+      });
+    }
+  }
+  
+  return results;
+}
+
+module.exports = {
+  buildSearchPattern,
+  findMatchRanges,
+  createSnippet,
+  searchIssueContent,
+  searchIssues
+};
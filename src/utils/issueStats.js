@@ -0,0 +1,231 @@
+// ABOUTME: Issue statistics utilities
+// ABOUTME: Aggregates task progress, questions, failed approaches and completions over time
+
+const { getIssueDirectoryPath } = require('./directory');
+const { getSectionContent } = require('./sectionManager');
+const { getIssueProgress, getQuestions } = require('./issueQuery');
+const { getHistory } = require('./history');
+const { isGitRepository } = require('./gitDetection');
+const { safelyExecuteGit } = require('./gitOperations');
+const { mapWithProgress } = require('./progress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count the failed approaches recorded in an issue
+ * 
+ * Approaches logged with log-failure start with a "### Failed attempt" heading;
+ * approaches given when the issue was created are list items.
+ * 
+ * @param {string} content - Issue content
+ * @returns {number} Number of failed approaches
+ */
+function countFailedApproaches(content) {
+  const section = getSectionContent(content || '', 'Failed approaches');
+  
+  if (!section) {
+    return 0;
+  }
+  
+  return section.split('\n').filter(line => line.startsWith('### ') || line.startsWith('- ')).length;
+}
+
+/**
+ * Get the start (Monday, 00:00 UTC) of the week a date falls in
+ * 
+ * @param {Date} date - Any date
+ * @returns {Date} Start of its week
+ */
+function getWeekStart(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Count tasks checked off in a patch produced by git log -p
+ * 
+ * A task counts as completed when a commit adds more checked task lines to an
+ * issue file than it removes, so rewording a completed task does not count.
+ * 
+ * @param {string} patch - Output of git log -p for the issues directory
+ * @returns {Array<Object>} Completions with the commit date and count, one per commit and file
+ */
+function parseCompletions(patch) {
+  const completions = [];
+  let date = null;
+  let file = null;
+  
+  const flush = () => {
+    if (file && file.added > file.removed) {
+      completions.push({ date, count: file.added - file.removed });
+    }
+    file = null;
+  };
+  
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('commit-date ')) {
+      flush();
+      date = new Date(line.slice('commit-date '.length).trim());
+    } else if (line.startsWith('diff --git ')) {
+      flush();
+      file = { added: 0, removed: 0 };
+    } else if (file && /^\+\s*- \[x\] /.test(line)) {
+      file.added++;
+    } else if (file && /^-\s*- \[x\] /.test(line)) {
+      file.removed++;
+    }
+  }
+  flush();
+  
+  return completions;
+}
+
+/**
+ * Count completed tasks per week from the git history of the open and closed issues
+ * 
+ * @param {Object} [options={}] - Timeline options
+ * @param {number} [options.weeks=4] - Number of weeks to report, ending with the current week
+ * @param {Date} [options.now] - Current date (for testing)
+ * @returns {Promise<Array<Object>|null>} Weeks (oldest first) with start date and completed count,
+ *   or null if the issues directory is not in a git repository
+ */
+async function getCompletionTimeline(options = {}) {
+  const weeks = options.weeks || 4;
+  const issuesDir = getIssueDirectoryPath();
+  
+  if (!(await isGitRepository(issuesDir))) {
+    return null;
+  }
+  
+  const firstWeek = getWeekStart(options.now || new Date());
+  firstWeek.setUTCDate(firstWeek.getUTCDate() - (weeks - 1) * 7);
+  
+  let patch;
+  try {
+    patch = await safelyExecuteGit('log', [
+      `--since=${firstWeek.toISOString()}`,
+      '--format=commit-date%x20%cI',
+      '-p',
+      '-M',
+      '--unified=0',
+      // Only issues count; backups and templates also hold checked tasks
+      '--',
+      'open',
+      'closed'
+    ], { cwd: issuesDir, stdio: 'pipe', maxBuffer: 64 * 1024 * 1024 });
+  } catch (error) {
+    // No commits yet
+    patch = '';
+  }
+  
+  const timeline = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: new Date(firstWeek.getTime() + i * 7 * DAY_MS).toISOString().slice(0, 10),
+    completed: 0
+  }));
+  
+  for (const completion of parseCompletions(patch)) {
+    const week = Math.floor((getWeekStart(completion.date) - firstWeek) / (7 * DAY_MS));
+    if (week >= 0 && week < weeks) {
+      timeline[week].completed += completion.count;
+    }
+  }
+  
+  return timeline;
+}
+
+/**
+ * Get the time of the most recent change to each issue
+ * 
+ * Uses the history log, falling back to the updated timestamp in front matter.
+ * 
+ * @param {Array<Object>} issues - Issues from getIssues()
+ * @returns {Promise<Map<string, string>>} ISO timestamps by issue number
+ */
+async function getLastActivity(issues) {
+  const lastActivity = new Map();
+  
+  for (const issue of issues) {
+    if (issue.metadata && issue.metadata.updated) {
+      lastActivity.set(issue.issueNumber, issue.metadata.updated);
+    }
+  }
+  
+  for (const entry of await getHistory()) {
+    const previous = lastActivity.get(entry.issueNumber);
+    if (!previous || new Date(entry.timestamp) > new Date(previous)) {
+      lastActivity.set(entry.issueNumber, entry.timestamp);
+    }
+  }
+  
+  return lastActivity;
+}
+
+/**
+ * Collect statistics for a set of issues
+ * 
+ * An open issue with unfinished tasks is stalled when nothing changed in it for
+ * staleDays days. Issues without any recorded activity are never stalled.
+ * 
+ * @param {Array<Object>} issues - Issues from getIssues()
+ * @param {Object} [options={}] - Statistics options
+ * @param {number} [options.staleDays=14] - Days without changes after which an open issue is stalled
+ * @param {number} [options.weeks=4] - Number of weeks in the completion timeline
+ * @param {Date} [options.now] - Current date (for testing)
+ * @param {AbortSignal} [options.signal] - Signal that cancels collecting the statistics
+ * @param {Function} [options.onProgress] - Called with the number of issues done and the total
+ * @returns {Promise<Object>} Per-issue statistics, totals and completion timeline
+ * @throws {CancelledError} If the signal was aborted
+ */
+async function getIssueStats(issues, options = {}) {
+  const staleDays = options.staleDays || 14;
+  const now = options.now || new Date();
+  const lastActivity = await getLastActivity(issues);
+  
+  const issueStats = await mapWithProgress(issues, async issue => {
+    const progress = await getIssueProgress(issue.content);
+    const questions = getQuestions(issue.content);
+    const lastChanged = lastActivity.get(issue.issueNumber) || null;
+    
+    return {
+      issueNumber: issue.issueNumber,
+      title: issue.title,
+      state: issue.state,
+      tasks: progress,
+      percentComplete: progress.total > 0 ? Math.round(progress.completed / progress.total * 100) : null,
+      openQuestions: questions.filter(question => !question.answered).length,
+      failedApproaches: countFailedApproaches(issue.content),
+      lastActivity: lastChanged,
+      stalled: issue.state === 'open' &&
+        progress.completed < progress.total &&
+        lastChanged !== null &&
+        now - new Date(lastChanged) > staleDays * DAY_MS
+    };
+  }, options);
+  
+  const timeline = await getCompletionTimeline({ weeks: options.weeks, now });
+  const sum = key => issueStats.reduce((total, stats) => total + key(stats), 0);
+  
+  return {
+    issues: issueStats,
+    totals: {
+      issues: issueStats.length,
+      open: issueStats.filter(stats => stats.state === 'open').length,
+      closed: issueStats.filter(stats => stats.state === 'closed').length,
+      stalled: issueStats.filter(stats => stats.stalled).length,
+      tasks: sum(stats => stats.tasks.total),
+      completedTasks: sum(stats => stats.tasks.completed),
+      openQuestions: sum(stats => stats.openQuestions),
+      failedApproaches: sum(stats => stats.failedApproaches),
+      completedThisWeek: timeline ? timeline[timeline.length - 1].completed : null
+    },
+    timeline
+  };
+}
+
+module.exports = {
+  countFailedApproaches,
+  parseCompletions,
+  getCompletionTimeline,
+  getIssueStats
+};
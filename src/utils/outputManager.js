@@ -135,6 +135,18 @@ function formatDebugMsg(message, options = {}) {
     : `🐞 ${message}`;
 }
 
+/**
+ * Format a highlighted fragment of text, such as a search match
+ * 
+ * @param {string} text - The text to highlight
+ * @returns {string} - Highlighted text (wrapped in ** when colors are disabled)
+ */
+function formatHighlight(text) {
+  return config.useColors
+    ? chalk.bold.yellow(text)
+    : `**${text}**`;
+}
+
 /**
  * Format a section header and content
  * 
@@ -918,6 +930,7 @@ module.exports = {
   formatWarningMsg,
   formatInfoMsg,
   formatDebugMsg,
+  formatHighlight,
   formatSectionMsg,
   standardize,
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+// ABOUTME: Cancellation and progress reporting for long-running operations
+// ABOUTME: Processes items one by one, stopping when an abort signal fires and reporting how many are done
+
+const { CancelledError } = require('./errors');
+
+/**
+ * Throw if an operation was cancelled
+ * 
+ * @param {AbortSignal} [signal] - Abort signal of the operation
+ * @throws {CancelledError} If the signal was aborted
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Map items one at a time, reporting progress after each item
+ * 
+ * With an abort signal, each item waits for pending I/O first, so a
+ * cancellation that arrived in the meantime stops the operation.
+ * 
+ * @param {Array} items - Items to process
+ * @param {Function} fn - Function called with each item and its index, may be async
+ * @param {Object} [options={}] - Progress options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the operation
+ * @param {Function} [options.onProgress] - Called with the number of items done and the total
+ * @returns {Promise<Array>} Results of the function, in the order of the items
+ * @throws {CancelledError} If the operation was cancelled
+ */
+async function mapWithProgress(items, fn, options = {}) {
+  const { signal, onProgress } = options;
+  const results = [];
+  
+  for (let i = 0; i < items.length; i++) {
+    if (signal) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    throwIfCancelled(signal);
+    
+    results.push(await fn(items[i], i));
+    
+    if (onProgress) {
+      onProgress(i + 1, items.length);
+    }
+  }
+  
+  return results;
+}
+
+module.exports = {
+  throwIfCancelled,
+  mapWithProgress
+};
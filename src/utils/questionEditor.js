@@ -0,0 +1,149 @@
+// ABOUTME: Question editing utilities
+// ABOUTME: Finds questions in the Questions to resolve section and records their answers
+
+const { findSectionByName, addContentToSection } = require('./sectionManager');
+const { formatTimestamp } = require('./frontMatter');
+const { UserError, SectionNotFoundError } = require('./errors');
+
+const QUESTIONS_SECTION = 'Questions to resolve';
+const APPROACH_SECTION = 'Planned approach';
+const ANSWER_LINE_PATTERN = /^\s+- Answer(?: \(([^)]*)\))?: (.*)$/;
+
+/**
+ * Find the lines that make up each question in the Questions to resolve section
+ * 
+ * A question is a list item that is not indented. The indented lines directly
+ * below it, such as its answer, belong to the question.
+ * 
+ * @param {string} content - Issue content
+ * @returns {Array<Object>} Questions with index, text, answered, answer, answeredAt, start and end (exclusive) line numbers
+ */
+function findQuestionBlocks(content) {
+  const section = findSectionByName(content || '', QUESTIONS_SECTION);
+  
+  if (!section) {
+    return [];
+  }
+  
+  const lines = content.split('\n');
+  const blocks = [];
+  
+  for (let i = section.startLine + 1; i <= section.endLine; i++) {
+    const line = lines[i];
+    const last = blocks[blocks.length - 1];
+    
+    if (line.startsWith('- ')) {
+      blocks.push({
+        index: blocks.length,
+        text: line.replace(/^- (?:\[[ x]\] )?/, ''),
+        answered: line.startsWith('- [x]'),
+        answer: null,
+        answeredAt: null,
+        start: i,
+        end: i + 1
+      });
+    } else if (last && last.end === i && /^\s+\S/.test(line)) {
+      last.end = i + 1;
+      
+      // The latest answer wins when a question was answered more than once
+      const answerMatch = ANSWER_LINE_PATTERN.exec(line);
+      if (answerMatch) {
+        last.answeredAt = answerMatch[1] || null;
+        last.answer = answerMatch[2];
+      }
+    }
+  }
+  
+  return blocks;
+}
+
+/**
+ * Select a question by index or by text
+ * 
+ * Text must be contained in exactly one question (ignoring case), so a vague
+ * match never answers the wrong question.
+ * 
+ * @param {Array<Object>} questions - Questions from findQuestionBlocks()
+ * @param {Object} selection - Question to select
+ * @param {number} [selection.index] - Question index (starting at 0)
+ * @param {string} [selection.match] - Text of the question
+ * @returns {Object} The selected question
+ * @throws {UserError} If the index is out of range or the text matches no question or several questions
+ */
+function selectQuestion(questions, selection = {}) {
+  if (selection.index !== undefined && selection.index !== null) {
+    const question = questions[selection.index];
+    
+    if (!question) {
+      throw new UserError(`Question index out of range: ${selection.index}`)
+        .withRecoveryHint(`Issue has ${questions.length} question${questions.length !== 1 ? 's' : ''} (indices start at 0)`);
+    }
+    
+    return question;
+  }
+  
+  if (selection.match === undefined || selection.match === null) {
+    throw new UserError('No question selected')
+      .withRecoveryHint('Give the index or the text of the question');
+  }
+  
+  const needle = String(selection.match).toLowerCase();
+  const found = questions.filter(question => question.text.toLowerCase().includes(needle));
+  
+  if (found.length === 0) {
+    throw new UserError(`No question matches "${selection.match}"`)
+      .withRecoveryHint('Run `issue-cards show` to see the questions of the current issue');
+  }
+  
+  if (found.length > 1) {
+    throw new UserError(`"${selection.match}" matches ${found.length} questions`)
+      .withRecoveryHint(`Use more specific text or one of these indices: ${found.map(question => `${question.index} (${question.text})`).join(', ')}`);
+  }
+  
+  return found[0];
+}
+
+/**
+ * Mark a question as answered and record the answer below it
+ * 
+ * The question is checked off and the answer is added as an indented list
+ * item with the time it was given. Answering again adds another answer line.
+ * 
+ * @param {string} content - Issue content
+ * @param {number} index - Index of the question
+ * @param {string} answer - The answer
+ * @param {Object} [options] - Answer options
+ * @param {string} [options.timestamp] - Time of the answer (defaults to now)
+ * @param {boolean} [options.addToApproach=false] - Also add the answer to the Planned approach section
+ * @returns {string} Updated content
+ * @throws {UserError} If the index is out of range
+ * @throws {SectionNotFoundError} If addToApproach is set and the issue has no Planned approach section
+ */
+function answerQuestion(content, index, answer, options = {}) {
+  const question = selectQuestion(findQuestionBlocks(content), { index });
+  const timestamp = options.timestamp || formatTimestamp();
+  const answerText = answer.trim().replace(/\s*\n\s*/g, ' ');
+  const lines = content.split('\n');
+  
+  lines.splice(question.end, 0, `  - Answer (${timestamp}): ${answerText}`);
+  lines[question.start] = `- [x] ${question.text}`;
+  
+  const updatedContent = lines.join('\n');
+  
+  if (!options.addToApproach) {
+    return updatedContent;
+  }
+  
+  if (!findSectionByName(updatedContent, APPROACH_SECTION)) {
+    throw new SectionNotFoundError(APPROACH_SECTION)
+      .withRecoveryHint('Answer without adding it to the planned approach');
+  }
+  
+  return addContentToSection(updatedContent, APPROACH_SECTION, `**${question.text}** ${answerText}`);
+}
+
+module.exports = {
+  findQuestionBlocks,
+  selectQuestion,
+  answerQuestion
+};
@@ -0,0 +1,117 @@
+// ABOUTME: Named work sessions with their own current issue
+// ABOUTME: Lets parallel agents or terminals each keep a different issue current
+
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getIssueDirectoryPath } = require('./directory');
+const { UserError } = require('./errors');
+
+const SESSION_ENV = 'ISSUE_CARDS_SESSION';
+const SESSIONS_DIRECTORY = '.sessions';
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Session of the MCP call being handled, and the one of the connected MCP client
+const callSession = new AsyncLocalStorage();
+let defaultSession = null;
+
+/**
+ * Check a session name
+ * 
+ * @param {string} name - Session name
+ * @returns {string} The session name
+ * @throws {UserError} If the name is not usable as a file name
+ */
+function validateSessionName(name) {
+  if (!SESSION_NAME_PATTERN.test(name)) {
+    throw new UserError(`Invalid session name: ${name}`)
+      .withRecoveryHint('Use letters, digits, dots, dashes and underscores');
+  }
+  
+  return name;
+}
+
+/**
+ * Turn a free-form name, such as an MCP client name, into a session name
+ * 
+ * @param {string} name - Name to convert
+ * @returns {string|null} Session name, or null if nothing usable is left
+ */
+function toSessionName(name) {
+  const sessionName = String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_.-]+/g, '-')
+    .replace(/^[^a-z0-9]+|-+$/g, '');
+  
+  return sessionName || null;
+}
+
+/**
+ * Set the session used when none is given or set in ISSUE_CARDS_SESSION
+ * 
+ * The MCP server sets this to the identity of its client.
+ * 
+ * @param {string|null} name - Session name, or null for none
+ */
+function setDefaultSession(name) {
+  defaultSession = name ? validateSessionName(name) : null;
+}
+
+/**
+ * Run a function with the given session, if any
+ * 
+ * Used for MCP tool calls, which may run concurrently in one server process.
+ * 
+ * @param {string|undefined} name - Session name
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runWithSession(name, fn) {
+  return name ? callSession.run(name, fn) : fn();
+}
+
+/**
+ * Get the session to use
+ * 
+ * An explicit session wins over the one of the MCP call being handled, then
+ * ISSUE_CARDS_SESSION, then the default session.
+ * 
+ * @param {string} [name] - Explicitly given session name
+ * @returns {string|null} Session name, or null when working without a session
+ * @throws {UserError} If the session name is invalid
+ */
+function getSession(name) {
+  const session = name || callSession.getStore() || process.env[SESSION_ENV] || defaultSession;
+  
+  return session ? validateSessionName(session) : null;
+}
+
+/**
+ * Get the path of the directory holding the current issue of each session
+ * 
+ * @returns {string} Absolute path to .issues/.sessions
+ */
+function getSessionsDirectoryPath() {
+  return path.join(getIssueDirectoryPath(), SESSIONS_DIRECTORY);
+}
+
+/**
+ * Get the path of the file holding the current issue of a session
+ * 
+ * @param {string} session - Session name
+ * @returns {string} Absolute path in .issues/.sessions
+ */
+function getSessionFilePath(session) {
+  return path.join(getSessionsDirectoryPath(), validateSessionName(session));
+}
+
+module.exports = {
+  SESSION_ENV,
+  validateSessionName,
+  toSessionName,
+  setDefaultSession,
+  runWithSession,
+  getSession,
+  getSessionsDirectoryPath,
+  getSessionFilePath
+};
@@ -0,0 +1,181 @@
+// ABOUTME: Task dependency resolution
+// ABOUTME: Works out which tasks are blocked by open issues, unfinished tasks or unanswered questions
+
+const fs = require('fs');
+const path = require('path');
+const { getIssueDirectoryPath } = require('./directory');
+const { getQuestions } = require('./issueQuery');
+
+/**
+ * Look up whether an issue is open, closed or missing
+ * 
+ * @param {string} issueNumber - Padded issue number
+ * @returns {Promise<string>} 'open', 'closed' or 'missing'
+ */
+async function getIssueState(issueNumber) {
+  for (const state of ['open', 'closed']) {
+    try {
+      await fs.promises.access(path.join(getIssueDirectoryPath(state), `issue-${issueNumber}.md`), fs.constants.F_OK);
+      return state;
+    } catch (error) {
+      // Not in this directory, try the next one
+    }
+  }
+  
+  return 'missing';
+}
+
+/**
+ * Look up the state of every issue referenced by depends: markers
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @returns {Promise<Object>} Map of issue number to 'open', 'closed' or 'missing'
+ */
+async function loadIssueStates(tasks) {
+  const issueStates = {};
+  
+  for (const task of tasks) {
+    const issues = task.dependencies ? task.dependencies.issues : [];
+    
+    for (const issueNumber of issues) {
+      if (!issueStates[issueNumber]) {
+        issueStates[issueNumber] = await getIssueState(issueNumber);
+      }
+    }
+  }
+  
+  return issueStates;
+}
+
+/**
+ * List the reasons a single task is blocked
+ * 
+ * @param {Object} task - Task from extractTasks()
+ * @param {Array<Object>} tasks - All tasks of the issue
+ * @param {Array<Object>} questions - Questions from getQuestions()
+ * @param {Object} issueStates - Issue states from loadIssueStates()
+ * @returns {Array<Object>} Reasons with type, ref and message; empty if the task is not blocked
+ */
+function getTaskBlockers(task, tasks, questions, issueStates) {
+  const reasons = [];
+  
+  if (!task.dependencies) {
+    return reasons;
+  }
+  
+  for (const issueNumber of task.dependencies.issues) {
+    const state = issueStates[issueNumber];
+    
+    if (state === 'open') {
+      reasons.push({ type: 'issue', ref: issueNumber, message: `Waiting on issue #${issueNumber}, which is still open` });
+    } else if (state !== 'closed') {
+      reasons.push({ type: 'issue', ref: issueNumber, message: `Depends on issue #${issueNumber}, which does not exist` });
+    }
+  }
+  
+  for (const taskIndex of task.dependencies.tasks) {
+    const dependency = tasks.find(other => other.index === taskIndex);
+    
+    if (!dependency) {
+      reasons.push({ type: 'task', ref: taskIndex, message: `Waits for task ${taskIndex}, which does not exist` });
+    } else if (!dependency.completed) {
+      reasons.push({ type: 'task', ref: taskIndex, message: `Waiting on task ${taskIndex}: ${dependency.text}` });
+    }
+  }
+  
+  for (const questionIndex of task.dependencies.questions) {
+    const question = questions.find(other => other.index === questionIndex);
+    
+    if (!question) {
+      reasons.push({ type: 'question', ref: questionIndex, message: `Waits for question ${questionIndex}, which does not exist` });
+    } else if (!question.answered) {
+      reasons.push({ type: 'question', ref: questionIndex, message: `Waiting on an answer to question ${questionIndex}: ${question.text}` });
+    }
+  }
+  
+  return reasons;
+}
+
+/**
+ * Find the uncompleted tasks of an issue that are blocked by their dependencies
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @param {string} content - Issue content, used to look up questions
+ * @returns {Promise<Map<number, Array<Object>>>} Map of task index to blocking reasons
+ */
+async function findBlockedTasks(tasks, content) {
+  const blockedTasks = new Map();
+  const pending = tasks.filter(task => !task.completed && task.dependencies);
+  
+  if (pending.length === 0) {
+    return blockedTasks;
+  }
+  
+  const issueStates = await loadIssueStates(pending);
+  const questions = getQuestions(content);
+  
+  for (const task of pending) {
+    const reasons = getTaskBlockers(task, tasks, questions, issueStates);
+    
+    if (reasons.length > 0) {
+      blockedTasks.set(task.index, reasons);
+    }
+  }
+  
+  return blockedTasks;
+}
+
+/**
+ * Find issues referenced by any task that are not closed yet
+ * 
+ * An issue is not closed while one of its tasks, completed or not, depends on
+ * an issue that is still open.
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @returns {Promise<Array<string>>} Numbers of open or missing issues
+ */
+async function findOpenIssueDependencies(tasks) {
+  const issueStates = await loadIssueStates(tasks);
+  
+  return Object.keys(issueStates).filter(issueNumber => issueStates[issueNumber] !== 'closed');
+}
+
+/**
+ * Describe blocked tasks for API responses
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @param {Map<number, Array<Object>>} blockedTasks - Result of findBlockedTasks()
+ * @returns {Array<Object>} Blocked tasks with id, description and reasons
+ */
+function describeBlockedTasks(tasks, blockedTasks) {
+  return tasks
+    .filter(task => blockedTasks.has(task.index))
+    .map(task => ({
+      id: `task-${task.index}`,
+      description: task.text,
+      reasons: blockedTasks.get(task.index)
+    }));
+}
+
+/**
+ * Format blocked tasks as display lines
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @param {Map<number, Array<Object>>} blockedTasks - Result of findBlockedTasks()
+ * @returns {Array<string>} One line per blocked task
+ */
+function formatBlockedTasks(tasks, blockedTasks) {
+  return tasks
+    .filter(task => blockedTasks.has(task.index))
+    .map(task => `Task ${task.index}: ${task.text} (${blockedTasks.get(task.index).map(reason => reason.message).join('; ')})`);
+}
+
+module.exports = {
+  getIssueState,
+  loadIssueStates,
+  getTaskBlockers,
+  findBlockedTasks,
+  findOpenIssueDependencies,
+  describeBlockedTasks,
+  formatBlockedTasks
+};
@@ -16,6 +16,8 @@ const output = require('./outputManager');
  * @param {string[]} expandedSteps - Expanded task steps
  * @param {Object} options - Display options
  * @param {string} options.headerPrefix - Prefix for the main header (e.g., "CURRENT", "NEXT")
+ * @param {Array<Object>} [options.parentTasks] - Parent tasks of a subtask, outermost first
+ * @param {boolean} [options.showAnsweredQuestions=false] - Also show questions that were answered
  */
 function displayTaskWithContext(task, context, expandedSteps = [], options = {}) {
   // Default header prefix
@@ -28,6 +30,11 @@ function displayTaskWithContext(task, context, expandedSteps = [], options = {})
     output.section('TASK', task.text);
   }
   
+  // A subtask is shown with the tasks it is part of
+  if (options.parentTasks && options.parentTasks.length > 0) {
+    output.section('PARENT TASK', options.parentTasks.map((parent, depth) => `${'  '.repeat(depth)}${parent.text}`));
+  }
+  
   // Always include CONTEXT section for test compatibility, but only populate it if there's content
   output.section('CONTEXT', '');
   
@@ -44,8 +51,12 @@ function displayTaskWithContext(task, context, expandedSteps = [], options = {})
     output.section('Failed approaches', context.failed);
   }
   
-  if (context.questions && context.questions.length > 0) {
-    output.section('Questions to resolve', context.questions);
+  // Answered questions ("[x] ...") are hidden unless asked for
+  const questions = (context.questions || [])
+    .filter(question => options.showAnsweredQuestions || !question.startsWith('[x]'));
+  
+  if (questions.length > 0) {
+    output.section('Questions to resolve', questions);
   }
   
   if (context.instructions) {
@@ -0,0 +1,330 @@
+// ABOUTME: Task editing utilities
+// ABOUTME: Replaces, removes and reorders tasks in issue content while keeping task references intact
+
+const { getCurrentIssue, getIssueFilePath, readIssue } = require('./issueManager');
+const { extractTasks } = require('./taskParser');
+const { UserError, IssueNotFoundError } = require('./errors');
+
+const TASK_LINE_PATTERN = /^(\s*)- \[[ x]\] /;
+const TASK_REFERENCE_PATTERN = /(^|\s)after:(\d+(?:,\d+)*)(?=\s|$)/g;
+
+/**
+ * Find the lines that make up each task in the Tasks section
+ * 
+ * A task block is the task line plus any more indented lines that follow it,
+ * such as notes. The subtree also takes in the task's subtasks. Indices match
+ * those from extractTasks().
+ * 
+ * @param {string} content - Issue content
+ * @returns {Array<Object>} Blocks with index, parentIndex, indent, start, end and subtreeEnd (exclusive) line numbers
+ */
+function findTaskBlocks(content) {
+  const lines = content.split('\n');
+  const blocks = [];
+  let inTasksSection = false;
+  let open = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    if (line.trim() === '## Tasks') {
+      inTasksSection = true;
+      continue;
+    }
+    
+    if (inTasksSection && line.trim().startsWith('##')) {
+      break;
+    }
+    
+    if (!inTasksSection) {
+      continue;
+    }
+    
+    const indent = /^\s*/.exec(line)[0].length;
+    const taskMatch = TASK_LINE_PATTERN.exec(line);
+    
+    // Tasks whose subtree the line does not continue are finished
+    open = open.filter(block => block.subtreeEnd === i && line.trim() !== '' && indent > block.indent);
+    
+    if (taskMatch) {
+      const parent = open[open.length - 1];
+      const block = {
+        index: blocks.length,
+        parentIndex: parent ? parent.index : null,
+        indent,
+        start: i,
+        end: i + 1,
+        subtreeEnd: i + 1
+      };
+      
+      open.forEach(ancestor => { ancestor.subtreeEnd = i + 1; });
+      blocks.push(block);
+      open.push(block);
+    } else if (open.length > 0) {
+      // Notes directly below a task belong to it
+      const last = open[open.length - 1];
+      if (last.end === i) {
+        last.end = i + 1;
+      }
+      open.forEach(block => { block.subtreeEnd = i + 1; });
+    }
+  }
+  
+  return blocks;
+}
+
+/**
+ * Get the block of a task, checking the index
+ * 
+ * @param {Array<Object>} blocks - Blocks from findTaskBlocks()
+ * @param {number} index - Task index
+ * @returns {Object} Task block
+ * @throws {UserError} If the index is out of range
+ */
+function getTaskBlock(blocks, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= blocks.length) {
+    throw new UserError(`Task index out of range: ${index}`)
+      .withRecoveryHint(`Issue has ${blocks.length} task${blocks.length !== 1 ? 's' : ''} (indices start at 0)`);
+  }
+  
+  return blocks[index];
+}
+
+/**
+ * Get the indices of a task and all of its subtasks
+ * 
+ * @param {Array<Object>} blocks - Blocks from findTaskBlocks()
+ * @param {Object} block - Block of the task
+ * @returns {number[]} Task indices in document order
+ */
+function getSubtreeIndices(blocks, block) {
+  return blocks
+    .filter(candidate => candidate.start >= block.start && candidate.start < block.subtreeEnd)
+    .map(candidate => candidate.index);
+}
+
+/**
+ * Update after:N references in task lines after tasks were renumbered
+ * 
+ * References to tasks that no longer exist are dropped, and a marker without
+ * any references left is removed.
+ * 
+ * @param {string} content - Issue content
+ * @param {Function} mapIndex - Maps an old task index to its new index, or null if it was removed
+ * @returns {string} Updated content
+ */
+function remapTaskReferences(content, mapIndex) {
+  const lines = content.split('\n');
+  
+  for (const block of findTaskBlocks(content)) {
+    lines[block.start] = lines[block.start].replace(TASK_REFERENCE_PATTERN, (marker, prefix, refs) => {
+      const mapped = refs.split(',')
+        .map(ref => mapIndex(parseInt(ref, 10)))
+        .filter(ref => ref !== null && ref !== undefined);
+      
+      return mapped.length > 0 ? `${prefix}after:${mapped.join(',')}` : '';
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Replace a task with new task lines
+ * 
+ * The task's notes are replaced too, but its subtasks are kept. New lines are
+ * indented like the task they replace. References to the task follow it to
+ * its line among the new ones, past the steps its tags added before it.
+ * 
+ * @param {string} content - Issue content
+ * @param {number} index - Index of the task to replace
+ * @param {string[]} taskLines - New task lines (more than one when tags were expanded)
+ * @param {number} [taskOffset=0] - Position of the task itself among the task lines
+ * @returns {string} Updated content
+ * @throws {UserError} If the index is out of range
+ */
+function replaceTask(content, index, taskLines, taskOffset = 0) {
+  const block = getTaskBlock(findTaskBlocks(content), index);
+  const lines = content.split('\n');
+  const indent = ' '.repeat(block.indent);
+  
+  lines.splice(block.start, block.end - block.start, ...taskLines.map(line => `${indent}${line}`));
+  
+  // Later tasks move down when the task was expanded into several
+  const added = taskLines.filter(line => TASK_LINE_PATTERN.test(line)).length - 1;
+  return remapTaskReferences(lines.join('\n'), ref => {
+    if (ref === index) return index + taskOffset;
+    return ref > index ? ref + added : ref;
+  });
+}
+
+/**
+ * Remove a task together with its notes and subtasks
+ * 
+ * @param {string} content - Issue content
+ * @param {number} index - Index of the task to remove
+ * @returns {string} Updated content
+ * @throws {UserError} If the index is out of range
+ */
+function removeTask(content, index) {
+  const blocks = findTaskBlocks(content);
+  const block = getTaskBlock(blocks, index);
+  const removed = getSubtreeIndices(blocks, block);
+  const lines = content.split('\n');
+  
+  lines.splice(block.start, block.subtreeEnd - block.start);
+  
+  return remapTaskReferences(lines.join('\n'), ref => {
+    if (removed.includes(ref)) return null;
+    return ref > index ? ref - removed.length : ref;
+  });
+}
+
+/**
+ * Move a task, with its subtasks, to the position of another task
+ * 
+ * Only tasks with the same parent can trade places, so a subtask never ends up
+ * under a different parent.
+ * 
+ * @param {string} content - Issue content
+ * @param {number} from - Current index of the task
+ * @param {number} to - Index of the task whose position it takes
+ * @returns {string} Updated content
+ * @throws {UserError} If either index is out of range or the tasks have different parents
+ */
+function moveTask(content, from, to) {
+  const blocks = findTaskBlocks(content);
+  const fromBlock = getTaskBlock(blocks, from);
+  const toBlock = getTaskBlock(blocks, to);
+  
+  if (from === to) {
+    return content;
+  }
+  
+  if (fromBlock.parentIndex !== toBlock.parentIndex) {
+    throw new UserError(`Tasks ${from} and ${to} belong to different parent tasks`)
+      .withRecoveryHint('Subtasks can only be moved among the subtasks of the same task');
+  }
+  
+  const siblings = blocks.filter(block => block.parentIndex === fromBlock.parentIndex);
+  const lines = content.split('\n');
+  
+  // New order of the siblings
+  const order = siblings.filter(block => block !== fromBlock);
+  order.splice(siblings.indexOf(toBlock), 0, fromBlock);
+  
+  const first = siblings[0].start;
+  const last = siblings[siblings.length - 1].subtreeEnd;
+  const between = [];
+  
+  // Keep anything between tasks (such as blank lines) after the last task
+  for (let i = first; i < last; i++) {
+    if (!siblings.some(block => i >= block.start && i < block.subtreeEnd)) {
+      between.push(lines[i]);
+    }
+  }
+  
+  const reordered = order.flatMap(block => lines.slice(block.start, block.subtreeEnd));
+  lines.splice(first, last - first, ...reordered, ...between);
+  
+  // Old indices in their new order, starting at the first sibling
+  const newOrder = order.flatMap(block => getSubtreeIndices(blocks, block));
+  const offset = siblings[0].index;
+  
+  return remapTaskReferences(lines.join('\n'), ref => {
+    const position = newOrder.indexOf(ref);
+    return position === -1 ? ref : offset + position;
+  });
+}
+
+/**
+ * Parse a task index given on the command line or through the API
+ * 
+ * @param {string|number} value - Task index
+ * @returns {number} Parsed index
+ * @throws {UserError} If the value is not a whole number
+ */
+function parseTaskIndex(value) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new UserError(`Invalid task index: ${value}`)
+      .withRecoveryHint('Task indices are whole numbers starting at 0');
+  }
+  
+  return parseInt(value, 10);
+}
+
+/**
+ * Load an open issue and its tasks for editing
+ * 
+ * @param {string|number} [issueNumber] - Issue number, defaults to the current issue
+ * @returns {Promise<Object>} Issue with issueNumber, filePath, content and tasks
+ * @throws {UserError} If there is no current issue or the issue is not open
+ */
+async function loadTaskIssue(issueNumber) {
+  let number = issueNumber;
+  
+  if (!number) {
+    const currentIssue = await getCurrentIssue();
+    if (!currentIssue) {
+      throw new UserError('No current issue found')
+        .withRecoveryHint('Specify an issue number or set a current issue');
+    }
+    number = currentIssue.issueNumber;
+  }
+  
+  const paddedNumber = String(number).padStart(4, '0');
+  const filePath = getIssueFilePath(paddedNumber);
+  
+  let content;
+  try {
+    content = await readIssue(filePath);
+  } catch (error) {
+    throw new IssueNotFoundError(paddedNumber)
+      .withRecoveryHint('Only tasks of open issues can be changed');
+  }
+  
+  return {
+    issueNumber: paddedNumber,
+    filePath,
+    content,
+    tasks: await extractTasks(content)
+  };
+}
+
+/**
+ * Get a task that is about to be changed
+ * 
+ * @param {Array<Object>} tasks - Tasks from extractTasks()
+ * @param {number} index - Task index
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force=false] - Allow changing a completed task
+ * @param {string} [options.forceHint] - Recovery hint explaining how to force the change
+ * @returns {Object} The task
+ * @throws {UserError} If the index is out of range or the task is completed and not forced
+ */
+function getEditableTask(tasks, index, options = {}) {
+  const task = tasks.find(candidate => candidate.index === index);
+  
+  if (!task) {
+    throw new UserError(`Task index out of range: ${index}`)
+      .withRecoveryHint(`Issue has ${tasks.length} task${tasks.length !== 1 ? 's' : ''} (indices start at 0)`);
+  }
+  
+  if (task.completed && !options.force) {
+    throw new UserError(`Task ${index} is already completed: ${task.text}`)
+      .withRecoveryHint(options.forceHint || 'Use --force to change a completed task');
+  }
+  
+  return task;
+}
+
+module.exports = {
+  parseTaskIndex,
+  loadTaskIssue,
+  getEditableTask,
+  findTaskBlocks,
+  remapTaskReferences,
+  replaceTask,
+  removeTask,
+  moveTask
+};
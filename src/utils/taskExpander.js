@@ -3,62 +3,261 @@
 
 const { extractExpandTagsFromTask, isTagAtEnd } = require('./taskParser');
 const { loadTemplate, validateTemplate, getTemplateList } = require('./template');
+const { loadTemplatePartials } = require('./templateInheritance');
+const { getTemplatePlaceholders } = require('./templateFields');
+const { UserError } = require('./errors');
 const Handlebars = require('handlebars');
 
+/**
+ * Matches a step that includes the steps of another tag template, like "- {{> lint-and-commit}}"
+ */
+const INCLUDE_STEP_PATTERN = /^-\s*{{~?>\s*([A-Za-z0-9_-]+)\s*~?}}$/;
+
+/**
+ * Matches a parameter declaration, like "- component: Component under test"
+ * (required) or "- snapshots = false: Update the snapshots" (with a default)
+ */
+const PARAMETER_PATTERN = /^-\s*([A-Za-z0-9_-]+)\s*(?:=\s*([^:]*?)\s*)?(?::\s*(.*))?$/;
+
+/**
+ * Get the lines of a section of tag template content
+ * 
+ * @param {string} content - Tag template content
+ * @param {string} section - Section heading, without the ##
+ * @returns {Array<string>} Lines between the heading and the next heading
+ */
+function getSectionLines(content, section) {
+  const sectionLines = [];
+  let inSection = false;
+  
+  for (const line of content.split('\n')) {
+    // Check if we're entering the section
+    if (line.trim() === `## ${section}`) {
+      inSection = true;
+      continue;
+    }
+    
+    // Check if we're leaving the section
+    if (inSection && line.trim().startsWith('#')) {
+      inSection = false;
+      continue;
+    }
+    
+    if (inSection) {
+      sectionLines.push(line);
+    }
+  }
+  
+  return sectionLines;
+}
+
+/**
+ * Turn a parameter value into the value steps are rendered with
+ * 
+ * @param {string} value - Parameter value
+ * @returns {string|boolean} true and false become booleans, so conditions on them work
+ */
+function parseParameterValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  
+  return value;
+}
+
+/**
+ * Parse a parameter declaration from the Parameters section of a tag template
+ * 
+ * @param {string} line - Declaration line
+ * @returns {Object|null} Parameter with name, required, description and default (when
+ *   it has one), or null if the line is not a valid declaration
+ */
+function parseParameterDeclaration(line) {
+  const match = line.trim().match(PARAMETER_PATTERN);
+  
+  if (!match) {
+    return null;
+  }
+  
+  const parameter = {
+    name: match[1],
+    required: match[2] === undefined,
+    description: match[3] || ''
+  };
+  
+  if (match[2] !== undefined) {
+    parameter.default = parseParameterValue(match[2]);
+  }
+  
+  return parameter;
+}
+
+/**
+ * Get the parameters a tag template declares in its Parameters section
+ * 
+ * Parameters of the tag templates it includes are added unless it declares
+ * them itself.
+ * 
+ * @param {string} content - Tag template content
+ * @param {Object} [partials] - Content of the included tag templates, by name
+ * @returns {Array<Object>} Parameters with name, required, description and default
+ */
+function getTagParameterDefinitions(content, partials = {}) {
+  const parameters = [];
+  
+  for (const source of [content, ...Object.values(partials)]) {
+    for (const line of getSectionLines(source, 'Parameters')) {
+      const parameter = line.trim().startsWith('-') ? parseParameterDeclaration(line) : null;
+      
+      if (parameter && !parameters.some(existing => existing.name === parameter.name)) {
+        parameters.push(parameter);
+      }
+    }
+  }
+  
+  return parameters;
+}
+
+/**
+ * Work out the values to render the steps of a tag template with
+ * 
+ * @param {string} tagName - Name of the tag template, for messages
+ * @param {Array<Object>} parameters - Parameters the template declares
+ * @param {Object} [params] - Parameter values given with the tag, like +unit-test(component=User)
+ * @returns {Object} Parameter values, with the defaults for parameters that were not given
+ * @throws {UserError} If a required parameter was not given
+ */
+function applyTagParameters(tagName, parameters, params = {}) {
+  const values = {};
+  
+  parameters
+    .filter(parameter => !parameter.required)
+    .forEach(parameter => {
+      values[parameter.name] = parameter.default;
+    });
+  
+  Object.entries(params).forEach(([key, value]) => {
+    values[key] = parseParameterValue(value);
+  });
+  
+  const missing = parameters
+    .filter(parameter => parameter.required && (values[parameter.name] === undefined || values[parameter.name] === ''))
+    .map(parameter => parameter.name);
+  
+  if (missing.length > 0) {
+    throw new UserError(`Missing required parameter${missing.length !== 1 ? 's' : ''} for +${tagName}: ${missing.join(', ')}`)
+      .withRecoveryHint(`Use +${tagName}(${missing.map(name => `${name}=value`).join(',')})`);
+  }
+  
+  return values;
+}
+
+/**
+ * Check the parameters given with a tag against the ones its template declares
+ * 
+ * @param {string} tagName - Name of the tag template
+ * @param {Object} [params] - Parameter values given with the tag
+ * @returns {Promise<Object>} Parameter values, with the defaults filled in
+ * @throws {UserError} If a required parameter was not given
+ */
+async function resolveTagParameters(tagName, params = {}) {
+  const templateContent = await loadTemplate(tagName, 'tag');
+  const partials = await loadTemplatePartials(tagName, 'tag', templateContent);
+  
+  return applyTagParameters(tagName, getTagParameterDefinitions(templateContent, partials), params);
+}
+
+/**
+ * Get the lines of the Steps section with included tag templates filled in
+ * 
+ * A step that includes another tag template is replaced by the lines of its
+ * Steps section, without its [ACTUAL TASK GOES HERE] step.
+ * 
+ * @param {string} content - Tag template content
+ * @param {Object} partials - Content of the included tag templates, by name
+ * @returns {Array<string>} Lines of the Steps section
+ */
+function getStepLines(content, partials) {
+  const stepLines = [];
+  
+  for (const line of getSectionLines(content, 'Steps')) {
+    const include = line.trim().match(INCLUDE_STEP_PATTERN);
+    
+    if (include && partials[include[1]] !== undefined) {
+      stepLines.push(...getStepLines(partials[include[1]], partials)
+        .filter(includedLine => includedLine.trim() !== '- [ACTUAL TASK GOES HERE]'));
+      continue;
+    }
+    
+    stepLines.push(line);
+  }
+  
+  return stepLines;
+}
+
+/**
+ * Get the steps in the Steps section of tag template content
+ * 
+ * The section is rendered with the parameter values first, so steps can be
+ * guarded by conditions such as {{#if snapshots}}...{{/if}}. Placeholders
+ * without a value are left as they are.
+ * 
+ * @param {string} content - Tag template content
+ * @param {Object} partials - Content of the included tag templates, by name
+ * @param {Object} [values] - Parameter values
+ * @returns {Array<string>} Steps
+ */
+function getTemplateSteps(content, partials, values = {}) {
+  const stepsText = getStepLines(content, partials).join('\n');
+  const data = { ...values };
+  
+  getTemplatePlaceholders(stepsText)
+    .filter(placeholder => placeholder.required && data[placeholder.name] === undefined)
+    .forEach(placeholder => {
+      data[placeholder.name] = `{{${placeholder.name}}}`;
+    });
+  
+  return Handlebars.compile(stepsText)(data)
+    .split('\n')
+    .filter(line => line.trim().startsWith('-'))
+    // Extract the step text (remove the list marker)
+    .map(line => line.trim().substring(1).trim());
+}
+
 /**
  * Extract steps from a tag template
  * 
  * @param {string} tagName - Name of the tag template
  * @param {boolean} includePlaceholders - Whether to include placeholders in the response
+ * @param {Object} [params] - Parameter values given with the tag
  * @returns {Promise<Array<string>|Object>} List of steps from the template or steps and placeholders
  */
-async function extractTagSteps(tagName, includePlaceholders = false) {
+async function extractTagSteps(tagName, includePlaceholders = false, params = {}) {
   try {
-    // Load the tag template
+    // Load the tag template and the tag templates whose steps it includes
     const templateContent = await loadTemplate(tagName, 'tag');
+    const partials = await loadTemplatePartials(tagName, 'tag', templateContent);
+    const values = applyTagParameters(tagName, getTagParameterDefinitions(templateContent, partials), params);
     
     // Parse the content to extract steps
-    const steps = [];
-    const placeholders = new Set();
-    const lines = templateContent.split('\n');
-    let inStepsSection = false;
+    const steps = getTemplateSteps(templateContent, partials, values);
     
-    for (const line of lines) {
-      // Check if we're entering the Steps section
-      if (line.trim() === '## Steps') {
-        inStepsSection = true;
-        continue;
-      }
-      
-      // Check if we're leaving the Steps section
-      if (inStepsSection && line.trim().startsWith('#')) {
-        inStepsSection = false;
-        continue;
-      }
+    // Return appropriate result based on includePlaceholders flag
+    if (includePlaceholders) {
+      const placeholders = new Set();
       
-      // If we're in the Steps section and this is a list item
-      if (inStepsSection && line.trim().startsWith('-')) {
-        // Extract the step text (remove the list marker)
-        const step = line.trim().substring(1).trim();
-        steps.push(step);
+      steps.forEach(step => {
+        const matches = step.match(/{{([^}]+)}}/g);
         
-        // Extract placeholders if requested
-        if (includePlaceholders) {
-          const matches = step.match(/{{([^}]+)}}/g);
-          
-          if (matches) {
-            matches.forEach(match => {
-              // Extract the placeholder name (remove {{ and }})
-              const placeholder = match.substring(2, match.length - 2).trim();
-              placeholders.add(placeholder);
-            });
-          }
+        if (matches) {
+          matches.forEach(match => {
+            // Extract the placeholder name (remove {{ and }})
+            const placeholder = match.substring(2, match.length - 2).trim();
+            placeholders.add(placeholder);
+          });
         }
-      }
-    }
-    
-    // Return appropriate result based on includePlaceholders flag
-    if (includePlaceholders) {
+      });
+      
       return {
         steps,
         placeholders: Array.from(placeholders)
@@ -81,12 +280,14 @@ async function extractTagSteps(tagName, includePlaceholders = false) {
  * @param {string} taskText - Original task text
  * @param {Array<string>} tagSteps - Steps from the tag template
  * @param {Object} placeholderValues - Values for placeholders in steps
+ * @param {Object} [options] - Combine options
+ * @param {boolean} [options.withoutTask=false] - Leave the task out and drop its placeholder step
  * @returns {Array<string>} Combined steps
  */
-function combineSteps(taskText, tagSteps, placeholderValues = {}) {
+function combineSteps(taskText, tagSteps, placeholderValues = {}, options = {}) {
   // If there are no tag steps, just return the original task
   if (!tagSteps || tagSteps.length === 0) {
-    return [taskText];
+    return options.withoutTask ? [] : [taskText];
   }
   
   // Process placeholders in steps if provided
@@ -106,6 +307,10 @@ function combineSteps(taskText, tagSteps, placeholderValues = {}) {
     }
   });
   
+  if (options.withoutTask) {
+    return processedSteps.filter(step => step !== '[ACTUAL TASK GOES HERE]');
+  }
+  
   // Find the placeholder for the actual task
   const placeholderIndex = processedSteps.findIndex(step => 
     step === '[ACTUAL TASK GOES HERE]');
@@ -172,15 +377,16 @@ async function getMergedTagSteps(tags) {
   const allTagSteps = [];
   
   for (const tag of tags) {
-    // Get tag name (may be string or object)
+    // Get tag name and parameters (may be string or object)
     const tagName = typeof tag === 'string' ? tag : tag.name;
+    const tagParams = typeof tag === 'string' ? {} : tag.params;
     
     // Validate the tag template exists
     const isValid = await validateTemplate(tagName, 'tag');
     
     if (isValid) {
       // Extract steps from the tag template
-      const tagSteps = await extractTagSteps(tagName);
+      const tagSteps = await extractTagSteps(tagName, false, tagParams);
       
       if (tagSteps.length > 0) {
         allTagSteps.push(tagSteps);
@@ -226,13 +432,25 @@ async function getMergedTagSteps(tags) {
   return mergedSteps;
 }
 
+/**
+ * Remove expansion tags from task text
+ * 
+ * @param {string} text - Task text (tags have the format +tagname or +tagname(params))
+ * @returns {string} Task text without its +tags
+ */
+function stripExpandTags(text) {
+  return text.replace(/\+[a-zA-Z0-9-]+(?:\([^)]+\))?/g, '').trim();
+}
+
 /**
  * Expand a task based on its expansion tags (+tag)
  * 
  * @param {Object} task - Task object with text, completed, and index
+ * @param {Object} [options] - Expand options
+ * @param {boolean} [options.withoutTask=false] - Return only the tag steps, for nesting under the task
  * @returns {Promise<Array<string>>} Expanded steps for the task
  */
-async function expandTask(task) {
+async function expandTask(task, options = {}) {
   // Extract expansion tags (with +prefix) from the task
   const tags = extractExpandTagsFromTask(task);
   
@@ -257,8 +475,7 @@ async function expandTask(task) {
   }
   
   // Get a clean version of the task text (without +tags)
-  // Remove all expansion tags from the task text (format: +tagname or +tagname(params))
-  const cleanTaskText = task.text.replace(/\+[a-zA-Z0-9-]+(?:\([^)]+\))?/g, '').trim();
+  const cleanTaskText = stripExpandTags(task.text);
   
   // If there's only one tag, handle it directly
   if (tagsAtEnd.length === 1) {
@@ -269,21 +486,20 @@ async function expandTask(task) {
     
     if (tagExists) {
       // Extract steps from the tag template
-      const tagSteps = await extractTagSteps(tag.name);
+      const tagSteps = await extractTagSteps(tag.name, false, tag.params);
       
       // Combine steps with task text and apply any parameters
       if (tagSteps.length > 0) {
-        return combineSteps(cleanTaskText, tagSteps, tag.params);
+        return combineSteps(cleanTaskText, tagSteps, tag.params, options);
       }
     }
     
     // If tag doesn't exist or has no steps, return just the task
-    return [cleanTaskText];
+    return options.withoutTask ? [] : [cleanTaskText];
   }
   
   // Handle multiple tags
-  const tagNames = tagsAtEnd.map(tag => tag.name);
-  const mergedSteps = await getMergedTagSteps(tagNames);
+  const mergedSteps = await getMergedTagSteps(tagsAtEnd);
   
   // Combine parameters from all tags
   const combinedParams = {};
@@ -293,11 +509,11 @@ async function expandTask(task) {
   
   // Combine steps with task text and parameters
   if (mergedSteps.length > 0) {
-    return combineSteps(cleanTaskText, mergedSteps, combinedParams);
+    return combineSteps(cleanTaskText, mergedSteps, combinedParams, options);
   }
   
   // If no valid tag steps, return just the task
-  return [cleanTaskText];
+  return options.withoutTask ? [] : [cleanTaskText];
 }
 
 /**
@@ -330,8 +546,12 @@ async function createExpandedTaskList(tasks) {
 
 module.exports = {
   extractTagSteps,
+  getTagParameterDefinitions,
+  parseParameterDeclaration,
+  resolveTagParameters,
   combineSteps,
   expandTask,
+  stripExpandTags,
   validateTagTemplate,
   getMergedTagSteps,
   createExpandedTaskList,
@@ -9,9 +9,58 @@ const remarkParse = remarkParseModule.default; // Access the default export
 const remarkStringifyModule = require('remark-stringify');
 const remarkStringify = remarkStringifyModule.default; // Access the default export
 
+/**
+ * Dependency markers that can appear in task text, e.g. "depends:#0012", "after:3" or "question:0"
+ */
+const DEPENDENCY_PATTERNS = {
+  issues: /(?:^|\s)depends:(#?\d+(?:,#?\d+)*)(?=\s|$)/g,
+  tasks: /(?:^|\s)after:(\d+(?:,\d+)*)(?=\s|$)/g,
+  questions: /(?:^|\s)question:(\d+(?:,\d+)*)(?=\s|$)/g
+};
+
+/**
+ * Parse dependency markers from task text
+ * 
+ * "depends:#0012" waits until issue #0012 is closed, "after:3" waits until
+ * task 3 of the same issue is completed and "question:0" waits until question 0
+ * in "Questions to resolve" is answered. Indices start at 0 and several
+ * references can be separated by commas ("after:1,2").
+ * 
+ * @param {string} text - Task text
+ * @returns {Object|null} Dependencies with issues, tasks and questions, or null if there are none
+ */
+function parseTaskDependencies(text) {
+  const dependencies = { issues: [], tasks: [], questions: [] };
+  let found = false;
+  
+  for (const [type, pattern] of Object.entries(DEPENDENCY_PATTERNS)) {
+    pattern.lastIndex = 0;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+      for (const ref of match[1].split(',')) {
+        const value = type === 'issues'
+          ? ref.replace('#', '').padStart(4, '0')
+          : parseInt(ref, 10);
+        
+        if (!dependencies[type].includes(value)) {
+          dependencies[type].push(value);
+        }
+        found = true;
+      }
+    }
+  }
+  
+  return found ? dependencies : null;
+}
+
 /**
  * Extract tasks from markdown content
  * 
+ * Checkbox items nested under a task are its subtasks. All tasks are returned
+ * in document order, so a parent comes right before its subtasks; subtasks
+ * have a parentIndex and parents have childIndices.
+ * 
  * @param {string} content - Markdown content to parse
  * @returns {Promise<Array<Object>>} List of tasks with text, status, and index
  */
@@ -23,7 +72,71 @@ async function extractTasks(content) {
     
     const tasks = [];
     let inTasksSection = false;
-    let taskIndex = 0;
+    
+    // Collect the tasks of a list, descending into lists nested under a task
+    const collectTasks = (list, parent) => {
+      for (const item of list.children) {
+        if (item.type !== 'listItem') {
+          continue;
+        }
+        
+        // Check if this is a task (has checkbox)
+        const paragraph = item.children.find(n => n.type === 'paragraph');
+        
+        if (!paragraph || paragraph.children.length === 0) {
+          continue;
+        }
+        
+        // Check if first child is a task checkbox
+        const firstChild = paragraph.children[0];
+        
+        if (firstChild.type !== 'text' || 
+            !(firstChild.value.startsWith('[ ] ') || firstChild.value.startsWith('[x] '))) {
+          continue;
+        }
+        
+        // This is a task item
+        const completed = firstChild.value.startsWith('[x] ');
+        
+        // Combine all text content, skipping "[x] " or "[ ] "
+        let text = firstChild.value.substring(4);
+        
+        // Add any additional text nodes
+        for (let i = 1; i < paragraph.children.length; i++) {
+          const child = paragraph.children[i];
+          if (child.type === 'text') {
+            text += child.value;
+          }
+        }
+        
+        // Add task to list
+        const task = {
+          text,
+          completed,
+          index: tasks.length
+        };
+        
+        // Only subtasks get a parentIndex, and only parents get childIndices
+        if (parent) {
+          task.parentIndex = parent.index;
+          parent.childIndices = parent.childIndices || [];
+          parent.childIndices.push(task.index);
+        }
+        
+        // Only tasks with dependency markers get a dependencies property
+        const dependencies = parseTaskDependencies(text);
+        if (dependencies) {
+          task.dependencies = dependencies;
+        }
+        
+        tasks.push(task);
+        
+        // Subtasks follow their parent, so indices run through the tree depth-first
+        for (const nested of item.children.filter(n => n.type === 'list')) {
+          collectTasks(nested, task);
+        }
+      }
+    };
     
     // Traverse the tree to find the Tasks section and list items within it
     for (const node of tree.children) {
@@ -44,43 +157,7 @@ async function extractTasks(content) {
       
       // If we're in the Tasks section and found a list
       if (inTasksSection && node.type === 'list') {
-        // Process each list item
-        for (const item of node.children) {
-          if (item.type === 'listItem') {
-            // Check if this is a task (has checkbox)
-            const paragraph = item.children.find(n => n.type === 'paragraph');
-            
-            if (paragraph && paragraph.children.length > 0) {
-              // Check if first child is a task checkbox
-              const firstChild = paragraph.children[0];
-              
-              if (firstChild.type === 'text' && 
-                  (firstChild.value.startsWith('[ ] ') || firstChild.value.startsWith('[x] '))) {
-                // This is a task item
-                const completed = firstChild.value.startsWith('[x] ');
-                const textStart = completed ? 4 : 4; // Skip "[x] " or "[ ] "
-                
-                // Combine all text content
-                let text = firstChild.value.substring(textStart);
-                
-                // Add any additional text nodes
-                for (let i = 1; i < paragraph.children.length; i++) {
-                  const child = paragraph.children[i];
-                  if (child.type === 'text') {
-                    text += child.value;
-                  }
-                }
-                
-                // Add task to list
-                tasks.push({
-                  text,
-                  completed,
-                  index: taskIndex++
-                });
-              }
-            }
-          }
-        }
+        collectTasks(node, null);
       }
     }
     
@@ -101,14 +178,53 @@ function findTaskByIndex(tasks, index) {
   return tasks.find(task => task.index === index) || null;
 }
 
+/**
+ * Check whether a task still has uncompleted subtasks
+ * 
+ * @param {Array<Object>} tasks - List of tasks
+ * @param {Object} task - Task to check
+ * @returns {boolean} True if any subtask is not completed
+ */
+function hasOpenSubtasks(tasks, task) {
+  return Boolean(task.childIndices) && task.childIndices.some(index => {
+    const child = findTaskByIndex(tasks, index);
+    return child && !child.completed;
+  });
+}
+
+/**
+ * Get the parent tasks of a task, outermost first
+ * 
+ * @param {Array<Object>} tasks - List of tasks
+ * @param {Object} task - Task to get the parents of
+ * @returns {Array<Object>} Parent tasks, empty for a top-level task
+ */
+function getParentTasks(tasks, task) {
+  const parents = [];
+  let parent = findTaskByIndex(tasks, task.parentIndex);
+  
+  while (parent) {
+    parents.unshift(parent);
+    parent = findTaskByIndex(tasks, parent.parentIndex);
+  }
+  
+  return parents;
+}
+
 /**
  * Find the current (first uncompleted) task
  * 
+ * A parent task is only current once all of its subtasks are done, so the
+ * current task is the first uncompleted subtask of the first uncompleted task.
+ * 
  * @param {Array<Object>} tasks - List of tasks
- * @returns {Object|null} Current task or null if all completed
+ * @param {Map<number, Array<Object>>} [blockedTasks] - Blocked task indices to skip, from findBlockedTasks()
+ * @returns {Object|null} Current task or null if all completed or blocked
  */
-function findCurrentTask(tasks) {
-  return tasks.find(task => !task.completed) || null;
+function findCurrentTask(tasks, blockedTasks) {
+  return tasks.find(task => !task.completed &&
+    !hasOpenSubtasks(tasks, task) &&
+    !(blockedTasks && blockedTasks.has(task.index))) || null;
 }
 
 /**
@@ -180,20 +296,22 @@ function extractExpandTagsFromTask(task) {
 /**
  * Check if a tag appears at the end of the task text
  * 
+ * A tag followed only by other +tags counts as being at the end, so that all
+ * tags of "Add login +unit-test +update-docs" are expanded.
+ * 
  * @param {string} taskText - The task text to check
  * @param {string} tag - The tag to check for (including + prefix)
  * @returns {boolean} True if the tag is at the end of the task text
  */
 function isTagAtEnd(taskText, tag) {
-  // Remove the tag from the task text
-  const textWithoutTag = taskText.replace(tag, '').trim();
+  const position = taskText.lastIndexOf(tag);
   
-  // If the resulting text is shorter and the tag was at the end,
-  // then the tag was the last thing in the text
-  return (
-    textWithoutTag.length < taskText.length && 
-    taskText.trim().endsWith(tag)
-  );
+  if (position === -1) {
+    return false;
+  }
+  
+  // Only whitespace and other expansion tags may follow the tag
+  return /^(?:\s+\+[a-zA-Z0-9-]+(?:\([^)]+\))?)*\s*$/.test(taskText.slice(position + tag.length));
 }
 
 /**
@@ -248,25 +366,14 @@ function getCleanTaskText(task) {
 }
 
 /**
- * Update task status in markdown content
+ * Replace the checkbox of a single task line
  * 
  * @param {string} content - Markdown content
  * @param {number} taskIndex - Index of task to update
  * @param {boolean} completed - New completion status
- * @returns {Promise<string>} Updated markdown content
+ * @returns {string} Updated markdown content
  */
-async function updateTaskStatus(content, taskIndex, completed) {
-  // First extract tasks to validate the index
-  const tasks = await extractTasks(content);
-  
-  if (taskIndex < 0 || taskIndex >= tasks.length) {
-    throw new Error('Task index out of bounds');
-  }
-  
-  // Get the task to update
-  const task = tasks[taskIndex];
-  
-  // Replace the task line in the content
+function setTaskLineStatus(content, taskIndex, completed) {
   // We need to find the specific task in the content
   const lines = content.split('\n');
   let inTasksSection = false;
@@ -309,10 +416,53 @@ async function updateTaskStatus(content, taskIndex, completed) {
   throw new Error('Task not found in content');
 }
 
+/**
+ * Update task status in markdown content
+ * 
+ * The change rolls up to parent tasks: a parent is checked once all of its
+ * subtasks are completed, and unchecked again when one of them is reopened.
+ * 
+ * @param {string} content - Markdown content
+ * @param {number} taskIndex - Index of task to update
+ * @param {boolean} completed - New completion status
+ * @returns {Promise<string>} Updated markdown content
+ */
+async function updateTaskStatus(content, taskIndex, completed) {
+  // First extract tasks to validate the index
+  const tasks = await extractTasks(content);
+  
+  if (taskIndex < 0 || taskIndex >= tasks.length) {
+    throw new Error('Task index out of bounds');
+  }
+  
+  let updatedContent = setTaskLineStatus(content, taskIndex, completed);
+  tasks[taskIndex].completed = completed;
+  
+  // Walk up the parents until one already has the right status
+  let parent = findTaskByIndex(tasks, tasks[taskIndex].parentIndex);
+  
+  while (parent) {
+    const allSubtasksDone = parent.childIndices.every(index => tasks[index].completed);
+    
+    if (parent.completed === allSubtasksDone) {
+      break;
+    }
+    
+    updatedContent = setTaskLineStatus(updatedContent, parent.index, allSubtasksDone);
+    parent.completed = allSubtasksDone;
+    parent = findTaskByIndex(tasks, parent.parentIndex);
+  }
+  
+  return updatedContent;
+}
+
 module.exports = {
   extractTasks,
+  parseTaskDependencies,
   findTaskByIndex,
   findCurrentTask,
+  hasOpenSubtasks,
+  getParentTasks,
   extractTagsFromTask,
   extractExpandTagsFromTask,
   extractTagNamesFromTask,
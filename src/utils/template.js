@@ -5,6 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const Handlebars = require('handlebars');
 const { getIssueDirectoryPath } = require('./directory');
+const { applyExtends } = require('./templateInheritance');
 
 // Register Handlebars helpers
 Handlebars.registerHelper('list', function(items, options) {
@@ -47,22 +48,32 @@ async function loadTemplate(name, type) {
 /**
  * Render a template with data
  * 
+ * A template may start with an "extends: name" declaration and include other
+ * templates with {{> name}}; the templates it refers to are passed as partials
+ * (see loadTemplatePartials).
+ * 
  * @param {string} template - Template content
  * @param {Object} data - Data to render with
+ * @param {Object} [partials] - Content of the templates it refers to, by name
  * @returns {string} Rendered template
  */
-function renderTemplate(template, data) {
-  const compiledTemplate = Handlebars.compile(template);
-  return compiledTemplate(data);
+function renderTemplate(template, data, partials = {}) {
+  const compiledTemplate = Handlebars.compile(applyExtends(template));
+  return compiledTemplate(data, { partials });
 }
 
 /**
  * Get a list of available templates for a type
  * 
+ * Templates whose name starts with an underscore are bases and partials for
+ * other templates and are left out unless asked for.
+ * 
  * @param {string} type - Template type ('issue' or 'tag')
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.includePartials=false] - Include bases and partials
  * @returns {Promise<string[]>} List of template names (without extension)
  */
-async function getTemplateList(type) {
+async function getTemplateList(type, options = {}) {
   if (type !== 'issue' && type !== 'tag') {
     throw new Error(`Invalid template type: ${type}`);
   }
@@ -73,6 +84,7 @@ async function getTemplateList(type) {
     
     return files
       .filter(file => file.endsWith('.md'))
+      .filter(file => options.includePartials || !file.startsWith('_'))
       .map(file => path.basename(file, '.md'));
   } catch (error) {
     return [];
@@ -0,0 +1,404 @@
+// ABOUTME: Template authoring utilities
+// ABOUTME: Creates, copies, updates, removes and diffs project templates against the packaged defaults
+
+const fs = require('fs');
+const path = require('path');
+const { getTemplatePath, validateTemplate, getTemplateList } = require('./template');
+const { getDefaultTemplatePath } = require('./templateInit');
+const { getTemplateReferences } = require('./templateInheritance');
+const { validateResolvedTemplate } = require('./templateValidation');
+const { UserError, TemplateNotFoundError } = require('./errors');
+
+const TEMPLATE_TYPES = ['issue', 'tag'];
+const TEMPLATE_NAME_PATTERN = /^_?[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Check a template type
+ * 
+ * @param {string} type - Template type
+ * @throws {UserError} If the type is not issue or tag
+ */
+function checkTemplateType(type) {
+  if (!TEMPLATE_TYPES.includes(type)) {
+    throw new UserError(`Invalid template type: ${type}`)
+      .withRecoveryHint('Use --type issue or --type tag');
+  }
+}
+
+/**
+ * Check a template name, which becomes the template's file name
+ * 
+ * @param {string} name - Template name
+ * @throws {UserError} If the name contains anything but letters, digits, dashes and underscores
+ */
+function checkTemplateName(name) {
+  if (!name || !TEMPLATE_NAME_PATTERN.test(name)) {
+    throw new UserError(`Invalid template name: ${name}`)
+      .withRecoveryHint('Use letters, digits, dashes and underscores, e.g. "code-review"');
+  }
+}
+
+/**
+ * Work out the type of an existing project template
+ * 
+ * @param {string} name - Template name
+ * @param {string} [type] - Template type, looked up when not given
+ * @returns {Promise<string>} Template type
+ * @throws {TemplateNotFoundError} If there is no such template
+ * @throws {UserError} If no type was given and both an issue and a tag template have the name
+ */
+async function resolveTemplateType(name, type) {
+  checkTemplateName(name);
+  
+  if (type) {
+    checkTemplateType(type);
+    
+    if (!(await validateTemplate(name, type))) {
+      throw new TemplateNotFoundError(`${name} (${type})`)
+        .withRecoveryHint("Run 'issue-cards templates' to see available templates");
+    }
+    
+    return type;
+  }
+  
+  const types = [];
+  for (const candidate of TEMPLATE_TYPES) {
+    if (await validateTemplate(name, candidate)) {
+      types.push(candidate);
+    }
+  }
+  
+  if (types.length === 0) {
+    throw new TemplateNotFoundError(name)
+      .withRecoveryHint("Run 'issue-cards templates' to see available templates");
+  }
+  
+  if (types.length > 1) {
+    throw new UserError(`Both an issue and a tag template are named ${name}`)
+      .withRecoveryHint('Use --type issue or --type tag');
+  }
+  
+  return types[0];
+}
+
+/**
+ * Get the starting content for a new template
+ * 
+ * @param {string} name - Template name
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @returns {string} Template content that passes validation
+ */
+function getTemplateSkeleton(name, type) {
+  if (type === 'tag') {
+    return `# ${name}
+
+> Describe when to use the +${name} tag.
+
+## Steps
+- [ACTUAL TASK GOES HERE]
+`;
+  }
+  
+  return `# Issue {{NUMBER}}: {{TITLE}}
+
+## Problem to be solved
+{{PROBLEM}}
+
+## Planned approach
+{{APPROACH}}
+
+## Failed approaches
+{{FAILED_APPROACHES}}
+
+## Questions to resolve
+{{QUESTIONS}}
+
+## Tasks
+{{TASKS}}
+
+## Instructions
+{{INSTRUCTIONS}}
+`;
+}
+
+/**
+ * Validate template content and write it to the project templates
+ * 
+ * @param {string} name - Template name
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @param {string} content - Template content
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.overwrite=false] - Replace an existing template
+ * @param {string} [options.overwriteHint] - Recovery hint explaining how to replace an existing template
+ * @returns {Promise<string>} Path of the template file
+ * @throws {UserError} If the content is invalid or the template exists and may not be replaced
+ */
+async function writeTemplate(name, type, content, options = {}) {
+  checkTemplateName(name);
+  checkTemplateType(type);
+  
+  const validation = await validateResolvedTemplate(content, type, name);
+  if (!validation.valid) {
+    throw new UserError(`Invalid ${type} template: ${validation.errors.join('; ')}`)
+      .withRecoveryHint("Run 'issue-cards help templates' for the template structure");
+  }
+  
+  if (!options.overwrite && (await validateTemplate(name, type))) {
+    throw new UserError(`Template already exists: ${name} (${type})`)
+      .withRecoveryHint(options.overwriteHint || 'Use --force to replace it');
+  }
+  
+  const templatePath = getTemplatePath(name, type);
+  await fs.promises.mkdir(path.dirname(templatePath), { recursive: true });
+  await fs.promises.writeFile(templatePath, content.endsWith('\n') ? content : `${content}\n`, 'utf8');
+  
+  return templatePath;
+}
+
+/**
+ * Create a new project template
+ * 
+ * @param {string} name - Template name
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @param {string} [content] - Template content, defaults to a skeleton for the type
+ * @param {Object} [options] - Create options
+ * @param {boolean} [options.force=false] - Replace an existing template
+ * @param {string} [options.forceHint] - Recovery hint explaining how to replace an existing template
+ * @returns {Promise<Object>} Result with name, type and path
+ */
+async function createTemplate(name, type, content, options = {}) {
+  const templatePath = await writeTemplate(name, type, content || getTemplateSkeleton(name, type), {
+    overwrite: options.force,
+    overwriteHint: options.forceHint
+  });
+  
+  return { name, type, path: templatePath };
+}
+
+/**
+ * Copy a project template under a new name
+ * 
+ * The heading of a tag template is renamed along with it.
+ * 
+ * @param {string} source - Name of the template to copy
+ * @param {string} destination - Name of the new template
+ * @param {Object} [options] - Copy options
+ * @param {string} [options.type] - Template type, looked up when not given
+ * @param {boolean} [options.force=false] - Replace an existing template
+ * @param {string} [options.forceHint] - Recovery hint explaining how to replace an existing template
+ * @returns {Promise<Object>} Result with source, name, type and path
+ */
+async function copyTemplate(source, destination, options = {}) {
+  const type = await resolveTemplateType(source, options.type);
+  checkTemplateName(destination);
+  
+  const content = await fs.promises.readFile(getTemplatePath(source, type), 'utf8');
+  const renamed = content.replace(new RegExp(`^# ${source}$`, 'm'), `# ${destination}`);
+  
+  const templatePath = await writeTemplate(destination, type, renamed, {
+    overwrite: options.force,
+    overwriteHint: options.forceHint
+  });
+  
+  return { source, name: destination, type, path: templatePath };
+}
+
+/**
+ * Replace the content of an existing project template
+ * 
+ * @param {string} name - Template name
+ * @param {string} [type] - Template type, looked up when not given
+ * @param {string} content - New template content
+ * @returns {Promise<Object>} Result with name, type, path and whether the content changed
+ */
+async function updateTemplate(name, type, content) {
+  const templateType = await resolveTemplateType(name, type);
+  const templatePath = getTemplatePath(name, templateType);
+  const previous = await fs.promises.readFile(templatePath, 'utf8');
+  
+  if (previous.trimEnd() === content.trimEnd()) {
+    return { name, type: templateType, path: templatePath, changed: false };
+  }
+  
+  await writeTemplate(name, templateType, content, { overwrite: true });
+  
+  return { name, type: templateType, path: templatePath, changed: true };
+}
+
+/**
+ * Find the project templates that extend or include a template
+ * 
+ * @param {string} name - Template name
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @returns {Promise<string[]>} Names of the templates that refer to it
+ */
+async function findTemplateDependents(name, type) {
+  const dependents = [];
+  
+  for (const other of await getTemplateList(type, { includePartials: true })) {
+    if (other === name) {
+      continue;
+    }
+    
+    const content = await fs.promises.readFile(getTemplatePath(other, type), 'utf8');
+    
+    if (getTemplateReferences(content).includes(name)) {
+      dependents.push(other);
+    }
+  }
+  
+  return dependents.sort();
+}
+
+/**
+ * Remove a project template
+ * 
+ * Templates that other templates extend or include are only removed with
+ * the force option, since those templates stop rendering without them.
+ * 
+ * @param {string} name - Template name
+ * @param {string} [type] - Template type, looked up when not given
+ * @param {Object} [options] - Remove options
+ * @param {boolean} [options.force=false] - Remove the template even if other templates refer to it
+ * @param {string} [options.forceHint] - Recovery hint explaining how to force the removal
+ * @returns {Promise<Object>} Result with name, type and whether a packaged default of that name exists
+ * @throws {UserError} If other templates extend or include the template and force is not set
+ */
+async function removeTemplate(name, type, options = {}) {
+  const templateType = await resolveTemplateType(name, type);
+  
+  if (!options.force) {
+    const dependents = await findTemplateDependents(name, templateType);
+    
+    if (dependents.length > 0) {
+      throw new UserError(`Template ${name} is used by ${dependents.join(', ')}`)
+        .withRecoveryHint(`Change those templates first, or ${options.forceHint || 'use --force to remove it anyway'}`);
+    }
+  }
+  
+  await fs.promises.unlink(getTemplatePath(name, templateType));
+  
+  return {
+    name,
+    type: templateType,
+    hasDefault: fs.existsSync(getDefaultTemplatePath(name, templateType))
+  };
+}
+
+/**
+ * Compare two texts line by line
+ * 
+ * Uses the longest common subsequence of lines, which is fast enough for
+ * template-sized files.
+ * 
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<Object>} Lines with op (' ', '-' or '+') and text, in order
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.replace(/\n$/, '').split('\n');
+  const b = newText.replace(/\n$/, '').split('\n');
+  
+  // lengths[i][j] is the length of the common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ op: '-', text: a[i++] });
+    } else {
+      lines.push({ op: '+', text: b[j++] });
+    }
+  }
+  
+  return lines;
+}
+
+/**
+ * Format a line diff in unified format, keeping a few lines of context around changes
+ * 
+ * @param {Array<Object>} lines - Lines from diffLines()
+ * @param {number} [context=3] - Unchanged lines to show around each change
+ * @returns {string[]} Diff lines with @@ hunk headers
+ */
+function formatUnifiedDiff(lines, context = 3) {
+  const changed = lines.map((line, index) => (line.op !== ' ' ? index : -1)).filter(index => index >= 0);
+  const output = [];
+  
+  let index = 0;
+  while (index < changed.length) {
+    // Grow the hunk while the next change is close enough to share context
+    let last = index;
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] <= context * 2 + 1) {
+      last++;
+    }
+    
+    const start = Math.max(0, changed[index] - context);
+    const end = Math.min(lines.length, changed[last] + context + 1);
+    const before = lines.slice(0, start);
+    const hunk = lines.slice(start, end);
+    const oldStart = before.filter(line => line.op !== '+').length + 1;
+    const newStart = before.filter(line => line.op !== '-').length + 1;
+    
+    output.push(`@@ -${oldStart},${hunk.filter(line => line.op !== '+').length} +${newStart},${hunk.filter(line => line.op !== '-').length} @@`);
+    output.push(...hunk.map(line => `${line.op}${line.text}`));
+    
+    index = last + 1;
+  }
+  
+  return output;
+}
+
+/**
+ * Compare a project template with the packaged default of the same name
+ * 
+ * @param {string} name - Template name
+ * @param {string} [type] - Template type, looked up when not given
+ * @returns {Promise<Object>} Result with name, type, identical flag and unified diff lines (default first)
+ * @throws {UserError} If there is no packaged default with this name
+ */
+async function diffTemplate(name, type) {
+  const templateType = await resolveTemplateType(name, type);
+  const defaultPath = getDefaultTemplatePath(name, templateType);
+  
+  if (!fs.existsSync(defaultPath)) {
+    throw new UserError(`There is no default ${templateType} template named ${name}`)
+      .withRecoveryHint('Only templates that come with issue-cards can be compared');
+  }
+  
+  const defaultContent = await fs.promises.readFile(defaultPath, 'utf8');
+  const projectContent = await fs.promises.readFile(getTemplatePath(name, templateType), 'utf8');
+  const diff = formatUnifiedDiff(diffLines(defaultContent, projectContent));
+  
+  return {
+    name,
+    type: templateType,
+    identical: diff.length === 0,
+    diff
+  };
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  resolveTemplateType,
+  getTemplateSkeleton,
+  createTemplate,
+  copyTemplate,
+  updateTemplate,
+  removeTemplate,
+  diffLines,
+  formatUnifiedDiff,
+  diffTemplate
+};
@@ -0,0 +1,271 @@
+// ABOUTME: Template field utilities
+// ABOUTME: Finds the placeholders of an issue template and checks the values given for its custom fields
+
+const Handlebars = require('handlebars');
+const { parseFrontMatter } = require('./frontMatter');
+const { applyExtends } = require('./templateInheritance');
+const { UserError } = require('./errors');
+
+/**
+ * Placeholders that create fills in itself
+ */
+const BUILT_IN_PLACEHOLDERS = [
+  'NUMBER',
+  'TITLE',
+  'PROBLEM',
+  'APPROACH',
+  'FAILED_APPROACHES',
+  'QUESTIONS',
+  'TASKS',
+  'INSTRUCTIONS',
+  'NEXT_STEPS'
+];
+
+/**
+ * Block helpers whose body is rendered with the same data as the template
+ */
+const CONDITIONAL_HELPERS = ['if', 'unless'];
+
+/**
+ * Find the placeholders used in a template
+ * 
+ * A placeholder is required when it is output directly, like {{TIMEBOX}}.
+ * Placeholders that are only used in conditions ({{#if TIMEBOX}}), inside
+ * conditional blocks or as helper arguments are optional.
+ * 
+ * The placeholders of the templates it extends or includes count as its own.
+ * The default content of a slot ({{#> slot}}...{{/slot}}) only counts when no
+ * template fills in the slot.
+ * 
+ * @param {string} content - Template content
+ * @param {Object} [partials] - Content of the templates it refers to, by name
+ * @returns {Array<Object>} Placeholders with name and required, in order of first use
+ */
+function getTemplatePlaceholders(content, partials = {}) {
+  const placeholders = new Map();
+  const visiting = new Set();
+  const filledSlots = new Set();
+  
+  for (const source of [content, ...Object.values(partials)]) {
+    for (const match of source.matchAll(/{{~?#\*inline\s+["']([^"']+)["']/g)) {
+      filledSlots.add(match[1]);
+    }
+  }
+  
+  const addPath = (expression, required) => {
+    if (!expression || expression.type !== 'PathExpression' || expression.data || expression.parts.length === 0) {
+      return;
+    }
+    
+    const name = expression.parts[0];
+    placeholders.set(name, placeholders.get(name) || required);
+  };
+  
+  const addArguments = node => {
+    (node.params || []).forEach(param => addExpression(param));
+    ((node.hash && node.hash.pairs) || []).forEach(pair => addExpression(pair.value));
+  };
+  
+  const addExpression = expression => {
+    if (expression.type === 'SubExpression') {
+      addArguments(expression);
+    } else {
+      addPath(expression, false);
+    }
+  };
+  
+  const visit = (node, required) => {
+    if (!node) {
+      return;
+    }
+    
+    if (node.type === 'Program') {
+      node.body.forEach(child => visit(child, required));
+    } else if (node.type === 'MustacheStatement') {
+      if ((node.params || []).length === 0 && !node.hash) {
+        addPath(node.path, required);
+      } else {
+        addArguments(node);
+      }
+    } else if (node.type === 'BlockStatement') {
+      addArguments(node);
+      
+      // Other block helpers (each, with) render their body with different data
+      if (CONDITIONAL_HELPERS.includes(node.path.original)) {
+        visit(node.program, false);
+        visit(node.inverse, false);
+      }
+    } else if (node.type === 'PartialStatement' || node.type === 'PartialBlockStatement') {
+      const name = node.name.original;
+      
+      if (Object.prototype.hasOwnProperty.call(partials, name) && !visiting.has(name)) {
+        visiting.add(name);
+        visit(Handlebars.parse(partials[name]), required);
+        visiting.delete(name);
+        visit(node.program, required);
+      } else if (node.program) {
+        visit(node.program, required && !filledSlots.has(name));
+      }
+    } else if (node.type === 'DecoratorBlock') {
+      visit(node.program, required);
+    }
+  };
+  
+  visit(Handlebars.parse(applyExtends(content)), true);
+  
+  return Array.from(placeholders, ([name, required]) => ({ name, required }));
+}
+
+/**
+ * Find the custom fields of a template, i.e. the placeholders create does not fill in itself
+ * 
+ * @param {string} content - Template content
+ * @param {Object} [partials] - Content of the templates it refers to, by name
+ * @returns {Array<Object>} Fields with name and required
+ */
+function getTemplateFields(content, partials = {}) {
+  return getTemplatePlaceholders(content, partials).filter(placeholder => !BUILT_IN_PLACEHOLDERS.includes(placeholder.name));
+}
+
+/**
+ * Parse KEY=value field assignments
+ * 
+ * @param {string[]} assignments - Assignments such as "TIMEBOX=2 days"
+ * @returns {Object} Field values by key
+ * @throws {UserError} If an assignment has no key
+ */
+function parseFieldAssignments(assignments = []) {
+  const fields = {};
+  
+  for (const assignment of assignments) {
+    const separator = assignment.indexOf('=');
+    
+    if (separator <= 0) {
+      throw new UserError(`Invalid field: ${assignment}`)
+        .withRecoveryHint('Use --field KEY=value');
+    }
+    
+    fields[assignment.substring(0, separator).trim()] = assignment.substring(separator + 1);
+  }
+  
+  return fields;
+}
+
+/**
+ * Parse the content of a fields file
+ * 
+ * JSON files may hold any values. Other files are read as simple YAML: one
+ * "KEY: value" per line, where a value may be an inline list ([a, b]).
+ * 
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to recognize JSON files
+ * @returns {Object} Field values by key
+ * @throws {UserError} If the file is not valid JSON or does not contain an object
+ */
+function parseFieldsFile(text, fileName) {
+  if (fileName.endsWith('.json') || text.trim().startsWith('{')) {
+    let fields;
+    
+    try {
+      fields = JSON.parse(text);
+    } catch (error) {
+      throw new UserError(`Invalid JSON in fields file ${fileName}: ${error.message}`);
+    }
+    
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new UserError(`Fields file ${fileName} must contain an object of field values`);
+    }
+    
+    return fields;
+  }
+  
+  return parseFrontMatter(`---\n${text.trim()}\n---\n`).metadata;
+}
+
+/**
+ * Format a field value for the issue
+ * 
+ * @param {string} key - Field name
+ * @param {*} value - Field value; lists become markdown lists
+ * @returns {string} Formatted value
+ * @throws {UserError} If the value is an object
+ */
+function formatFieldValue(key, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  if (Array.isArray(value)) {
+    return value
+      .map(item => String(item).trim())
+      .filter(item => item)
+      .map(item => `- ${item}`)
+      .join('\n');
+  }
+  
+  if (typeof value === 'object') {
+    throw new UserError(`Invalid value for field ${key}`)
+      .withRecoveryHint('Use text, a number or a list of text');
+  }
+  
+  return String(value);
+}
+
+/**
+ * Check field values against the custom fields of a template
+ * 
+ * Keys match the placeholders exactly or, failing that, ignoring case.
+ * 
+ * @param {string} content - Template content
+ * @param {Object} [fields] - Field values by key
+ * @param {Object} [options] - Options
+ * @param {string} [options.templateName] - Template name, for messages
+ * @param {string} [options.missingHint] - Recovery hint explaining how to give missing fields
+ * @param {Object} [options.partials] - Content of the templates it refers to, by name
+ * @returns {Object} Template data for the custom fields
+ * @throws {UserError} If a field is unknown, built in or invalid, or a required field is missing
+ */
+function resolveTemplateFields(content, fields = {}, options = {}) {
+  const templateFields = getTemplateFields(content, options.partials);
+  const template = options.templateName ? `template ${options.templateName}` : 'this template';
+  const fieldList = templateFields.length > 0
+    ? `Fields of ${template}: ${templateFields.map(field => `${field.name}${field.required ? '' : ' (optional)'}`).join(', ')}`
+    : `${template.charAt(0).toUpperCase()}${template.slice(1)} has no custom fields`;
+  const data = {};
+  
+  for (const [key, value] of Object.entries(fields)) {
+    if (BUILT_IN_PLACEHOLDERS.includes(key.toUpperCase())) {
+      throw new UserError(`${key.toUpperCase()} cannot be set as a field`)
+        .withRecoveryHint('Give it with its own option, such as the title, problem or approach');
+    }
+    
+    const field = templateFields.find(candidate => candidate.name === key) ||
+      templateFields.find(candidate => candidate.name.toLowerCase() === key.toLowerCase());
+    
+    if (!field) {
+      throw new UserError(`Unknown field for ${template}: ${key}`)
+        .withRecoveryHint(fieldList);
+    }
+    
+    data[field.name] = formatFieldValue(key, value);
+  }
+  
+  const missing = templateFields.filter(field => field.required && !(data[field.name] || '').trim());
+  
+  if (missing.length > 0) {
+    const names = missing.map(field => field.name);
+    throw new UserError(`Missing required field${names.length !== 1 ? 's' : ''} for ${template}: ${names.join(', ')}`)
+      .withRecoveryHint(options.missingHint || `Use ${names.map(name => `--field ${name}=value`).join(' ')}`);
+  }
+  
+  return data;
+}
+
+module.exports = {
+  BUILT_IN_PLACEHOLDERS,
+  getTemplatePlaceholders,
+  getTemplateFields,
+  parseFieldAssignments,
+  parseFieldsFile,
+  resolveTemplateFields
+};
@@ -0,0 +1,144 @@
+// ABOUTME: Template inheritance utilities
+// ABOUTME: Resolves extends declarations and {{> partial}} includes between templates
+
+const { UserError, TemplateNotFoundError } = require('./errors');
+
+/**
+ * Matches an "extends: name" declaration on the first line of a template
+ */
+const EXTENDS_PATTERN = /^extends:[ \t]*([A-Za-z0-9_-]+)[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Matches {{> name}} includes. Partial blocks ({{#> name}}...{{/name}}) are
+ * not matched: they are slots that a template filling them in may override.
+ */
+const INCLUDE_PATTERN = /{{~?>\s*([A-Za-z0-9_-]+)/g;
+
+/**
+ * Get the template a template extends
+ * 
+ * @param {string} content - Template content
+ * @returns {string|null} Name of the base template, or null if it extends none
+ */
+function getExtendedTemplate(content) {
+  const match = content.match(EXTENDS_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Turn an extends declaration into Handlebars
+ * 
+ * The rest of the template becomes the body of a partial block for the base
+ * template, so the inline partials it defines ({{#*inline "slot"}}) fill in
+ * the base's slots.
+ * 
+ * @param {string} content - Template content
+ * @returns {string} Template content that Handlebars can render
+ */
+function applyExtends(content) {
+  const match = content.match(EXTENDS_PATTERN);
+  
+  if (!match) {
+    return content;
+  }
+  
+  const body = content.slice(match[0].length);
+  const separator = body === '' || body.endsWith('\n') ? '' : '\n';
+  
+  return `{{#> ${match[1]}}}\n${body}${separator}{{/${match[1]}}}`;
+}
+
+/**
+ * Get the templates a template refers to, the one it extends first
+ * 
+ * @param {string} content - Template content
+ * @returns {string[]} Names of the referenced templates
+ */
+function getTemplateReferences(content) {
+  const references = [];
+  const base = getExtendedTemplate(content);
+  
+  if (base) {
+    references.push(base);
+  }
+  
+  for (const match of content.matchAll(INCLUDE_PATTERN)) {
+    if (!references.includes(match[1])) {
+      references.push(match[1]);
+    }
+  }
+  
+  return references;
+}
+
+/**
+ * Load the templates a template extends or includes, and the ones they refer to
+ * 
+ * Referenced templates must be of the same type as the template.
+ * 
+ * @param {string} name - Template name
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @param {string} [content] - Template content, loaded when not given
+ * @returns {Promise<Object>} Content of the referenced templates by name, ready to be
+ *   passed to renderTemplate
+ * @throws {UserError} If the templates refer to each other in a cycle
+ * @throws {TemplateNotFoundError} If a referenced template does not exist
+ */
+async function loadTemplatePartials(name, type, content) {
+  // Required here as the template utilities render with applyExtends
+  const { loadTemplate, validateTemplate } = require('./template');
+  const partials = {};
+  
+  const visit = async (source, chain) => {
+    for (const reference of getTemplateReferences(source)) {
+      if (chain.includes(reference)) {
+        throw new UserError(`Template cycle: ${[...chain, reference].join(' -> ')}`)
+          .withRecoveryHint('Remove one of the extends declarations or includes');
+      }
+      
+      if (reference in partials) {
+        continue;
+      }
+      
+      if (!(await validateTemplate(reference, type))) {
+        throw new TemplateNotFoundError(`${reference} (${type})`)
+          .withRecoveryHint(`Template ${chain[chain.length - 1]} refers to it; create it or remove the reference`);
+      }
+      
+      const partial = await loadTemplate(reference, type);
+      partials[reference] = applyExtends(partial);
+      await visit(partial, [...chain, reference]);
+    }
+  };
+  
+  await visit(content === undefined ? await loadTemplate(name, type) : content, [name]);
+  
+  return partials;
+}
+
+/**
+ * Render a template with its base and includes filled in but its placeholders left as they are
+ * 
+ * @param {string} content - Template content
+ * @param {Object} partials - Content of the templates it refers to, by name
+ * @returns {string} Template content without extends declarations and includes
+ */
+function flattenTemplate(content, partials) {
+  const { renderTemplate } = require('./template');
+  const { getTemplatePlaceholders } = require('./templateFields');
+  const data = {};
+  
+  for (const placeholder of getTemplatePlaceholders(content, partials)) {
+    data[placeholder.name] = `{{${placeholder.name}}}`;
+  }
+  
+  return renderTemplate(content, data, partials);
+}
+
+module.exports = {
+  getExtendedTemplate,
+  applyExtends,
+  getTemplateReferences,
+  loadTemplatePartials,
+  flattenTemplate
+};
@@ -3,8 +3,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { getIssueDirectoryPath } = require('./directory');
 
+const DEFAULTS_RECORD_FILE = 'config/templates/defaults.json';
+
 /**
  * Get the path to the default templates directory
  * 
@@ -46,6 +49,48 @@ function getDefaultTemplatePath(name, type) {
   return path.join(templatesDir, type, `${name}.md`);
 }
 
+/**
+ * Hash template content, to tell whether a template still matches a default
+ * 
+ * @param {string} content - Template content
+ * @returns {string} SHA-256 hash of the content
+ */
+function hashTemplate(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the record of the default templates copied into the project
+ * 
+ * The record maps "type/name" to the hash of the packaged default that was
+ * copied, so later versions can tell untouched templates from customized ones.
+ * 
+ * @returns {Promise<Object>} Record with the issue-cards version and template hashes (empty for older projects)
+ */
+async function readDefaultsRecord() {
+  try {
+    const record = JSON.parse(await fs.promises.readFile(getIssueDirectoryPath(DEFAULTS_RECORD_FILE), 'utf8'));
+    return { version: record.version || null, templates: record.templates || {} };
+  } catch (error) {
+    return { version: null, templates: {} };
+  }
+}
+
+/**
+ * Write the record of the default templates copied into the project
+ * 
+ * @param {Object} templates - Hashes of the copied defaults by "type/name"
+ * @returns {Promise<void>}
+ */
+async function writeDefaultsRecord(templates) {
+  const record = {
+    version: require('../../package.json').version,
+    templates
+  };
+  
+  await fs.promises.writeFile(getIssueDirectoryPath(DEFAULTS_RECORD_FILE), `${JSON.stringify(record, null, 2)}\n`, 'utf8');
+}
+
 /**
  * Copy default templates to the project directory
  * 
@@ -59,12 +104,21 @@ async function copyDefaultTemplates() {
     // Copy issue templates
     const issueTemplatesDir = path.join(defaultTemplatesDir, 'issue');
     const projectIssueTemplatesDir = path.join(projectTemplatesDir, 'issue');
-    await copyTemplatesOfType(issueTemplatesDir, projectIssueTemplatesDir);
+    const issueHashes = await copyTemplatesOfType(issueTemplatesDir, projectIssueTemplatesDir);
     
     // Copy tag templates
     const tagTemplatesDir = path.join(defaultTemplatesDir, 'tag');
     const projectTagTemplatesDir = path.join(projectTemplatesDir, 'tag');
-    await copyTemplatesOfType(tagTemplatesDir, projectTagTemplatesDir);
+    const tagHashes = await copyTemplatesOfType(tagTemplatesDir, projectTagTemplatesDir);
+    
+    // Remember what was copied for 'issue-cards templates sync'
+    const templates = {};
+    Object.entries(issueHashes).forEach(([name, hash]) => { templates[`issue/${name}`] = hash; });
+    Object.entries(tagHashes).forEach(([name, hash]) => { templates[`tag/${name}`] = hash; });
+    
+    if (Object.keys(templates).length > 0) {
+      await writeDefaultsRecord(templates);
+    }
   } catch (error) {
     throw new Error(`Failed to copy default templates: ${error.message}`);
   }
@@ -75,11 +129,13 @@ async function copyDefaultTemplates() {
  * 
  * @param {string} sourceDir - Source directory
  * @param {string} destDir - Destination directory
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Hashes of the copied templates by name
  */
 async function copyTemplatesOfType(sourceDir, destDir) {
+  const outputManager = require('./outputManager');
+  const hashes = {};
+  
   try {
-    const outputManager = require('./outputManager');
     outputManager.debug(`Copying templates from ${sourceDir} to ${destDir}`);
     
     // Ensure destination directory exists
@@ -96,13 +152,16 @@ async function copyTemplatesOfType(sourceDir, destDir) {
         outputManager.debug(`Copying ${sourceFile} to ${destFile}`);
         const content = await fs.promises.readFile(sourceFile, 'utf8');
         await fs.promises.writeFile(destFile, content, 'utf8');
+        hashes[path.basename(file, '.md')] = hashTemplate(content);
       }
     }
+    
+    return hashes;
   } catch (error) {
     // If the templates directory doesn't exist, log a warning but don't throw
     if (error.code === 'ENOENT') {
       outputManager.warn(`Default templates directory not found: ${sourceDir}`);
-      return;
+      return hashes;
     }
     
     outputManager.error(`Error copying templates: ${error.message}`);
@@ -114,4 +173,7 @@ module.exports = {
   getDefaultTemplatesDir,
   getDefaultTemplatePath,
   copyDefaultTemplates,
+  hashTemplate,
+  readDefaultsRecord,
+  writeDefaultsRecord,
 };
\ No newline at end of file
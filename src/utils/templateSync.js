@@ -0,0 +1,186 @@
+// ABOUTME: Template sync utilities
+// ABOUTME: Compares project templates with the packaged defaults and brings untouched ones up to date
+
+const fs = require('fs');
+const path = require('path');
+const { getTemplateList, getTemplatePath } = require('./template');
+const {
+  getDefaultTemplatesDir,
+  hashTemplate,
+  readDefaultsRecord,
+  writeDefaultsRecord
+} = require('./templateInit');
+const { TEMPLATE_TYPES } = require('./templateAuthoring');
+const { UserError } = require('./errors');
+
+/**
+ * Hashes of the default templates earlier versions shipped, by "type/name"
+ * 
+ * Projects initialized before the defaults record was kept have no recorded
+ * base. A template matching one of these hashes is an untouched copy of an
+ * earlier default. Add the old hash here whenever a packaged default changes.
+ */
+const PREVIOUS_DEFAULT_HASHES = {
+  'issue/audit': ['8a0650d5b4d15401fdf92cd4eb62fcbaad997833c5583cd91274f091a407acd2'],
+  'issue/bugfix': ['9ef2fd4217e262fc6763e63a4a2b65bea400575daadac3d501147b13d55c9129'],
+  'issue/feature': ['97c4963fadabf0740186689eae969f370b35338d588e2d3c5adb72525b9379b1'],
+  'issue/refactor': ['9a55b0fe5faf589664f118e6e846457a2147ef17267aeb426690c5eaf256e36b']
+};
+
+/**
+ * Get the names of the packaged default templates of a type
+ * 
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @returns {Promise<string[]>} Template names
+ */
+async function getDefaultTemplateNames(type) {
+  try {
+    const files = await fs.promises.readdir(path.join(getDefaultTemplatesDir(), type));
+    return files
+      .filter(file => file.endsWith('.md'))
+      .map(file => path.basename(file, '.md'));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Work out the sync status of one template
+ * 
+ * The project copy is compared with the packaged default and with the default
+ * it was copied from (the base), as recorded when it was copied or, for
+ * projects without a record, an earlier default it still matches:
+ * - current: the project copy matches the packaged default
+ * - new: the packaged default is not in the project yet
+ * - outdated: the project copy is untouched but the packaged default changed
+ * - customized: the project copy was changed, or its base is unknown
+ * - removed: the packaged default was copied once and later removed
+ * - local: the template only exists in the project
+ * 
+ * @param {string|null} projectContent - Content of the project template, null if missing
+ * @param {string|null} defaultContent - Content of the packaged default, null if missing
+ * @param {string} [baseHash] - Hash of the default the project copy was made from
+ * @returns {string} Sync status
+ */
+function getTemplateStatus(projectContent, defaultContent, baseHash) {
+  if (defaultContent === null) {
+    return 'local';
+  }
+  
+  if (projectContent === null) {
+    return baseHash ? 'removed' : 'new';
+  }
+  
+  const projectHash = hashTemplate(projectContent);
+  
+  if (projectHash === hashTemplate(defaultContent)) {
+    return 'current';
+  }
+  
+  return projectHash === baseHash ? 'outdated' : 'customized';
+}
+
+/**
+ * Find the earlier default a template is an untouched copy of
+ * 
+ * @param {string} key - Template key ("type/name")
+ * @param {string|null} content - Content of the project template, null if missing
+ * @returns {string|undefined} Hash of the earlier default, undefined if it matches none
+ */
+function findPreviousDefaultHash(key, content) {
+  if (content === null) {
+    return undefined;
+  }
+  
+  const hash = hashTemplate(content);
+  return (PREVIOUS_DEFAULT_HASHES[key] || []).includes(hash) ? hash : undefined;
+}
+
+/**
+ * Read a template file
+ * 
+ * @param {string} filePath - Path to the template
+ * @returns {Promise<string|null>} Content, or null if the file does not exist
+ */
+async function readTemplateFile(filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compare the project templates with the packaged defaults and update them
+ * 
+ * New defaults are added and untouched copies of changed defaults are
+ * replaced. Customized templates, removed defaults and project-only templates
+ * are left alone. Every template that ends up matching its default is
+ * recorded, so it can be kept up to date by later syncs.
+ * 
+ * @param {Object} [options] - Sync options
+ * @param {string} [options.type] - Only sync templates of this type
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {boolean} [options.restore=false] - Also add defaults that were removed from the project
+ * @returns {Promise<Object>} Result with dryRun, the version the defaults were recorded with, and
+ *   templates with name, type, status and action ('add', 'update' or null)
+ */
+async function syncTemplates(options = {}) {
+  if (options.type && !TEMPLATE_TYPES.includes(options.type)) {
+    throw new UserError(`Invalid template type: ${options.type}`)
+      .withRecoveryHint('Use --type issue or --type tag');
+  }
+  
+  const record = await readDefaultsRecord();
+  const recorded = { ...record.templates };
+  const templates = [];
+  
+  for (const type of options.type ? [options.type] : TEMPLATE_TYPES) {
+    const names = [...new Set([...(await getDefaultTemplateNames(type)), ...(await getTemplateList(type, { includePartials: true }))])].sort();
+    
+    for (const name of names) {
+      const key = `${type}/${name}`;
+      const projectPath = getTemplatePath(name, type);
+      const projectContent = await readTemplateFile(projectPath);
+      const defaultContent = await readTemplateFile(path.join(getDefaultTemplatesDir(), type, `${name}.md`));
+      const baseHash = record.templates[key] || findPreviousDefaultHash(key, projectContent);
+      const status = getTemplateStatus(projectContent, defaultContent, baseHash);
+      
+      let action = null;
+      if (status === 'new' || (status === 'removed' && options.restore)) {
+        action = 'add';
+      } else if (status === 'outdated') {
+        action = 'update';
+      }
+      
+      if (action && !options.dryRun) {
+        await fs.promises.mkdir(path.dirname(projectPath), { recursive: true });
+        await fs.promises.writeFile(projectPath, defaultContent, 'utf8');
+      }
+      
+      if (action || status === 'current') {
+        recorded[key] = hashTemplate(defaultContent);
+      }
+      
+      templates.push({ name, type, status, action });
+    }
+  }
+  
+  if (!options.dryRun) {
+    await writeDefaultsRecord(recorded);
+  }
+  
+  return {
+    dryRun: Boolean(options.dryRun),
+    recordedVersion: record.version,
+    templates
+  };
+}
+
+module.exports = {
+  getTemplateStatus,
+  syncTemplates
+};
@@ -2,10 +2,16 @@
 // ABOUTME: Validates template structure and content
 
 const fs = require('fs');
+const Handlebars = require('handlebars');
 const { getTemplatePath } = require('./template');
+const { getExtendedTemplate, loadTemplatePartials, flattenTemplate } = require('./templateInheritance');
+const { parseParameterDeclaration } = require('./taskExpander');
 
 /**
  * Required sections for issue templates
+ * 
+ * These are the sections every packaged issue template has; a "Next steps"
+ * section is optional.
  */
 const REQUIRED_ISSUE_SECTIONS = [
   'Problem to be solved',
@@ -13,8 +19,7 @@ const REQUIRED_ISSUE_SECTIONS = [
   'Failed approaches', 
   'Questions to resolve',
   'Tasks',
-  'Instructions',
-  'Next steps'
+  'Instructions'
 ];
 
 /**
@@ -28,8 +33,7 @@ const REQUIRED_ISSUE_VARIABLES = [
   '{FAILED_APPROACHES}',
   '{QUESTIONS}',
   '{TASKS}',
-  '{INSTRUCTIONS}',
-  '{NEXT_STEPS}'
+  '{INSTRUCTIONS}'
 ];
 
 /**
@@ -45,30 +49,96 @@ const REQUIRED_TAG_SECTIONS = ['Steps'];
  * @returns {Promise<{valid: boolean, errors: string[]}>} Validation result
  */
 async function validateTemplateStructure(name, type) {
-  const errors = [];
+  let content;
   
   try {
     // Get template path and read content
     const templatePath = getTemplatePath(name, type);
-    const content = await fs.promises.readFile(templatePath, 'utf8');
-    
-    // Check template structure based on type
-    if (type === 'issue') {
-      validateIssueTemplateStructure(content, errors);
-    } else if (type === 'tag') {
-      validateTagTemplateStructure(content, errors);
-    }
-    
+    content = await fs.promises.readFile(templatePath, 'utf8');
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [`Template file could not be read: ${error.message}`]
+    };
+  }
+  
+  return validateResolvedTemplate(content, type, name);
+}
+
+/**
+ * Validate template content together with the templates it extends or includes
+ * 
+ * The templates it refers to must exist and must not refer back to it. An
+ * issue template is validated as it renders, with its base and includes
+ * filled in. Templates whose name starts with an underscore are bases and
+ * partials, so only their references are checked.
+ * 
+ * @param {string} content - Template content
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @param {string} name - Template name
+ * @returns {Promise<{valid: boolean, errors: string[]}>} Validation result
+ */
+async function validateResolvedTemplate(content, type, name) {
+  if (type === 'tag' && getExtendedTemplate(content)) {
     return {
-      valid: errors.length === 0,
-      errors
+      valid: false,
+      errors: ['Tag templates cannot extend other templates; include their steps with - {{> name}} instead']
     };
+  }
+  
+  let partials;
+  
+  try {
+    partials = await loadTemplatePartials(name, type, content);
   } catch (error) {
     return {
       valid: false,
-      errors: [`Template file could not be read: ${error.message}`]
+      errors: [error.message]
     };
   }
+  
+  if (name.startsWith('_')) {
+    return {
+      valid: true,
+      errors: []
+    };
+  }
+  
+  if (type === 'issue' && Object.keys(partials).length > 0) {
+    try {
+      content = flattenTemplate(content, partials);
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [`Template could not be rendered: ${error.message}`]
+      };
+    }
+  }
+  
+  return validateTemplateContent(content, type);
+}
+
+/**
+ * Validate template content before it is written to a template file
+ * 
+ * @param {string} content - Template content
+ * @param {string} type - Template type ('issue' or 'tag')
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+function validateTemplateContent(content, type) {
+  const errors = [];
+  
+  // Check template structure based on type
+  if (type === 'issue') {
+    validateIssueTemplateStructure(content, errors);
+  } else if (type === 'tag') {
+    validateTagTemplateStructure(content, errors);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
 }
 
 /**
@@ -111,10 +181,31 @@ function validateTagTemplateStructure(content, errors) {
   if (!content.includes('[ACTUAL TASK GOES HERE]')) {
     errors.push('Tag template does not contain [ACTUAL TASK GOES HERE] placeholder');
   }
+  
+  // Check the parameter declarations
+  const parametersSection = content.split(/^## Parameters[ \t]*$/m)[1];
+  if (parametersSection !== undefined) {
+    for (const line of parametersSection.split(/^#/m)[0].split('\n')) {
+      if (line.trim().startsWith('-') && !parseParameterDeclaration(line)) {
+        errors.push(`Invalid parameter declaration: ${line.trim()}`);
+      }
+    }
+  }
+  
+  // Check that conditions around steps are complete
+  try {
+    Handlebars.parse(content);
+  } catch (error) {
+    const messageLines = error.message.split('\n');
+    const message = messageLines.length > 1 ? `${messageLines[0]} ${messageLines[messageLines.length - 1]}` : messageLines[0];
+    errors.push(`Template could not be parsed: ${message}`);
+  }
 }
 
 module.exports = {
   validateTemplateStructure,
+  validateTemplateContent,
+  validateResolvedTemplate,
   REQUIRED_ISSUE_SECTIONS,
   REQUIRED_ISSUE_VARIABLES,
   REQUIRED_TAG_SECTIONS
@@ -103,6 +103,8 @@ describe('CLI Module Tests', () => {
       version: jest.fn().mockReturnThis(),
       addHelpCommand: jest.fn().mockReturnThis(),
       showHelpAfterError: jest.fn().mockReturnThis(),
+      enablePositionalOptions: jest.fn().mockReturnThis(),
+      hook: jest.fn().mockReturnThis(),
       exitOverride: jest.fn(handler => {
         exitHandler = handler;
         return mockCommand;
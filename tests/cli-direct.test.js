@@ -20,6 +20,8 @@ describe('CLI configureCommander', () => {
       version: jest.fn().mockReturnThis(),
       addHelpCommand: jest.fn().mockReturnThis(),
       showHelpAfterError: jest.fn().mockReturnThis(),
+      enablePositionalOptions: jest.fn().mockReturnThis(),
+      hook: jest.fn().mockReturnThis(),
       exitOverride: jest.fn().mockReturnThis()
     };
     
@@ -22,6 +22,8 @@ jest.mock('commander', () => {
     version: jest.fn().mockReturnThis(),
     addHelpCommand: jest.fn().mockReturnThis(),
     showHelpAfterError: jest.fn().mockReturnThis(),
+    enablePositionalOptions: jest.fn().mockReturnThis(),
+    hook: jest.fn().mockReturnThis(),
     exitOverride: jest.fn().mockReturnThis(),
     addCommand: jest.fn().mockReturnThis(),
     parseAsync: jest.fn().mockResolvedValue(undefined),
@@ -100,6 +102,7 @@ describe('CLI Setup', () => {
       expect(mockProgram.description).toHaveBeenCalledWith(expect.stringContaining('Issue Tracking'));
       expect(mockProgram.version).toHaveBeenCalled();
       expect(mockProgram.addHelpCommand).toHaveBeenCalledWith(true);
+      expect(mockProgram.hook).toHaveBeenCalledWith('preAction', expect.any(Function));
       expect(mockProgram.showHelpAfterError).toHaveBeenCalledWith(true);
       expect(mockProgram.exitOverride).toHaveBeenCalled();
     });
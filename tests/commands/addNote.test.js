@@ -21,6 +21,7 @@ jest.mock('../../src/utils/directory', () => ({
 jest.mock('../../src/utils/issueManager', () => ({
   getIssueFilePath: jest.fn().mockReturnValue('/test/issues/open/issue-1.md'),
   getCurrentIssue: jest.fn().mockResolvedValue({ issueNumber: 2 }),
+  writeIssue: jest.fn().mockResolvedValue(undefined),
 }));
 
 // Setup mock for outputManager
@@ -31,7 +32,7 @@ jest.mock('../../src/utils/outputManager', () => mockOutput);
 const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
 
 // Import after mocking
-const { getIssueFilePath, getCurrentIssue } = require('../../src/utils/issueManager');
+const { getIssueFilePath, getCurrentIssue, writeIssue } = require('../../src/utils/issueManager');
 const { addNoteAction } = require('../../src/commands/addNote');
 
 describe('addNote command', () => {
@@ -39,7 +40,7 @@ describe('addNote command', () => {
     jest.clearAllMocks();
     mockOutput._reset();
     getIssueFilePath.mockReturnValue('/test/issues/open/issue-1.md');
-    fs.writeFile.mockClear();
+    writeIssue.mockClear();
   });
 
   const mockIssueContent = `# Issue 1: Test Issue
@@ -82,12 +83,11 @@ None yet
     expect(fs.readFile).toHaveBeenCalledWith('/test/issues/open/issue-1.md', 'utf8');
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has the note added
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('Initial problem description');
     expect(writtenContent).toContain('This is a new note');
     
@@ -111,12 +111,11 @@ None yet
     });
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has the note added
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('## Failed approaches');
     expect(writtenContent).toContain('This is my first failed approach');
     
@@ -164,12 +163,11 @@ Next steps for current issue
     expect(getIssueFilePath).toHaveBeenCalledWith("0002");
     
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-2.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-2.md');
     
     // Verify content has the note added
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('Approach for current issue');
     expect(writtenContent).toContain('New note for current issue');
     
@@ -209,12 +207,11 @@ Next steps for current issue
     });
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has the note added to the right section
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('Initial approach');
     expect(writtenContent).toContain('New approach note');
     
@@ -232,12 +229,11 @@ Next steps for current issue
     });
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify plain text was added to the list section (should be added as a list item)
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('- [ ] Question 1?');
     expect(writtenContent).toContain('New insight about questions');
     
@@ -23,17 +23,18 @@ jest.mock('../../src/utils/directory', () => ({
 jest.mock('../../src/utils/issueManager', () => ({
   getIssueFilePath: jest.fn().mockReturnValue('/test/issues/open/issue-1.md'),
   getCurrentIssue: jest.fn().mockResolvedValue({ issueNumber: 2 }),
+  writeIssue: jest.fn().mockResolvedValue(undefined),
 }));
 
 // Import getCurrentIssue after mocking
-const { getCurrentIssue } = require('../../src/utils/issueManager');
+const { getCurrentIssue, writeIssue } = require('../../src/utils/issueManager');
 
 
 describe('addQuestion command', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     getIssueFilePath.mockReturnValue('/test/issues/open/issue-1.md');
-    fs.writeFile.mockClear();
+    writeIssue.mockClear();
   });
 
   const mockIssueContent = `# Issue 1: Test Issue
@@ -75,12 +76,11 @@ None yet
     expect(fs.readFile).toHaveBeenCalledWith('/test/issues/open/issue-1.md', 'utf8');
 
     // Check that writeFile was called - the content format might vary slightly based on implementation
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has both the existing question and the new question
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('- [ ] Existing question?');
     expect(writtenContent).toContain('- [ ] New question that needs an answer?');
   });
@@ -123,12 +123,11 @@ Next steps for current issue
     expect(getIssueFilePath).toHaveBeenCalledWith("0002");
     
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-2.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-2.md');
     
     // Verify content has the question
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('- [ ] Question for current issue?');
   });
 
@@ -147,12 +146,11 @@ Next steps for current issue
     });
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has the question
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('- [ ] First question?');
   });
 
@@ -165,12 +163,11 @@ Next steps for current issue
     });
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has the question without an extra question mark
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('- [ ] Does this work?');
     // Make sure there's no double question mark
     expect(writtenContent).not.toContain('- [ ] Does this work??');
@@ -185,12 +182,11 @@ Next steps for current issue
     });
 
     // Check that writeFile was called
-    expect(fs.writeFile).toHaveBeenCalled();
-    expect(fs.writeFile.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
-    expect(fs.writeFile.mock.calls[0][2]).toBe('utf8');
+    expect(writeIssue).toHaveBeenCalled();
+    expect(writeIssue.mock.calls[0][0]).toBe('/test/issues/open/issue-1.md');
     
     // Verify content has the question with a question mark added
-    const writtenContent = fs.writeFile.mock.calls[0][1];
+    const writtenContent = writeIssue.mock.calls[0][1];
     expect(writtenContent).toContain('- [ ] Is this a question?');
   });
 
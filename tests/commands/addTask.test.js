@@ -6,13 +6,16 @@ const {
   insertTaskIntoContent,
   findInsertionLineNumber,
   findTasksSectionEnd,
-  validateTags
+  validateTags,
+  buildTaskLines,
+  previewTask
 } = require('../../src/commands/addTask');
 const directory = require('../../src/utils/directory');
 const issueManager = require('../../src/utils/issueManager');
 const taskParser = require('../../src/utils/taskParser');
 const taskExpander = require('../../src/utils/taskExpander');
 const template = require('../../src/utils/template');
+const { UserError } = require('../../src/utils/errors');
 
 // Mock dependencies
 jest.mock('../../src/utils/directory', () => ({
@@ -38,7 +41,9 @@ jest.mock('../../src/utils/taskParser', () => ({
 
 jest.mock('../../src/utils/taskExpander', () => ({
   validateTagTemplate: jest.fn(),
-  expandTask: jest.fn().mockResolvedValue([])
+  resolveTagParameters: jest.fn().mockResolvedValue({}),
+  expandTask: jest.fn().mockResolvedValue([]),
+  stripExpandTags: jest.fn(text => text.replace(/\s*\+[a-z-]+/g, '').trim())
 }));
 
 jest.mock('../../src/utils/template', () => ({
@@ -76,6 +81,7 @@ describe('add-task command', () => {
     ]);
     taskParser.findCurrentTask.mockReturnValue({ text: 'Task 1', completed: false, index: 0 });
     taskParser.extractTagsFromTask.mockReturnValue([]);
+    taskParser.extractExpandTagsFromTask.mockReturnValue([]);
     
     taskExpander.validateTagTemplate.mockResolvedValue({ valid: true, errors: [] });
     template.getTemplateList.mockResolvedValue(['unit-test', 'update-docs']);
@@ -341,6 +347,93 @@ describe('add-task command', () => {
     });
   });
   
+  describe('task references', () => {
+    const content = '## Tasks\n- [ ] Write schema\n- [ ] Migrate after:0\n- [ ] Deploy after:0,1\n';
+    
+    beforeEach(() => {
+      taskParser.findCurrentTask.mockReturnValue({ text: 'Write schema', completed: false, index: 0 });
+    });
+    
+    test('moves references to tasks after an inserted task', async () => {
+      taskParser.extractExpandTagsFromTask.mockReturnValue([]);
+      
+      const result = await insertTaskIntoContent(content, 'Review schema', 'before-current');
+      
+      expect(result).toBe('## Tasks\n- [ ] Review schema\n- [ ] Write schema\n- [ ] Migrate after:1\n- [ ] Deploy after:1,2\n');
+    });
+    
+    test('moves references by the number of expanded tag steps', async () => {
+      taskParser.extractExpandTagsFromTask.mockReturnValue([{ name: 'unit-test', params: {} }]);
+      taskParser.isTagAtEnd.mockReturnValue(true);
+      taskExpander.expandTask.mockResolvedValue(['Write failing tests', 'Seed data', 'Run the tests']);
+      
+      const result = await insertTaskIntoContent(content, 'Seed data +unit-test', 'after-current');
+      
+      expect(result).toBe(
+        '## Tasks\n- [ ] Write schema\n- [ ] Write failing tests\n- [ ] Seed data\n- [ ] Run the tests\n' +
+        '- [ ] Migrate after:0\n- [ ] Deploy after:0,4\n'
+      );
+    });
+  });
+  
+  describe('subtasks', () => {
+    test('nests the tag steps under the task, without repeating the task', async () => {
+      taskParser.extractExpandTagsFromTask.mockReturnValue([{ name: 'unit-test', params: {} }]);
+      taskParser.isTagAtEnd.mockReturnValue(true);
+      taskExpander.expandTask.mockResolvedValue(['Write failing tests', 'Run the tests']);
+      
+      const lines = await buildTaskLines('Fix the bug +unit-test', { subtasks: true });
+      
+      expect(taskExpander.expandTask).toHaveBeenCalledWith(expect.objectContaining({ text: 'Fix the bug +unit-test' }), { withoutTask: true });
+      expect(lines).toEqual([
+        '- [ ] Fix the bug',
+        '  - [ ] Write failing tests',
+        '  - [ ] Run the tests'
+      ]);
+    });
+    
+    test('adds a task next to a current subtask as a subtask of the same parent', async () => {
+      const content = '## Tasks\n- [ ] Parent\n  - [ ] Child\n- [ ] Other\n';
+      taskParser.extractExpandTagsFromTask.mockReturnValue([]);
+      taskParser.extractTasks.mockResolvedValue([
+        { text: 'Parent', completed: false, index: 0, childIndices: [1] },
+        { text: 'Child', completed: false, index: 1, parentIndex: 0 },
+        { text: 'Other', completed: false, index: 2 }
+      ]);
+      taskParser.findCurrentTask.mockReturnValue({ text: 'Child', completed: false, index: 1, parentIndex: 0 });
+      
+      const result = await insertTaskIntoContent(content, 'Prepare fixtures', 'before-current');
+      
+      expect(result).toBe('## Tasks\n- [ ] Parent\n  - [ ] Prepare fixtures\n  - [ ] Child\n- [ ] Other\n');
+    });
+  });
+  
+  describe('previewTask', () => {
+    test('returns the task lines and the tags they were expanded from', async () => {
+      taskParser.extractExpandTagsFromTask.mockReturnValue([
+        { name: 'unit-test', params: { component: 'User' } },
+        { name: 'update-docs', params: {} }
+      ]);
+      taskExpander.expandTask.mockResolvedValue(['Write tests for User', 'Create User model', 'Update the docs']);
+      
+      const preview = await previewTask('Create User model +unit-test(component=User) +update-docs');
+      
+      expect(preview).toEqual({
+        lines: ['- [ ] Write tests for User', '- [ ] Create User model', '- [ ] Update the docs'],
+        tags: ['unit-test', 'update-docs']
+      });
+      expect(taskParser.isTagAtEnd).toHaveBeenCalledWith(expect.any(String), '+unit-test(component=User)');
+    });
+    
+    test('rejects tasks with invalid tags', async () => {
+      taskParser.extractExpandTagsFromTask.mockReturnValue([{ name: 'non-existent', params: {} }]);
+      
+      await expect(previewTask('New task +non-existent'))
+        .rejects.toThrow("Invalid tags in task: Tag 'non-existent' does not exist");
+      expect(taskExpander.expandTask).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('validateTags', () => {
     test('validates valid tags', async () => {
       const tags = [
@@ -397,6 +490,22 @@ describe('add-task command', () => {
       expect(errors).toHaveLength(1);
       expect(errors[0]).toContain('has invalid template');
     });
+    
+    test('reports missing required tag parameters', async () => {
+      const tags = [{ name: 'unit-test', params: { snapshots: 'true' } }];
+      
+      template.getTemplateList.mockResolvedValue(['unit-test']);
+      taskExpander.validateTagTemplate.mockResolvedValue({ valid: true, errors: [] });
+      taskExpander.resolveTagParameters.mockRejectedValueOnce(
+        new UserError('Missing required parameter for +unit-test: component')
+          .withRecoveryHint('Use +unit-test(component=value)')
+      );
+      
+      const errors = await validateTags(tags);
+      
+      expect(taskExpander.resolveTagParameters).toHaveBeenCalledWith('unit-test', { snapshots: 'true' });
+      expect(errors).toEqual(['Missing required parameter for +unit-test: component (Use +unit-test(component=value))']);
+    });
   });
   
   describe('addTaskAction', () => {
@@ -456,6 +565,22 @@ describe('add-task command', () => {
       expect(issueManager.writeIssue).not.toHaveBeenCalled();
     });
     
+    test('shows the task lines without writing them in a dry run', async () => {
+      issueManager.listIssues.mockResolvedValue([
+        { issueNumber: '0001', title: 'Issue 1', path: '/path/to/issue1.md' }
+      ]);
+      issueManager.readIssue.mockResolvedValue('## Tasks\n- [ ] Parent\n  - [ ] Child\n');
+      taskParser.extractExpandTagsFromTask.mockReturnValue([{ name: 'unit-test', params: {} }]);
+      taskParser.findCurrentTask.mockReturnValue({ text: 'Child', completed: false, index: 1, parentIndex: 0 });
+      taskExpander.expandTask.mockResolvedValue(['Write failing tests', 'Add fixtures']);
+      
+      await addTaskAction('Add fixtures +unit-test', { issue: '1', after: true, dryRun: true });
+      
+      expect(issueManager.writeIssue).not.toHaveBeenCalled();
+      expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('  - [ ] Write failing tests'));
+      expect(consoleSpy.log).toHaveBeenCalledWith(expect.stringContaining('the issue was not changed'));
+    });
+    
     test('handles uninitialized state', async () => {
       directory.isInitialized.mockResolvedValue(false);
       
@@ -0,0 +1,108 @@
+// ABOUTME: Tests for the answer-question command
+// ABOUTME: Verifies answering questions by index or text and the already-answered guard
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn()
+}));
+
+const { createCommand, answerQuestionAction } = require('../../src/commands/answerQuestion');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const outputManager = require('../../src/utils/outputManager');
+const { UserError, UninitializedError, IssueNotFoundError } = require('../../src/utils/errors');
+
+const content = `# Issue 0001: Sessions
+
+## Planned approach
+Store sessions server side
+
+## Questions to resolve
+- [ ] Which database should we use?
+- [x] Do we need SSO?
+
+## Tasks
+- [ ] Build login
+`;
+
+describe('Answer question command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001' });
+    issueManager.readIssue.mockResolvedValue(content);
+  });
+  
+  it('creates a command with the expected arguments and options', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('answer-question');
+    expect(command.aliases()).toEqual(['answer']);
+    expect(command.registeredArguments.map(arg => arg.name())).toEqual(['question', 'answer']);
+    expect(command.options.map(option => option.long)).toEqual(['--issue', '--approach', '--force']);
+  });
+  
+  it('answers a question of the current issue by index', async () => {
+    await answerQuestionAction('0', 'PostgreSQL');
+    
+    expect(issueManager.writeIssue).toHaveBeenCalledWith(
+      '/project/.issues/open/issue-0001.md',
+      expect.stringMatching(/- \[x\] Which database should we use\?\n {2}- Answer \(\d{4}-\d\d-\d\dT[\d:.]+Z\): PostgreSQL\n/)
+    );
+    expect(outputManager.success).toHaveBeenCalledWith('Answered question 0 in issue #0001: Which database should we use?');
+  });
+  
+  it('answers a question of another issue by text and adds it to the approach', async () => {
+    await answerQuestionAction('database', 'PostgreSQL', { issue: '2', approach: true });
+    
+    expect(issueManager.getIssueFilePath).toHaveBeenCalledWith('0002');
+    expect(issueManager.writeIssue).toHaveBeenCalledWith(
+      '/project/.issues/open/issue-0002.md',
+      expect.stringContaining('**Which database should we use?** PostgreSQL')
+    );
+    expect(outputManager.info).toHaveBeenCalledWith('Added the answer to the planned approach');
+  });
+  
+  it('refuses to answer an answered question unless forced', async () => {
+    await expect(answerQuestionAction('1', 'Later')).rejects.toThrow('Question 1 is already answered: Do we need SSO?');
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+    
+    await answerQuestionAction('1', 'Later', { force: true });
+    expect(issueManager.writeIssue).toHaveBeenCalled();
+  });
+  
+  it('reports unknown questions and empty answers with a display message', async () => {
+    const error = await answerQuestionAction('5', 'Yes').catch(err => err);
+    
+    expect(error).toBeInstanceOf(UserError);
+    expect(error.displayMessage).toBe('Question index out of range: 5 (Issue has 2 questions (indices start at 0))');
+    await expect(answerQuestionAction('0', '  ')).rejects.toThrow('Answer cannot be empty');
+  });
+  
+  it('only answers questions of open issues', async () => {
+    issueManager.readIssue.mockRejectedValue(new Error('ENOENT'));
+    
+    await expect(answerQuestionAction('0', 'Yes', { issue: '9' })).rejects.toThrow(IssueNotFoundError);
+  });
+  
+  it('requires issue tracking to be initialized', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(answerQuestionAction('0', 'Yes')).rejects.toThrow(UninitializedError);
+  });
+});
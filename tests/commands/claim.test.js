@@ -0,0 +1,90 @@
+// ABOUTME: Tests for the claim command
+// ABOUTME: Verifies claiming the given or current issue and reporting claims by others
+
+const { createCommand, claimAction } = require('../../src/commands/claim');
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  claimIssue: jest.fn()
+}));
+
+const output = require('../../src/utils/outputManager');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const { UninitializedError, UserError, SystemError, IssueClaimedError } = require('../../src/utils/errors');
+
+describe('Claim command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+  });
+  
+  test('creates a properly configured command', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('claim');
+    expect(command.options.map(option => option.long)).toEqual(['--issue', '--owner', '--force']);
+  });
+  
+  test('claims the given issue', async () => {
+    issueManager.claimIssue.mockResolvedValue({ issueNumber: '0003', owner: 'agentA', previousOwner: null });
+    
+    await claimAction({ issue: '3', owner: 'agentA' });
+    
+    expect(issueManager.claimIssue).toHaveBeenCalledWith('3', { owner: 'agentA', force: undefined });
+    expect(output.success).toHaveBeenCalledWith('Claimed issue #0003 for agentA');
+    expect(output.info).not.toHaveBeenCalled();
+  });
+  
+  test('claims the current issue and reports a taken over claim', async () => {
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0002' });
+    issueManager.claimIssue.mockResolvedValue({ issueNumber: '0002', owner: 'alice', previousOwner: 'agentA' });
+    
+    await claimAction({ force: true });
+    
+    expect(issueManager.claimIssue).toHaveBeenCalledWith('0002', { owner: undefined, force: true });
+    expect(output.info).toHaveBeenCalledWith('Took over the claim of agentA');
+  });
+  
+  test('reports a claim by someone else', async () => {
+    issueManager.claimIssue.mockRejectedValue(
+      new IssueClaimedError('0003', 'agentA').withRecoveryHint('Ask agentA to release it, or take it over with --force')
+    );
+    
+    const error = await claimAction({ issue: '3' }).catch(e => e);
+    
+    expect(error).toBeInstanceOf(UserError);
+    expect(error.displayMessage).toBe('Issue #0003 is claimed by agentA (Ask agentA to release it, or take it over with --force)');
+  });
+  
+  test('requires a current issue when no issue is given', async () => {
+    issueManager.getCurrentIssue.mockResolvedValue(null);
+    
+    await expect(claimAction({})).rejects.toThrow('No current issue found');
+    expect(issueManager.claimIssue).not.toHaveBeenCalled();
+  });
+  
+  test('requires initialization', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(claimAction({ issue: '1' })).rejects.toThrow(UninitializedError);
+  });
+  
+  test('wraps unexpected errors', async () => {
+    issueManager.claimIssue.mockRejectedValue(new Error('disk full'));
+    
+    const error = await claimAction({ issue: '1' }).catch(e => e);
+    
+    expect(error).toBeInstanceOf(SystemError);
+    expect(error.displayMessage).toBe('Failed to claim issue: disk full');
+  });
+});
@@ -8,6 +8,7 @@ jest.mock('../../src/utils/outputManager', () => {
     success: jest.fn(),
     error: jest.fn(),
     info: jest.fn(),
+    warn: jest.fn(),
     debug: jest.fn(),
     blank: jest.fn(),
     section: jest.fn(),
@@ -32,6 +33,7 @@ jest.mock('../../src/utils/taskParser', () => ({
   extractTasks: jest.fn(),
   findCurrentTask: jest.fn(),
   updateTaskStatus: jest.fn(),
+  getParentTasks: jest.fn().mockReturnValue([])
 }));
 
 // Mock git utilities
@@ -54,7 +56,12 @@ jest.mock('../../src/utils/taskExpander', () => ({
 
 // Import the mocked dependencies
 const { Command } = require('commander');
-const { createCommand, completeTaskAction } = require('../../src/commands/completeTask');
+const {
+  createCommand,
+  completeTaskAction,
+  parseTaskIndices,
+  selectTasks
+} = require('../../src/commands/completeTask');
 const directory = require('../../src/utils/directory');
 const issueManager = require('../../src/utils/issueManager');
 const taskParser = require('../../src/utils/taskParser');
@@ -256,6 +263,52 @@ describe('Complete Task command', () => {
       expect(taskParser.updateTaskStatus).not.toHaveBeenCalled();
     });
     
+    test('refuses to complete a task when all remaining tasks are blocked', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { issueNumber: '0001', title: 'Test Issue', content: '# Issue 0001: Test Issue' }
+      );
+      
+      // The only open task waits on a later task that does not exist
+      taskParser.extractTasks.mockResolvedValue([
+        { text: 'Deploy after:5', completed: false, index: 0, dependencies: { issues: [], tasks: [5], questions: [] } }
+      ]);
+      taskParser.findCurrentTask.mockImplementationOnce(jest.requireActual('../../src/utils/taskParser').findCurrentTask);
+      
+      const promise = completeTaskAction();
+      
+      await expect(promise).rejects.toThrow('All remaining tasks are blocked');
+      await expect(promise).rejects.toMatchObject({
+        displayMessage: expect.stringContaining('Task 0: Deploy after:5 (Waits for task 5, which does not exist)')
+      });
+      expect(taskParser.updateTaskStatus).not.toHaveBeenCalled();
+    });
+    
+    test('keeps the issue open when a completed task depends on an open issue', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { issueNumber: '0001', title: 'Test Issue', content: '# Issue 0001: Test Issue' }
+      );
+      
+      // Issue #0099 is neither in open/ nor in closed/, so it is not closed yet
+      const dependencies = { issues: ['0099'], tasks: [], questions: [] };
+      taskParser.extractTasks
+        .mockResolvedValueOnce([{ text: 'Integrate depends:#0099', completed: false, index: 0, dependencies }])
+        .mockResolvedValueOnce([{ text: 'Integrate depends:#0099', completed: true, index: 0, dependencies }]);
+      taskParser.findCurrentTask
+        .mockReturnValueOnce({ text: 'Integrate depends:#0099', completed: false, index: 0, dependencies })
+        .mockReturnValueOnce(null);
+      taskParser.updateTaskStatus.mockResolvedValue('# Issue 0001: Test Issue\n\n## Tasks\n- [x] Integrate depends:#0099');
+      
+      await completeTaskAction();
+      
+      expect(issueManager.saveIssue).toHaveBeenCalled();
+      expect(issueManager.closeIssue).not.toHaveBeenCalled();
+      expect(outputManager.warn).toHaveBeenCalledWith(expect.stringContaining('stays open until its dependencies are closed: #0099'));
+    });
+    
     test('shows error when issue tracking is not initialized', async () => {
       // Mock directory.isInitialized to return false
       directory.isInitialized.mockResolvedValue(false);
@@ -319,4 +372,116 @@ describe('Complete Task command', () => {
       expect(gitOperations.gitStage).toHaveBeenCalled();
     });
   });
+  
+  describe('task selection', () => {
+    const tasks = [
+      { text: 'Write migration', completed: false, index: 0 },
+      { text: 'Update API docs', completed: false, index: 1 },
+      { text: 'Review schema', completed: true, index: 2 }
+    ];
+    
+    test('parseTaskIndices accepts repeated and comma-separated indices', () => {
+      expect(parseTaskIndices(['0,2', '1'])).toEqual([0, 2, 1]);
+      expect(parseTaskIndices(3)).toEqual([3]);
+      expect(() => parseTaskIndices(['one'])).toThrow('Invalid task index: one');
+    });
+    
+    test('selectTasks combines indices and matches in issue order', () => {
+      const selected = selectTasks(tasks, { index: ['2'], match: ['MIGRATION'] });
+      
+      expect(selected.map(task => task.index)).toEqual([0, 2]);
+    });
+    
+    test('selectTasks rejects ambiguous or unknown text and bad indices', () => {
+      expect(() => selectTasks(tasks, { match: ['e'] })).toThrow('"e" matches 3 tasks');
+      expect(() => selectTasks(tasks, { match: ['deploy'] })).toThrow('No task matches "deploy"');
+      expect(() => selectTasks(tasks, { index: ['5'] })).toThrow('Task index out of range: 5');
+    });
+    
+    test('completes the selected tasks instead of the current task', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { issueNumber: '0001', title: 'Test Issue', content: 'original' }
+      );
+      issueManager.getIssue.mockResolvedValue('updated twice');
+      
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.updateTaskStatus
+        .mockResolvedValueOnce('updated once')
+        .mockResolvedValueOnce('updated twice');
+      taskParser.findCurrentTask.mockReturnValue(tasks[0]);
+      
+      await completeTaskAction({ index: ['1'], match: ['review'] });
+      
+      // The already completed task is skipped with a warning
+      expect(outputManager.warn).toHaveBeenCalledWith('Task 2 is already completed: Review schema');
+      expect(taskParser.updateTaskStatus).toHaveBeenCalledTimes(1);
+      expect(taskParser.updateTaskStatus).toHaveBeenCalledWith('original', 1, true);
+      expect(issueManager.saveIssue).toHaveBeenCalledWith('0001', 'updated once');
+      expect(outputManager.success).toHaveBeenCalledWith('Task completed: Update API docs');
+      
+      // The usual next-task display follows
+      expect(outputManager.section).toHaveBeenCalledWith('NEXT TASK', 'Write migration');
+    });
+    
+    test('marks selected tasks as not done with --uncomplete', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { issueNumber: '0001', title: 'Test Issue', content: 'original' }
+      );
+      issueManager.getIssue.mockResolvedValue('reopened task');
+      
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.updateTaskStatus.mockResolvedValue('reopened task');
+      taskParser.findCurrentTask.mockReturnValue(tasks[0]);
+      
+      await completeTaskAction({ index: ['2'], uncomplete: true });
+      
+      expect(taskParser.updateTaskStatus).toHaveBeenCalledWith('original', 2, false);
+      expect(outputManager.success).toHaveBeenCalledWith('Task marked as not done: Review schema');
+      expect(issueManager.closeIssue).not.toHaveBeenCalled();
+    });
+    
+    test('reports parent tasks that were completed with their last subtask', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { issueNumber: '0001', title: 'Test Issue', content: 'original' }
+      );
+      issueManager.getIssue.mockResolvedValue('rolled up');
+      
+      const nestedTasks = [
+        { text: 'Build login', completed: false, index: 0, childIndices: [1] },
+        { text: 'Write tests', completed: false, index: 1, parentIndex: 0 },
+        { text: 'Deploy', completed: false, index: 2 }
+      ];
+      taskParser.extractTasks
+        .mockResolvedValueOnce(nestedTasks)
+        .mockResolvedValueOnce(nestedTasks.map(task => ({ ...task, completed: task.index < 2 })));
+      taskParser.updateTaskStatus.mockResolvedValue('rolled up');
+      taskParser.findCurrentTask
+        .mockReturnValueOnce(nestedTasks[1])
+        .mockReturnValueOnce(nestedTasks[2]);
+      
+      await completeTaskAction();
+      
+      expect(outputManager.success).toHaveBeenCalledWith('Task completed: Write tests');
+      expect(outputManager.success).toHaveBeenCalledWith('All subtasks done, parent task completed: Build login');
+      expect(outputManager.section).toHaveBeenCalledWith('NEXT TASK', 'Deploy');
+    });
+    
+    test('requires a selection for --uncomplete', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { issueNumber: '0001', title: 'Test Issue', content: 'original' }
+      );
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      
+      await expect(completeTaskAction({ uncomplete: true })).rejects.toThrow('No task selected to mark as not done');
+      expect(issueManager.saveIssue).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
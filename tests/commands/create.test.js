@@ -12,6 +12,7 @@ jest.mock('fs', () => ({
   promises: {
     writeFile: jest.fn(),
     readdir: jest.fn(),
+    readFile: jest.fn(),
   },
 }));
 
@@ -172,7 +173,8 @@ describe('Create command', () => {
         expect.objectContaining({ 
           NUMBER: '0001',
           TITLE: 'Test Issue'
-        })
+        }),
+        {}
       );
       
       // Verify issue was saved
@@ -212,6 +214,25 @@ describe('Create command', () => {
       expect(issueManager.saveIssue).not.toHaveBeenCalled();
     });
     
+    test('writes front matter metadata for the new issue', async () => {
+      await createAction('bugfix', {
+        title: 'Test Issue',
+        priority: 'high',
+        labels: 'auth,backend',
+        assignee: 'alice'
+      });
+      
+      const savedContent = issueManager.saveIssue.mock.calls[0][1];
+      expect(savedContent).toMatch(/^---\nstatus: open\npriority: high\nlabels: \[auth, backend\]\nassignee: alice\ntemplate: bugfix\ncreated: .+\nupdated: .+\n---\n# Issue 0001: Test Issue/);
+    });
+    
+    test('throws error when priority is invalid', async () => {
+      await expect(createAction('feature', { title: 'Test Issue', priority: 'urgent' }))
+        .rejects.toThrow(UserError);
+      
+      expect(issueManager.saveIssue).not.toHaveBeenCalled();
+    });
+    
     test('throws error when template is invalid', async () => {
       // Mock template validation to fail
       template.validateTemplate.mockResolvedValue(false);
@@ -275,7 +296,8 @@ describe('Create command', () => {
           TITLE: 'Test Issue',
           PROBLEM: 'Test problem description',
           APPROACH: 'Test planned approach'
-        })
+        }),
+        {}
       );
       
       // Verify lists were formatted correctly
@@ -476,4 +498,49 @@ describe('Create command', () => {
       expect(issueManager.saveIssue).toHaveBeenCalledWith('0001', expect.any(String));
     });
   });
-});
\ No newline at end of file
+  
+  describe('custom template fields', () => {
+    const spikeTemplate = '# Issue {{NUMBER}}: {{TITLE}}\n\n## Timebox\n{{TIMEBOX}}\n{{#if OWNER}}Owner: {{OWNER}}{{/if}}\n';
+    
+    beforeEach(() => {
+      template.loadTemplate.mockResolvedValue(spikeTemplate);
+    });
+    
+    test('passes field values to the template', async () => {
+      await createAction('spike', { title: 'Evaluate caching', field: ['timebox=2 days', 'OWNER=alice'] });
+      
+      expect(template.renderTemplate).toHaveBeenCalledWith(spikeTemplate, expect.objectContaining({
+        TITLE: 'Evaluate caching',
+        TIMEBOX: '2 days',
+        OWNER: 'alice'
+      }), {});
+      expect(issueManager.saveIssue).toHaveBeenCalled();
+    });
+    
+    test('reads field values from a file, with --field taking precedence', async () => {
+      fs.promises.readFile.mockResolvedValue('TIMEBOX: 1 day\nOWNER: bob\n');
+      
+      await createAction('spike', { title: 'Evaluate caching', fieldsFile: 'spike.yml', field: ['OWNER=alice'] });
+      
+      expect(fs.promises.readFile).toHaveBeenCalledWith(path.resolve('spike.yml'), 'utf8');
+      expect(template.renderTemplate).toHaveBeenCalledWith(spikeTemplate, expect.objectContaining({
+        TIMEBOX: '1 day',
+        OWNER: 'alice'
+      }), {});
+    });
+    
+    test('reports missing required fields', async () => {
+      const error = await createAction('spike', { title: 'Evaluate caching', field: ['OWNER=alice'] }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(UserError);
+      expect(error.message).toBe('Missing required field for template spike: TIMEBOX');
+      expect(error.recoveryHint).toBe('Use --field TIMEBOX=value');
+      expect(issueManager.saveIssue).not.toHaveBeenCalled();
+    });
+    
+    test('reports unknown fields', async () => {
+      await expect(createAction('spike', { title: 'Evaluate caching', field: ['TIMEBOX=1d', 'COLOR=red'] }))
+        .rejects.toThrow('Unknown field for template spike: COLOR');
+    });
+  });
+});
@@ -16,6 +16,7 @@ jest.mock('../../src/utils/outputManager', () => ({
   success: jest.fn(),
   error: jest.fn(),
   info: jest.fn(),
+  warn: jest.fn(),
   section: jest.fn(),
   debug: jest.fn()
 }));
@@ -34,6 +35,7 @@ jest.mock('../../src/utils/issueManager', () => ({
 jest.mock('../../src/utils/taskParser', () => ({
   extractTasks: jest.fn(),
   findCurrentTask: jest.fn(),
+  getParentTasks: jest.fn().mockReturnValue([])
 }));
 
 jest.mock('../../src/utils/taskExpander', () => ({
@@ -61,6 +63,91 @@ describe('Current command', () => {
   });
   
   describe('currentAction', () => {
+    test('shows the parent task of a subtask and indents upcoming subtasks', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ number: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { number: '0001', title: 'Test Issue', content: '# Issue 0001: Test Issue' }
+      );
+      
+      const tasks = [
+        { text: 'Build login', completed: false, index: 0, childIndices: [1, 2] },
+        { text: 'Write tests', completed: false, index: 1, parentIndex: 0 },
+        { text: 'Implement form', completed: false, index: 2, parentIndex: 0 }
+      ];
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.findCurrentTask.mockReturnValue(tasks[1]);
+      taskParser.getParentTasks.mockImplementation((allTasks, task) => (task.parentIndex === 0 ? [tasks[0]] : []));
+      taskExpander.expandTask.mockResolvedValue(['Write tests']);
+      
+      await currentAction();
+      
+      expect(outputManager.section).toHaveBeenCalledWith('CURRENT TASK', 'Write tests');
+      expect(outputManager.section).toHaveBeenCalledWith('PARENT TASK', ['Build login']);
+      expect(outputManager.section).toHaveBeenCalledWith('UPCOMING TASKS', ['  Implement form']);
+      
+      taskParser.getParentTasks.mockReturnValue([]);
+    });
+    
+    test('leaves later tasks that were completed first out of the upcoming tasks', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ number: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue(
+        { number: '0001', title: 'Test Issue', content: '# Issue 0001: Test Issue' }
+      );
+      
+      const tasks = [
+        { text: 'Write schema', completed: false, index: 0 },
+        { text: 'Add index', completed: true, index: 1 },
+        { text: 'Deploy', completed: false, index: 2 }
+      ];
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.findCurrentTask.mockReturnValue(tasks[0]);
+      taskExpander.expandTask.mockResolvedValue(['Write schema']);
+      
+      await currentAction();
+      
+      expect(outputManager.section).toHaveBeenCalledWith('UPCOMING TASKS', ['Deploy']);
+    });
+    
+    test('shows only unanswered questions unless all questions are requested', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ number: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue({
+        number: '0001',
+        title: 'Test Issue',
+        content: '# Issue 0001: Test Issue\n\n## Questions to resolve\n- [ ] Which cache?\n- [x] Which database?\n  - Answer (2026-10-18T12:00:00Z): PostgreSQL\n\n## Tasks\n- [ ] First task\n'
+      });
+      
+      const tasks = [{ text: 'First task', completed: false, index: 0 }];
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.findCurrentTask.mockReturnValue(tasks[0]);
+      taskExpander.expandTask.mockResolvedValue(['First task']);
+      
+      await currentAction();
+      expect(outputManager.section).toHaveBeenCalledWith('Questions to resolve', ['[ ] Which cache?']);
+      
+      outputManager.section.mockClear();
+      await currentAction({ allQuestions: true });
+      expect(outputManager.section).toHaveBeenCalledWith('Questions to resolve', ['[ ] Which cache?', '[x] Which database?']);
+    });
+    
+    test('uses the current issue of the session', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ issueNumber: '0001', title: 'Test Issue' }]);
+      issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0002', title: 'Other Issue', content: '# Issue 0002: Other Issue' });
+      
+      const tasks = [{ text: 'First task', completed: false, index: 0 }];
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.findCurrentTask.mockReturnValue(tasks[0]);
+      taskExpander.expandTask.mockResolvedValue(['First task']);
+      
+      await currentAction({ session: 'agentA' });
+      
+      expect(issueManager.getCurrentIssue).toHaveBeenCalledWith({ session: 'agentA' });
+      expect(outputManager.info).toHaveBeenCalledWith('Session agentA: issue #0002');
+    });
+    
     test('shows current task with expanded steps', async () => {
       // Mock directory.isInitialized to return true
       directory.isInitialized.mockResolvedValue(true);
@@ -97,7 +184,7 @@ describe('Current command', () => {
       
       // Verify outputs
       expect(taskParser.extractTasks).toHaveBeenCalledWith('# Issue 0001: Test Issue');
-      expect(taskParser.findCurrentTask).toHaveBeenCalledWith(tasks);
+      expect(taskParser.findCurrentTask).toHaveBeenCalledWith(tasks, new Map());
       expect(taskExpander.expandTask).toHaveBeenCalledWith(tasks[0]);
       
       // Check section output - the display utility uses 'CURRENT TASK' format
@@ -164,6 +251,29 @@ describe('Current command', () => {
       expect(outputManager.success).toHaveBeenCalledWith(expect.stringContaining('All tasks completed'));
     });
     
+    test('explains why tasks are blocked when none can be worked on', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.listIssues.mockResolvedValue([{ number: '0001', title: 'Test Issue' }]);
+      
+      const content = '# Issue 0001: Test Issue\n\n## Tasks\n- [ ] Pick a cache question:0\n\n## Questions to resolve\n- [ ] Redis or Memcached?';
+      issueManager.getCurrentIssue.mockResolvedValue({ number: '0001', title: 'Test Issue', content });
+      
+      const tasks = [
+        { text: 'Pick a cache question:0', completed: false, index: 0, dependencies: { issues: [], tasks: [], questions: [0] } }
+      ];
+      taskParser.extractTasks.mockResolvedValue(tasks);
+      taskParser.findCurrentTask.mockReturnValue(null);
+      
+      await currentAction();
+      
+      expect(taskParser.findCurrentTask).toHaveBeenCalledWith(tasks, expect.any(Map));
+      expect(outputManager.warn).toHaveBeenCalledWith('All remaining tasks in this issue are blocked.');
+      expect(outputManager.section).toHaveBeenCalledWith('BLOCKED TASKS', [
+        'Task 0: Pick a cache question:0 (Waiting on an answer to question 0: Redis or Memcached?)'
+      ]);
+      expect(outputManager.success).not.toHaveBeenCalled();
+    });
+    
     test('throws error when issue tracking is not initialized', async () => {
       // Mock directory.isInitialized to return false
       directory.isInitialized.mockResolvedValue(false);
@@ -0,0 +1,126 @@
+// ABOUTME: Tests for the edit-task command
+// ABOUTME: Verifies changing task text, tag expansion and the completed-task guard
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn()
+}));
+
+jest.mock('../../src/utils/template', () => ({
+  getTemplateList: jest.fn()
+}));
+
+jest.mock('../../src/utils/taskExpander', () => ({
+  validateTagTemplate: jest.fn(),
+  resolveTagParameters: jest.fn().mockResolvedValue({}),
+  expandTask: jest.fn(),
+  stripExpandTags: jest.requireActual('../../src/utils/taskExpander').stripExpandTags
+}));
+
+const { createCommand, editTaskAction } = require('../../src/commands/editTask');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const template = require('../../src/utils/template');
+const taskExpander = require('../../src/utils/taskExpander');
+const outputManager = require('../../src/utils/outputManager');
+const { UserError, UninitializedError } = require('../../src/utils/errors');
+
+const content = `# Issue 0001: Test Issue
+
+## Tasks
+- [x] Write migration
+- [ ] Update API docs
+- [ ] Deploy after:1
+
+## Instructions
+Keep it small
+`;
+
+describe('Edit task command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001' });
+    issueManager.readIssue.mockResolvedValue(content);
+    template.getTemplateList.mockResolvedValue(['unit-test']);
+    taskExpander.validateTagTemplate.mockResolvedValue({ valid: true, errors: [] });
+  });
+  
+  it('creates a command with the expected arguments and options', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('edit-task');
+    expect(command.registeredArguments.map(arg => arg.name())).toEqual(['index', 'task-text']);
+    expect(command.options.map(option => option.long)).toEqual(['--issue', '--force']);
+  });
+  
+  it('replaces the text of a task in the current issue', async () => {
+    await editTaskAction('1', 'Update the API reference');
+    
+    expect(issueManager.writeIssue).toHaveBeenCalledWith(
+      '/project/.issues/open/issue-0001.md',
+      expect.stringContaining('- [x] Write migration\n- [ ] Update the API reference\n- [ ] Deploy after:1')
+    );
+    expect(outputManager.success).toHaveBeenCalledWith('Task 1 in issue #0001 updated: Update the API reference');
+  });
+  
+  it('expands tags into several tasks, keeping references on the task itself', async () => {
+    taskExpander.expandTask.mockResolvedValue(['Write a failing test', 'Update API docs', 'Run the tests']);
+    
+    await editTaskAction('1', 'Update API docs +unit-test', { issue: '1' });
+    
+    const written = issueManager.writeIssue.mock.calls[0][1];
+    expect(written).toContain('- [ ] Write a failing test\n- [ ] Update API docs\n- [ ] Run the tests\n- [ ] Deploy after:2');
+    expect(outputManager.success).toHaveBeenCalledWith('Task 1 in issue #0001 replaced with 3 expanded tasks');
+  });
+  
+  it('rejects unknown tags', async () => {
+    await expect(editTaskAction('1', 'Update API docs +missing')).rejects.toThrow("Invalid tags in task: Tag 'missing' does not exist");
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+  });
+  
+  it('refuses to edit a completed task without --force', async () => {
+    await expect(editTaskAction('0', 'Write the migration')).rejects.toThrow(UserError);
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+  });
+  
+  it('keeps a forced edit of a completed task checked', async () => {
+    await editTaskAction('0', 'Write the migration', { force: true });
+    
+    expect(issueManager.writeIssue.mock.calls[0][1]).toContain('- [x] Write the migration\n');
+  });
+  
+  it('rejects empty task text', async () => {
+    await expect(editTaskAction('1', '  ')).rejects.toThrow('Task text cannot be empty');
+  });
+  
+  it('formats the display message of user errors', async () => {
+    try {
+      await editTaskAction('5', 'Anything');
+      throw new Error('Expected an error');
+    } catch (error) {
+      expect(error.displayMessage).toBe('Task index out of range: 5 (Issue has 3 tasks (indices start at 0))');
+    }
+  });
+  
+  it('requires initialized issue tracking', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(editTaskAction('1', 'Anything')).rejects.toThrow(UninitializedError);
+  });
+});
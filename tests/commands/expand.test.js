@@ -0,0 +1,80 @@
+// ABOUTME: Tests for the expand command
+// ABOUTME: Verifies previewing the task lines of a task with +tags
+
+const { createCommand, expandAction } = require('../../src/commands/expand');
+const directory = require('../../src/utils/directory');
+const addTask = require('../../src/commands/addTask');
+const { UninitializedError, UserError } = require('../../src/utils/errors');
+
+// Mock outputManager
+jest.mock('../../src/utils/outputManager', () => ({
+  info: jest.fn(),
+  section: jest.fn(),
+  debug: jest.fn(),
+  configure: jest.fn()
+}));
+
+const outputManager = require('../../src/utils/outputManager');
+
+// Mock dependencies
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn(),
+}));
+
+jest.mock('../../src/commands/addTask', () => ({
+  previewTask: jest.fn(),
+}));
+
+describe('Expand command', () => {
+  const preview = {
+    lines: ['- [ ] Write failing tests', '- [ ] Create User model', '- [ ] Update the docs'],
+    tags: ['unit-test', 'update-docs']
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+    addTask.previewTask.mockResolvedValue(preview);
+  });
+  
+  test('creates a properly configured command', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('expand');
+    expect(command.options.map(opt => opt.long)).toEqual(['--subtasks', '--json']);
+  });
+  
+  test('prints the task lines and the tags they came from', async () => {
+    await expandAction('Create User model +unit-test +update-docs', { subtasks: true });
+    
+    expect(addTask.previewTask).toHaveBeenCalledWith('Create User model +unit-test +update-docs', { subtasks: true });
+    expect(outputManager.section).toHaveBeenCalledWith('Task lines', preview.lines);
+    expect(outputManager.info).toHaveBeenCalledWith('Expanded from tags: unit-test, update-docs');
+  });
+  
+  test('prints the preview as JSON', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    await expandAction('Create User model +unit-test +update-docs', { json: true });
+    
+    expect(outputManager.configure).toHaveBeenCalledWith({ json: true });
+    expect(JSON.parse(logSpy.mock.calls[0][0])).toEqual(preview);
+    expect(outputManager.section).not.toHaveBeenCalled();
+    logSpy.mockRestore();
+  });
+  
+  test('reports invalid tags', async () => {
+    addTask.previewTask.mockRejectedValue(new UserError("Invalid tags in task: Tag 'review' does not exist"));
+    
+    await expect(expandAction('Check it +review')).rejects.toThrow(expect.objectContaining({
+      displayMessage: "Invalid tags in task: Tag 'review' does not exist"
+    }));
+  });
+  
+  test('requires initialized issue tracking', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(expandAction('Task')).rejects.toThrow(UninitializedError);
+    expect(addTask.previewTask).not.toHaveBeenCalled();
+  });
+});
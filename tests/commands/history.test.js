@@ -0,0 +1,109 @@
+// ABOUTME: Tests for the history command
+// ABOUTME: Verifies listing the activity log for all issues or one issue
+
+const { createCommand, historyAction } = require('../../src/commands/history');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const history = require('../../src/utils/history');
+const { UninitializedError, IssueNotFoundError } = require('../../src/utils/errors');
+
+// Mock outputManager
+jest.mock('../../src/utils/outputManager', () => ({
+  info: jest.fn(),
+  section: jest.fn(),
+  debug: jest.fn(),
+  configure: jest.fn()
+}));
+
+const outputManager = require('../../src/utils/outputManager');
+
+// Mock dependencies
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn(),
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  issueExists: jest.fn(),
+}));
+
+jest.mock('../../src/utils/history', () => ({
+  getHistory: jest.fn(),
+}));
+
+describe('History command', () => {
+  const entries = [
+    { timestamp: '2026-10-18T09:00:00Z', issueNumber: '0001', actor: 'alice', command: 'create', summary: 'Created issue: Login' },
+    { timestamp: '2026-10-18T09:30:00Z', issueNumber: '0001', actor: 'claude-code', command: 'mcp__completeTask', summary: 'Completed task: Write form' }
+  ];
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.issueExists.mockResolvedValue(true);
+    history.getHistory.mockResolvedValue(entries);
+  });
+  
+  test('creates a properly configured command', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('history');
+    expect(command.options.map(opt => opt.long)).toEqual(['--issue', '--limit', '--json']);
+  });
+  
+  test('lists changes to all issues', async () => {
+    await historyAction();
+    
+    expect(history.getHistory).toHaveBeenCalledWith({ issueNumber: undefined, limit: undefined });
+    expect(outputManager.section).toHaveBeenCalledWith('HISTORY', [
+      '2026-10-18T09:00:00Z  #0001  Created issue: Login (alice via create)',
+      '2026-10-18T09:30:00Z  #0001  Completed task: Write form (claude-code via mcp__completeTask)'
+    ]);
+  });
+  
+  test('lists the most recent changes to one issue', async () => {
+    history.getHistory.mockResolvedValue(entries.slice(1));
+    
+    await historyAction({ issue: '1', limit: '1' });
+    
+    expect(issueManager.issueExists).toHaveBeenCalledWith('0001');
+    expect(history.getHistory).toHaveBeenCalledWith({ issueNumber: '0001', limit: 1 });
+    expect(outputManager.section).toHaveBeenCalledWith('HISTORY OF ISSUE #0001', [
+      '2026-10-18T09:30:00Z  Completed task: Write form (claude-code via mcp__completeTask)'
+    ]);
+  });
+  
+  test('prints entries as JSON', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    await historyAction({ json: true });
+    
+    expect(outputManager.configure).toHaveBeenCalledWith({ json: true });
+    expect(logSpy).toHaveBeenCalledWith(JSON.stringify(entries));
+    logSpy.mockRestore();
+  });
+  
+  test('reports when nothing was recorded', async () => {
+    history.getHistory.mockResolvedValue([]);
+    
+    await historyAction();
+    
+    expect(outputManager.info).toHaveBeenCalledWith('No changes recorded yet.');
+    expect(outputManager.section).not.toHaveBeenCalled();
+  });
+  
+  test('rejects unknown issues and invalid limits', async () => {
+    issueManager.issueExists.mockResolvedValue(false);
+    await expect(historyAction({ issue: '9' })).rejects.toThrow(IssueNotFoundError);
+    
+    issueManager.issueExists.mockResolvedValue(true);
+    await expect(historyAction({ limit: '0' })).rejects.toMatchObject({
+      displayMessage: 'Invalid limit: 0 (Must be a positive integer)'
+    });
+  });
+  
+  test('requires issue tracking to be initialized', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(historyAction()).rejects.toThrow(UninitializedError);
+  });
+});
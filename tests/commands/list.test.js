@@ -1,12 +1,12 @@
 // ABOUTME: Tests for the list command
-// ABOUTME: Verifies listing of open issues
+// ABOUTME: Verifies listing, filtering and sorting of issues
 
 const { Command } = require('commander');
 const { createCommand, listAction } = require('../../src/commands/list');
 const directory = require('../../src/utils/directory');
 const issueManager = require('../../src/utils/issueManager');
 // No need for mockOutputManager since we're mocking directly
-const { UninitializedError, SystemError } = require('../../src/utils/errors');
+const { UninitializedError, UserError, SystemError } = require('../../src/utils/errors');
 
 // Mock outputManager
 jest.mock('../../src/utils/outputManager', () => ({
@@ -27,7 +27,7 @@ jest.mock('../../src/utils/directory', () => ({
 }));
 
 jest.mock('../../src/utils/issueManager', () => ({
-  listIssues: jest.fn(),
+  getIssues: jest.fn(),
 }));
 
 describe('List command', () => {
@@ -47,7 +47,7 @@ describe('List command', () => {
       const command = createCommand();
       
       expect(command.name()).toBe('list');
-      expect(command.description()).toContain('List all open issues');
+      expect(command.description()).toContain('List issues');
       
       // Verify action handler is set
       const actionHandler = command._actionHandler;
@@ -60,12 +60,12 @@ describe('List command', () => {
       // Mock directory.isInitialized to return true
       directory.isInitialized.mockResolvedValue(true);
       
-      // Mock issueManager.listIssues to return issue list with standardized issueNumber field
+      // Mock issueManager.getIssues to return issue list with standardized issueNumber field
       const mockIssues = [
         { issueNumber: '0001', title: 'First Issue', content: '# Issue 0001: First Issue' },
         { issueNumber: '0002', title: 'Second Issue', content: '# Issue 0002: Second Issue' }
       ];
-      issueManager.listIssues.mockResolvedValue(mockIssues);
+      issueManager.getIssues.mockResolvedValue(mockIssues);
       
       // Pass empty options object to match the updated function signature
       await listAction({});
@@ -73,8 +73,9 @@ describe('List command', () => {
       // Verify issues were listed using the section method
       expect(outputManager.section).toHaveBeenCalledWith(
         'Open Issues',
-        expect.arrayContaining(['#0001: First Issue', '#0002: Second Issue'])
+        expect.arrayContaining(['#0001: First Issue - 0/0 tasks', '#0002: Second Issue - 0/0 tasks'])
       );
+      expect(issueManager.getIssues).toHaveBeenCalledWith('open');
 
       // Verify total count info message
       expect(outputManager.info).toHaveBeenCalledWith('Total: 2 open issues');
@@ -83,16 +84,102 @@ describe('List command', () => {
       expect(outputManager.section.mock.calls.length).toBe(1);
       expect(outputManager.section).toHaveBeenCalledWith(
         'Open Issues',
-        expect.arrayContaining(['#0001: First Issue', '#0002: Second Issue'])
+        expect.arrayContaining(['#0001: First Issue - 0/0 tasks', '#0002: Second Issue - 0/0 tasks'])
       );
     });
     
+    test('shows front matter metadata after the title', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.getIssues.mockResolvedValue([
+        {
+          issueNumber: '0001',
+          title: 'First Issue',
+          content: '',
+          metadata: { priority: 'high', labels: ['ui', 'auth'], assignee: 'alice' }
+        }
+      ]);
+      
+      await listAction({});
+      
+      expect(outputManager.section).toHaveBeenCalledWith(
+        'Open Issues',
+        ['#0001: First Issue [high] (ui, auth) @alice - 0/0 tasks']
+      );
+    });
+    
+    test('filters, sorts and limits issues and shows task progress', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.getIssues.mockResolvedValue([
+        {
+          issueNumber: '0001',
+          title: 'Half done',
+          state: 'open',
+          content: '# Issue 0001: Half done\n\n## Tasks\n- [x] One\n- [ ] Two\n',
+          metadata: { labels: ['auth'] }
+        },
+        {
+          issueNumber: '0002',
+          title: 'Unlabelled',
+          state: 'open',
+          content: '# Issue 0002: Unlabelled\n\n## Tasks\n- [x] One\n',
+          metadata: {}
+        },
+        {
+          issueNumber: '0003',
+          title: 'Done',
+          state: 'closed',
+          content: '# Issue 0003: Done\n\n## Tasks\n- [x] One\n',
+          metadata: { labels: ['auth', 'ui'] }
+        }
+      ]);
+      
+      await listAction({ state: 'all', label: ['auth'], sort: 'progress', limit: '5' });
+      
+      expect(issueManager.getIssues).toHaveBeenCalledWith('all');
+      expect(outputManager.section).toHaveBeenCalledWith('All Issues', [
+        '#0003: Done (auth, ui) (closed) - 1/1 tasks',
+        '#0001: Half done (auth) - 1/2 tasks'
+      ]);
+      expect(outputManager.info).toHaveBeenCalledWith('Total: 2 issues');
+    });
+    
+    test('only lists issues with open questions when requested', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      issueManager.getIssues.mockResolvedValue([
+        {
+          issueNumber: '0001',
+          title: 'Answered',
+          content: '# Issue 0001: Answered\n\n## Questions to resolve\n- [x] Which API?\n',
+          metadata: {}
+        },
+        {
+          issueNumber: '0002',
+          title: 'Unanswered',
+          content: '# Issue 0002: Unanswered\n\n## Questions to resolve\n- Which database?\n',
+          metadata: {}
+        }
+      ]);
+      
+      await listAction({ hasOpenQuestions: true, limit: '1' });
+      
+      expect(outputManager.section).toHaveBeenCalledWith('Open Issues', ['#0002: Unanswered - 0/0 tasks']);
+    });
+    
+    test('rejects invalid option values', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      
+      await expect(listAction({ state: 'pending' })).rejects.toThrow(UserError);
+      await expect(listAction({ sort: 'size' })).rejects.toThrow(UserError);
+      await expect(listAction({ limit: '0' })).rejects.toThrow(UserError);
+      expect(issueManager.getIssues).not.toHaveBeenCalled();
+    });
+    
     test('shows message when no issues exist', async () => {
       // Mock directory.isInitialized to return true
       directory.isInitialized.mockResolvedValue(true);
       
-      // Mock issueManager.listIssues to return empty list
-      issueManager.listIssues.mockResolvedValue([]);
+      // Mock issueManager.getIssues to return empty list
+      issueManager.getIssues.mockResolvedValue([]);
       
       // Pass empty options object to match the updated function signature
       await listAction({});
@@ -113,16 +200,16 @@ describe('List command', () => {
         expect(error.displayMessage).toContain('Issue tracking is not initialized');
       }
       
-      // Verify the listIssues method wasn't called
-      expect(issueManager.listIssues).not.toHaveBeenCalled();
+      // Verify the getIssues method wasn't called
+      expect(issueManager.getIssues).not.toHaveBeenCalled();
     });
     
     test('wraps and throws errors during issue listing', async () => {
       // Mock directory.isInitialized to return true
       directory.isInitialized.mockResolvedValue(true);
       
-      // Mock issueManager.listIssues to throw error
-      issueManager.listIssues.mockRejectedValue(new Error('Failed to list issues'));
+      // Mock issueManager.getIssues to throw error
+      issueManager.getIssues.mockRejectedValue(new Error('Failed to list issues'));
       
       try {
         await listAction({});
@@ -143,18 +230,20 @@ describe('List command', () => {
         // Mock directory.isInitialized to return true
         directory.isInitialized.mockResolvedValue(true);
         
-        // Mock issueManager.listIssues to return issue list with standardized issueNumber field
+        // Mock issueManager.getIssues to return issue list with standardized issueNumber field
         const mockIssues = [
           { issueNumber: '0001', title: 'First Issue', content: '# Issue 0001: First Issue' },
           { issueNumber: '0002', title: 'Second Issue', content: '# Issue 0002: Second Issue' }
         ];
-        issueManager.listIssues.mockResolvedValue(mockIssues);
+        issueManager.getIssues.mockResolvedValue(mockIssues);
         
         // Call with json option set to true
         await listAction({ json: true });
         
-        // Verify JSON was output
-        expect(console.log).toHaveBeenCalledWith(JSON.stringify(mockIssues));
+        // Verify JSON was output with task progress
+        expect(console.log).toHaveBeenCalledWith(JSON.stringify(
+          mockIssues.map(issue => ({ ...issue, progress: { completed: 0, total: 0 } }))
+        ));
         
         // Verify output manager was configured for JSON
         expect(outputManager.configure).toHaveBeenCalledWith({ json: true });
@@ -0,0 +1,85 @@
+// ABOUTME: Tests for the move-task command
+// ABOUTME: Verifies reordering tasks and keeping task references intact
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn()
+}));
+
+const { createCommand, moveTaskAction } = require('../../src/commands/moveTask');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const outputManager = require('../../src/utils/outputManager');
+
+const content = `# Issue 0003: Test Issue
+
+## Tasks
+- [x] Write migration
+- [ ] Update API docs
+- [ ] Deploy after:1
+
+## Instructions
+Keep it small
+`;
+
+describe('Move task command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0003' });
+    issueManager.readIssue.mockResolvedValue(content);
+  });
+  
+  it('creates a command with the expected arguments and options', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('move-task');
+    expect(command.registeredArguments.map(arg => arg.name())).toEqual(['from', 'to']);
+  });
+  
+  it('moves a task and renumbers references', async () => {
+    await moveTaskAction('2', '1');
+    
+    expect(issueManager.writeIssue).toHaveBeenCalledWith(
+      '/project/.issues/open/issue-0003.md',
+      expect.stringContaining('- [x] Write migration\n- [ ] Deploy after:2\n- [ ] Update API docs\n')
+    );
+    expect(outputManager.success).toHaveBeenCalledWith('Task moved from position 2 to 1 in issue #0003: Deploy after:1');
+  });
+  
+  it('refuses to move a completed task without --force', async () => {
+    await expect(moveTaskAction('0', '2')).rejects.toThrow('Task 0 is already completed: Write migration');
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+  });
+  
+  it('moves a completed task with --force', async () => {
+    await moveTaskAction('0', '2', { force: true });
+    
+    expect(issueManager.writeIssue.mock.calls[0][1]).toContain('## Tasks\n- [ ] Update API docs\n- [ ] Deploy after:0\n- [x] Write migration\n');
+  });
+  
+  it('rejects a target index that is out of range', async () => {
+    try {
+      await moveTaskAction('1', '3');
+      throw new Error('Expected an error');
+    } catch (error) {
+      expect(error.displayMessage).toBe('Task index out of range: 3 (Issue has 3 tasks (indices start at 0))');
+    }
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+  });
+});
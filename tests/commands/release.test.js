@@ -0,0 +1,68 @@
+// ABOUTME: Tests for the release command
+// ABOUTME: Verifies releasing claims on the given or current issue
+
+const { createCommand, releaseAction } = require('../../src/commands/release');
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  releaseIssue: jest.fn()
+}));
+
+const output = require('../../src/utils/outputManager');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const { UserError, IssueClaimedError } = require('../../src/utils/errors');
+
+describe('Release command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+  });
+  
+  test('creates a properly configured command', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('release');
+    expect(command.options.map(option => option.long)).toEqual(['--issue', '--owner', '--force']);
+  });
+  
+  test('releases the claim on the current issue', async () => {
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0002' });
+    issueManager.releaseIssue.mockResolvedValue({ issueNumber: '0002', owner: 'agentA', released: true });
+    
+    await releaseAction({});
+    
+    expect(issueManager.releaseIssue).toHaveBeenCalledWith('0002', { owner: undefined, force: undefined });
+    expect(output.success).toHaveBeenCalledWith('Released issue #0002, claimed by agentA');
+  });
+  
+  test('reports issues that are not claimed', async () => {
+    issueManager.releaseIssue.mockResolvedValue({ issueNumber: '0003', owner: null, released: false });
+    
+    await releaseAction({ issue: '3', force: true });
+    
+    expect(issueManager.releaseIssue).toHaveBeenCalledWith('3', { owner: undefined, force: true });
+    expect(output.info).toHaveBeenCalledWith('Issue #0003 is not claimed');
+    expect(output.success).not.toHaveBeenCalled();
+  });
+  
+  test('reports a claim by someone else', async () => {
+    issueManager.releaseIssue.mockRejectedValue(
+      new IssueClaimedError('0003', 'agentA').withRecoveryHint('Only agentA can release it, unless you use --force')
+    );
+    
+    const error = await releaseAction({ issue: '3' }).catch(e => e);
+    
+    expect(error).toBeInstanceOf(UserError);
+    expect(error.displayMessage).toBe('Issue #0003 is claimed by agentA (Only agentA can release it, unless you use --force)');
+  });
+});
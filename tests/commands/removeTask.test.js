@@ -0,0 +1,98 @@
+// ABOUTME: Tests for the remove-task command
+// ABOUTME: Verifies removing tasks and renumbering task references
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn()
+}));
+
+const { createCommand, removeTaskAction } = require('../../src/commands/removeTask');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const outputManager = require('../../src/utils/outputManager');
+const { UserError, IssueNotFoundError } = require('../../src/utils/errors');
+
+const content = `# Issue 0002: Test Issue
+
+## Tasks
+- [x] Write migration
+- [ ] Update API docs
+  - Mention the new endpoint
+- [ ] Deploy after:2
+
+## Instructions
+Keep it small
+`;
+
+describe('Remove task command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0002' });
+    issueManager.readIssue.mockResolvedValue(content);
+  });
+  
+  it('creates a command with the expected arguments and options', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('remove-task');
+    expect(command.options.map(option => option.long)).toEqual(['--issue', '--force']);
+  });
+  
+  it('removes a task with its indented lines and renumbers references', async () => {
+    await removeTaskAction('1');
+    
+    const written = issueManager.writeIssue.mock.calls[0][1];
+    expect(written).toContain('- [x] Write migration\n- [ ] Deploy after:1\n');
+    expect(written).not.toContain('Mention the new endpoint');
+    expect(outputManager.success).toHaveBeenCalledWith('Task 1 removed from issue #0002: Update API docs');
+  });
+  
+  it('refuses to remove a completed task without --force', async () => {
+    await expect(removeTaskAction('0')).rejects.toThrow('Task 0 is already completed: Write migration');
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+  });
+  
+  it('removes a completed task with --force', async () => {
+    await removeTaskAction('0', { force: true });
+    
+    expect(issueManager.writeIssue.mock.calls[0][1]).toContain('## Tasks\n- [ ] Update API docs');
+    expect(issueManager.writeIssue.mock.calls[0][1]).toContain('- [ ] Deploy after:1');
+  });
+  
+  it('refuses to remove an open task with completed subtasks without --force', async () => {
+    issueManager.readIssue.mockResolvedValue('## Tasks\n- [ ] Build form\n  - [ ] Add fields\n    - [x] Add email field\n- [ ] Deploy\n');
+    
+    await expect(removeTaskAction('0')).rejects.toThrow('Task 0 has completed subtasks: 2');
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+    
+    await removeTaskAction('0', { force: true });
+    
+    expect(issueManager.writeIssue.mock.calls[0][1]).toBe('## Tasks\n- [ ] Deploy\n');
+  });
+  
+  it('rejects an invalid index', async () => {
+    await expect(removeTaskAction('one')).rejects.toThrow(UserError);
+  });
+  
+  it('reports an issue that is not open', async () => {
+    issueManager.readIssue.mockRejectedValueOnce(new Error('ENOENT'));
+    
+    await expect(removeTaskAction('1', { issue: '9' })).rejects.toThrow(IssueNotFoundError);
+  });
+});
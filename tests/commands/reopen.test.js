@@ -0,0 +1,230 @@
+// ABOUTME: Tests for the reopen command
+// ABOUTME: Verifies moving closed issues back to open with an audit entry
+
+// Mock dependencies first
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  blank: jest.fn(),
+  section: jest.fn(),
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn(),
+  getIssueDirectoryPath: jest.fn(),
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getIssueFilePath: jest.fn((number, status = 'open') => `/project/.issues/${status}/issue-${number}.md`),
+  getIssueByNumber: jest.fn(),
+  saveIssue: jest.fn(),
+  reopenIssue: jest.fn(),
+  setCurrentIssue: jest.fn(),
+  listIssues: jest.fn(),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn(),
+}));
+
+jest.mock('../../src/utils/gitDetection', () => ({
+  isGitAvailable: jest.fn().mockReturnValue(true),
+  isGitRepository: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../../src/utils/gitOperations', () => ({
+  gitStage: jest.fn().mockResolvedValue(''),
+}));
+
+const { createCommand, reopenAction, applyReopenChanges } = require('../../src/commands/reopen');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const gitDetection = require('../../src/utils/gitDetection');
+const gitOperations = require('../../src/utils/gitOperations');
+const outputManager = require('../../src/utils/outputManager');
+const { extractTasks } = require('../../src/utils/taskParser');
+const { findSectionByName } = require('../../src/utils/sectionManager');
+const { UserError, IssueNotFoundError, UninitializedError } = require('../../src/utils/errors');
+
+const closedIssue = `# Issue 0003: Fix login
+
+## Problem to be solved
+Login fails on Safari
+
+## Planned approach
+Patch the cookie handling
+
+## Tasks
+- [x] Reproduce the bug
+- [x] Fix the cookie flags
+
+## Instructions
+Keep it small
+`;
+
+describe('Reopen command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getIssueByNumber.mockResolvedValue({
+      issueNumber: '0003',
+      title: 'Fix login',
+      content: closedIssue,
+      state: 'closed'
+    });
+    gitDetection.isGitAvailable.mockReturnValue(true);
+    gitDetection.isGitRepository.mockResolvedValue(true);
+  });
+  
+  describe('createCommand', () => {
+    test('creates a properly configured command', () => {
+      const command = createCommand();
+      
+      expect(command.name()).toBe('reopen');
+      expect(command.description()).toContain('closed issue back to open');
+      
+      const issueOption = command.options.find(opt => opt.long === '--issue');
+      expect(issueOption).toBeDefined();
+      expect(issueOption.required).toBe(true);
+      
+      const longOptions = command.options.map(opt => opt.long);
+      expect(longOptions).toEqual(expect.arrayContaining(['--reason', '--uncheck', '--task', '--set-current']));
+    });
+  });
+  
+  describe('applyReopenChanges', () => {
+    test('records the reopen entry in the problem section', async () => {
+      const updated = await applyReopenChanges(closedIssue, {
+        reason: 'Regression in production',
+        date: '2026-01-02'
+      });
+      
+      const problem = findSectionByName(updated, 'Problem to be solved');
+      expect(problem.content).toBe('Login fails on Safari\n**Reopened on 2026-01-02:** Regression in production');
+    });
+    
+    test('uses a default reason when none is given', async () => {
+      const updated = await applyReopenChanges(closedIssue, { date: '2026-01-02' });
+      
+      expect(updated).toContain('**Reopened on 2026-01-02:** Not specified');
+    });
+    
+    test('unchecks the requested task', async () => {
+      const updated = await applyReopenChanges(closedIssue, { uncheck: '1', date: '2026-01-02' });
+      
+      expect(updated).toContain('- [x] Reproduce the bug');
+      expect(updated).toContain('- [ ] Fix the cookie flags');
+    });
+    
+    test('appends new tasks to the end of the task list', async () => {
+      const updated = await applyReopenChanges(closedIssue, {
+        tasks: ['Add a regression test'],
+        date: '2026-01-02'
+      });
+      
+      const tasks = await extractTasks(updated);
+      expect(tasks.map(task => task.text)).toEqual([
+        'Reproduce the bug',
+        'Fix the cookie flags',
+        'Add a regression test'
+      ]);
+      expect(tasks[2].completed).toBe(false);
+    });
+    
+    test('rejects task indices that are out of range', async () => {
+      await expect(applyReopenChanges(closedIssue, { uncheck: 5 }))
+        .rejects.toThrow(UserError);
+    });
+    
+    test('rejects unchecking a task that is not completed and leaves the issue closed', async () => {
+      const content = closedIssue.replace('- [x] Fix the cookie flags', '- [ ] Fix the cookie flags');
+      issueManager.getIssueByNumber.mockResolvedValue({ issueNumber: '0003', title: 'Fix login', state: 'closed', content });
+      
+      await expect(applyReopenChanges(content, { uncheck: 1 })).rejects.toThrow(expect.objectContaining({
+        message: 'Task 1 is not completed: Fix the cookie flags',
+        recoveryHint: expect.stringContaining('Only completed tasks can be unchecked')
+      }));
+      await expect(reopenAction({ issue: '3', uncheck: '1' })).rejects.toThrow(UserError);
+      expect(issueManager.saveIssue).not.toHaveBeenCalled();
+      expect(issueManager.reopenIssue).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('reopenAction', () => {
+    test('reopens the issue, stages both paths and reports success', async () => {
+      await reopenAction({ issue: '3', reason: 'Regression', task: ['Add a regression test'] });
+      
+      // Content is saved in closed/ before the file is moved
+      expect(issueManager.saveIssue).toHaveBeenCalledWith(
+        '0003',
+        expect.stringContaining('- [ ] Add a regression test'),
+        'closed'
+      );
+      expect(issueManager.reopenIssue).toHaveBeenCalledWith('0003');
+      
+      expect(gitOperations.gitStage).toHaveBeenCalledWith('/project/.issues/open/issue-0003.md');
+      expect(gitOperations.gitStage).toHaveBeenCalledWith('/project/.issues/closed/issue-0003.md');
+      
+      expect(issueManager.setCurrentIssue).not.toHaveBeenCalled();
+      expect(outputManager.success).toHaveBeenCalledWith('Issue #0003 has been reopened: Fix login');
+    });
+    
+    test('sets the reopened issue as current when requested', async () => {
+      await reopenAction({ issue: '0003', uncheck: '1', setCurrent: true });
+      
+      expect(issueManager.setCurrentIssue).toHaveBeenCalledWith('0003');
+      expect(outputManager.success).toHaveBeenCalledWith('Issue #0003 is now current');
+    });
+    
+    test('warns when the reopened issue has no open tasks', async () => {
+      await reopenAction({ issue: '0003' });
+      
+      expect(outputManager.warn).toHaveBeenCalledWith(expect.stringContaining('no open tasks'));
+    });
+    
+    test('still reports staging when the closed path was never tracked', async () => {
+      gitOperations.gitStage
+        .mockResolvedValueOnce('')
+        .mockRejectedValueOnce(new Error('pathspec did not match any files'));
+      
+      await reopenAction({ issue: '0003' });
+      
+      expect(outputManager.success).toHaveBeenCalledWith('Changes staged in git');
+    });
+    
+    test('skips git staging when git is not available', async () => {
+      gitDetection.isGitAvailable.mockReturnValue(false);
+      
+      await reopenAction({ issue: '0003' });
+      
+      expect(gitOperations.gitStage).not.toHaveBeenCalled();
+      expect(issueManager.reopenIssue).toHaveBeenCalledWith('0003');
+    });
+    
+    test('refuses to reopen an issue that is already open', async () => {
+      issueManager.getIssueByNumber.mockResolvedValue({
+        issueNumber: '0003',
+        title: 'Fix login',
+        content: closedIssue,
+        state: 'open'
+      });
+      
+      await expect(reopenAction({ issue: '0003' })).rejects.toThrow('Issue #0003 is already open');
+      expect(issueManager.reopenIssue).not.toHaveBeenCalled();
+    });
+    
+    test('throws IssueNotFoundError for unknown issues', async () => {
+      issueManager.getIssueByNumber.mockRejectedValue(new Error('Issue #0042 not found'));
+      
+      await expect(reopenAction({ issue: '42' })).rejects.toThrow(IssueNotFoundError);
+    });
+    
+    test('throws UninitializedError when issue tracking is not initialized', async () => {
+      directory.isInitialized.mockResolvedValue(false);
+      
+      await expect(reopenAction({ issue: '0003' })).rejects.toThrow(UninitializedError);
+    });
+  });
+});
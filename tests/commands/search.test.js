@@ -0,0 +1,124 @@
+// ABOUTME: Tests for the search command
+// ABOUTME: Verifies searching issues with terminal and JSON output
+
+const { createCommand, searchAction } = require('../../src/commands/search');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const { UninitializedError, UserError } = require('../../src/utils/errors');
+
+// Mock outputManager
+jest.mock('../../src/utils/outputManager', () => ({
+  info: jest.fn(),
+  section: jest.fn(),
+  debug: jest.fn(),
+  configure: jest.fn(),
+  formatHighlight: jest.fn(text => `**${text}**`)
+}));
+
+const outputManager = require('../../src/utils/outputManager');
+
+// Mock dependencies
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn(),
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getIssues: jest.fn(),
+}));
+
+describe('Search command', () => {
+  const issues = [
+    {
+      issueNumber: '0001',
+      title: 'Fix login',
+      state: 'open',
+      content: '# Issue 0001: Fix login\n\n## Tasks\n- [ ] Patch authService\n'
+    },
+    {
+      issueNumber: '0002',
+      title: 'Old auth work',
+      state: 'closed',
+      content: '# Issue 0002: Old auth work\n\n## Problem to be solved\nauthService leaks tokens\n'
+    }
+  ];
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getIssues.mockResolvedValue(issues);
+  });
+  
+  describe('createCommand', () => {
+    test('creates a properly configured command', () => {
+      const command = createCommand();
+      
+      expect(command.name()).toBe('search');
+      expect(command.registeredArguments[0].name()).toBe('query');
+      
+      const longOptions = command.options.map(opt => opt.long);
+      expect(longOptions).toEqual(expect.arrayContaining(['--section', '--regex', '--case-sensitive', '--state', '--json']));
+    });
+  });
+  
+  describe('searchAction', () => {
+    test('lists matches grouped by issue with highlighted snippets', async () => {
+      await searchAction('authservice', {});
+      
+      expect(issueManager.getIssues).toHaveBeenCalledWith('all');
+      expect(outputManager.section).toHaveBeenCalledWith('#0001: Fix login', [
+        '  [Tasks, line 4, task 0] - [ ] Patch **authService**'
+      ]);
+      expect(outputManager.section).toHaveBeenCalledWith('#0002: Old auth work (closed)', [
+        '  [Problem to be solved, line 4] **authService** leaks tokens'
+      ]);
+      expect(outputManager.info).toHaveBeenCalledWith('Found 2 matches in 2 issues');
+    });
+    
+    test('passes section, regex and case options to the search', async () => {
+      await searchAction('auth[A-Z]', { section: 'problem', regex: true, caseSensitive: true, state: 'closed' });
+      
+      expect(issueManager.getIssues).toHaveBeenCalledWith('closed');
+      expect(outputManager.section).toHaveBeenCalledTimes(1);
+      expect(outputManager.info).toHaveBeenCalledWith('Found 1 match in 1 issue');
+    });
+    
+    test('outputs matches as JSON', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      
+      try {
+        await searchAction('leaks', { json: true });
+        
+        const matches = JSON.parse(log.mock.calls[0][0]);
+        expect(matches).toEqual([expect.objectContaining({
+          issueNumber: '0002',
+          section: 'Problem to be solved',
+          lineNumber: 4,
+          taskIndex: null,
+          snippet: 'authService leaks tokens',
+          highlights: [{ start: 12, end: 17 }]
+        })]);
+        expect(outputManager.configure).toHaveBeenCalledWith({ json: true });
+      } finally {
+        log.mockRestore();
+      }
+    });
+    
+    test('reports when nothing matches', async () => {
+      await searchAction('nothing here', {});
+      
+      expect(outputManager.info).toHaveBeenCalledWith('No matches found for "nothing here".');
+    });
+    
+    test('throws UserError for invalid regular expressions and states', async () => {
+      await expect(searchAction('(', { regex: true })).rejects.toThrow(UserError);
+      await expect(searchAction('auth', { state: 'pending' })).rejects.toThrow(UserError);
+    });
+    
+    test('throws UninitializedError when issue tracking is not initialized', async () => {
+      directory.isInitialized.mockResolvedValue(false);
+      
+      await expect(searchAction('auth', {})).rejects.toThrow(UninitializedError);
+      expect(issueManager.getIssues).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -92,6 +92,14 @@ describe('serve command', () => {
       token: 'secret-token'
     });
   });
+  
+  it('should show the MCP endpoint', async () => {
+    const outputManager = require('../../src/utils/outputManager');
+    
+    await serveAction({ port: 8080, host: 'localhost' });
+    
+    expect(outputManager.info).toHaveBeenCalledWith('MCP endpoint: http://localhost:8080/mcp');
+  });
 
   it('should show a warning if no token is provided', async () => {
     const outputManager = require('../../src/utils/outputManager');
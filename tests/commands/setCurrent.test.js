@@ -81,12 +81,37 @@ describe('Set Current command', () => {
       expect(issueManager.issueExists).toHaveBeenCalledWith('0001');
       
       // Verify current issue was set
-      expect(issueManager.setCurrentIssue).toHaveBeenCalledWith('0001');
+      expect(issueManager.setCurrentIssue).toHaveBeenCalledWith('0001', { session: null });
       
       // Verify success message
       expect(outputManager.success).toHaveBeenCalledWith(expect.stringContaining('Issue #0001 is now current'));
     });
     
+    test('sets the current issue of a session', async () => {
+      issueManager.issueExists.mockResolvedValue(true);
+      
+      await setCurrentAction({ issue: '3', session: 'agentA' });
+      expect(issueManager.setCurrentIssue).toHaveBeenCalledWith('3', { session: 'agentA' });
+      expect(outputManager.success).toHaveBeenCalledWith('Issue #3 is now current for session agentA');
+      
+      process.env.ISSUE_CARDS_SESSION = 'agentB';
+      try {
+        await setCurrentAction({ issue: '4' });
+      } finally {
+        delete process.env.ISSUE_CARDS_SESSION;
+      }
+      expect(issueManager.setCurrentIssue).toHaveBeenCalledWith('4', { session: 'agentB' });
+    });
+    
+    test('rejects invalid session names', async () => {
+      issueManager.issueExists.mockResolvedValue(true);
+      
+      await expect(setCurrentAction({ issue: '3', session: '../agent' })).rejects.toThrow(expect.objectContaining({
+        displayMessage: 'Invalid session name: ../agent (Use letters, digits, dots, dashes and underscores)'
+      }));
+      expect(issueManager.setCurrentIssue).not.toHaveBeenCalled();
+    });
+    
     test('shows error when issue tracking is not initialized', async () => {
       // Mock directory.isInitialized to return false
       directory.isInitialized.mockResolvedValue(false);
@@ -0,0 +1,153 @@
+// ABOUTME: Tests for the stats command
+// ABOUTME: Verifies table, JSON and markdown statistics reports
+
+const { createCommand, statsAction, formatMarkdownReport } = require('../../src/commands/stats');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const issueStats = require('../../src/utils/issueStats');
+const { UninitializedError, UserError } = require('../../src/utils/errors');
+
+// Mock outputManager
+jest.mock('../../src/utils/outputManager', () => ({
+  info: jest.fn(),
+  section: jest.fn(),
+  debug: jest.fn(),
+  configure: jest.fn()
+}));
+
+const outputManager = require('../../src/utils/outputManager');
+
+// Mock dependencies
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn(),
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getIssues: jest.fn(),
+}));
+
+jest.mock('../../src/utils/issueStats', () => ({
+  getIssueStats: jest.fn(),
+}));
+
+describe('Stats command', () => {
+  const stats = {
+    issues: [
+      {
+        issueNumber: '0001',
+        title: 'Login',
+        state: 'open',
+        tasks: { completed: 1, total: 2 },
+        percentComplete: 50,
+        openQuestions: 1,
+        failedApproaches: 2,
+        lastActivity: '2026-09-01T00:00:00Z',
+        stalled: true
+      },
+      {
+        issueNumber: '0002',
+        title: 'Docs',
+        state: 'closed',
+        tasks: { completed: 0, total: 0 },
+        percentComplete: null,
+        openQuestions: 0,
+        failedApproaches: 0,
+        lastActivity: null,
+        stalled: false
+      }
+    ],
+    totals: {
+      issues: 2,
+      open: 1,
+      closed: 1,
+      stalled: 1,
+      tasks: 2,
+      completedTasks: 1,
+      openQuestions: 1,
+      failedApproaches: 2,
+      completedThisWeek: 3
+    },
+    timeline: [
+      { weekStart: '2026-10-05', completed: 2 },
+      { weekStart: '2026-10-12', completed: 3 }
+    ]
+  };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+    issueManager.getIssues.mockResolvedValue([{ issueNumber: '0001' }]);
+    issueStats.getIssueStats.mockResolvedValue(stats);
+  });
+  
+  test('creates a properly configured command', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('stats');
+    expect(command.aliases()).toEqual(['report']);
+    expect(command.options.map(opt => opt.long)).toEqual(['--state', '--format', '--json', '--weeks', '--stale-days']);
+  });
+  
+  test('shows a table of issues, totals and weekly completions', async () => {
+    await statsAction({ state: 'all', format: 'table', weeks: '2', staleDays: '30' });
+    
+    expect(issueManager.getIssues).toHaveBeenCalledWith('all');
+    expect(issueStats.getIssueStats).toHaveBeenCalledWith([{ issueNumber: '0001' }], { weeks: 2, staleDays: 30 });
+    expect(outputManager.section).toHaveBeenCalledWith('ISSUES', [
+      '#     Title  State    Tasks      Questions  Failed  Last activity',
+      '0001  Login  stalled  1/2 (50%)  1          2       2026-09-01',
+      '0002  Docs   closed   0/0        0          0       -'
+    ]);
+    expect(outputManager.section).toHaveBeenCalledWith('TOTALS', expect.arrayContaining([
+      'Issues: 2 (1 open, 1 closed, 1 stalled)',
+      'Tasks completed this week: 3'
+    ]));
+    expect(outputManager.section).toHaveBeenCalledWith('COMPLETED TASKS PER WEEK', [
+      'Week of 2026-10-05: 2',
+      'Week of 2026-10-12: 3'
+    ]);
+  });
+  
+  test('explains that the timeline needs git', async () => {
+    issueStats.getIssueStats.mockResolvedValue({ ...stats, timeline: null, totals: { ...stats.totals, completedThisWeek: null } });
+    
+    await statsAction();
+    
+    expect(outputManager.section).not.toHaveBeenCalledWith('COMPLETED TASKS PER WEEK', expect.anything());
+    expect(outputManager.info).toHaveBeenCalledWith(expect.stringContaining('git repository'));
+  });
+  
+  test('prints JSON and markdown reports', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    await statsAction({ json: true });
+    expect(logSpy).toHaveBeenLastCalledWith(JSON.stringify(stats));
+    
+    await statsAction({ format: 'markdown' });
+    expect(logSpy).toHaveBeenLastCalledWith(formatMarkdownReport(stats));
+    
+    logSpy.mockRestore();
+  });
+  
+  test('formats a markdown report', () => {
+    const report = formatMarkdownReport(stats);
+    
+    expect(report).toContain('- Tasks completed this week: 3');
+    expect(report).toContain('| 0001 | Login | stalled | 1/2 (50%) | 1 | 2 | 2026-09-01 |');
+    expect(report).toContain('| 2026-10-12 | 3 |');
+    expect(report).toContain('## Stalled issues\n\n- #0001 Login (last activity 2026-09-01T00:00:00Z)');
+  });
+  
+  test('rejects invalid options', async () => {
+    await expect(statsAction({ state: 'done' })).rejects.toThrow(UserError);
+    await expect(statsAction({ format: 'csv' })).rejects.toThrow('Invalid format: csv');
+    await expect(statsAction({ staleDays: 'soon' })).rejects.toThrow('Invalid number of days: soon');
+    expect(issueStats.getIssueStats).not.toHaveBeenCalled();
+  });
+  
+  test('requires issue tracking to be initialized', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(statsAction()).rejects.toThrow(UninitializedError);
+  });
+});
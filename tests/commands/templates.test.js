@@ -14,12 +14,26 @@ jest.mock('../../src/utils/template', () => ({
   getTemplateList: jest.fn(),
   loadTemplate: jest.fn(),
   validateTemplate: jest.fn(),
+  renderTemplate: jest.fn(),
 }));
 
 jest.mock('../../src/utils/templateValidation', () => ({
   validateTemplateStructure: jest.fn(),
 }));
 
+jest.mock('../../src/utils/templateAuthoring', () => ({
+  resolveTemplateType: jest.fn(),
+  createTemplate: jest.fn(),
+  copyTemplate: jest.fn(),
+  updateTemplate: jest.fn(),
+  removeTemplate: jest.fn(),
+  diffTemplate: jest.fn(),
+}));
+
+jest.mock('../../src/utils/templateSync', () => ({
+  syncTemplates: jest.fn(),
+}));
+
 // Create mock output manager and then mock it
 const mockOutput = mockOutputManager();
 jest.mock('../../src/utils/outputManager', () => mockOutput);
@@ -28,10 +42,21 @@ jest.mock('../../src/utils/outputManager', () => mockOutput);
 const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
 
 // Import the module under test after mocking
-const { createCommand, templatesAction } = require('../../src/commands/templates');
+const {
+  createCommand,
+  templatesAction,
+  newTemplateAction,
+  copyTemplateAction,
+  editTemplateAction,
+  removeTemplateAction,
+  diffTemplateAction,
+  syncTemplatesAction
+} = require('../../src/commands/templates');
 const directory = require('../../src/utils/directory');
 const template = require('../../src/utils/template');
 const templateValidation = require('../../src/utils/templateValidation');
+const templateAuthoring = require('../../src/utils/templateAuthoring');
+const templateSync = require('../../src/utils/templateSync');
 
 describe('Templates command', () => {
   beforeEach(() => {
@@ -189,6 +214,34 @@ describe('Templates command', () => {
       expect(mockOutput.info).toHaveBeenCalledWith(expect.stringContaining('issue-cards create'));
     });
     
+    test('also displays the resolved template when it extends another', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      template.validateTemplate.mockResolvedValue(true);
+      template.loadTemplate.mockImplementation(async name => (name === '_base' ? '# Issue {{NUMBER}}: {{TITLE}}\n' : 'extends: _base\n'));
+      template.renderTemplate.mockReturnValue('# Issue {{NUMBER}}: {{TITLE}}\n');
+      
+      await templatesAction({ type: 'issue', name: 'feature' });
+      
+      expect(template.renderTemplate).toHaveBeenCalledWith(
+        'extends: _base\n',
+        { NUMBER: '{{NUMBER}}', TITLE: '{{TITLE}}' },
+        { _base: '# Issue {{NUMBER}}: {{TITLE}}\n' }
+      );
+      expect(mockOutput.section).toHaveBeenCalledWith('Resolved template', '');
+      expect(mockOutput.raw).toHaveBeenCalledWith('# Issue {{NUMBER}}: {{TITLE}}\n');
+    });
+    
+    test('warns when the template it extends is missing', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      template.validateTemplate.mockImplementation(async name => name === 'feature');
+      template.loadTemplate.mockResolvedValue('extends: _base\n');
+      
+      await templatesAction({ type: 'issue', name: 'feature' });
+      
+      expect(mockOutput.raw).toHaveBeenCalledWith('extends: _base\n');
+      expect(mockOutput.warn).toHaveBeenCalledWith('Template could not be resolved: Template not found: _base (issue)');
+    });
+    
     test('throws error when template does not exist', async () => {
       // Mock directory.isInitialized to return true
       directory.isInitialized.mockResolvedValue(true);
@@ -392,4 +445,186 @@ describe('Templates command', () => {
       expect(templateValidation.validateTemplateStructure).toHaveBeenCalledWith('feature', 'issue');
     });
   });
-});
\ No newline at end of file
+  
+  describe('createCommand subcommands', () => {
+    test('adds the template authoring subcommands', () => {
+      const command = createCommand();
+      
+      expect(command.commands.map(sub => sub.name())).toEqual(['new', 'copy', 'edit', 'remove', 'diff', 'sync']);
+    });
+  });
+  
+  describe('newTemplateAction', () => {
+    beforeEach(() => {
+      directory.isInitialized.mockResolvedValue(true);
+      templateAuthoring.createTemplate.mockResolvedValue({ name: 'code-review', type: 'tag', path: '/tmp/code-review.md' });
+    });
+    
+    test('creates a template from the skeleton', async () => {
+      await newTemplateAction({ type: 'tag', name: 'code-review' });
+      
+      expect(templateAuthoring.createTemplate).toHaveBeenCalledWith('code-review', 'tag', undefined, { force: undefined });
+      expect(mockOutput.success).toHaveBeenCalledWith('Created tag template: code-review');
+      expect(mockOutput.info).toHaveBeenCalledWith('Fill it in with: issue-cards templates edit code-review --type tag');
+      expect(mockOutput.info).toHaveBeenCalledWith('Use it with: issue-cards add-task "Task description +code-review"');
+    });
+    
+    test('reports an unreadable content file', async () => {
+      const error = await newTemplateAction({ type: 'tag', name: 'code-review', file: '/no/such/file.md' }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(UserError);
+      expect(error.displayMessage).toBe('Cannot read template file: /no/such/file.md (Check the path of the file)');
+      expect(templateAuthoring.createTemplate).not.toHaveBeenCalled();
+    });
+    
+    test('shows validation errors with their hint', async () => {
+      templateAuthoring.createTemplate.mockRejectedValue(
+        new UserError('Invalid tag template: Missing required section: Steps').withRecoveryHint('See the help')
+      );
+      
+      await expect(newTemplateAction({ type: 'tag', name: 'code-review' })).rejects.toMatchObject({
+        displayMessage: 'Invalid tag template: Missing required section: Steps (See the help)'
+      });
+    });
+    
+    test('requires initialization', async () => {
+      directory.isInitialized.mockResolvedValue(false);
+      
+      await expect(newTemplateAction({ type: 'tag', name: 'code-review' })).rejects.toBeInstanceOf(UninitializedError);
+    });
+  });
+  
+  describe('copyTemplateAction', () => {
+    test('copies a template', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      templateAuthoring.copyTemplate.mockResolvedValue({ source: 'feature', name: 'my-feature', type: 'issue' });
+      
+      await copyTemplateAction('feature', 'my-feature', { force: true });
+      
+      expect(templateAuthoring.copyTemplate).toHaveBeenCalledWith('feature', 'my-feature', { type: undefined, force: true });
+      expect(mockOutput.success).toHaveBeenCalledWith('Copied issue template feature to my-feature');
+      expect(mockOutput.info).toHaveBeenCalledWith('Use it with: issue-cards create my-feature --title "Issue title"');
+    });
+    
+    test('reports missing templates', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      templateAuthoring.copyTemplate.mockRejectedValue(new TemplateNotFoundError('nope'));
+      
+      await expect(copyTemplateAction('nope', 'other')).rejects.toMatchObject({
+        displayMessage: 'Template not found: nope'
+      });
+    });
+  });
+  
+  describe('editTemplateAction', () => {
+    test('replaces the template with the content of a file', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      templateAuthoring.resolveTemplateType.mockResolvedValue('tag');
+      templateAuthoring.updateTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', changed: true });
+      
+      await editTemplateAction('unit-test', { file: __filename });
+      
+      expect(templateAuthoring.updateTemplate).toHaveBeenCalledWith('unit-test', 'tag', expect.stringContaining('editTemplateAction'));
+      expect(mockOutput.success).toHaveBeenCalledWith('Updated tag template: unit-test');
+    });
+    
+    test('reports unchanged templates', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      templateAuthoring.resolveTemplateType.mockResolvedValue('tag');
+      templateAuthoring.updateTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', changed: false });
+      
+      await editTemplateAction('unit-test', { file: __filename });
+      
+      expect(mockOutput.info).toHaveBeenCalledWith('No changes made to tag template: unit-test');
+    });
+  });
+  
+  describe('removeTemplateAction', () => {
+    test('removes a template and mentions the default it shadowed', async () => {
+      directory.isInitialized.mockResolvedValue(true);
+      templateAuthoring.removeTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', hasDefault: true });
+      
+      await removeTemplateAction('unit-test', { type: 'tag' });
+      
+      expect(templateAuthoring.removeTemplate).toHaveBeenCalledWith('unit-test', 'tag', { force: undefined });
+      expect(mockOutput.success).toHaveBeenCalledWith('Removed tag template: unit-test');
+      expect(mockOutput.info).toHaveBeenCalledWith(expect.stringContaining('is not restored'));
+    });
+  });
+  
+  describe('diffTemplateAction', () => {
+    beforeEach(() => {
+      directory.isInitialized.mockResolvedValue(true);
+    });
+    
+    test('shows the differences to the default template', async () => {
+      const diff = ['@@ -1,1 +1,1 @@', '-old', '+new'];
+      templateAuthoring.diffTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', identical: false, diff });
+      
+      await diffTemplateAction('unit-test');
+      
+      expect(mockOutput.section).toHaveBeenCalledWith('Changes to unit-test (tag) compared to the default template', diff);
+    });
+    
+    test('reports templates that match the default', async () => {
+      templateAuthoring.diffTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', identical: true, diff: [] });
+      
+      await diffTemplateAction('unit-test');
+      
+      expect(mockOutput.success).toHaveBeenCalledWith('unit-test (tag) is the same as the default template');
+    });
+    
+    test('wraps unexpected errors', async () => {
+      templateAuthoring.diffTemplate.mockRejectedValue(new Error('disk error'));
+      
+      const error = await diffTemplateAction('unit-test').catch(e => e);
+      
+      expect(error).toBeInstanceOf(SystemError);
+      expect(error.displayMessage).toBe('Failed to compare template: disk error');
+    });
+  });
+  
+  describe('syncTemplatesAction', () => {
+    const templates = [
+      { name: 'audit', type: 'issue', status: 'new', action: 'add' },
+      { name: 'bugfix', type: 'issue', status: 'outdated', action: 'update' },
+      { name: 'feature', type: 'issue', status: 'current', action: null },
+      { name: 'unit-test', type: 'tag', status: 'customized', action: null }
+    ];
+    
+    beforeEach(() => {
+      directory.isInitialized.mockResolvedValue(true);
+    });
+    
+    test('reports what a dry run would change', async () => {
+      templateSync.syncTemplates.mockResolvedValue({ dryRun: true, recordedVersion: '1.0.0', templates });
+      
+      await syncTemplatesAction({ dryRun: true, type: 'issue' });
+      
+      expect(templateSync.syncTemplates).toHaveBeenCalledWith({ type: 'issue', dryRun: true, restore: undefined });
+      expect(mockOutput.section).toHaveBeenCalledWith('New default templates', ['issue/audit (would be added)']);
+      expect(mockOutput.section).toHaveBeenCalledWith('Updated default templates', ['issue/bugfix (would be updated)']);
+      expect(mockOutput.section).toHaveBeenCalledWith('Customized templates (left alone)', ['tag/unit-test']);
+      expect(mockOutput.info).toHaveBeenCalledWith('Dry run: 2 templates would change, 1 up to date');
+    });
+    
+    test('reports applied changes', async () => {
+      templateSync.syncTemplates.mockResolvedValue({ dryRun: false, recordedVersion: null, templates });
+      
+      await syncTemplatesAction({});
+      
+      expect(mockOutput.section).toHaveBeenCalledWith('New default templates', ['issue/audit (added)']);
+      expect(mockOutput.info).toHaveBeenCalledWith(expect.stringContaining('does not record which defaults'));
+      expect(mockOutput.success).toHaveBeenCalledWith('Synced 2 templates, 1 already up to date');
+    });
+    
+    test('reports templates that are up to date', async () => {
+      templateSync.syncTemplates.mockResolvedValue({ dryRun: false, recordedVersion: '1.0.0', templates: [templates[2]] });
+      
+      await syncTemplatesAction({});
+      
+      expect(mockOutput.section).not.toHaveBeenCalled();
+      expect(mockOutput.success).toHaveBeenCalledWith('Templates are up to date (1 match the defaults)');
+    });
+  });
+});
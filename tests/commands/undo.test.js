@@ -0,0 +1,85 @@
+// ABOUTME: Tests for the undo command
+// ABOUTME: Verifies restoring previous versions of issues and reporting when there is none
+
+const { createCommand, undoAction } = require('../../src/commands/undo');
+
+jest.mock('../../src/utils/outputManager', () => ({
+  success: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('../../src/utils/directory', () => ({
+  isInitialized: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueManager', () => ({
+  undoLastChange: jest.fn()
+}));
+
+const output = require('../../src/utils/outputManager');
+const directory = require('../../src/utils/directory');
+const issueManager = require('../../src/utils/issueManager');
+const { UninitializedError, UserError, SystemError } = require('../../src/utils/errors');
+
+describe('Undo command', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    directory.isInitialized.mockResolvedValue(true);
+  });
+  
+  test('creates a properly configured command', () => {
+    const command = createCommand();
+    
+    expect(command.name()).toBe('undo');
+    expect(command.options.map(option => option.long)).toEqual(['--issue']);
+  });
+  
+  test('undoes the last change', async () => {
+    issueManager.undoLastChange.mockResolvedValue({
+      issueNumber: '0002', state: 'open', previousState: 'open', undone: 'Completed task: Build form'
+    });
+    
+    await undoAction({});
+    
+    expect(issueManager.undoLastChange).toHaveBeenCalledWith(undefined);
+    expect(output.success).toHaveBeenCalledWith('Restored the previous version of issue #0002 (undid: Completed task: Build form)');
+    expect(output.info).not.toHaveBeenCalled();
+  });
+  
+  test('reports an issue that was reopened', async () => {
+    issueManager.undoLastChange.mockResolvedValue({
+      issueNumber: '0003', state: 'open', previousState: 'closed', undone: 'Closed issue'
+    });
+    
+    await undoAction({ issue: '3' });
+    
+    expect(issueManager.undoLastChange).toHaveBeenCalledWith('3');
+    expect(output.info).toHaveBeenCalledWith('Issue #0003 is open again');
+  });
+  
+  test('reports when there is nothing to undo', async () => {
+    issueManager.undoLastChange.mockRejectedValue(
+      new UserError('No changes to undo').withRecoveryHint('The last 10 versions of each issue are kept in .issues/.backups')
+    );
+    
+    const error = await undoAction({}).catch(e => e);
+    
+    expect(error).toBeInstanceOf(UserError);
+    expect(error.displayMessage).toBe('No changes to undo (The last 10 versions of each issue are kept in .issues/.backups)');
+  });
+  
+  test('requires initialization', async () => {
+    directory.isInitialized.mockResolvedValue(false);
+    
+    await expect(undoAction({})).rejects.toThrow(UninitializedError);
+  });
+  
+  test('wraps unexpected errors', async () => {
+    issueManager.undoLastChange.mockRejectedValue(new Error('disk full'));
+    
+    const error = await undoAction({}).catch(e => e);
+    
+    expect(error).toBeInstanceOf(SystemError);
+    expect(error.displayMessage).toBe('Failed to undo change: disk full');
+  });
+});
@@ -56,9 +56,11 @@ describe('Template Variable Rendering E2E', () => {
     });
     expect(initResult.status).toBe(0);
     
-    // Verify template was created with double braces
+    // Verify template was created with double braces (feature extends the shared base)
     const featureTemplatePath = path.join(testDir, '.issues/config/templates/issue/feature.md');
-    const templateContent = fs.readFileSync(featureTemplatePath, 'utf8');
+    expect(fs.readFileSync(featureTemplatePath, 'utf8')).toContain('extends: _base');
+    const baseTemplatePath = path.join(testDir, '.issues/config/templates/issue/_base.md');
+    const templateContent = fs.readFileSync(baseTemplatePath, 'utf8');
     
     // Check that the template uses double braces
     expect(templateContent).toContain('{{NUMBER}}');
@@ -45,6 +45,9 @@ describe('Issue Cards Workflow Integration', () => {
     // Reset mocks between tests
     jest.clearAllMocks();
     
+    // Point the issues directory at the test directory, also for calls inside the directory module
+    process.env.ISSUE_CARDS_DIR = issuesDir;
+    
     // Mock directory.getIssueDirectoryPath to use test directory
     jest.spyOn(directory, 'getIssueDirectoryPath').mockImplementation((subdir = '') => {
       return path.join(issuesDir, subdir);
@@ -61,6 +64,7 @@ describe('Issue Cards Workflow Integration', () => {
     
     // Restore all mocks
     jest.restoreAllMocks();
+    delete process.env.ISSUE_CARDS_DIR;
   });
   
   beforeEach(() => {
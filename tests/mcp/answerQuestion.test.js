@@ -0,0 +1,71 @@
+// ABOUTME: Tests for the mcp__answerQuestion tool
+// ABOUTME: Verifies answering questions by index or text through the MCP API
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn()
+}));
+
+const issueManager = require('../../src/utils/issueManager');
+const { mcp__answerQuestion } = require('../../src/mcp/tools');
+
+describe('mcp__answerQuestion', () => {
+  const content = `# Issue 0001: Sessions
+
+## Questions to resolve
+- [ ] Which database should we use?
+- [x] Do we need SSO?
+
+## Tasks
+- [ ] Build login
+`;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001' });
+    issueManager.readIssue.mockResolvedValue(content);
+  });
+  
+  it('answers a question chosen by text', async () => {
+    const result = await mcp__answerQuestion({ match: 'database', answer: 'PostgreSQL' });
+    
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({
+      issueNumber: '0001',
+      index: 0,
+      question: 'Which database should we use?',
+      answer: 'PostgreSQL',
+      answeredAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/),
+      addedToApproach: false
+    });
+    expect(issueManager.writeIssue).toHaveBeenCalledWith(
+      '/project/.issues/open/issue-0001.md',
+      expect.stringContaining(`- [x] Which database should we use?\n  - Answer (${result.data.answeredAt}): PostgreSQL\n`)
+    );
+  });
+  
+  it('refuses an answered question unless forced', async () => {
+    const result = await mcp__answerQuestion({ index: 1, answer: 'Later' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe('Question 1 is already answered: Do we need SSO? (Set force to true to add another answer)');
+    expect((await mcp__answerQuestion({ index: 1, answer: 'Later', force: true })).success).toBe(true);
+  });
+  
+  it('reports a missing Planned approach section', async () => {
+    const result = await mcp__answerQuestion({ index: 0, answer: 'PostgreSQL', addToApproach: true });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('SectionNotFoundError');
+    expect(issueManager.writeIssue).not.toHaveBeenCalled();
+  });
+  
+  it('requires either an index or a match', async () => {
+    const result = await mcp__answerQuestion({ answer: 'PostgreSQL' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+  });
+});
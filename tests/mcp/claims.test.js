@@ -0,0 +1,80 @@
+// ABOUTME: Tests for claiming issues and concurrent changes in the MCP tools
+// ABOUTME: Verifies mcp__claimIssue, mcp__releaseIssue and the errors of refused changes
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { getLockFilePath } = require('../../src/utils/issueLock');
+const { mcp__claimIssue, mcp__releaseIssue, mcp__addNote, mcp__addTask } = require('../../src/mcp/tools');
+
+describe('MCP issue claims', () => {
+  let issuesDir;
+  
+  const readIssueFile = () => fs.readFileSync(path.join(issuesDir, 'open', 'issue-0001.md'), 'utf8');
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-mcp-claim-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.writeFileSync(
+      path.join(issuesDir, 'open', 'issue-0001.md'),
+      '# Issue 0001: Login\n\n## Problem to be solved\n\n## Planned approach\n\n## Tasks\n- [ ] Build form\n'
+    );
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('keeps other sessions from changing a claimed issue', async () => {
+    const claim = await mcp__claimIssue({ session: 'agentA' });
+    expect(claim.data).toEqual(expect.objectContaining({ issueNumber: '0001', owner: 'agentA', previousOwner: null }));
+    
+    const refused = await mcp__addNote({ section: 'Planned approach', note: 'Use a form library', session: 'agentB' });
+    expect(refused.success).toBe(false);
+    expect(refused.error.type).toBe('IssueClaimedError');
+    expect(refused.error.message).toMatch(/^Issue #0001 is claimed by agentA \(Ask agentA to release it/);
+    
+    const taskRefused = await mcp__addTask({ issueNumber: '0001', description: 'Add validation', session: 'agentB' });
+    expect(taskRefused.error.type).toBe('IssueClaimedError');
+    
+    const note = await mcp__addNote({ section: 'Planned approach', note: 'Use a form library', session: 'agentA' });
+    expect(note.success).toBe(true);
+    expect(readIssueFile()).toContain('Use a form library');
+  });
+  
+  it('releases claims of the session, or any claim when forced', async () => {
+    await mcp__claimIssue({ issueNumber: '0001', session: 'agentA' });
+    
+    const refused = await mcp__releaseIssue({ issueNumber: '0001', session: 'agentB' });
+    expect(refused.error.type).toBe('IssueClaimedError');
+    
+    const forced = await mcp__releaseIssue({ issueNumber: '0001', session: 'agentB', force: true });
+    expect(forced.data).toEqual({ issueNumber: '0001', owner: 'agentA', released: true });
+    expect(readIssueFile()).not.toContain('claimed_by');
+    
+    const notClaimed = await mcp__releaseIssue({ issueNumber: '0001', session: 'agentB' });
+    expect(notClaimed.data.released).toBe(false);
+  });
+  
+  it('reports locked and missing issues', async () => {
+    const missing = await mcp__claimIssue({ issueNumber: '0009', session: 'agentA' });
+    expect(missing.error).toEqual({ type: 'NotFoundError', message: 'Open issue #0009 not found' });
+    
+    fs.writeFileSync(getLockFilePath('0001'), '12345\n');
+    const start = Date.now();
+    const locked = await mcp__claimIssue({ issueNumber: '0001', session: 'agentA' });
+    
+    expect(Date.now() - start).toBeGreaterThanOrEqual(4000);
+    expect(locked.error.type).toBe('IssueLockedError');
+    expect(locked.error.message).toContain('Issue #0001 is locked by another process');
+  }, 10000);
+});
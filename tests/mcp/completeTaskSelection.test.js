@@ -0,0 +1,126 @@
+// ABOUTME: Tests for completing tasks by index or text through mcp__completeTask
+// ABOUTME: Verifies batch completion, uncompleting and selection errors
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getCurrentTask: jest.fn(),
+  saveIssue: jest.fn(),
+  closeIssue: jest.fn(),
+  getIssue: jest.fn()
+}));
+
+const issueManager = require('../../src/utils/issueManager');
+const { mcp__completeTask } = require('../../src/mcp/tools');
+
+describe('mcp__completeTask task selection', () => {
+  const content = `# Issue 0001: Test Issue
+
+## Tasks
+- [ ] Write migration
+- [ ] Update API docs
+- [x] Review schema
+`;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001', title: 'Test Issue', content });
+    issueManager.getIssue.mockResolvedValue(content);
+  });
+  
+  it('completes several tasks by index', async () => {
+    const result = await mcp__completeTask({ index: [0, 1] });
+    
+    expect(result.success).toBe(true);
+    expect(result.data.updatedTasks).toEqual([
+      { id: 'task-0', description: 'Write migration', completed: true },
+      { id: 'task-1', description: 'Update API docs', completed: true }
+    ]);
+    expect(result.data).not.toHaveProperty('taskCompleted');
+    expect(issueManager.saveIssue).toHaveBeenCalledWith('0001', expect.stringContaining('- [x] Update API docs'));
+    
+    // Every task is done now, so the issue is closed like after a normal completion
+    expect(issueManager.closeIssue).toHaveBeenCalledWith('0001');
+    expect(result.data.issueCompleted).toBe(true);
+  });
+  
+  it('completes a task by matching text and shows the next task', async () => {
+    const result = await mcp__completeTask({ match: 'api docs' });
+    
+    expect(result.success).toBe(true);
+    expect(result.data.taskCompleted).toBe('Update API docs');
+    expect(result.data.nextTask).toEqual(expect.objectContaining({ description: 'Write migration' }));
+    expect(issueManager.closeIssue).not.toHaveBeenCalled();
+  });
+  
+  it('marks a completed task as not done', async () => {
+    const result = await mcp__completeTask({ index: 2, uncomplete: true });
+    
+    expect(result.success).toBe(true);
+    expect(result.data.updatedTasks).toEqual([
+      { id: 'task-2', description: 'Review schema', completed: false }
+    ]);
+    expect(issueManager.saveIssue).toHaveBeenCalledWith('0001', expect.stringContaining('- [ ] Review schema'));
+  });
+  
+  it('rejects text that matches several tasks', async () => {
+    const result = await mcp__completeTask({ match: 'e' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('UserError');
+    expect(result.error.message).toContain('"e" matches 3 tasks');
+    expect(issueManager.saveIssue).not.toHaveBeenCalled();
+  });
+  
+  it('rejects indices that are out of range', async () => {
+    const result = await mcp__completeTask({ index: 7 });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('Task index out of range: 7');
+  });
+  
+  it('reports parent tasks that follow their subtasks', async () => {
+    const nested = `# Issue 0001: Test Issue
+
+## Tasks
+- [ ] Build login
+  - [x] Write tests
+  - [ ] Implement form
+- [ ] Deploy
+`;
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001', title: 'Test Issue', content: nested });
+    issueManager.getIssue.mockResolvedValue(nested);
+    
+    const result = await mcp__completeTask({});
+    
+    expect(result.success).toBe(true);
+    expect(result.data.taskCompleted).toBe('Implement form');
+    expect(result.data.parentTasksUpdated).toEqual([
+      { id: 'task-0', description: 'Build login', completed: true }
+    ]);
+    expect(issueManager.saveIssue).toHaveBeenCalledWith('0001', expect.stringContaining('- [x] Build login\n  - [x] Write tests\n  - [x] Implement form'));
+    expect(result.data.nextTask).toEqual(expect.objectContaining({ description: 'Deploy' }));
+  });
+  
+  it('includes the parents of a next task that is a subtask', async () => {
+    const nested = `# Issue 0001: Test Issue
+
+## Tasks
+- [ ] Set up
+- [ ] Build login
+  - [ ] Write tests
+`;
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001', title: 'Test Issue', content: nested });
+    issueManager.getIssue.mockResolvedValue(nested);
+    
+    const result = await mcp__completeTask({});
+    
+    expect(result.data.nextTask.parentTasks).toEqual([{ id: 'task-1', description: 'Build login' }]);
+  });
+  
+  it('requires a selection to uncomplete', async () => {
+    const result = await mcp__completeTask({ uncomplete: true });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+  });
+});
@@ -0,0 +1,46 @@
+// ABOUTME: Tests for the mcp__getStats tool
+// ABOUTME: Verifies issue statistics through the MCP API
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getIssues: jest.fn()
+}));
+
+jest.mock('../../src/utils/issueStats', () => ({
+  getIssueStats: jest.fn()
+}));
+
+const { getIssues } = require('../../src/utils/issueManager');
+const { getIssueStats } = require('../../src/utils/issueStats');
+const { mcp__getStats } = require('../../src/mcp/tools');
+
+describe('mcp__getStats', () => {
+  const stats = { issues: [], totals: { issues: 0 }, timeline: null };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getIssues.mockResolvedValue([]);
+    getIssueStats.mockResolvedValue(stats);
+  });
+  
+  it('returns statistics for all issues by default', async () => {
+    const result = await mcp__getStats({});
+    
+    expect(getIssues).toHaveBeenCalledWith('all');
+    expect(getIssueStats).toHaveBeenCalledWith([], { weeks: undefined, staleDays: undefined });
+    expect(result).toEqual({ success: true, data: stats });
+  });
+  
+  it('passes the state, weeks and stale days through', async () => {
+    await mcp__getStats({ state: 'open', weeks: 8, staleDays: 7 });
+    
+    expect(getIssues).toHaveBeenCalledWith('open');
+    expect(getIssueStats).toHaveBeenCalledWith([], { weeks: 8, staleDays: 7 });
+  });
+  
+  it('validates its arguments', async () => {
+    const result = await mcp__getStats({ state: 'done' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+  });
+});
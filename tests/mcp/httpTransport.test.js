@@ -0,0 +1,233 @@
+// ABOUTME: Tests for the MCP streamable HTTP transport of the serve command
+// ABOUTME: Verifies sessions, JSON and SSE responses, per-session clients and protocol errors
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { createServer } = require('../../src/mcp/mcpServer');
+const { HttpSessionTransport } = require('../../src/mcp/httpTransport');
+const { getHistory } = require('../../src/utils/history');
+
+// Collect a text/event-stream body as text
+const collectText = (res, callback) => {
+  let text = '';
+  res.on('data', chunk => {
+    text += chunk;
+  });
+  res.on('end', () => callback(null, text));
+};
+
+// Get the JSON-RPC messages of server-sent events
+const parseEvents = text => text.split('\n')
+  .filter(line => line.startsWith('data: '))
+  .map(line => JSON.parse(line.slice('data: '.length)));
+
+describe('MCP streamable HTTP transport', () => {
+  let issuesDir;
+  let app;
+  
+  const initialize = async clientName => {
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', 'application/json')
+      .send({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: clientName, version: '1.0' } }
+      });
+    
+    return response;
+  };
+  
+  const callTool = (sessionId, name, args = {}) => request(app)
+    .post('/mcp')
+    .set('Accept', 'application/json')
+    .set('Mcp-Session-Id', sessionId)
+    .send({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name, arguments: args } });
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-mcp-http-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.writeFileSync(
+      path.join(issuesDir, 'open', 'issue-0001.md'),
+      '# Issue 0001: Login\n\n## Problem to be solved\n\n## Planned approach\n\n## Tasks\n- [ ] Build form\n'
+    );
+    fs.writeFileSync(
+      path.join(issuesDir, 'open', 'issue-0002.md'),
+      '# Issue 0002: Search\n\n## Problem to be solved\n\n## Planned approach\n\n## Tasks\n- [ ] Add index\n'
+    );
+    
+    app = createServer({});
+  });
+  
+  afterEach(() => {
+    app.locals.closeMcpSessions();
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('starts a session on initialize and handles requests in it', async () => {
+    const init = await initialize('Remote Agent');
+    
+    expect(init.status).toBe(200);
+    expect(init.body.result.protocolVersion).toBe('2025-03-26');
+    expect(init.body.result.serverInfo.name).toBe('issue-cards-mcp');
+    const sessionId = init.headers['mcp-session-id'];
+    expect(sessionId).toMatch(/^[0-9a-f]{32}$/);
+    
+    const initialized = await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    expect(initialized.status).toBe(202);
+    
+    const batch = await request(app)
+      .post('/mcp')
+      .set('Accept', 'application/json')
+      .set('Mcp-Session-Id', sessionId)
+      .send([
+        { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+        { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'mcp__showIssue', arguments: { issueNumber: '0001' } } }
+      ]);
+    
+    expect(batch.status).toBe(200);
+    const tools = batch.body.find(response => response.id === 2).result.tools;
+    expect(tools.find(tool => tool.name === 'mcp__showIssue').inputSchema.properties.issueNumber.pattern).toBe('^\\d{4}$');
+    const show = batch.body.find(response => response.id === 3).result;
+    expect(show.structuredContent.data.title).toBe('Login');
+  });
+  
+  it('streams responses as server-sent events when the client accepts them', async () => {
+    const sessionId = (await initialize('Remote Agent')).headers['mcp-session-id'];
+    
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', 'application/json, text/event-stream')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id: 5, method: 'resources/read', params: { uri: 'issue://open/0002' } })
+      .buffer(true)
+      .parse(collectText);
+    
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    const [message] = parseEvents(response.body);
+    expect(message.id).toBe(5);
+    expect(message.result.contents[0].text).toContain('# Issue 0002: Search');
+  });
+  
+  it('streams progress notifications before the result of a tool call', async () => {
+    const sessionId = (await initialize('Remote Agent')).headers['mcp-session-id'];
+    
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', 'application/json, text/event-stream')
+      .set('Mcp-Session-Id', sessionId)
+      .send({
+        jsonrpc: '2.0',
+        id: 6,
+        method: 'tools/call',
+        params: { name: 'mcp__searchIssues', arguments: { query: 'form' }, _meta: { progressToken: 'search-1' } }
+      })
+      .buffer(true)
+      .parse(collectText);
+    
+    const messages = parseEvents(response.body);
+    expect(messages.slice(0, 2)).toEqual([1, 2].map(progress => ({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: 'search-1', progress, total: 2 }
+    })));
+    expect(messages[2].id).toBe(6);
+    expect(messages[2].result.structuredContent.data.totalMatches).toBe(1);
+  });
+  
+  it('keeps the client, current issue and changes of each session apart', async () => {
+    const agentA = (await initialize('Agent A')).headers['mcp-session-id'];
+    const agentB = (await initialize('Agent B')).headers['mcp-session-id'];
+    
+    await callTool(agentA, 'mcp__setCurrentIssue', { issueNumber: '0001' });
+    await callTool(agentB, 'mcp__setCurrentIssue', { issueNumber: '0002' });
+    
+    const taskA = await callTool(agentA, 'mcp__getCurrentTask');
+    const taskB = await callTool(agentB, 'mcp__getCurrentTask');
+    expect(taskA.body.result.data).toEqual(expect.objectContaining({ issueNumber: '0001', session: 'agent-a' }));
+    expect(taskB.body.result.data).toEqual(expect.objectContaining({ issueNumber: '0002', session: 'agent-b' }));
+    
+    await callTool(agentB, 'mcp__addNote', { section: 'Planned approach', note: 'Use an index' });
+    const [change] = await getHistory({ issueNumber: '0002' });
+    expect(change).toEqual(expect.objectContaining({ actor: 'Agent B', command: 'mcp__addNote' }));
+  });
+  
+  it('requires a known session for requests other than initialize', async () => {
+    const message = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+    
+    const missing = await request(app).post('/mcp').send(message);
+    expect(missing.status).toBe(400);
+    expect(missing.body.error.message).toContain('Mcp-Session-Id header is required');
+    
+    const unknown = await request(app).post('/mcp').set('Mcp-Session-Id', 'unknown').send(message);
+    expect(unknown.status).toBe(404);
+    
+    const sessionId = (await initialize('Remote Agent')).headers['mcp-session-id'];
+    expect((await request(app).delete('/mcp').set('Mcp-Session-Id', sessionId)).status).toBe(204);
+    expect((await request(app).post('/mcp').set('Mcp-Session-Id', sessionId).send(message)).status).toBe(404);
+  });
+  
+  it('rejects malformed messages, foreign origins and event streams the client does not accept', async () => {
+    const parseError = await request(app)
+      .post('/mcp')
+      .set('Content-Type', 'application/json')
+      .send('{"jsonrpc": "2.0",');
+    expect(parseError.status).toBe(400);
+    expect(parseError.body.error.code).toBe(-32700);
+    
+    const invalid = await request(app).post('/mcp').send([]);
+    expect(invalid.body.error.code).toBe(-32600);
+    
+    const foreign = await request(app).post('/mcp').set('Origin', 'https://attacker.example').send({});
+    expect(foreign.status).toBe(403);
+    
+    const sessionId = (await initialize('Remote Agent')).headers['mcp-session-id'];
+    const notAcceptable = await request(app).get('/mcp').set('Mcp-Session-Id', sessionId).set('Accept', 'application/json');
+    expect(notAcceptable.status).toBe(406);
+  });
+  
+  it('sends server-initiated messages on the event stream of the session', () => {
+    const session = new HttpSessionTransport('test');
+    const stream = {
+      status: jest.fn(),
+      setHeader: jest.fn(),
+      flushHeaders: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn(),
+      on: jest.fn()
+    };
+    
+    // Without an event stream there is nowhere to send the notification
+    session.sendNotification('notifications/resources/updated', { uri: 'issue://current' });
+    
+    session.openEventStream(stream);
+    session.sendNotification('notifications/resources/updated', { uri: 'issue://current' });
+    
+    expect(stream.setHeader).toHaveBeenCalledWith('Content-Type', 'text/event-stream');
+    expect(stream.write).toHaveBeenCalledTimes(1);
+    expect(parseEvents(stream.write.mock.calls[0][0])).toEqual([{
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri: 'issue://current' }
+    }]);
+    
+    session.stop();
+    expect(stream.end).toHaveBeenCalled();
+  });
+});
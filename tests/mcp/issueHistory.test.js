@@ -0,0 +1,58 @@
+// ABOUTME: Tests for the mcp__getIssueHistory tool
+// ABOUTME: Verifies reading the activity log through the MCP API
+
+jest.mock('../../src/utils/issueManager', () => ({
+  issueExists: jest.fn()
+}));
+
+jest.mock('../../src/utils/history', () => ({
+  ...jest.requireActual('../../src/utils/history'),
+  getHistory: jest.fn()
+}));
+
+const { issueExists } = require('../../src/utils/issueManager');
+const { getHistory } = require('../../src/utils/history');
+const { mcp__getIssueHistory } = require('../../src/mcp/tools');
+
+describe('mcp__getIssueHistory', () => {
+  const entries = [
+    { timestamp: '2026-10-18T09:00:00Z', issueNumber: '0001', actor: 'alice', command: 'create', summary: 'Created issue: Login' }
+  ];
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    issueExists.mockResolvedValue(true);
+    getHistory.mockResolvedValue(entries);
+  });
+  
+  it('returns the changes to all issues', async () => {
+    const result = await mcp__getIssueHistory({});
+    
+    expect(getHistory).toHaveBeenCalledWith({ issueNumber: undefined, limit: undefined });
+    expect(result).toEqual({ success: true, data: { issueNumber: null, entries } });
+  });
+  
+  it('returns the most recent changes to one issue', async () => {
+    const result = await mcp__getIssueHistory({ issueNumber: '0001', limit: 5 });
+    
+    expect(getHistory).toHaveBeenCalledWith({ issueNumber: '0001', limit: 5 });
+    expect(result.data.issueNumber).toBe('0001');
+  });
+  
+  it('reports unknown issues', async () => {
+    issueExists.mockResolvedValue(false);
+    
+    const result = await mcp__getIssueHistory({ issueNumber: '0009' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('NotFoundError');
+    expect(getHistory).not.toHaveBeenCalled();
+  });
+  
+  it('validates the limit', async () => {
+    const result = await mcp__getIssueHistory({ limit: 0 });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+  });
+});
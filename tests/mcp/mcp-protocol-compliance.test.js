@@ -136,6 +136,22 @@ describe('MCP Protocol Compliance', () => {
     }));
   });
   
+  test('should advertise the input and output schemas of the tool definitions', async () => {
+    const { toolDefinitions } = require('../../src/mcp/toolDefinitions');
+    transport.tools = [{ name: 'mcp__listIssues', ...toolDefinitions.mcp__listIssues }];
+    transport.sendResponse = jest.fn();
+    
+    await transport.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    
+    const [tool] = transport.sendResponse.mock.calls[0][1].tools;
+    expect(tool.inputSchema.properties.state).toEqual(expect.objectContaining({
+      enum: ['open', 'closed', 'all'],
+      default: 'all'
+    }));
+    expect(tool.inputSchema.additionalProperties).toBe(false);
+    expect(tool.outputSchema).toBe(toolDefinitions.mcp__listIssues.outputSchema);
+  });
+  
   test('should handle tools/call request', async () => {
     transport.handleToolExecution = jest.fn();
     
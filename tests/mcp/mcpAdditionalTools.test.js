@@ -172,6 +172,42 @@ describe('MCP Additional Tools', () => {
         })
       });
     });
+    
+    it('should fill in custom template fields', async () => {
+      const template = require('../../src/utils/template');
+      require('../../src/utils/issueManager').getNextIssueNumber.mockResolvedValue('0043');
+      template.validateTemplate.mockResolvedValue(true);
+      template.loadTemplate.mockResolvedValue('# Issue {{NUMBER}}: {{TITLE}}\n\n## Timebox\n{{TIMEBOX}}');
+      template.renderTemplate.mockReturnValue('# Issue 0043: Spike\n\n## Timebox\n2 days');
+      
+      const result = await mcp__createIssue({
+        template: 'spike',
+        title: 'Spike',
+        fields: { TIMEBOX: '2 days' }
+      });
+      
+      expect(result.success).toBe(true);
+      expect(template.renderTemplate).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ TITLE: 'Spike', TIMEBOX: '2 days' }),
+        {}
+      );
+    });
+    
+    it('should report missing and invalid template fields', async () => {
+      require('../../src/utils/template').validateTemplate.mockResolvedValue(true);
+      require('../../src/utils/template').loadTemplate.mockResolvedValue('# Issue {{NUMBER}}: {{TITLE}}\n\n{{TIMEBOX}}');
+      
+      const missing = await mcp__createIssue({ template: 'spike', title: 'Spike' });
+      const invalid = await mcp__createIssue({ template: 'spike', title: 'Spike', fields: { TIMEBOX: { days: 2 } } });
+      
+      expect(missing.error).toEqual(expect.objectContaining({
+        type: 'ValidationError',
+        message: 'Missing required field for template spike: TIMEBOX (Add them to the fields parameter)'
+      }));
+      expect(invalid.error.type).toBe('ValidationError');
+      expect(require('../../src/utils/issueManager').saveIssue).not.toHaveBeenCalled();
+    });
   });
   
   describe('mcp__completeTask', () => {
@@ -53,7 +53,8 @@ jest.mock('../../src/utils/sectionManager', () => ({
 jest.mock('../../src/utils/taskParser', () => ({
   extractTasks: jest.fn(),
   findCurrentTask: jest.fn(),
-  updateTaskStatus: jest.fn()
+  updateTaskStatus: jest.fn(),
+  getParentTasks: jest.fn().mockReturnValue([])
 }));
 
 // Import MCP tools
@@ -44,7 +44,7 @@ jest.mock('../../src/utils/issueManager', () => {
 jest.mock('../../src/utils/template', () => {
   return {
     loadTemplate: jest.fn(() => Promise.resolve('# Issue {{NUMBER}}: {{TITLE}}')),
-    renderTemplate: jest.fn(() => Promise.resolve('# Issue 0001: Test')),
+    renderTemplate: jest.fn(() => '# Issue 0001: Test'),
     validateTemplate: jest.fn(() => Promise.resolve(true)),
     getTemplateList: jest.fn(() => Promise.resolve(['test']))
   };
@@ -100,6 +100,23 @@ describe('MCP Tools', () => {
       expect(require('../../src/utils/issueManager').getIssues).toHaveBeenCalledWith('open');
     });
     
+    it('should filter, sort and limit issues and include task progress', async () => {
+      require('../../src/utils/issueManager').getIssues.mockResolvedValue([
+        { issueNumber: '0001', title: 'Low', state: 'open', content: '## Tasks\n- [ ] A\n', metadata: { priority: 'low' } },
+        { issueNumber: '0002', title: 'High', state: 'open', content: '## Tasks\n- [x] A\n- [ ] B\n', metadata: { priority: 'high', labels: ['ui'] } },
+        { issueNumber: '0003', title: 'High done', state: 'open', content: '## Tasks\n- [x] A\n', metadata: { priority: 'high' } }
+      ]);
+      
+      const result = await mcp__listIssues({ state: 'open', priority: 'high', sort: 'progress', limit: 1 });
+      
+      expect(result.success).toBe(true);
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0]).toMatchObject({ issueNumber: '0003', progress: { completed: 1, total: 1 } });
+      
+      const labelled = await mcp__listIssues({ label: 'ui' });
+      expect(labelled.data.map(issue => issue.issueNumber)).toEqual(['0002']);
+    });
+    
     it('should handle errors properly', async () => {
       // Mock the issueManager.getIssues to throw an error
       require('../../src/utils/issueManager').getIssues.mockRejectedValue(new Error('Failed to get issues'));
@@ -241,6 +258,31 @@ describe('MCP Tools', () => {
       });
     });
     
+    it('should list tasks that were skipped because they are blocked', async () => {
+      require('../../src/utils/issueManager').getCurrentIssue.mockResolvedValue({
+        issueNumber: '0001',
+        title: 'Current Issue',
+        content: '# Issue 0001: Current Issue\n\n## Tasks\n- [ ] Deploy after:1\n- [ ] Build'
+      });
+      require('../../src/utils/issueManager').getCurrentTask.mockResolvedValue({
+        id: 'task-1',
+        description: 'Build',
+        completed: false
+      });
+      
+      const result = await mcp__getCurrentTask({});
+      
+      expect(result.success).toBe(true);
+      expect(result.data.taskId).toBe('task-1');
+      expect(result.data.blockedTasks).toEqual([
+        {
+          id: 'task-0',
+          description: 'Deploy after:1',
+          reasons: [{ type: 'task', ref: 1, message: 'Waiting on task 1: Build' }]
+        }
+      ]);
+    });
+    
     it('should handle errors properly', async () => {
       // Mock getCurrentIssue to throw an error
       require('../../src/utils/issueManager').getCurrentIssue.mockRejectedValue(new Error('Failed to get current issue'));
@@ -0,0 +1,76 @@
+// ABOUTME: Tests for the mcp__previewTask tool
+// ABOUTME: Verifies previewing the task lines of tagged tasks against the default tag templates
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { copyDefaultTemplates } = require('../../src/utils/templateInit');
+const { mcp__previewTask } = require('../../src/mcp/tools');
+
+describe('mcp__previewTask', () => {
+  let issuesDir;
+  
+  beforeEach(async () => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-preview-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    await copyDefaultTemplates();
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('merges the steps of several tags in order', async () => {
+    const result = await mcp__previewTask({ description: 'Add login page +update-docs +lint-and-commit' });
+    
+    expect(result.success).toBe(true);
+    expect(result.data.tags).toEqual(['update-docs', 'lint-and-commit']);
+    expect(result.data.lines[0]).toBe('- [ ] Add login page');
+    expect(result.data.lines[1]).toBe('- [ ] Update relevant documentation to reflect changes');
+    expect(result.data.lines[result.data.lines.length - 1]).toMatch(/^- \[ \] Commit your changes/);
+  });
+  
+  it('fills in tag parameters and nests the steps when asked', async () => {
+    fs.writeFileSync(
+      path.join(issuesDir, 'config/templates/tag/review.md'),
+      '# review\n\n## Parameters\n- reviewer: Who reviews\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n- Ask {{reviewer}} for a review\n'
+    );
+    
+    const result = await mcp__previewTask({ description: 'Add login page +review(reviewer=Sam)', subtasks: true });
+    
+    expect(result.data.lines).toEqual([
+      '- [ ] Add login page',
+      '  - [ ] Ask Sam for a review'
+    ]);
+  });
+  
+  it('reports unknown tags and missing parameters', async () => {
+    const unknown = await mcp__previewTask({ description: 'Add login page +nope' });
+    
+    expect(unknown.success).toBe(false);
+    expect(unknown.error.type).toBe('UserError');
+    expect(unknown.error.message).toBe("Invalid tags in task: Tag 'nope' does not exist");
+    
+    fs.writeFileSync(
+      path.join(issuesDir, 'config/templates/tag/review.md'),
+      '# review\n\n## Parameters\n- reviewer: Who reviews\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n'
+    );
+    
+    const missing = await mcp__previewTask({ description: 'Add login page +review' });
+    expect(missing.error.message).toContain('Missing required parameter for +review: reviewer');
+  });
+  
+  it('validates its arguments', async () => {
+    const result = await mcp__previewTask({ subtasks: true });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+  });
+});
@@ -0,0 +1,130 @@
+// ABOUTME: Tests for the MCP prompts
+// ABOUTME: Verifies the role guides and workflows as prompts, filled in with the issue to work on
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { listPrompts, getPrompt } = require('../../src/mcp/prompts');
+const StdioTransport = require('../../src/mcp/stdioTransport');
+
+describe('MCP prompts', () => {
+  let issuesDir;
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-prompts-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.writeFileSync(path.join(issuesDir, 'open', 'issue-0004.md'), '# Issue 0004: Login\n\n## Tasks\n- [ ] Build form\n');
+    fs.writeFileSync(path.join(issuesDir, 'closed', 'issue-0007.md'), '# Issue 0007: Signup\n\n## Tasks\n- [x] Build page\n');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('lists the onboarding prompts with their arguments', () => {
+    const prompts = listPrompts();
+    
+    expect(prompts.map(prompt => prompt.name)).toEqual(['onboarding', 'workflow', 'pm', 'dev', 'reviewer']);
+    expect(prompts.find(prompt => prompt.name === 'dev').arguments).toEqual([
+      expect.objectContaining({ name: 'issueNumber', required: false })
+    ]);
+  });
+  
+  it('renders the onboarding guide of a role', async () => {
+    const prompt = await getPrompt('onboarding', { role: 'reviewer' });
+    
+    expect(prompt.description).toBe('Reviewer Onboarding');
+    expect(prompt.messages).toHaveLength(1);
+    expect(prompt.messages[0].role).toBe('user');
+    expect(prompt.messages[0].content.type).toBe('text');
+    expect(prompt.messages[0].content.text).toContain('# Reviewer Onboarding');
+    expect(prompt.messages[0].content.text).toContain('- review: Review Workflow');
+  });
+  
+  it('asks to start working on an issue, with its content', async () => {
+    const prompt = await getPrompt('dev', { issueNumber: '4' });
+    
+    expect(prompt.description).toBe('Start working on issue #0004');
+    expect(prompt.messages).toHaveLength(2);
+    expect(prompt.messages[0].content.text).toContain('# Developer Onboarding');
+    expect(prompt.messages[0].content.text).toContain('- RED: Write failing tests');
+    expect(prompt.messages[1].content.text).toMatch(/^Start working on issue #0004, shown below\./);
+    expect(prompt.messages[1].content.text).toContain('mcp__setCurrentIssue (issueNumber "0004")');
+    expect(prompt.messages[1].content.text).toContain('# Issue 0004: Login');
+  });
+  
+  it('reviews closed issues and defaults to the current issue', async () => {
+    expect((await getPrompt('reviewer', { issueNumber: '0007' })).messages[1].content.text).toContain('# Issue 0007: Signup');
+    
+    const current = await getPrompt('reviewer');
+    expect(current.description).toBe('Review issue #0004');
+    
+    expect((await getPrompt('pm')).messages).toHaveLength(1);
+  });
+  
+  it('renders workflows and lists them without a name', async () => {
+    const workflow = await getPrompt('workflow', { workflow: 'bugfix' });
+    expect(workflow.description).toBe('Bugfix Workflow');
+    expect(workflow.messages[0].content.text).toMatch(/## Steps\n1\. Create the issue with mcp__createIssue and the bugfix template/);
+    
+    const list = await getPrompt('workflow');
+    expect(list.messages[0].content.text).toContain('- bugfix: Fix a bug test first');
+  });
+  
+  it('reports unknown prompts, roles, workflows and issues', async () => {
+    await expect(getPrompt('deploy')).rejects.toThrow('Unknown prompt: deploy');
+    await expect(getPrompt('onboarding', { role: 'designer' })).rejects.toThrow('Unknown role: designer');
+    await expect(getPrompt('workflow', { workflow: 'release' })).rejects.toThrow('Unknown workflow: release');
+    await expect(getPrompt('dev', { issueNumber: '9' })).rejects.toThrow('Issue #0009 not found');
+  });
+  
+  it('answers prompts/list and prompts/get over stdio', async () => {
+    const transport = new StdioTransport({ logging: false });
+    transport.tools = [];
+    transport.sendMessage = jest.fn();
+    
+    await transport.handleRequest({ jsonrpc: '2.0', id: 1, method: 'prompts/list' });
+    await transport.handleRequest({ jsonrpc: '2.0', id: 2, method: 'prompts/get', params: { name: 'reviewer', arguments: { issueNumber: '7' } } });
+    await transport.handleRequest({ jsonrpc: '2.0', id: 3, method: 'prompts/get', params: { name: 'deploy' } });
+    
+    const [list, get, unknown] = transport.sendMessage.mock.calls.map(call => call[0]);
+    expect(list.result.prompts).toHaveLength(5);
+    expect(get.result.description).toBe('Review issue #0007');
+    expect(unknown.error).toEqual({
+      code: -32602,
+      message: 'Invalid params',
+      data: { details: 'Unknown prompt: deploy (Available prompts: onboarding, workflow, pm, dev, reviewer)' }
+    });
+  });
+  
+  it('answers prompts/get for every listed prompt, role and workflow', async () => {
+    const transport = new StdioTransport({ logging: false });
+    transport.tools = [];
+    transport.sendMessage = jest.fn();
+    
+    const requests = [
+      ...listPrompts().map(prompt => ({ name: prompt.name })),
+      ...['pm', 'developer', 'reviewer'].map(role => ({ name: 'onboarding', arguments: { role } })),
+      ...['create-feature', 'bugfix', 'task-management', 'review', 'audit'].map(workflow => ({ name: 'workflow', arguments: { workflow } }))
+    ];
+    
+    for (const [index, params] of requests.entries()) {
+      await transport.handleRequest({ jsonrpc: '2.0', id: index, method: 'prompts/get', params });
+    }
+    
+    for (const [response] of transport.sendMessage.mock.calls) {
+      expect(response.error).toBeUndefined();
+      expect(response.result.messages[0].content.text).toMatch(/^# \w+/);
+    }
+    expect(transport.sendMessage).toHaveBeenCalledTimes(requests.length);
+  });
+});
@@ -0,0 +1,80 @@
+// ABOUTME: Tests for the mcp__reopenIssue tool
+// ABOUTME: Verifies closed issues can be reopened through the MCP API
+
+jest.mock('../../src/commands/reopen', () => ({
+  reopenIssueWithChanges: jest.fn()
+}));
+
+const { reopenIssueWithChanges } = require('../../src/commands/reopen');
+const { mcp__reopenIssue } = require('../../src/mcp/tools');
+const { IssueNotFoundError, UserError } = require('../../src/utils/errors');
+
+describe('mcp__reopenIssue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('reopens the issue and passes the options through', async () => {
+    reopenIssueWithChanges.mockResolvedValue({
+      issueNumber: '0003',
+      title: 'Fix login',
+      staged: true,
+      openTasks: 1
+    });
+    
+    const result = await mcp__reopenIssue({
+      issueNumber: '0003',
+      reason: 'Regression',
+      uncheckTask: 1,
+      tasks: ['Add a regression test'],
+      setCurrent: true
+    });
+    
+    expect(reopenIssueWithChanges).toHaveBeenCalledWith('0003', {
+      reason: 'Regression',
+      uncheck: 1,
+      tasks: ['Add a regression test'],
+      setCurrent: true
+    });
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      issueNumber: '0003',
+      title: 'Fix login',
+      reopened: true,
+      isCurrent: true,
+      openTasks: 1
+    });
+  });
+  
+  it('validates the issue number format', async () => {
+    const result = await mcp__reopenIssue({ issueNumber: '3' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+    expect(reopenIssueWithChanges).not.toHaveBeenCalled();
+  });
+  
+  it('returns a not found error for unknown issues', async () => {
+    reopenIssueWithChanges.mockRejectedValue(new IssueNotFoundError('0042'));
+    
+    const result = await mcp__reopenIssue({ issueNumber: '0042' });
+    
+    expect(result).toEqual({
+      success: false,
+      error: {
+        type: 'NotFoundError',
+        message: 'Issue #0042 not found'
+      }
+    });
+  });
+  
+  it('returns a user error when the issue is already open', async () => {
+    reopenIssueWithChanges.mockRejectedValue(new UserError('Issue #0003 is already open'));
+    
+    const result = await mcp__reopenIssue({ issueNumber: '0003' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('UserError');
+    expect(result.error.message).toBe('Issue #0003 is already open');
+  });
+});
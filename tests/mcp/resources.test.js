@@ -0,0 +1,170 @@
+// ABOUTME: Tests for the MCP resources
+// ABOUTME: Verifies listing, reading and subscribing to issue:// and template:// resources
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const {
+  isResourceUri,
+  readResource,
+  listResources,
+  listResourceTemplates,
+  createResourceWatcher
+} = require('../../src/mcp/resources');
+const StdioTransport = require('../../src/mcp/stdioTransport');
+
+describe('MCP resources', () => {
+  let issuesDir;
+  
+  const issuePath = number => path.join(issuesDir, 'open', `issue-${number}.md`);
+  const writeIssue = (number, title, tasks) => {
+    fs.writeFileSync(
+      issuePath(number),
+      `# Issue ${number}: ${title}\n\n## Problem to be solved\nUsers cannot log in\n\n## Planned approach\n\n## Tasks\n${tasks}\n`
+    );
+  };
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-resources-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.mkdirSync(path.join(issuesDir, 'config', 'templates', 'tag'), { recursive: true });
+    fs.writeFileSync(path.join(issuesDir, 'config', 'templates', 'tag', 'unit-test.md'), '# unit-test\n\n## Steps\n- Write tests\n');
+    writeIssue('0001', 'Login', '- [x] Design form\n- [ ] Build form');
+    writeIssue('0002', 'Signup', '- [ ] Build page');
+    fs.writeFileSync(path.join(issuesDir, '.current'), '0001');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('lists the current issue and task, open issues and templates', async () => {
+    const uris = (await listResources()).map(resource => resource.uri);
+    
+    expect(uris).toEqual([
+      'issue://current',
+      'issue://current/task',
+      'issue://open/0001',
+      'issue://open/0002',
+      'template://tag/unit-test'
+    ]);
+    expect(listResourceTemplates().map(template => template.uriTemplate)).toEqual([
+      'issue://open/{issueNumber}',
+      'issue://closed/{issueNumber}',
+      'template://issue/{name}',
+      'template://tag/{name}'
+    ]);
+  });
+  
+  it('reads issues, the current task and templates', async () => {
+    const issue = await readResource('issue://open/0002');
+    expect(issue).toEqual({ uri: 'issue://open/0002', mimeType: 'text/markdown', text: fs.readFileSync(issuePath('0002'), 'utf8') });
+    
+    expect((await readResource('issue://current')).text).toContain('# Issue 0001: Login');
+    
+    const task = await readResource('issue://current/task');
+    expect(task.mimeType).toBe('application/json');
+    expect(JSON.parse(task.text)).toEqual(expect.objectContaining({
+      issueNumber: '0001',
+      issueTitle: 'Login',
+      taskId: 'task-1',
+      description: 'Build form',
+      context: expect.objectContaining({ problem: 'Users cannot log in' })
+    }));
+    
+    expect((await readResource('template://tag/unit-test')).text).toContain('- Write tests');
+  });
+  
+  it('finds no resource for unknown URIs', async () => {
+    expect(await readResource('issue://open/0009')).toBeNull();
+    expect(await readResource('issue://closed/0001')).toBeNull();
+    expect(await readResource('template://tag/missing')).toBeNull();
+    expect(await readResource('template://tag/../../open/issue-0001')).toBeNull();
+    expect(await readResource('file:///etc/passwd')).toBeNull();
+    
+    expect(isResourceUri('issue://closed/0009')).toBe(true);
+    expect(isResourceUri('issue://archive/0001')).toBe(false);
+  });
+  
+  it('reports changes to subscribed resources only', async () => {
+    const updated = [];
+    const watcher = createResourceWatcher(uri => updated.push(uri), { delay: 20 });
+    
+    try {
+      await watcher.subscribe('issue://open/0001');
+      await watcher.subscribe('issue://current/task');
+      
+      // A change to another issue leaves both resources as they were
+      writeIssue('0002', 'Signup', '- [x] Build page');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(updated).toEqual([]);
+      
+      writeIssue('0001', 'Login', '- [x] Design form\n- [x] Build form\n- [ ] Test form');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(updated.sort()).toEqual(['issue://current/task', 'issue://open/0001']);
+      
+      watcher.unsubscribe('issue://open/0001');
+      fs.writeFileSync(path.join(issuesDir, '.current'), '0002');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(updated).toEqual(['issue://current/task', 'issue://open/0001', 'issue://current/task']);
+    } finally {
+      watcher.close();
+    }
+  });
+  
+  describe('stdio transport', () => {
+    let transport;
+    
+    beforeEach(() => {
+      transport = new StdioTransport({ logging: false });
+      transport.tools = [];
+      transport.sendMessage = jest.fn();
+    });
+    
+    afterEach(async () => {
+      if (transport.resourceWatcher) {
+        transport.resourceWatcher.close();
+      }
+    });
+    
+    it('advertises resources with subscriptions', async () => {
+      await transport.handleRequest({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      
+      expect(transport.sendMessage.mock.calls[0][0].result.capabilities.resources).toEqual({ subscribe: true, listChanged: false });
+    });
+    
+    it('answers resources/read and reports missing resources', async () => {
+      await transport.handleRequest({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: 'issue://open/1' } });
+      await transport.handleRequest({ jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri: 'issue://open/0009' } });
+      await transport.handleRequest({ jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: 'http://example.com' } });
+      
+      const [read, missing, subscribe] = transport.sendMessage.mock.calls.map(call => call[0]);
+      expect(read.result.contents[0].text).toContain('# Issue 0001: Login');
+      expect(missing.error).toEqual({ code: -32002, message: 'Resource not found', data: { uri: 'issue://open/0009' } });
+      expect(subscribe.error.code).toBe(-32002);
+    });
+    
+    it('sends notifications/resources/updated for subscribed resources', async () => {
+      await transport.handleRequest({ jsonrpc: '2.0', id: 1, method: 'resources/subscribe', params: { uri: 'issue://open/0001' } });
+      expect(transport.sendMessage).toHaveBeenCalledWith({ jsonrpc: '2.0', id: 1, result: {} });
+      
+      writeIssue('0001', 'Login', '- [x] Design form\n- [x] Build form');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      expect(transport.sendMessage).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/resources/updated',
+        params: { uri: 'issue://open/0001' }
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// ABOUTME: Tests for the mcp__searchIssues tool
+// ABOUTME: Verifies full-text search through the MCP API
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getIssues: jest.fn()
+}));
+
+const { getIssues } = require('../../src/utils/issueManager');
+const { mcp__searchIssues } = require('../../src/mcp/tools');
+
+describe('mcp__searchIssues', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getIssues.mockResolvedValue([
+      {
+        issueNumber: '0001',
+        title: 'Fix login',
+        state: 'open',
+        content: '# Issue 0001: Fix login\n\n## Tasks\n- [ ] Patch authService\n- [ ] Test authService\n'
+      }
+    ]);
+  });
+  
+  it('returns matches with locations and highlights', async () => {
+    const result = await mcp__searchIssues({ query: 'authservice', section: 'tasks' });
+    
+    expect(getIssues).toHaveBeenCalledWith('all');
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      query: 'authservice',
+      totalMatches: 2,
+      issueCount: 1
+    });
+    expect(result.data.matches[1]).toMatchObject({
+      issueNumber: '0001',
+      section: 'Tasks',
+      lineNumber: 5,
+      taskIndex: 1,
+      highlights: [{ start: 11, end: 22 }]
+    });
+  });
+  
+  it('reports progress per issue and returns cancelled searches as errors for the transport', async () => {
+    const onProgress = jest.fn();
+    
+    await mcp__searchIssues({ query: 'login' }, { onProgress });
+    expect(onProgress).toHaveBeenCalledWith(1, 1);
+    
+    const controller = new AbortController();
+    controller.abort();
+    await expect(mcp__searchIssues({ query: 'login' }, { signal: controller.signal }))
+      .rejects.toThrow('The operation was cancelled');
+  });
+  
+  it('returns a validation error for invalid regular expressions', async () => {
+    const result = await mcp__searchIssues({ query: '(', regex: true });
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+    expect(result.error.message).toContain('Invalid regular expression');
+  });
+  
+  it('requires a query', async () => {
+    const result = await mcp__searchIssues({});
+    
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('ValidationError');
+    expect(getIssues).not.toHaveBeenCalled();
+  });
+});
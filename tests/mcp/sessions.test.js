@@ -0,0 +1,79 @@
+// ABOUTME: Tests for work sessions in the MCP tools
+// ABOUTME: Verifies mcp__setCurrentIssue and the session argument of tools working on the current issue
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { setDefaultSession } = require('../../src/utils/session');
+const { mcp__setCurrentIssue, mcp__getCurrentTask, mcp__addNote } = require('../../src/mcp/tools');
+
+describe('MCP work sessions', () => {
+  let issuesDir;
+  
+  const writeIssue = (number, title, task) => {
+    fs.writeFileSync(
+      path.join(issuesDir, 'open', `issue-${number}.md`),
+      `# Issue ${number}: ${title}\n\n## Problem to be solved\n\n## Planned approach\n\n## Tasks\n- [ ] ${task}\n`
+    );
+  };
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-mcp-session-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    writeIssue('0001', 'Login', 'Build login form');
+    writeIssue('0002', 'Signup', 'Build signup form');
+  });
+  
+  afterEach(() => {
+    setDefaultSession(null);
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('lets two sessions work on different issues', async () => {
+    const setA = await mcp__setCurrentIssue({ issueNumber: '0001', session: 'agentA' });
+    const setB = await mcp__setCurrentIssue({ issueNumber: '0002', session: 'agentB' });
+    
+    expect(setA.data).toEqual(expect.objectContaining({ issueNumber: '0001', title: 'Login', session: 'agentA' }));
+    expect(setB.data.session).toBe('agentB');
+    
+    const taskA = await mcp__getCurrentTask({ session: 'agentA' });
+    const taskB = await mcp__getCurrentTask({ session: 'agentB' });
+    expect(taskA.data).toEqual(expect.objectContaining({ issueNumber: '0001', description: 'Build login form', session: 'agentA' }));
+    expect(taskB.data).toEqual(expect.objectContaining({ issueNumber: '0002', description: 'Build signup form', session: 'agentB' }));
+    
+    await mcp__addNote({ section: 'Planned approach', note: 'Use the form library', session: 'agentB' });
+    expect(fs.readFileSync(path.join(issuesDir, 'open', 'issue-0002.md'), 'utf8')).toContain('Use the form library');
+    expect(fs.readFileSync(path.join(issuesDir, 'open', 'issue-0001.md'), 'utf8')).not.toContain('Use the form library');
+  });
+  
+  it('defaults to the session of the MCP client', async () => {
+    setDefaultSession('claude-code');
+    
+    const result = await mcp__setCurrentIssue({ issueNumber: '0002' });
+    
+    expect(result.data.session).toBe('claude-code');
+    expect(fs.readFileSync(path.join(issuesDir, '.sessions', 'claude-code'), 'utf8')).toBe('0002');
+    expect(fs.existsSync(path.join(issuesDir, '.current'))).toBe(false);
+    expect((await mcp__getCurrentTask({})).data.issueNumber).toBe('0002');
+    expect((await mcp__getCurrentTask({ session: 'other' })).data.issueNumber).toBe('0001');
+  });
+  
+  it('reports issues that are not open and invalid sessions', async () => {
+    const missing = await mcp__setCurrentIssue({ issueNumber: '0009' });
+    expect(missing.success).toBe(false);
+    expect(missing.error.message).toBe('Open issue #0009 not found');
+    
+    const invalid = await mcp__getCurrentTask({ session: '../agent' });
+    expect(invalid.success).toBe(false);
+    expect(invalid.error.type).toBe('ValidationError');
+  });
+});
@@ -338,7 +338,16 @@ describe('StdioTransport', () => {
       }));
     });
     
-    test('should log unknown notification methods', async () => {
+    test('should cancel running requests on notifications/cancelled and $/cancelRequest', async () => {
+      transport.cancelRequest = jest.fn();
+      
+      await transport.handleNotification({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 4, reason: 'User stopped' } });
+      await transport.handleNotification({ jsonrpc: '2.0', method: '$/cancelRequest', params: { id: 5 } });
+      
+      expect(transport.cancelRequest.mock.calls).toEqual([[4], [5]]);
+    });
+    
+        test('should log unknown notification methods', async () => {
       const notification = { jsonrpc: '2.0', method: 'unknown' };
       
       await transport.handleNotification(notification);
@@ -477,6 +486,60 @@ describe('StdioTransport', () => {
         1, -32603, 'Internal error', expect.any(Object)
       );
     });
+    
+    test('should send progress notifications for a progress token', async () => {
+      transport.sendNotification = jest.fn();
+      mockGetRegisteredTools.mockReturnValue([{
+        name: 'mcp__testTool',
+        implementation: jest.fn(async (args, context) => {
+          context.onProgress(1, 2);
+          context.onProgress(2, 2);
+          return { success: true, data: 'test' };
+        })
+      }]);
+      
+      await transport.handleToolExecution(1, { tool: 'mcp__testTool', args: {}, progressToken: 'token-1' });
+      
+      expect(transport.sendNotification.mock.calls).toEqual([
+        ['notifications/progress', { progressToken: 'token-1', progress: 1, total: 2 }],
+        ['notifications/progress', { progressToken: 'token-1', progress: 2, total: 2 }]
+      ]);
+      expect(transport.sendResponse).toHaveBeenCalledWith(1, expect.objectContaining({ success: true }));
+    });
+    
+    test('should not report progress without a progress token', async () => {
+      const implementation = jest.fn().mockResolvedValue({ success: true, data: 'test' });
+      mockGetRegisteredTools.mockReturnValue([{ name: 'mcp__testTool', implementation }]);
+      
+      await transport.handleToolExecution(1, { tool: 'mcp__testTool', args: { a: 1 } });
+      
+      expect(implementation).toHaveBeenCalledWith({ a: 1 }, { signal: expect.any(AbortSignal) });
+    });
+    
+    test('should answer a cancelled call with a cancelled error', async () => {
+      const { CancelledError } = require('../../src/utils/errors');
+      let signal;
+      mockGetRegisteredTools.mockReturnValue([{
+        name: 'mcp__testTool',
+        implementation: jest.fn(async (args, context) => {
+          signal = context.signal;
+          await new Promise(resolve => setImmediate(resolve));
+          if (signal.aborted) {
+            throw new CancelledError();
+          }
+          return { success: true, data: 'test' };
+        })
+      }]);
+      
+      const call = transport.handleToolExecution(7, { tool: 'mcp__testTool', args: {} });
+      expect(transport.cancelRequest(7)).toBe(true);
+      await call;
+      
+      expect(signal.aborted).toBe(true);
+      expect(transport.sendErrorResponse).toHaveBeenCalledWith(7, -32800, 'Request cancelled', { tool: 'mcp__testTool' });
+      expect(transport.sendResponse).not.toHaveBeenCalled();
+      expect(transport.cancelRequest(7)).toBe(false);
+    });
   });
 
   describe('handleClose()', () => {
@@ -678,6 +741,9 @@ describe('StdioTransport', () => {
       expect(formattedResponse.content[0]).toHaveProperty('text', JSON.stringify(response));
       expect(formattedResponse.content[0]).toHaveProperty('type', 'text');
       
+      // The result as declared by the output schema of the tool
+      expect(formattedResponse.structuredContent).toEqual(response);
+      
       // Original properties should be preserved
       expect(formattedResponse.success).toBe(true);
       expect(formattedResponse.data).toEqual(response.data);
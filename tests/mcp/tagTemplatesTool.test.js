@@ -41,11 +41,13 @@ describe('Tag Template Discovery', () => {
       expect(result).toEqual([
         {
           name: 'unit-test',
-          description: 'Test-Driven Development workflow that ensures proper unit testing.'
+          description: 'Test-Driven Development workflow that ensures proper unit testing.',
+          parameters: []
         },
         {
           name: 'e2e-test',
-          description: 'End-to-end testing workflow for comprehensive testing.'
+          description: 'End-to-end testing workflow for comprehensive testing.',
+          parameters: []
         }
       ]);
       
@@ -69,7 +71,26 @@ describe('Tag Template Discovery', () => {
       expect(result).toEqual([
         {
           name: 'no-description',
-          description: 'No description available'
+          description: 'No description available',
+          parameters: []
+        }
+      ]);
+    });
+    
+    it('should report the parameters of each tag template with their defaults', async () => {
+      getTemplateList.mockResolvedValue(['unit-test']);
+      loadTemplate.mockResolvedValue('# unit-test\n\n> Unit testing workflow.\n\n## Parameters\n- component: Component under test\n- snapshots = false: Update the snapshots\n\n## Steps\n- [ACTUAL TASK GOES HERE]');
+      
+      const result = await getTagTemplatesWithDescriptions();
+      
+      expect(result).toEqual([
+        {
+          name: 'unit-test',
+          description: 'Unit testing workflow.',
+          parameters: [
+            { name: 'component', required: true, description: 'Component under test' },
+            { name: 'snapshots', required: false, description: 'Update the snapshots', default: false }
+          ]
         }
       ]);
     });
@@ -91,7 +112,8 @@ describe('Tag Template Discovery', () => {
       expect(result).toEqual([
         {
           name: 'error-template',
-          description: 'Description unavailable'
+          description: 'Description unavailable',
+          parameters: []
         }
       ]);
       
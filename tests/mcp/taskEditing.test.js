@@ -0,0 +1,112 @@
+// ABOUTME: Tests for the task editing MCP tools
+// ABOUTME: Verifies mcp__updateTask, mcp__removeTask and mcp__moveTask
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn(),
+  writeIssue: jest.fn()
+}));
+
+jest.mock('../../src/utils/template', () => ({
+  getTemplateList: jest.fn().mockResolvedValue([]),
+  loadTemplate: jest.fn(),
+  renderTemplate: jest.fn(),
+  validateTemplate: jest.fn()
+}));
+
+const issueManager = require('../../src/utils/issueManager');
+const { mcp__updateTask, mcp__removeTask, mcp__moveTask } = require('../../src/mcp/tools');
+
+describe('Task editing MCP tools', () => {
+  const content = `# Issue 0001: Test Issue
+
+## Tasks
+- [x] Write migration
+- [ ] Update API docs
+- [ ] Deploy after:1
+`;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001' });
+    issueManager.readIssue.mockResolvedValue(content);
+  });
+  
+  describe('mcp__updateTask', () => {
+    it('changes the text of a task', async () => {
+      const result = await mcp__updateTask({ index: 1, description: 'Update the API reference' });
+      
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({
+        issueNumber: '0001',
+        index: 1,
+        previousDescription: 'Update API docs',
+        tasks: ['Update the API reference']
+      });
+      expect(issueManager.writeIssue).toHaveBeenCalledWith(
+        '/project/.issues/open/issue-0001.md',
+        expect.stringContaining('- [ ] Update the API reference\n')
+      );
+    });
+    
+    it('refuses a completed task unless forced', async () => {
+      const result = await mcp__updateTask({ index: 0, description: 'Write the migration' });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('UserError');
+      expect(result.error.message).toBe('Task 0 is already completed: Write migration (Set force to true to change a completed task)');
+      expect(issueManager.writeIssue).not.toHaveBeenCalled();
+    });
+    
+    it('validates its arguments', async () => {
+      const result = await mcp__updateTask({ index: 1 });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('ValidationError');
+    });
+  });
+  
+  describe('mcp__removeTask', () => {
+    it('removes a task and drops references to it', async () => {
+      const result = await mcp__removeTask({ issueNumber: '0001', index: 1 });
+      
+      expect(result.success).toBe(true);
+      expect(result.data.removedTask).toBe('Update API docs');
+      expect(issueManager.writeIssue.mock.calls[0][1]).toContain('- [x] Write migration\n- [ ] Deploy\n');
+    });
+    
+    it('removes a completed task when forced', async () => {
+      const result = await mcp__removeTask({ index: 0, force: true });
+      
+      expect(result.success).toBe(true);
+      expect(issueManager.writeIssue.mock.calls[0][1]).toContain('- [ ] Deploy after:0');
+    });
+    
+    it('reports issues that are not open', async () => {
+      issueManager.readIssue.mockRejectedValueOnce(new Error('ENOENT'));
+      
+      const result = await mcp__removeTask({ issueNumber: '0009', index: 0 });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('NotFoundError');
+    });
+  });
+  
+  describe('mcp__moveTask', () => {
+    it('moves a task to a new position', async () => {
+      const result = await mcp__moveTask({ index: 2, to: 1 });
+      
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({ from: 2, to: 1 }));
+      expect(issueManager.writeIssue.mock.calls[0][1]).toContain('- [ ] Deploy after:2\n- [ ] Update API docs\n');
+    });
+    
+    it('rejects a target index that is out of range', async () => {
+      const result = await mcp__moveTask({ index: 1, to: 4 });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.message).toContain('Task index out of range: 4');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+// ABOUTME: Tests for the template authoring MCP tools
+// ABOUTME: Verifies creating, copying, updating, removing and diffing templates through the MCP API
+
+jest.mock('../../src/utils/template', () => ({
+  ...jest.requireActual('../../src/utils/template'),
+  loadTemplate: jest.fn()
+}));
+
+jest.mock('../../src/utils/templateAuthoring', () => ({
+  createTemplate: jest.fn(),
+  copyTemplate: jest.fn(),
+  updateTemplate: jest.fn(),
+  removeTemplate: jest.fn(),
+  diffTemplate: jest.fn()
+}));
+
+const { loadTemplate } = require('../../src/utils/template');
+const templateAuthoring = require('../../src/utils/templateAuthoring');
+const { UserError, TemplateNotFoundError } = require('../../src/utils/errors');
+const {
+  mcp__createTemplate,
+  mcp__copyTemplate,
+  mcp__updateTemplate,
+  mcp__removeTemplate,
+  mcp__diffTemplate
+} = require('../../src/mcp/tools');
+
+describe('Template authoring MCP tools', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  describe('mcp__createTemplate', () => {
+    it('creates a template and returns its content', async () => {
+      templateAuthoring.createTemplate.mockResolvedValue({ name: 'code-review', type: 'tag', path: '/x' });
+      loadTemplate.mockResolvedValue('# code-review\n');
+      
+      const result = await mcp__createTemplate({ name: 'code-review', type: 'tag', content: '# code-review\n' });
+      
+      expect(templateAuthoring.createTemplate).toHaveBeenCalledWith('code-review', 'tag', '# code-review\n', {
+        force: undefined,
+        forceHint: 'Set force to true to replace it'
+      });
+      expect(result).toEqual({
+        success: true,
+        data: { name: 'code-review', type: 'tag', content: '# code-review\n' }
+      });
+    });
+    
+    it('returns validation problems as user errors', async () => {
+      templateAuthoring.createTemplate.mockRejectedValue(
+        new UserError('Invalid tag template: Missing required section: Steps').withRecoveryHint('See the help')
+      );
+      
+      const result = await mcp__createTemplate({ name: 'code-review', type: 'tag', content: '# code-review\n' });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('UserError');
+      expect(result.error.message).toBe('Invalid tag template: Missing required section: Steps (See the help)');
+    });
+    
+    it('validates its arguments', async () => {
+      const badType = await mcp__createTemplate({ name: 'code-review', type: 'note' });
+      const badName = await mcp__createTemplate({ name: '../evil', type: 'tag' });
+      
+      expect(badType.error.type).toBe('ValidationError');
+      expect(badName.error.type).toBe('ValidationError');
+      expect(templateAuthoring.createTemplate).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('mcp__copyTemplate', () => {
+    it('copies a template', async () => {
+      templateAuthoring.copyTemplate.mockResolvedValue({ source: 'feature', name: 'my-feature', type: 'issue', path: '/x' });
+      
+      const result = await mcp__copyTemplate({ source: 'feature', name: 'my-feature' });
+      
+      expect(result).toEqual({
+        success: true,
+        data: { source: 'feature', name: 'my-feature', type: 'issue' }
+      });
+    });
+    
+    it('reports a missing source template', async () => {
+      templateAuthoring.copyTemplate.mockRejectedValue(new TemplateNotFoundError('nope'));
+      
+      const result = await mcp__copyTemplate({ source: 'nope', name: 'other' });
+      
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('NotFoundError');
+    });
+  });
+  
+  describe('mcp__updateTemplate', () => {
+    it('replaces the template content', async () => {
+      templateAuthoring.updateTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', path: '/x', changed: true });
+      
+      const result = await mcp__updateTemplate({ name: 'unit-test', type: 'tag', content: '# unit-test\n' });
+      
+      expect(templateAuthoring.updateTemplate).toHaveBeenCalledWith('unit-test', 'tag', '# unit-test\n');
+      expect(result).toEqual({ success: true, data: { name: 'unit-test', type: 'tag', changed: true } });
+    });
+    
+    it('requires content', async () => {
+      const result = await mcp__updateTemplate({ name: 'unit-test' });
+      
+      expect(result.error.type).toBe('ValidationError');
+    });
+  });
+  
+  describe('mcp__removeTemplate', () => {
+    it('removes a template', async () => {
+      templateAuthoring.removeTemplate.mockResolvedValue({ name: 'unit-test', type: 'tag', hasDefault: true });
+      
+      const result = await mcp__removeTemplate({ name: 'unit-test' });
+      
+      expect(result).toEqual({ success: true, data: { name: 'unit-test', type: 'tag', removed: true } });
+    });
+    
+    it('passes force through', async () => {
+      templateAuthoring.removeTemplate.mockResolvedValue({ name: '_base', type: 'issue', hasDefault: true });
+      
+      await mcp__removeTemplate({ name: '_base', force: true });
+      
+      expect(templateAuthoring.removeTemplate).toHaveBeenCalledWith('_base', undefined, expect.objectContaining({ force: true }));
+    });
+  });
+  
+  describe('mcp__diffTemplate', () => {
+    it('returns the differences to the default template', async () => {
+      const diff = { name: 'unit-test', type: 'tag', identical: false, diff: ['@@ -1,1 +1,1 @@', '-a', '+b'] };
+      templateAuthoring.diffTemplate.mockResolvedValue(diff);
+      
+      const result = await mcp__diffTemplate({ name: 'unit-test' });
+      
+      expect(result).toEqual({ success: true, data: diff });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// ABOUTME: Tests for the MCP tool definitions and the reference generated from them
+// ABOUTME: Verifies every tool has a definition and that tool results match their output schemas
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ajv = require('ajv');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { toolDefinitions, TOOL_ALIASES, getToolParameters } = require('../../src/mcp/toolDefinitions');
+const { renderToolReference } = require('../../src/mcp/toolReference');
+const mcpTools = require('../../src/mcp/tools');
+const onboardingTools = require('../../src/mcp/onboardingTools');
+
+describe('MCP tool definitions', () => {
+  const ajv = new Ajv();
+  
+  it('defines every tool, and only those', () => {
+    const toolNames = Object.keys({ ...mcpTools, ...onboardingTools }).filter(name => name.startsWith('mcp__'));
+    
+    expect(Object.keys(toolDefinitions).sort()).toEqual(toolNames.sort());
+  });
+  
+  it('has valid input and output schemas with a description for every argument', () => {
+    for (const [name, definition] of Object.entries(toolDefinitions)) {
+      expect(definition.description).toEqual(expect.any(String));
+      expect(() => ajv.compile(definition.inputSchema)).not.toThrow();
+      expect(() => ajv.compile(definition.outputSchema)).not.toThrow();
+      
+      for (const [argument, property] of Object.entries(definition.inputSchema.properties)) {
+        expect(`${name}.${argument}: ${property.description}`).not.toMatch(/: (undefined)?$/);
+      }
+    }
+  });
+  
+  it('gives aliases the schemas of their tools', () => {
+    for (const [alias, { tool }] of Object.entries(TOOL_ALIASES)) {
+      expect(toolDefinitions[alias].inputSchema).toBe(toolDefinitions[tool].inputSchema);
+      expect(toolDefinitions[alias].description).toMatch(/^Alias for /);
+    }
+  });
+  
+  it('lists the required arguments of createIssue from its schema', () => {
+    const parameters = getToolParameters(toolDefinitions.mcp__createIssue.inputSchema);
+    
+    expect(parameters.filter(parameter => parameter.required).map(parameter => parameter.name))
+      .toEqual(['template', 'title']);
+    expect(parameters.find(parameter => parameter.name === 'task').type).toBe('string');
+  });
+  
+  it('keeps docs/mcp-tools.md up to date', () => {
+    const reference = fs.readFileSync(path.join(__dirname, '..', '..', 'docs', 'mcp-tools.md'), 'utf8');
+    
+    // Run npm run docs:tools after changing a tool definition
+    expect(reference).toBe(renderToolReference());
+  });
+  
+  describe('output schemas', () => {
+    let issuesDir;
+    
+    const expectValidResult = (name, result) => {
+      const validate = ajv.compile(toolDefinitions[name].outputSchema);
+      expect(validate(result) ? null : { name, errors: validate.errors }).toBeNull();
+    };
+    
+    beforeEach(() => {
+      issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-tool-definitions-'));
+      getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+      fs.mkdirSync(path.join(issuesDir, 'open'));
+      fs.mkdirSync(path.join(issuesDir, 'closed'));
+      fs.writeFileSync(
+        path.join(issuesDir, 'open', 'issue-0001.md'),
+        '# Issue 0001: Login\n\n## Problem to be solved\n\n## Planned approach\n\n## Tasks\n- [ ] Build form\n'
+      );
+    });
+    
+    afterEach(() => {
+      fs.rmSync(issuesDir, { recursive: true, force: true });
+    });
+    
+    it('match the results of the tools', async () => {
+      expectValidResult('mcp__getCurrentTask', await mcpTools.mcp__getCurrentTask({ session: 'agentA' }));
+      expectValidResult('mcp__listIssues', await mcpTools.mcp__listIssues({}));
+      expectValidResult('mcp__setCurrentIssue', await mcpTools.mcp__setCurrentIssue({ issueNumber: '0001', session: 'agentA' }));
+      expectValidResult('mcp__getCurrentTask', await mcpTools.mcp__getCurrentTask({ session: 'agentA' }));
+      expectValidResult('mcp__claimIssue', await mcpTools.mcp__claimIssue({ session: 'agentA' }));
+      expectValidResult('mcp__releaseIssue', await mcpTools.mcp__releaseIssue({ session: 'agentA' }));
+      expectValidResult('mcp__undo', await mcpTools.mcp__undo({ issueNumber: '0001', session: 'agentA' }));
+      expectValidResult('mcp__showIssue', await mcpTools.mcp__showIssue({ issueNumber: '0009' }));
+      expectValidResult('mcp__showIssue', await mcpTools.mcp__showIssue({ issueNumber: 'x' }));
+    });
+  });
+});
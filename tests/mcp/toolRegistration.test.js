@@ -80,44 +80,30 @@ describe('MCP Tool Registration', () => {
       );
     });
     
-    it('should extract metadata from function comments when available', () => {
-      // Mock a function with JSDoc comments
-      const mockFunc = function() {
-        /* This comment should be ignored */
-      };
-      mockFunc.toString = () => `/**
- * Test function description
- * 
- * @param {Object} args - Arguments
- * @param {string} args.testParam - A test parameter
- * @param {number} args.optionalParam - An optional parameter
- * @returns {Object} Test result
- */
-function mockFunc(args) {
-  // Function body
-}`;
-      
-      // Access the private extractToolMetadata function
-      const extractToolMetadata = require('../../src/mcp/registration').__test__.extractToolMetadata;
-      
-      // Extract metadata
-      const metadata = extractToolMetadata(mockFunc);
-      
-      // Verify extracted description
-      expect(metadata.description).toBe('Test function description');
-      
-      // Verify extracted parameters
-      expect(metadata.parameters).toHaveLength(2);
-      expect(metadata.parameters[0]).toMatchObject({
-        name: 'testParam',
+    it('should register tools with the schemas of their definitions', () => {
+      const toolRegistry = registerMcpTools();
+      
+      const showTool = toolRegistry.find(tool => tool.name === 'mcp__showIssue');
+      expect(showTool.description).toBe('Show details of a specific issue by number');
+      expect(showTool.inputSchema.properties.issueNumber).toEqual(expect.objectContaining({
         type: 'string',
-        description: 'A test parameter'
-      });
-      expect(metadata.parameters[1]).toMatchObject({
-        name: 'optionalParam',
-        type: 'number',
-        description: 'An optional parameter'
-      });
+        pattern: '^\\d{4}$'
+      }));
+      expect(showTool.inputSchema.required).toEqual(['issueNumber']);
+      expect(showTool.outputSchema.required).toEqual(['success']);
+      
+      // The parameter list is derived from the input schema
+      expect(showTool.parameters).toEqual([{
+        name: 'issueNumber',
+        type: 'string',
+        description: 'The issue number to show',
+        required: true
+      }]);
+      
+      const listTool = getRegisteredTools().find(tool => tool.name === 'mcp__listIssues');
+      expect(listTool.inputSchema.properties.state.enum).toEqual(['open', 'closed', 'all']);
+      expect(listTool.outputSchema.properties.data.type).toBe('array');
+      expect(listTool).not.toHaveProperty('implementation');
     });
     
     it('should provide access to registered tools', () => {
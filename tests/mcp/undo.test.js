@@ -0,0 +1,71 @@
+// ABOUTME: Tests for undoing changes through the MCP tools
+// ABOUTME: Verifies mcp__undo restores previous versions and reports claimed issues
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+  isInitialized: jest.fn().mockResolvedValue(true)
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { mcp__undo, mcp__addNote, mcp__claimIssue } = require('../../src/mcp/tools');
+
+describe('MCP undo', () => {
+  let issuesDir;
+  const original = '# Issue 0001: Login\n\n## Problem to be solved\n\n## Planned approach\n\n## Tasks\n- [ ] Build form\n';
+  
+  const readIssueFile = () => fs.readFileSync(path.join(issuesDir, 'open', 'issue-0001.md'), 'utf8');
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-mcp-undo-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.writeFileSync(path.join(issuesDir, 'open', 'issue-0001.md'), original);
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('restores the version before a mistaken change', async () => {
+    await mcp__addNote({ issueNumber: '0001', section: 'Planned approach', note: 'Wrong note', session: 'agentA' });
+    expect(readIssueFile()).toContain('Wrong note');
+    
+    const undo = await mcp__undo({ session: 'agentA' });
+    
+    expect(undo).toEqual({
+      success: true,
+      data: { issueNumber: '0001', state: 'open', previousState: 'open', undone: 'Updated Planned approach' }
+    });
+    expect(readIssueFile()).toBe(original);
+  });
+  
+  it('reports when there is nothing to undo', async () => {
+    const result = await mcp__undo({ issueNumber: '0001' });
+    
+    expect(result.success).toBe(false);
+    expect(result.error).toEqual({
+      type: 'UserError',
+      message: 'No earlier version of issue #0001 to restore (The last 10 versions of each issue are kept in .issues/.backups)'
+    });
+  });
+  
+  it('does not undo changes to an issue claimed by another session', async () => {
+    await mcp__claimIssue({ issueNumber: '0001', session: 'agentA' });
+    
+    const result = await mcp__undo({ session: 'agentB' });
+    
+    expect(result.error).toEqual({
+      type: 'IssueClaimedError',
+      message: 'Issue #0001 is claimed by agentA (Only agentA can undo changes to it while it is claimed)'
+    });
+    expect(readIssueFile()).toContain('claimed_by: agentA');
+    
+    expect((await mcp__undo({ session: 'agentA' })).data.undone).toBe('Claimed by agentA');
+    expect(readIssueFile()).toBe(original);
+  });
+});
@@ -145,12 +145,17 @@ describe('MCP Validator', () => {
       // Call with valid args
       const result = await validatedTool({ state: 'open' });
       
-      // Should call the original function and return its result
-      expect(mockTool).toHaveBeenCalledWith({ state: 'open' });
+      // Should call the original function, without a call context, and return its result
+      expect(mockTool).toHaveBeenCalledWith({ state: 'open' }, {});
       expect(result).toEqual({
         success: true,
         data: 'result'
       });
+      
+      // The call context of the transport is passed on
+      const context = { signal: new AbortController().signal };
+      await validatedTool({ state: 'open' }, context);
+      expect(mockTool).toHaveBeenLastCalledWith({ state: 'open' }, context);
     });
     
     it('should return validation error without calling the tool', async () => {
@@ -180,5 +185,16 @@ describe('MCP Validator', () => {
         }
       });
     });
+    
+    it('should attribute changes made by the tool to the tool name', async () => {
+      const { getActivity } = require('../../src/utils/history');
+      const mockTool = jest.fn(async () => getActivity().command);
+      Object.defineProperty(mockTool, 'name', { value: 'mcp__listIssues' });
+      
+      const result = await withValidation(mockTool)({});
+      
+      expect(result).toBe('mcp__listIssues');
+      expect(getActivity().command).toBeNull();
+    });
   });
 });
\ No newline at end of file
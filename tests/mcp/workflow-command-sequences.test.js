@@ -104,7 +104,8 @@ jest.mock('../../src/utils/taskParser', () => ({
     }
     
     return lines.join('\n');
-  })
+  }),
+  getParentTasks: jest.fn().mockReturnValue([])
 }));
 
 jest.mock('../../src/utils/sectionManager', () => ({
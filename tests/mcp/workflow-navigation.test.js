@@ -37,7 +37,8 @@ jest.mock('../../src/utils/issueManager', () => ({
 jest.mock('../../src/utils/taskParser', () => ({
   extractTasks: jest.fn(),
   findCurrentTask: jest.fn(),
-  updateTaskStatus: jest.fn()
+  updateTaskStatus: jest.fn(),
+  getParentTasks: jest.fn().mockReturnValue([])
 }));
 
 jest.mock('../../src/utils/sectionManager', () => ({
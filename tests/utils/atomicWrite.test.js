@@ -0,0 +1,41 @@
+// ABOUTME: Tests for atomic file writes
+// ABOUTME: Verifies files are replaced in one rename and no temporary files are left behind
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('../../src/utils/atomicWrite');
+
+describe('writeFileAtomic', () => {
+  let dir;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-atomic-'));
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('creates and replaces files without leaving temporary files', async () => {
+    const filePath = path.join(dir, 'issue-0001.md');
+    
+    await writeFileAtomic(filePath, 'first');
+    await writeFileAtomic(filePath, 'second');
+    
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('second');
+    expect(fs.readdirSync(dir)).toEqual(['issue-0001.md']);
+  });
+  
+  it('keeps the previous content and removes the temporary file when the write fails', async () => {
+    const filePath = path.join(dir, 'issue-0001.md');
+    fs.writeFileSync(filePath, 'previous');
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+    
+    await expect(writeFileAtomic(filePath, 'next')).rejects.toThrow('disk full');
+    
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('previous');
+    expect(fs.readdirSync(dir)).toEqual(['issue-0001.md']);
+  });
+});
@@ -6,13 +6,16 @@ const path = require('path');
 const { 
   createDirectoryStructure, 
   isInitialized, 
-  getIssueDirectoryPath 
+  getIssueDirectoryPath,
+  updateGitFiles
 } = require('../../src/utils/directory');
 
 // Mock fs module
 jest.mock('fs', () => ({
   promises: {
     mkdir: jest.fn(),
+    writeFile: jest.fn(),
+    readFile: jest.fn(),
     access: jest.fn(),
     stat: jest.fn(),
   },
@@ -25,6 +28,7 @@ describe('Directory utilities', () => {
   
   beforeEach(() => {
     jest.clearAllMocks();
+    fs.promises.readFile.mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOENT' }));
   });
   
   describe('getIssueDirectoryPath', () => {
@@ -74,6 +78,18 @@ describe('Directory utilities', () => {
       expect(fs.promises.mkdir).toHaveBeenCalledTimes(5);
     });
     
+    test('ignores runtime files and merges the history log by union', async () => {
+      fs.promises.mkdir.mockResolvedValue(undefined);
+      fs.promises.writeFile.mockResolvedValue(undefined);
+      
+      await createDirectoryStructure();
+      
+      expect(fs.promises.writeFile).toHaveBeenCalledWith(
+        path.join(issuesDir, '.gitignore'), '.current\n.backups/\n.sessions/\n*.lock\n*.tmp\n', 'utf8');
+      expect(fs.promises.writeFile).toHaveBeenCalledWith(
+        path.join(issuesDir, '.gitattributes'), 'history.jsonl merge=union\n', 'utf8');
+    });
+    
     test('throws error if directory creation fails', async () => {
       const error = new Error('Failed to create directory');
       fs.promises.mkdir.mockRejectedValue(error);
@@ -81,4 +97,29 @@ describe('Directory utilities', () => {
       await expect(createDirectoryStructure()).rejects.toThrow('Failed to create directory');
     });
   });
+  
+  describe('updateGitFiles', () => {
+    test('adds the entries an existing project is missing and keeps its own', async () => {
+      fs.promises.access.mockResolvedValue(undefined);
+      fs.promises.readFile.mockImplementation(async filePath => (
+        filePath.endsWith('.gitignore') ? 'notes/\n.backups/' : 'history.jsonl merge=union\n'
+      ));
+      fs.promises.writeFile.mockResolvedValue(undefined);
+      
+      await updateGitFiles();
+      
+      expect(fs.promises.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.promises.writeFile).toHaveBeenCalledWith(
+        path.join(issuesDir, '.gitignore'), 'notes/\n.backups/\n.current\n.sessions/\n*.lock\n*.tmp\n', 'utf8');
+    });
+    
+    test('writes nothing when issue tracking is not initialized', async () => {
+      fs.promises.access.mockRejectedValue(new Error('ENOENT'));
+      
+      await updateGitFiles();
+      
+      expect(fs.promises.readFile).not.toHaveBeenCalled();
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,152 @@
+// ABOUTME: Tests for the front matter utilities
+// ABOUTME: Verifies parsing, serializing and updating issue metadata blocks
+
+const {
+  formatTimestamp,
+  parseFrontMatter,
+  stringifyFrontMatter,
+  setFrontMatter,
+  updateFrontMatter,
+  touchUpdated,
+  normalizeLabels,
+  createIssueMetadata
+} = require('../../src/utils/frontMatter');
+
+describe('Front matter utilities', () => {
+  const issueBody = '# Issue 0001: Test Issue\n\n## Tasks\n- [ ] Task 1\n';
+  
+  describe('parseFrontMatter', () => {
+    test('returns content without front matter unchanged', () => {
+      const result = parseFrontMatter(issueBody);
+      
+      expect(result).toEqual({ metadata: {}, body: issueBody, hasFrontMatter: false });
+    });
+    
+    test('parses scalars, quoted strings and inline lists', () => {
+      const content = `---
+priority: high
+labels: [ui, "needs: review", 'it''s']
+assignee: "Jane Doe"
+created: 2024-05-01T12:30:00Z
+---
+${issueBody}`;
+      
+      const result = parseFrontMatter(content);
+      
+      expect(result.hasFrontMatter).toBe(true);
+      expect(result.body).toBe(issueBody);
+      expect(result.metadata).toEqual({
+        priority: 'high',
+        labels: ['ui', 'needs: review', "it's"],
+        assignee: 'Jane Doe',
+        created: '2024-05-01T12:30:00Z'
+      });
+    });
+    
+    test('ignores an unterminated block', () => {
+      const content = `---\npriority: high\n${issueBody}`;
+      
+      expect(parseFrontMatter(content).hasFrontMatter).toBe(false);
+    });
+  });
+  
+  describe('stringifyFrontMatter', () => {
+    test('writes known fields first and skips empty values', () => {
+      const block = stringifyFrontMatter({
+        custom: 'value',
+        updated: '2024-05-02T00:00:00Z',
+        priority: 'low',
+        assignee: null
+      });
+      
+      expect(block).toBe('---\npriority: low\nupdated: 2024-05-02T00:00:00Z\ncustom: value\n---\n');
+    });
+    
+    test('quotes values that would not parse back unchanged', () => {
+      const metadata = { assignee: '#team: core', labels: ['a,b', 'plain'] };
+      
+      const block = stringifyFrontMatter(metadata);
+      
+      expect(block).toContain('assignee: "#team: core"');
+      expect(parseFrontMatter(`${block}${issueBody}`).metadata).toEqual(metadata);
+    });
+    
+    test('round-trips quoted list items that follow other items', () => {
+      const metadata = { labels: ['a', 'c,d', "it's", 'e'] };
+      
+      expect(parseFrontMatter(`${stringifyFrontMatter(metadata)}${issueBody}`).metadata).toEqual(metadata);
+      expect(parseFrontMatter(`---\nlabels: [a,  'c, d' , "e"]\n---\n${issueBody}`).metadata.labels).toEqual(['a', 'c, d', 'e']);
+    });
+    
+    test('returns an empty string when there is no metadata', () => {
+      expect(stringifyFrontMatter({})).toBe('');
+    });
+  });
+  
+  describe('setFrontMatter and updateFrontMatter', () => {
+    test('adds a block to content without front matter', () => {
+      const content = setFrontMatter(issueBody, { priority: 'high' });
+      
+      expect(content).toBe(`---\npriority: high\n---\n${issueBody}`);
+    });
+    
+    test('merges changes and removes null fields', () => {
+      const content = `---\nstatus: closed\nclosed: 2024-01-01T00:00:00Z\n---\n${issueBody}`;
+      
+      const updated = updateFrontMatter(content, { status: 'open', closed: null });
+      
+      expect(updated).toBe(`---\nstatus: open\n---\n${issueBody}`);
+    });
+  });
+  
+  describe('touchUpdated', () => {
+    test('sets the updated timestamp when front matter exists', () => {
+      const content = `---\nupdated: 2024-01-01T00:00:00Z\n---\n${issueBody}`;
+      
+      const updated = touchUpdated(content, new Date('2024-06-01T08:00:00.123Z'));
+      
+      expect(parseFrontMatter(updated).metadata.updated).toBe('2024-06-01T08:00:00Z');
+    });
+    
+    test('leaves issues without front matter untouched', () => {
+      expect(touchUpdated(issueBody)).toBe(issueBody);
+    });
+  });
+  
+  describe('createIssueMetadata', () => {
+    test('builds metadata for a new issue', () => {
+      const date = new Date('2024-05-01T12:30:00.456Z');
+      
+      const metadata = createIssueMetadata({
+        template: 'bugfix',
+        priority: 'high',
+        labels: 'auth, backend,',
+        assignee: 'alice'
+      }, date);
+      
+      expect(metadata).toEqual({
+        status: 'open',
+        priority: 'high',
+        labels: ['auth', 'backend'],
+        assignee: 'alice',
+        template: 'bugfix',
+        created: formatTimestamp(date),
+        updated: formatTimestamp(date)
+      });
+    });
+    
+    test('omits optional fields that are not set', () => {
+      const metadata = createIssueMetadata({ template: 'feature' });
+      
+      expect(Object.keys(metadata)).toEqual(['status', 'template', 'created', 'updated']);
+    });
+  });
+  
+  describe('normalizeLabels', () => {
+    test('accepts arrays and comma-separated strings', () => {
+      expect(normalizeLabels(['a', ' b '])).toEqual(['a', 'b']);
+      expect(normalizeLabels('a,b')).toEqual(['a', 'b']);
+      expect(normalizeLabels(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// ABOUTME: Tests for the issue history log
+// ABOUTME: Verifies change summaries, activity attribution and reading the log
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getHistoryFilePath,
+  setActivity,
+  runWithActivity,
+  getActivity,
+  describeChange,
+  recordActivity,
+  recordChange,
+  getHistory
+} = require('../../src/utils/history');
+
+describe('History log', () => {
+  const originalDir = process.env.ISSUE_CARDS_DIR;
+  let issuesDir;
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-history-'));
+    process.env.ISSUE_CARDS_DIR = issuesDir;
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+    if (originalDir === undefined) {
+      delete process.env.ISSUE_CARDS_DIR;
+    } else {
+      process.env.ISSUE_CARDS_DIR = originalDir;
+    }
+  });
+  
+  describe('describeChange', () => {
+    const before = `# Issue 0001: Login
+
+## Problem to be solved
+Users cannot log in
+
+## Tasks
+- [ ] Write form
+- [ ] Add tests
+`;
+    
+    it('describes a new issue', async () => {
+      expect(await describeChange(null, before)).toBe('Created issue: Login');
+    });
+    
+    it('describes completed and added tasks', async () => {
+      const after = before
+        .replace('- [ ] Write form', '- [x] Write form')
+        .replace('- [ ] Add tests\n', '- [ ] Add tests\n- [ ] Deploy\n');
+      
+      expect(await describeChange(before, after)).toBe('Completed task: Write form; Added task: Deploy');
+    });
+    
+    it('describes edited, removed and reordered tasks', async () => {
+      expect(await describeChange(before, before.replace('Add tests', 'Add unit tests')))
+        .toBe('Changed task: Add tests -> Add unit tests');
+      expect(await describeChange(before, before.replace('- [ ] Add tests\n', '')))
+        .toBe('Removed task: Add tests');
+      expect(await describeChange(before, before.replace('- [ ] Write form\n- [ ] Add tests', '- [ ] Add tests\n- [ ] Write form')))
+        .toBe('Reordered tasks');
+    });
+    
+    it('names the sections that changed', async () => {
+      const after = before.replace('Users cannot log in', 'Users cannot log in\n\nThe session cookie expires immediately');
+      
+      expect(await describeChange(before, after)).toBe('Updated Problem to be solved');
+      expect(await describeChange(before, before)).toBe('Updated issue');
+    });
+  });
+  
+  describe('activity', () => {
+    it('attributes changes to the process activity unless a call overrides it', async () => {
+      setActivity({ command: 'add-note', actor: 'alice' });
+      
+      expect(getActivity()).toEqual({ command: 'add-note', actor: 'alice' });
+      
+      await runWithActivity({ command: 'mcp__addNote' }, async () => {
+        await Promise.resolve();
+        expect(getActivity()).toEqual({ command: 'mcp__addNote', actor: 'alice' });
+      });
+      
+      expect(getActivity().command).toBe('add-note');
+    });
+  });
+  
+  describe('recording and reading', () => {
+    it('appends entries to history.jsonl', async () => {
+      setActivity({ command: 'complete-task', actor: 'alice' });
+      
+      const entry = await recordChange('0001', '## Tasks\n- [ ] Write form\n', '## Tasks\n- [x] Write form\n');
+      
+      expect(entry).toEqual({
+        timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/),
+        issueNumber: '0001',
+        actor: 'alice',
+        command: 'complete-task',
+        summary: 'Completed task: Write form'
+      });
+      expect(getHistoryFilePath()).toBe(path.join(issuesDir, 'history.jsonl'));
+      expect(fs.readFileSync(getHistoryFilePath(), 'utf8')).toBe(`${JSON.stringify(entry)}\n`);
+    });
+    
+    it('filters and limits entries, skipping lines that cannot be parsed', async () => {
+      await recordActivity('0001', 'Created issue: Login');
+      await recordActivity('0002', 'Created issue: Logout');
+      fs.appendFileSync(getHistoryFilePath(), '{"timestamp":\n');
+      await recordActivity('0001', 'Closed issue');
+      
+      expect((await getHistory()).map(entry => entry.summary))
+        .toEqual(['Created issue: Login', 'Created issue: Logout', 'Closed issue']);
+      expect((await getHistory({ issueNumber: '0001' })).map(entry => entry.summary))
+        .toEqual(['Created issue: Login', 'Closed issue']);
+      expect((await getHistory({ limit: 1 })).map(entry => entry.summary)).toEqual(['Closed issue']);
+    });
+    
+    it('returns no entries before anything was recorded', async () => {
+      expect(await getHistory()).toEqual([]);
+    });
+    
+    it('does not fail when the log cannot be written', async () => {
+      process.env.ISSUE_CARDS_DIR = path.join(issuesDir, 'missing');
+      
+      expect(await recordActivity('0001', 'Closed issue')).toBeNull();
+    });
+  });
+});
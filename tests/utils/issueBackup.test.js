@@ -0,0 +1,99 @@
+// ABOUTME: Tests for backups of issue files and undoing changes
+// ABOUTME: Verifies versions are kept and pruned, and that undo restores them
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { BACKUP_COUNT_ENV, backupIssue, listBackups, getLatestBackup } = require('../../src/utils/issueBackup');
+const { getIssue, saveIssue, closeIssue, undoLastChange } = require('../../src/utils/issueManager');
+const { getHistory, setActivity } = require('../../src/utils/history');
+const { UserError } = require('../../src/utils/errors');
+
+describe('Issue backups', () => {
+  let issuesDir;
+  
+  const openIssuePath = number => path.join(issuesDir, 'open', `issue-${number}.md`);
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-backup-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.writeFileSync(openIssuePath('0001'), '# Issue 0001: Login\n\n## Tasks\n- [ ] Build form\n');
+    fs.writeFileSync(openIssuePath('0002'), '# Issue 0002: Signup\n\n## Tasks\n- [ ] Build page\n');
+    setActivity({ actor: 'alice' });
+  });
+  
+  afterEach(() => {
+    delete process.env[BACKUP_COUNT_ENV];
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('keeps the replaced version of each change, newest first', async () => {
+    await saveIssue('0001', '# Issue 0001: Login\n\n## Tasks\n- [x] Build form\n');
+    await saveIssue('0002', '# Issue 0002: Signup\n\n## Tasks\n- [x] Build page\n');
+    
+    const backups = await listBackups();
+    
+    expect(backups.map(backup => backup.issueNumber)).toEqual(['0002', '0001']);
+    expect(backups[0]).toEqual(expect.objectContaining({ state: 'open', timestamp: expect.any(Date) }));
+    expect(fs.readFileSync(backups[1].filePath, 'utf8')).toContain('- [ ] Build form');
+    expect((await getLatestBackup('0001')).filePath).toBe(backups[1].filePath);
+  });
+  
+  it('keeps only the number of versions set by ISSUE_CARDS_BACKUPS', async () => {
+    process.env[BACKUP_COUNT_ENV] = '2';
+    for (const version of ['a', 'b', 'c']) {
+      await backupIssue('0001', 'open', version);
+    }
+    
+    const backups = await listBackups('0001');
+    expect(backups.map(backup => fs.readFileSync(backup.filePath, 'utf8'))).toEqual(['c', 'b']);
+    
+    process.env[BACKUP_COUNT_ENV] = '0';
+    expect(await backupIssue('0001', 'open', 'd')).toBeNull();
+    expect(await listBackups('0001')).toHaveLength(2);
+  });
+  
+  it('undoes changes one version at a time', async () => {
+    const original = fs.readFileSync(openIssuePath('0001'), 'utf8');
+    await saveIssue('0001', original.replace('- [ ]', '- [x]'));
+    await saveIssue('0001', original.replace('- [ ]', '- [x]') + '- [ ] Add validation\n');
+    
+    const first = await undoLastChange();
+    expect(first).toEqual({ issueNumber: '0001', state: 'open', previousState: 'open', undone: 'Added task: Add validation' });
+    
+    await undoLastChange('1');
+    expect(fs.readFileSync(openIssuePath('0001'), 'utf8')).toBe(original);
+    expect(await listBackups('0001')).toEqual([]);
+    
+    const history = await getHistory({ issueNumber: '0001' });
+    expect(history.map(entry => entry.summary)).toEqual(expect.arrayContaining(['Undid: Completed task: Build form']));
+  });
+  
+  it('reopens an issue when undoing its close', async () => {
+    await getIssue('0001');
+    await closeIssue('0001');
+    
+    const undo = await undoLastChange();
+    
+    expect(undo).toEqual({ issueNumber: '0001', state: 'open', previousState: 'closed', undone: 'Closed issue' });
+    expect(fs.existsSync(openIssuePath('0001'))).toBe(true);
+    expect(fs.existsSync(path.join(issuesDir, 'closed', 'issue-0001.md'))).toBe(false);
+  });
+  
+  it('reports when there is nothing to undo', async () => {
+    const error = await undoLastChange().catch(e => e);
+    
+    expect(error).toBeInstanceOf(UserError);
+    expect(error.message).toBe('No changes to undo');
+    expect(error.recoveryHint).toBe('The last 10 versions of each issue are kept in .issues/.backups');
+    await expect(undoLastChange('2')).rejects.toThrow('No earlier version of issue #0002 to restore');
+  });
+});
@@ -0,0 +1,115 @@
+// ABOUTME: Tests for claiming issues
+// ABOUTME: Verifies claim and release, and that claimed issues are only changed by their owner
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const {
+  claimIssue,
+  releaseIssue,
+  getClaimOwner,
+  getIssue,
+  saveIssue,
+  closeIssue
+} = require('../../src/utils/issueManager');
+const { runWithSession } = require('../../src/utils/session');
+const { getHistory, setActivity } = require('../../src/utils/history');
+const { IssueClaimedError, IssueNotFoundError } = require('../../src/utils/errors');
+
+describe('Issue claims', () => {
+  let issuesDir;
+  
+  const readOpenIssue = () => fs.readFileSync(path.join(issuesDir, 'open', 'issue-0001.md'), 'utf8');
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-claim-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    fs.writeFileSync(
+      path.join(issuesDir, 'open', 'issue-0001.md'),
+      '---\nstatus: open\n---\n# Issue 0001: Login\n\n## Tasks\n- [ ] Build form\n'
+    );
+    setActivity({ actor: 'alice' });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  it('records the owner in the front matter and the history', async () => {
+    const claim = await runWithSession('agentA', () => claimIssue('1'));
+    
+    expect(claim).toEqual({ issueNumber: '0001', owner: 'agentA', previousOwner: null });
+    expect(readOpenIssue()).toMatch(/^---\nstatus: open\nclaimed_by: agentA\nclaimed: \d{4}-\d{2}-\d{2}T[\d:]+Z\n/);
+    
+    const history = await getHistory({ issueNumber: '0001' });
+    expect(history[history.length - 1].summary).toBe('Claimed by agentA');
+  });
+  
+  it('claims for the actor without a session', async () => {
+    expect(getClaimOwner()).toBe('alice');
+    
+    expect((await claimIssue('0001')).owner).toBe('alice');
+  });
+  
+  it('refuses changes by anyone but the owner', async () => {
+    await runWithSession('agentA', () => claimIssue('0001'));
+    
+    await runWithSession('agentA', async () => {
+      const content = await getIssue('0001');
+      await saveIssue('0001', content.replace('- [ ] Build form', '- [x] Build form'));
+    });
+    
+    const error = await runWithSession('agentB', async () => {
+      const content = await getIssue('0001');
+      return saveIssue('0001', `${content}- [ ] Add validation\n`);
+    }).catch(e => e);
+    
+    expect(error).toBeInstanceOf(IssueClaimedError);
+    expect(error.message).toBe('Issue #0001 is claimed by agentA');
+    expect(error.recoveryHint).toBe('Ask agentA to release it, or run `issue-cards release -i 1 --force`');
+    expect(readOpenIssue()).toContain('- [x] Build form');
+    expect(readOpenIssue()).not.toContain('Add validation');
+  });
+  
+  it('takes over a claim only when forced', async () => {
+    await runWithSession('agentA', () => claimIssue('0001'));
+    
+    await expect(runWithSession('agentB', () => claimIssue('0001'))).rejects.toThrow('Issue #0001 is claimed by agentA');
+    
+    const claim = await runWithSession('agentB', () => claimIssue('0001', { force: true }));
+    expect(claim).toEqual({ issueNumber: '0001', owner: 'agentB', previousOwner: 'agentA' });
+  });
+  
+  it('releases claims of the owner, or of anyone when forced', async () => {
+    expect(await releaseIssue('0001')).toEqual({ issueNumber: '0001', owner: null, released: false });
+    
+    await claimIssue('0001', { owner: 'agentA' });
+    await expect(releaseIssue('0001', { owner: 'agentB' })).rejects.toThrow(IssueClaimedError);
+    
+    expect(await releaseIssue('0001', { owner: 'agentA' })).toEqual({ issueNumber: '0001', owner: 'agentA', released: true });
+    expect(readOpenIssue()).not.toContain('claimed');
+    
+    await claimIssue('0001', { owner: 'agentA' });
+    expect((await releaseIssue('0001', { force: true })).released).toBe(true);
+    
+    const history = await getHistory({ issueNumber: '0001' });
+    expect(history[history.length - 1].summary).toBe('Released claim of agentA');
+  });
+  
+  it('releases the claim when the issue is closed', async () => {
+    await claimIssue('0001', { owner: 'agentA' });
+    
+    await closeIssue('0001');
+    
+    expect(fs.readFileSync(path.join(issuesDir, 'closed', 'issue-0001.md'), 'utf8')).not.toContain('claimed');
+    await expect(claimIssue('0001')).rejects.toThrow(IssueNotFoundError);
+  });
+});
@@ -0,0 +1,131 @@
+// ABOUTME: Tests for locking and version checks of issue files
+// ABOUTME: Verifies that concurrent changes to an issue are serialized or refused instead of lost
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { readIssue, writeIssue, getIssue, saveIssue, addTaskToIssue } = require('../../src/utils/issueManager');
+const { IssueLockedError, IssueConflictError } = require('../../src/utils/errors');
+const {
+  getLockFilePath,
+  withIssueLock,
+  getContentVersion,
+  runWithIssueVersions
+} = require('../../src/utils/issueLock');
+
+describe('Issue locking', () => {
+  let issuesDir;
+  let issuePath;
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-lock-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+    fs.mkdirSync(path.join(issuesDir, 'open'));
+    fs.mkdirSync(path.join(issuesDir, 'closed'));
+    issuePath = path.join(issuesDir, 'open', 'issue-0001.md');
+    fs.writeFileSync(issuePath, '# Issue 0001: Login\n\n## Planned approach\n\n## Tasks\n- [ ] Build form\n');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  describe('withIssueLock', () => {
+    it('runs one holder of the lock at a time', async () => {
+      const events = [];
+      const hold = (name) => withIssueLock('0001', async () => {
+        events.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        events.push(`${name} end`);
+      });
+      
+      await Promise.all([hold('a'), hold('b')]);
+      
+      expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+      expect(fs.existsSync(getLockFilePath('0001'))).toBe(false);
+    });
+    
+    it('releases the lock when the function fails', async () => {
+      await expect(withIssueLock('0001', async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+      
+      expect(fs.existsSync(getLockFilePath('0001'))).toBe(false);
+    });
+    
+    it('gives up on a lock held by another process', async () => {
+      fs.writeFileSync(getLockFilePath('0001'), '12345\n');
+      
+      const error = await withIssueLock('0001', () => 'done', { timeout: 50 }).catch(e => e);
+      
+      expect(error).toBeInstanceOf(IssueLockedError);
+      expect(error.message).toBe('Issue #0001 is locked by another process');
+      expect(error.recoveryHint).toContain(getLockFilePath('0001'));
+    });
+    
+    it('takes over a lock left behind by a crashed process', async () => {
+      const lockPath = getLockFilePath('0001');
+      fs.writeFileSync(lockPath, '12345\n');
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      fs.utimesSync(lockPath, anHourAgo, anHourAgo);
+      
+      await expect(withIssueLock('0001', () => 'done', { timeout: 50 })).resolves.toBe('done');
+    });
+  });
+  
+  describe('version checks', () => {
+    it('refuses to write an issue that changed after it was read', async () => {
+      await runWithIssueVersions(async () => {
+        const content = await readIssue(issuePath);
+        fs.appendFileSync(issuePath, '- [ ] Added by someone else\n');
+        
+        const error = await writeIssue(issuePath, content.replace('## Planned approach\n', '## Planned approach\nUse a form\n'))
+          .catch(e => e);
+        
+        expect(error).toBeInstanceOf(IssueConflictError);
+        expect(error.recoveryHint).toBe('Run the command again to apply it to the latest version of the issue');
+      });
+      
+      expect(fs.readFileSync(issuePath, 'utf8')).toContain('Added by someone else');
+      expect(fs.readFileSync(issuePath, 'utf8')).not.toContain('Use a form');
+    });
+    
+    it('allows further changes by whoever wrote the issue last', async () => {
+      await runWithIssueVersions(async () => {
+        const content = await getIssue('0001');
+        await saveIssue('0001', `${content}- [ ] Second task\n`);
+        await saveIssue('0001', `${content}- [ ] Second task\n- [ ] Third task\n`);
+        await addTaskToIssue('0001', 'Fourth task');
+      });
+      
+      expect(fs.readFileSync(issuePath, 'utf8')).toContain('- [ ] Third task\n- [ ] Fourth task\n');
+    });
+    
+    it('lets only the first of two concurrent read-modify-writes through', async () => {
+      const addLine = (line) => runWithIssueVersions(async () => {
+        const content = await readIssue(issuePath);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await writeIssue(issuePath, `${content}${line}\n`);
+      });
+      
+      const results = await Promise.allSettled([addLine('- [ ] From A'), addLine('- [ ] From B')]);
+      
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toBeInstanceOf(IssueConflictError);
+      expect(fs.readFileSync(issuePath, 'utf8')).toContain('From A');
+      expect(fs.readFileSync(issuePath, 'utf8')).not.toContain('From B');
+    });
+    
+    it('hashes content into short versions', () => {
+      expect(getContentVersion('abc')).toMatch(/^[0-9a-f]{12}$/);
+      expect(getContentVersion('abc')).toBe(getContentVersion('abc'));
+      expect(getContentVersion('abc')).not.toBe(getContentVersion('abd'));
+    });
+  });
+});
@@ -9,7 +9,8 @@ const {
   saveIssue,
   listIssues,
   getIssue,
-  closeIssue
+  closeIssue,
+  reopenIssue
 } = require('../../src/utils/issueManager');
 const directory = require('../../src/utils/directory');
 
@@ -19,6 +20,7 @@ jest.mock('fs', () => ({
     readdir: jest.fn(),
     readFile: jest.fn(),
     writeFile: jest.fn(),
+    appendFile: jest.fn(),
     rename: jest.fn(),
     unlink: jest.fn(),
   },
@@ -28,6 +30,13 @@ jest.mock('../../src/utils/directory', () => ({
   getIssueDirectoryPath: jest.fn(),
 }));
 
+// Locking and version checks need the real file system, they are tested in issueLock.test.js
+jest.mock('../../src/utils/issueLock', () => ({
+  ...jest.requireActual('../../src/utils/issueLock'),
+  withIssueLock: jest.fn((issueNumber, fn) => fn()),
+  getRememberedVersion: jest.fn(() => null)
+}));
+
 describe('Issue Manager utilities', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -108,6 +117,16 @@ describe('Issue Manager utilities', () => {
       expect(fs.promises.readdir).toHaveBeenCalledTimes(2);
     });
     
+    test('parses front matter into metadata and skips it for the title', async () => {
+      fs.promises.readdir.mockResolvedValue(['issue-0001.md']);
+      fs.promises.readFile.mockResolvedValue('---\npriority: high\nlabels: [ui, auth]\n---\n# Issue 0001: With Metadata');
+      
+      const result = await listIssues();
+      
+      expect(result[0].title).toBe('With Metadata');
+      expect(result[0].metadata).toEqual({ priority: 'high', labels: ['ui', 'auth'] });
+    });
+    
     test('handles read directory errors', async () => {
       // Mock readdir to throw error
       fs.promises.readdir.mockRejectedValue(new Error('Failed to read directory'));
@@ -123,11 +142,34 @@ describe('Issue Manager utilities', () => {
       
       await saveIssue(issueNumber, content);
       
-      expect(fs.promises.writeFile).toHaveBeenCalledWith(
-        path.join('/project/.issues/open', 'issue-0001.md'),
-        content,
-        'utf8'
-      );
+      // Written to a temporary file that then replaces the issue file
+      const [tempPath, written] = fs.promises.writeFile.mock.calls[0];
+      expect(path.dirname(tempPath)).toBe('/project/.issues/open');
+      expect(path.basename(tempPath)).toMatch(/^\.issue-0001\.md\..+\.tmp$/);
+      expect(written).toBe(content);
+      expect(fs.promises.rename).toHaveBeenCalledWith(tempPath, path.join('/project/.issues/open', 'issue-0001.md'));
+    });
+    
+    test('refreshes the updated timestamp of issues with front matter', async () => {
+      fs.promises.writeFile.mockResolvedValue();
+      const content = '---\nupdated: 2020-01-01T00:00:00Z\n---\n# Issue 0001: Test Issue';
+      
+      await saveIssue('0001', content);
+      
+      const written = fs.promises.writeFile.mock.calls[0][1];
+      expect(written).toMatch(/^---\nupdated: \d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z\n---\n# Issue 0001: Test Issue$/);
+      expect(written).not.toContain('2020-01-01');
+    });
+    
+    test('records the change in the history log', async () => {
+      fs.promises.writeFile.mockResolvedValue();
+      fs.promises.readFile.mockResolvedValueOnce('# Issue 0001: Test Issue\n\n## Tasks\n- [ ] Write form\n');
+      
+      await saveIssue('0001', '# Issue 0001: Test Issue\n\n## Tasks\n- [x] Write form\n');
+      
+      expect(fs.promises.appendFile).toHaveBeenCalledWith('/project/.issues/history.jsonl', expect.any(String), 'utf8');
+      const entry = JSON.parse(fs.promises.appendFile.mock.calls[0][1]);
+      expect(entry).toMatchObject({ issueNumber: '0001', summary: 'Completed task: Write form' });
     });
     
     test('handles write file errors', async () => {
@@ -198,8 +240,8 @@ describe('Issue Manager utilities', () => {
       const result = await listIssues();
       
       expect(result).toEqual([
-        { issueNumber: '0001', title: 'First Issue', content: '# Issue 0001: First Issue', state: 'open' },
-        { issueNumber: '0002', title: 'Second Issue', content: '# Issue 0002: Second Issue', state: 'open' }
+        { issueNumber: '0001', title: 'First Issue', content: '# Issue 0001: First Issue', state: 'open', metadata: {} },
+        { issueNumber: '0002', title: 'Second Issue', content: '# Issue 0002: Second Issue', state: 'open', metadata: {} }
       ]);
       
       expect(fs.promises.readdir).toHaveBeenCalledWith('/project/.issues/open');
@@ -216,7 +258,7 @@ describe('Issue Manager utilities', () => {
       const result = await listIssues();
       
       expect(result).toEqual([
-        { issueNumber: '0001', title: 'Untitled Issue', content: 'Invalid content', state: 'open' }
+        { issueNumber: '0001', title: 'Untitled Issue', content: 'Invalid content', state: 'open', metadata: {} }
       ]);
     });
     
@@ -238,7 +280,7 @@ describe('Issue Manager utilities', () => {
       
       // Should still return an array, but with error information
       expect(result).toEqual([
-        { issueNumber: '0001', title: 'Error: Failed to read file', content: '', state: 'open' }
+        { issueNumber: '0001', title: 'Error: Failed to read file', content: '', state: 'open', metadata: {} }
       ]);
     });
   });
@@ -267,6 +309,22 @@ describe('Issue Manager utilities', () => {
       );
     });
     
+    test('records the close in the front matter before moving', async () => {
+      fs.promises.readFile.mockResolvedValue('---\nstatus: open\n---\n# Issue 0001: Test Issue');
+      fs.promises.writeFile.mockResolvedValue();
+      fs.promises.rename.mockResolvedValue();
+      
+      await closeIssue('0001');
+      
+      const [tempPath, written] = fs.promises.writeFile.mock.calls[0];
+      expect(written).toContain('status: closed');
+      expect(written).toMatch(/closed: \d{4}-\d{2}-\d{2}T/);
+      expect(fs.promises.rename).toHaveBeenNthCalledWith(1, tempPath, path.join('/project/.issues/open', 'issue-0001.md'));
+      expect(fs.promises.rename).toHaveBeenNthCalledWith(2,
+        path.join('/project/.issues/open', 'issue-0001.md'),
+        path.join('/project/.issues/closed', 'issue-0001.md'));
+    });
+    
     test('handles issue not found error', async () => {
       // Mock readFile to throw error
       fs.promises.readFile.mockRejectedValue(new Error('Issue not found'));
@@ -284,4 +342,41 @@ describe('Issue Manager utilities', () => {
       await expect(closeIssue('0001')).rejects.toThrow('Failed to close issue');
     });
   });
+  
+  describe('reopenIssue', () => {
+    test('moves issue from closed back to open directory', async () => {
+      fs.promises.readFile.mockResolvedValue('# Issue 0001: Test Issue');
+      fs.promises.rename.mockResolvedValue();
+      
+      await reopenIssue('0001');
+      
+      expect(fs.promises.readFile).toHaveBeenCalledWith(
+        path.join('/project/.issues/closed', 'issue-0001.md'),
+        'utf8'
+      );
+      expect(fs.promises.rename).toHaveBeenCalledWith(
+        path.join('/project/.issues/closed', 'issue-0001.md'),
+        path.join('/project/.issues/open', 'issue-0001.md')
+      );
+    });
+    
+    test('clears the closed timestamp from the front matter', async () => {
+      fs.promises.readFile.mockResolvedValue('---\nstatus: closed\nclosed: 2024-01-01T00:00:00Z\n---\n# Issue 0001: Test Issue');
+      fs.promises.writeFile.mockResolvedValue();
+      fs.promises.rename.mockResolvedValue();
+      
+      await reopenIssue('0001');
+      
+      const written = fs.promises.writeFile.mock.calls[0][1];
+      expect(written).toContain('status: open');
+      expect(written).not.toContain('closed:');
+    });
+    
+    test('handles issue not found error', async () => {
+      fs.promises.readFile.mockRejectedValue(new Error('Issue not found'));
+      
+      await expect(reopenIssue('0001')).rejects.toThrow('Failed to reopen issue');
+      expect(fs.promises.rename).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
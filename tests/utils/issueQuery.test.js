@@ -0,0 +1,97 @@
+// ABOUTME: Tests for the issue query utilities
+// ABOUTME: Verifies filtering, sorting and progress calculation for issue lists
+
+const {
+  getIssueProgress,
+  hasOpenQuestions,
+  filterIssues,
+  sortIssues,
+  queryIssues
+} = require('../../src/utils/issueQuery');
+
+describe('Issue query utilities', () => {
+  const issues = [
+    {
+      issueNumber: '0001',
+      title: 'Bravo',
+      content: '# Issue 0001: Bravo\n\n## Questions to resolve\n- [ ] Which cache?\n\n## Tasks\n- [x] One\n- [ ] Two\n',
+      metadata: { priority: 'high', labels: ['auth', 'ui'], template: 'feature', updated: '2024-01-02T00:00:00Z' }
+    },
+    {
+      issueNumber: '0002',
+      title: 'Alpha',
+      content: '# Issue 0002: Alpha\n\n## Questions to resolve\n- [x] Answered?\n\n## Tasks\n- [x] One\n',
+      metadata: { priority: 'low', labels: ['auth'], template: 'bugfix', updated: '2024-03-01T00:00:00Z' }
+    },
+    {
+      issueNumber: '0003',
+      title: 'Charlie',
+      content: '# Issue 0003: Charlie\n',
+      metadata: {}
+    }
+  ];
+  
+  describe('getIssueProgress', () => {
+    test('counts completed and total tasks', async () => {
+      expect(await getIssueProgress(issues[0].content)).toEqual({ completed: 1, total: 2 });
+      expect(await getIssueProgress('')).toEqual({ completed: 0, total: 0 });
+    });
+  });
+  
+  describe('hasOpenQuestions', () => {
+    test('detects unchecked and plain question items', () => {
+      expect(hasOpenQuestions(issues[0].content)).toBe(true);
+      expect(hasOpenQuestions(issues[1].content)).toBe(false);
+      expect(hasOpenQuestions('## Questions to resolve\n- Which database?\n')).toBe(true);
+      expect(hasOpenQuestions('## Questions to resolve\n- [x] Which database?\n  - Answer (2026-10-18T12:00:00Z): PostgreSQL\n')).toBe(false);
+      expect(hasOpenQuestions(issues[2].content)).toBe(false);
+    });
+  });
+  
+  describe('filterIssues', () => {
+    const numbers = result => result.map(issue => issue.issueNumber);
+    
+    test('requires every requested label', () => {
+      expect(numbers(filterIssues(issues, { label: 'auth' }))).toEqual(['0001', '0002']);
+      expect(numbers(filterIssues(issues, { label: ['auth', 'ui'] }))).toEqual(['0001']);
+    });
+    
+    test('filters by priority, template and open questions', () => {
+      expect(numbers(filterIssues(issues, { priority: 'low' }))).toEqual(['0002']);
+      expect(numbers(filterIssues(issues, { template: 'feature' }))).toEqual(['0001']);
+      expect(numbers(filterIssues(issues, { hasOpenQuestions: true }))).toEqual(['0001']);
+    });
+    
+    test('returns all issues without filters', () => {
+      expect(filterIssues(issues)).toHaveLength(3);
+    });
+  });
+  
+  describe('sortIssues', () => {
+    const withProgress = [
+      { ...issues[0], progress: { completed: 1, total: 2 } },
+      { ...issues[1], progress: { completed: 1, total: 1 } },
+      { ...issues[2], progress: { completed: 0, total: 0 } }
+    ];
+    const numbers = result => result.map(issue => issue.issueNumber);
+    
+    test('sorts by title, progress and updated', () => {
+      expect(numbers(sortIssues(withProgress, 'title'))).toEqual(['0002', '0001', '0003']);
+      expect(numbers(sortIssues(withProgress, 'progress'))).toEqual(['0002', '0001', '0003']);
+      expect(numbers(sortIssues(withProgress, 'updated'))).toEqual(['0002', '0001', '0003']);
+    });
+    
+    test('sorts by number by default', () => {
+      expect(numbers(sortIssues([...withProgress].reverse()))).toEqual(['0001', '0002', '0003']);
+    });
+  });
+  
+  describe('queryIssues', () => {
+    test('attaches progress and applies the limit', async () => {
+      const result = await queryIssues(issues, { label: 'auth', sort: 'title', limit: 1 });
+      
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ issueNumber: '0002', progress: { completed: 1, total: 1 } });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// ABOUTME: Tests for the issue search utilities
+// ABOUTME: Verifies matching, section scoping, task indices and snippets
+
+const {
+  buildSearchPattern,
+  findMatchRanges,
+  createSnippet,
+  searchIssueContent,
+  searchIssues
+} = require('../../src/utils/issueSearch');
+
+describe('Issue search utilities', () => {
+  const content = `---
+priority: high
+---
+# Issue 0001: Fix parser crash
+
+## Problem to be solved
+The Parser crashes on empty input
+
+## Tasks
+- [x] Reproduce the crash
+- [ ] Fix the parser
+  - Handle the empty parser input
+- [ ] Add regression test
+
+## Instructions
+Keep the parser API stable
+`;
+  
+  describe('buildSearchPattern', () => {
+    test('escapes plain text and ignores case by default', () => {
+      const pattern = buildSearchPattern('a.b');
+      
+      expect(pattern.test('A.B')).toBe(true);
+      pattern.lastIndex = 0;
+      expect(pattern.test('axb')).toBe(false);
+    });
+    
+    test('supports regular expressions and case-sensitive matching', () => {
+      const pattern = buildSearchPattern('E\\d{3}', { regex: true, caseSensitive: true });
+      
+      expect(findMatchRanges('error E404 and e500', pattern)).toEqual([{ start: 6, end: 10 }]);
+    });
+    
+    test('rejects empty queries and invalid regular expressions', () => {
+      expect(() => buildSearchPattern('')).toThrow('Search query cannot be empty');
+      expect(() => buildSearchPattern('(', { regex: true })).toThrow('Invalid regular expression');
+    });
+  });
+  
+  describe('findMatchRanges', () => {
+    test('skips empty matches', () => {
+      expect(findMatchRanges('bab', /a*/g)).toEqual([{ start: 1, end: 2 }]);
+    });
+  });
+  
+  describe('createSnippet', () => {
+    test('trims indentation and shifts highlights', () => {
+      expect(createSnippet('  - found it', [{ start: 4, end: 9 }])).toEqual({
+        snippet: '- found it',
+        highlights: [{ start: 2, end: 7 }]
+      });
+    });
+    
+    test('shortens long lines around the first match', () => {
+      const line = `${'x'.repeat(200)}needle${'y'.repeat(200)}`;
+      
+      const { snippet, highlights } = createSnippet(line, [{ start: 200, end: 206 }]);
+      
+      expect(snippet.startsWith('...')).toBe(true);
+      expect(snippet.endsWith('...')).toBe(true);
+      expect(snippet.substring(highlights[0].start, highlights[0].end)).toBe('needle');
+    });
+  });
+  
+  describe('searchIssueContent', () => {
+    test('reports section, file line number and task index', () => {
+      const matches = searchIssueContent(content, buildSearchPattern('parser'));
+      
+      expect(matches.map(match => [match.section, match.lineNumber, match.taskIndex])).toEqual([
+        [null, 4, null],
+        ['Problem to be solved', 7, null],
+        ['Tasks', 11, 1],
+        ['Tasks', 12, 1],
+        ['Instructions', 16, null]
+      ]);
+    });
+    
+    test('numbers subtasks like the task commands do', () => {
+      const nested = `# Issue 0002: Login
+
+## Tasks
+- [x] Build the form
+  - [x] Add the fields
+  - [ ] Validate the fields
+    - Check the email format
+- [ ] Connect the form
+  - [ ] Call the login API
+`;
+      
+      const matches = searchIssueContent(nested, buildSearchPattern('the'));
+      
+      expect(matches.map(match => [match.line.trim(), match.taskIndex])).toEqual([
+        ['- [x] Build the form', 0],
+        ['- [x] Add the fields', 1],
+        ['- [ ] Validate the fields', 2],
+        ['- Check the email format', 2],
+        ['- [ ] Connect the form', 3],
+        ['- [ ] Call the login API', 4]
+      ]);
+    });
+    
+    test('limits the search to one section', () => {
+      const matches = searchIssueContent(content, buildSearchPattern('parser'), { section: 'instructions' });
+      
+      expect(matches).toHaveLength(1);
+      expect(matches[0].line).toBe('Keep the parser API stable');
+    });
+    
+    test('returns no matches when the section does not exist', () => {
+      expect(searchIssueContent(content, buildSearchPattern('parser'), { section: 'Notes' })).toEqual([]);
+    });
+  });
+  
+  describe('searchIssues', () => {
+    test('adds issue details to each match', () => {
+      const issues = [
+        { issueNumber: '0001', title: 'Fix parser crash', state: 'closed', content },
+        { issueNumber: '0002', title: 'Other', state: 'open', content: '# Issue 0002: Other\n' }
+      ];
+      
+      const matches = searchIssues(issues, 'regression');
+      
+      expect(matches).toEqual([expect.objectContaining({
+        issueNumber: '0001',
+        title: 'Fix parser crash',
+        state: 'closed',
+        section: 'Tasks',
+        taskIndex: 2,
+        snippet: '- [ ] Add regression test',
+        highlights: [{ start: 10, end: 20 }]
+      })]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// ABOUTME: Tests for issue statistics utilities
+// ABOUTME: Verifies per-issue counts, stalled issues and the weekly completion timeline
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(() => '/project/.issues')
+}));
+
+jest.mock('../../src/utils/history', () => ({
+  getHistory: jest.fn()
+}));
+
+jest.mock('../../src/utils/gitDetection', () => ({
+  isGitRepository: jest.fn()
+}));
+
+jest.mock('../../src/utils/gitOperations', () => ({
+  safelyExecuteGit: jest.fn()
+}));
+
+const { getHistory } = require('../../src/utils/history');
+const { isGitRepository } = require('../../src/utils/gitDetection');
+const { safelyExecuteGit } = require('../../src/utils/gitOperations');
+const { CancelledError } = require('../../src/utils/errors');
+const {
+  countFailedApproaches,
+  parseCompletions,
+  getCompletionTimeline,
+  getIssueStats
+} = require('../../src/utils/issueStats');
+
+describe('Issue statistics', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+  const patch = [
+    'commit-date 2026-10-14T10:00:00+00:00',
+    '',
+    'diff --git a/open/issue-0001.md b/open/issue-0001.md',
+    '@@ -6 +6 @@',
+    '-- [ ] Write form',
+    '+- [x] Write form',
+    'diff --git a/open/issue-0002.md b/open/issue-0002.md',
+    '@@ -5 +5 @@',
+    '-- [x] Old wording',
+    '+- [x] New wording',
+    'commit-date 2026-10-02T10:00:00+00:00',
+    '',
+    'diff --git a/open/issue-0001.md b/closed/issue-0001.md',
+    '@@ -7,2 +7,2 @@',
+    '-- [ ] Add tests',
+    '-  - [ ] Cover errors',
+    '+- [x] Add tests',
+    '+  - [x] Cover errors'
+  ].join('\n');
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getHistory.mockResolvedValue([]);
+    isGitRepository.mockResolvedValue(true);
+    safelyExecuteGit.mockResolvedValue(patch);
+  });
+  
+  describe('countFailedApproaches', () => {
+    it('counts logged attempts and listed approaches', () => {
+      const content = `## Failed approaches
+- Tried basic auth
+
+### Failed attempt
+
+Cookies
+
+**Reason:** Blocked by the browser
+
+## Tasks
+- [ ] Write form
+`;
+      
+      expect(countFailedApproaches(content)).toBe(2);
+      expect(countFailedApproaches('## Tasks\n- [ ] Write form\n')).toBe(0);
+    });
+  });
+  
+  describe('parseCompletions', () => {
+    it('counts tasks checked off per commit and file', () => {
+      expect(parseCompletions(patch)).toEqual([
+        { date: new Date('2026-10-14T10:00:00Z'), count: 1 },
+        { date: new Date('2026-10-02T10:00:00Z'), count: 2 }
+      ]);
+    });
+  });
+  
+  describe('getCompletionTimeline', () => {
+    it('groups completions by week, ending with the current week', async () => {
+      const timeline = await getCompletionTimeline({ weeks: 3, now });
+      
+      expect(safelyExecuteGit).toHaveBeenCalledWith(
+        'log',
+        expect.arrayContaining(['--since=2026-09-28T00:00:00.000Z', '-p']),
+        expect.objectContaining({ cwd: '/project/.issues' })
+      );
+      // Backups and templates under the issues directory are left out
+      expect(safelyExecuteGit.mock.calls[0][1].slice(-3)).toEqual(['--', 'open', 'closed']);
+      expect(timeline).toEqual([
+        { weekStart: '2026-09-28', completed: 2 },
+        { weekStart: '2026-10-05', completed: 0 },
+        { weekStart: '2026-10-12', completed: 1 }
+      ]);
+    });
+    
+    it('returns null outside of a git repository', async () => {
+      isGitRepository.mockResolvedValue(false);
+      
+      expect(await getCompletionTimeline({ now })).toBeNull();
+      expect(safelyExecuteGit).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('getIssueStats', () => {
+    const issues = [
+      {
+        issueNumber: '0001',
+        title: 'Login',
+        state: 'open',
+        metadata: { updated: '2026-09-01T00:00:00Z' },
+        content: `# Issue 0001: Login
+
+## Failed approaches
+- Tried basic auth
+
+## Questions to resolve
+- [ ] Which provider?
+- [x] Sessions or tokens?
+
+## Tasks
+- [x] Write form
+- [ ] Add tests
+`
+      },
+      {
+        issueNumber: '0002',
+        title: 'Logout',
+        state: 'closed',
+        metadata: {},
+        content: '# Issue 0002: Logout\n\n## Tasks\n- [x] Clear session\n'
+      },
+      {
+        issueNumber: '0003',
+        title: 'Signup',
+        state: 'open',
+        metadata: { updated: '2026-09-01T00:00:00Z' },
+        content: '# Issue 0003: Signup\n\n## Tasks\n- [ ] Build form\n'
+      }
+    ];
+    
+    it('collects per-issue statistics and totals', async () => {
+      getHistory.mockResolvedValue([
+        { timestamp: '2026-10-17T08:00:00Z', issueNumber: '0003', summary: 'Added task: Build form' }
+      ]);
+      
+      const stats = await getIssueStats(issues, { weeks: 2, now });
+      
+      expect(stats.issues[0]).toEqual({
+        issueNumber: '0001',
+        title: 'Login',
+        state: 'open',
+        tasks: { completed: 1, total: 2 },
+        percentComplete: 50,
+        openQuestions: 1,
+        failedApproaches: 1,
+        lastActivity: '2026-09-01T00:00:00Z',
+        stalled: true
+      });
+      expect(stats.issues[1]).toEqual(expect.objectContaining({ lastActivity: null, stalled: false }));
+      expect(stats.issues[2]).toEqual(expect.objectContaining({ lastActivity: '2026-10-17T08:00:00Z', stalled: false }));
+      expect(stats.totals).toEqual({
+        issues: 3,
+        open: 2,
+        closed: 1,
+        stalled: 1,
+        tasks: 4,
+        completedTasks: 2,
+        openQuestions: 1,
+        failedApproaches: 1,
+        completedThisWeek: 1
+      });
+      expect(stats.timeline).toHaveLength(2);
+    });
+    
+    it('uses the given number of days to decide which issues are stalled', async () => {
+      const stats = await getIssueStats(issues, { staleDays: 60, now });
+      
+      expect(stats.totals.stalled).toBe(0);
+    });
+    
+    it('reports progress per issue and stops when cancelled', async () => {
+      getHistory.mockResolvedValue([]);
+      const onProgress = jest.fn();
+      
+      await getIssueStats(issues, { now, onProgress });
+      expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+      
+      const controller = new AbortController();
+      controller.abort();
+      await expect(getIssueStats(issues, { now, signal: controller.signal })).rejects.toThrow(CancelledError);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// ABOUTME: Tests for cancellation and progress reporting utilities
+// ABOUTME: Verifies item-by-item processing, progress callbacks and aborted operations
+
+const { throwIfCancelled, mapWithProgress } = require('../../src/utils/progress');
+const { CancelledError } = require('../../src/utils/errors');
+
+describe('Progress utilities', () => {
+  describe('throwIfCancelled', () => {
+    it('throws a CancelledError only for aborted signals', () => {
+      const controller = new AbortController();
+      
+      expect(() => throwIfCancelled(undefined)).not.toThrow();
+      expect(() => throwIfCancelled(controller.signal)).not.toThrow();
+      
+      controller.abort();
+      expect(() => throwIfCancelled(controller.signal)).toThrow(CancelledError);
+    });
+  });
+  
+  describe('mapWithProgress', () => {
+    it('maps items in order and reports progress after each', async () => {
+      const onProgress = jest.fn();
+      
+      const results = await mapWithProgress(['a', 'b', 'c'], async (item, index) => `${item}${index}`, { onProgress });
+      
+      expect(results).toEqual(['a0', 'b1', 'c2']);
+      expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+    });
+    
+    it('stops at the next item once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const fn = jest.fn();
+      
+      // A cancellation that arrives while the first item is processed
+      fn.mockImplementationOnce(() => {
+        setImmediate(() => controller.abort());
+      });
+      
+      await expect(mapWithProgress([1, 2, 3], fn, { signal: controller.signal })).rejects.toThrow(CancelledError);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// ABOUTME: Tests for the question editing utilities
+// ABOUTME: Verifies finding, selecting and answering questions in issue content
+
+const { findQuestionBlocks, selectQuestion, answerQuestion } = require('../../src/utils/questionEditor');
+const { getSectionContent } = require('../../src/utils/sectionManager');
+const { UserError, SectionNotFoundError } = require('../../src/utils/errors');
+
+const content = `# Issue 0001: Sessions
+
+## Planned approach
+Store sessions server side
+
+## Questions to resolve
+- [ ] Which database should we use?
+- [x] Do we need SSO?
+  - Answer (2026-10-01T09:00:00Z): Not yet
+- Cookie lifetime?
+
+## Tasks
+- [ ] Build login question:0
+`;
+
+describe('Question editor', () => {
+  describe('findQuestionBlocks', () => {
+    it('finds top-level questions with their nested answers', () => {
+      expect(findQuestionBlocks(content)).toEqual([
+        { index: 0, text: 'Which database should we use?', answered: false, answer: null, answeredAt: null, start: 6, end: 7 },
+        { index: 1, text: 'Do we need SSO?', answered: true, answer: 'Not yet', answeredAt: '2026-10-01T09:00:00Z', start: 7, end: 9 },
+        { index: 2, text: 'Cookie lifetime?', answered: false, answer: null, answeredAt: null, start: 9, end: 10 }
+      ]);
+    });
+    
+    it('returns no questions when the section is missing', () => {
+      expect(findQuestionBlocks('# Issue 0001: Sessions\n')).toEqual([]);
+    });
+  });
+  
+  describe('selectQuestion', () => {
+    const questions = findQuestionBlocks(content);
+    
+    it('selects a question by index or by text', () => {
+      expect(selectQuestion(questions, { index: 2 }).text).toBe('Cookie lifetime?');
+      expect(selectQuestion(questions, { match: 'DATABASE' }).index).toBe(0);
+    });
+    
+    it('rejects indices out of range and vague or unknown text', () => {
+      expect(() => selectQuestion(questions, { index: 3 })).toThrow('Question index out of range: 3');
+      expect(() => selectQuestion(questions, { match: 'kubernetes' })).toThrow('No question matches "kubernetes"');
+      expect(() => selectQuestion(questions, { match: 'e?' })).toThrow('"e?" matches 2 questions');
+      expect(() => selectQuestion(questions, {})).toThrow(UserError);
+    });
+  });
+  
+  describe('answerQuestion', () => {
+    const timestamp = '2026-10-18T12:00:00Z';
+    
+    it('checks off the question and nests the answer below it', () => {
+      const updated = answerQuestion(content, 0, 'PostgreSQL', { timestamp });
+      
+      expect(updated).toContain(`- [x] Which database should we use?\n  - Answer (${timestamp}): PostgreSQL\n- [x] Do we need SSO?`);
+      expect(findQuestionBlocks(updated)[0]).toEqual(expect.objectContaining({ answered: true, answer: 'PostgreSQL' }));
+    });
+    
+    it('stamps the answer with the current time without milliseconds', () => {
+      expect(answerQuestion(content, 0, 'PostgreSQL'))
+        .toMatch(/\n {2}- Answer \(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z\): PostgreSQL\n/);
+    });
+    
+    it('adds a checkbox to plain questions and adds further answers below earlier ones', () => {
+      expect(answerQuestion(content, 2, 'One week', { timestamp })).toContain(`- [x] Cookie lifetime?\n  - Answer (${timestamp}): One week\n`);
+      expect(answerQuestion(content, 1, 'Next quarter', { timestamp }))
+        .toContain(`  - Answer (2026-10-01T09:00:00Z): Not yet\n  - Answer (${timestamp}): Next quarter\n`);
+    });
+    
+    it('optionally adds the answer to the planned approach', () => {
+      const updated = answerQuestion(content, 0, 'PostgreSQL', { timestamp, addToApproach: true });
+      
+      expect(getSectionContent(updated, 'Planned approach')).toBe('Store sessions server side\n**Which database should we use?** PostgreSQL');
+    });
+    
+    it('requires a Planned approach section to add the answer to', () => {
+      const withoutApproach = content.replace('## Planned approach\nStore sessions server side\n\n', '');
+      
+      expect(() => answerQuestion(withoutApproach, 0, 'PostgreSQL', { addToApproach: true })).toThrow(SectionNotFoundError);
+    });
+  });
+});
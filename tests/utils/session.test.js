@@ -0,0 +1,125 @@
+// ABOUTME: Tests for work sessions
+// ABOUTME: Verifies session names, which session applies and the current issue of each session
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { getCurrentIssue, setCurrentIssue, closeIssue } = require('../../src/utils/issueManager');
+const { UserError } = require('../../src/utils/errors');
+const {
+  SESSION_ENV,
+  validateSessionName,
+  toSessionName,
+  setDefaultSession,
+  runWithSession,
+  getSession
+} = require('../../src/utils/session');
+
+describe('Work sessions', () => {
+  afterEach(() => {
+    delete process.env[SESSION_ENV];
+    setDefaultSession(null);
+  });
+  
+  describe('session names', () => {
+    it('accepts names that are safe as file names', () => {
+      expect(validateSessionName('agentA')).toBe('agentA');
+      expect(validateSessionName('worktree-2.fix_login')).toBe('worktree-2.fix_login');
+      expect(() => validateSessionName('../agent')).toThrow(UserError);
+      expect(() => validateSessionName('agent A')).toThrow('Invalid session name: agent A');
+    });
+    
+    it('turns client names into session names', () => {
+      expect(toSessionName('Claude Code')).toBe('claude-code');
+      expect(toSessionName('  my/agent (v2) ')).toBe('my-agent-v2');
+      expect(toSessionName('***')).toBeNull();
+    });
+  });
+  
+  describe('getSession', () => {
+    it('prefers the given session, then the call, the environment and the default', async () => {
+      expect(getSession()).toBeNull();
+      
+      setDefaultSession('claude-code');
+      expect(getSession()).toBe('claude-code');
+      
+      process.env[SESSION_ENV] = 'terminal-2';
+      expect(getSession()).toBe('terminal-2');
+      
+      await runWithSession('agentA', async () => {
+        expect(getSession()).toBe('agentA');
+        expect(getSession('agentB')).toBe('agentB');
+      });
+      
+      expect(getSession()).toBe('terminal-2');
+    });
+    
+    it('rejects invalid names from the environment', () => {
+      process.env[SESSION_ENV] = 'agent A';
+      
+      expect(() => getSession()).toThrow('Invalid session name: agent A');
+    });
+  });
+  
+  describe('current issue of a session', () => {
+    let issuesDir;
+    
+    const writeIssue = (number, title) => {
+      fs.writeFileSync(path.join(issuesDir, 'open', `issue-${number}.md`), `# Issue ${number}: ${title}\n\n## Tasks\n- [ ] Task\n`);
+    };
+    
+    beforeEach(() => {
+      issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-session-'));
+      getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+      fs.mkdirSync(path.join(issuesDir, 'open'));
+      fs.mkdirSync(path.join(issuesDir, 'closed'));
+      writeIssue('0001', 'Login');
+      writeIssue('0002', 'Signup');
+      writeIssue('0003', 'Reset password');
+    });
+    
+    afterEach(() => {
+      fs.rmSync(issuesDir, { recursive: true, force: true });
+    });
+    
+    it('keeps a current issue per session', async () => {
+      await setCurrentIssue('2');
+      await setCurrentIssue('3', { session: 'agentA' });
+      
+      expect(fs.readFileSync(path.join(issuesDir, '.current'), 'utf8')).toBe('0002');
+      expect(fs.readFileSync(path.join(issuesDir, '.sessions', 'agentA'), 'utf8')).toBe('0003');
+      expect((await getCurrentIssue({ session: 'agentA' })).issueNumber).toBe('0003');
+      expect((await getCurrentIssue()).issueNumber).toBe('0002');
+    });
+    
+    it('uses the shared current issue until the session sets one', async () => {
+      await setCurrentIssue('2');
+      
+      process.env[SESSION_ENV] = 'agentB';
+      expect((await getCurrentIssue()).issueNumber).toBe('0002');
+      
+      await runWithSession('agentC', () => setCurrentIssue('1'));
+      expect((await getCurrentIssue({ session: 'agentC' })).issueNumber).toBe('0001');
+      expect((await getCurrentIssue()).issueNumber).toBe('0002');
+    });
+    
+    it('clears a closed issue from every session', async () => {
+      await setCurrentIssue('3');
+      await setCurrentIssue('3', { session: 'agentA' });
+      await setCurrentIssue('2', { session: 'agentB' });
+      
+      await closeIssue('0003');
+      
+      expect(fs.existsSync(path.join(issuesDir, '.current'))).toBe(false);
+      expect(fs.existsSync(path.join(issuesDir, '.sessions', 'agentA'))).toBe(false);
+      expect((await getCurrentIssue({ session: 'agentA' })).issueNumber).toBe('0001');
+      expect((await getCurrentIssue({ session: 'agentB' })).issueNumber).toBe('0002');
+    });
+  });
+});
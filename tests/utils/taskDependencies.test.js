@@ -0,0 +1,148 @@
+// ABOUTME: Tests for task dependency resolution
+// ABOUTME: Verifies blocked-task detection for issue, task and question dependencies
+
+const fs = require('fs');
+const { extractTasks } = require('../../src/utils/taskParser');
+const {
+  getIssueState,
+  findBlockedTasks,
+  findOpenIssueDependencies,
+  describeBlockedTasks,
+  formatBlockedTasks
+} = require('../../src/utils/taskDependencies');
+const directory = require('../../src/utils/directory');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn(),
+}));
+
+describe('Task dependency utilities', () => {
+  // Issue 0012 is open, issue 0013 is closed and every other issue is missing
+  const existingFiles = [
+    '/project/.issues/open/issue-0012.md',
+    '/project/.issues/closed/issue-0013.md'
+  ];
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    directory.getIssueDirectoryPath.mockImplementation((subdir) => {
+      if (subdir === 'open') return '/project/.issues/open';
+      if (subdir === 'closed') return '/project/.issues/closed';
+      return '/project/.issues';
+    });
+    
+    jest.spyOn(fs.promises, 'access').mockImplementation(async (filePath) => {
+      if (!existingFiles.includes(filePath)) {
+        throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      }
+    });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('getIssueState', () => {
+    test('reports open, closed and missing issues', async () => {
+      expect(await getIssueState('0012')).toBe('open');
+      expect(await getIssueState('0013')).toBe('closed');
+      expect(await getIssueState('0099')).toBe('missing');
+    });
+  });
+  
+  describe('findBlockedTasks', () => {
+    test('blocks tasks that depend on open or missing issues', async () => {
+      const content = `# Issue 0001: Test
+
+## Tasks
+- [ ] Wait for the API depends:#0012
+- [ ] Use the closed fix depends:#13
+- [ ] Typo in reference depends:#0099
+`;
+      const tasks = await extractTasks(content);
+      
+      const blocked = await findBlockedTasks(tasks, content);
+      
+      expect([...blocked.keys()]).toEqual([0, 2]);
+      expect(blocked.get(0)).toEqual([
+        { type: 'issue', ref: '0012', message: 'Waiting on issue #0012, which is still open' }
+      ]);
+      expect(blocked.get(2)[0].message).toBe('Depends on issue #0099, which does not exist');
+    });
+    
+    test('blocks tasks until earlier tasks are completed', async () => {
+      const content = `# Issue 0001: Test
+
+## Tasks
+- [ ] Write migration
+- [x] Review schema
+- [ ] Run migration after:0,1
+`;
+      const tasks = await extractTasks(content);
+      
+      const blocked = await findBlockedTasks(tasks, content);
+      
+      expect(blocked.get(2)).toEqual([
+        { type: 'task', ref: 0, message: 'Waiting on task 0: Write migration' }
+      ]);
+      expect(fs.promises.access).not.toHaveBeenCalled();
+    });
+    
+    test('blocks tasks until their question is answered', async () => {
+      const content = `# Issue 0001: Test
+
+## Tasks
+- [ ] Pick a cache question:1
+- [ ] Pick a queue question:0
+
+## Questions to resolve
+- [x] Which queue should we use?
+- [ ] Which cache should we use?
+`;
+      const tasks = await extractTasks(content);
+      
+      const blocked = await findBlockedTasks(tasks, content);
+      
+      expect([...blocked.keys()]).toEqual([0]);
+      expect(blocked.get(0)[0].message).toBe('Waiting on an answer to question 1: Which cache should we use?');
+    });
+    
+    test('ignores dependencies of completed tasks', async () => {
+      const content = '# Issue 0001: Test\n\n## Tasks\n- [x] Done depends:#0012\n';
+      const tasks = await extractTasks(content);
+      
+      const blocked = await findBlockedTasks(tasks, content);
+      
+      expect(blocked.size).toBe(0);
+    });
+  });
+  
+  describe('findOpenIssueDependencies', () => {
+    test('lists referenced issues that are not closed, including from completed tasks', async () => {
+      const content = '# Issue 0001: Test\n\n## Tasks\n- [x] First depends:#0012\n- [x] Second depends:#0013\n';
+      const tasks = await extractTasks(content);
+      
+      expect(await findOpenIssueDependencies(tasks)).toEqual(['0012']);
+    });
+  });
+  
+  describe('describeBlockedTasks and formatBlockedTasks', () => {
+    test('describe blocked tasks with their reasons', async () => {
+      const content = '# Issue 0001: Test\n\n## Tasks\n- [ ] Build\n- [ ] Deploy after:0\n';
+      const tasks = await extractTasks(content);
+      const blocked = await findBlockedTasks(tasks, content);
+      
+      expect(describeBlockedTasks(tasks, blocked)).toEqual([
+        {
+          id: 'task-1',
+          description: 'Deploy after:0',
+          reasons: [{ type: 'task', ref: 0, message: 'Waiting on task 0: Build' }]
+        }
+      ]);
+      expect(formatBlockedTasks(tasks, blocked)).toEqual([
+        'Task 1: Deploy after:0 (Waiting on task 0: Build)'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// ABOUTME: Tests for the task editing utilities
+// ABOUTME: Verifies replacing, removing and moving tasks while keeping after:N references intact
+
+jest.mock('../../src/utils/issueManager', () => ({
+  getCurrentIssue: jest.fn(),
+  getIssueFilePath: jest.fn(number => `/project/.issues/open/issue-${number}.md`),
+  readIssue: jest.fn()
+}));
+
+const issueManager = require('../../src/utils/issueManager');
+const {
+  parseTaskIndex,
+  loadTaskIssue,
+  getEditableTask,
+  findTaskBlocks,
+  replaceTask,
+  removeTask,
+  moveTask
+} = require('../../src/utils/taskEditor');
+const { UserError, IssueNotFoundError } = require('../../src/utils/errors');
+
+const content = `# Issue 0001: Test Issue
+
+## Tasks
+- [x] Write migration
+- [ ] Update API docs
+  Mention the new endpoint
+- [ ] Deploy after:0,1
+
+## Instructions
+Keep it small
+`;
+
+describe('Task editor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  describe('findTaskBlocks', () => {
+    it('includes indented lines in the block of the task above them', () => {
+      expect(findTaskBlocks(content)).toEqual([
+        { index: 0, parentIndex: null, indent: 0, start: 3, end: 4, subtreeEnd: 4 },
+        { index: 1, parentIndex: null, indent: 0, start: 4, end: 6, subtreeEnd: 6 },
+        { index: 2, parentIndex: null, indent: 0, start: 6, end: 7, subtreeEnd: 7 }
+      ]);
+    });
+    
+    it('ignores checkboxes outside the Tasks section', () => {
+      const withChecklist = `${content}\n## Next steps\n- [ ] Not a task\n`;
+      
+      expect(findTaskBlocks(withChecklist)).toHaveLength(3);
+    });
+  });
+  
+  describe('replaceTask', () => {
+    it('replaces the task line and its indented lines', () => {
+      const result = replaceTask(content, 1, ['- [ ] Update the API reference']);
+      
+      expect(result).toContain('- [ ] Update the API reference\n- [ ] Deploy after:0,1');
+      expect(result).not.toContain('Mention the new endpoint');
+    });
+    
+    it('shifts references to later tasks when one task becomes several', () => {
+      const withReference = content.replace('- [ ] Update API docs', '- [ ] Update API docs after:2');
+      const result = replaceTask(withReference, 0, ['- [x] Write migration', '- [x] Run migration']);
+      
+      expect(result).toContain('- [ ] Update API docs after:3');
+      expect(result).toContain('- [ ] Deploy after:0,2');
+    });
+    
+    it('points references to the task at its line after the steps added before it', () => {
+      const result = replaceTask(content, 1, ['- [ ] Write a failing test', '- [ ] Update API docs', '- [ ] Run the tests'], 1);
+      
+      expect(result).toContain('- [ ] Deploy after:0,2');
+    });
+  });
+  
+  describe('removeTask', () => {
+    it('removes the task and renumbers references', () => {
+      const result = removeTask(content, 0);
+      
+      expect(result).not.toContain('Write migration');
+      expect(result).toContain('- [ ] Deploy after:0\n');
+    });
+    
+    it('drops a marker whose only reference was removed', () => {
+      const result = removeTask(content.replace('after:0,1', 'after:1'), 1);
+      
+      expect(result).toContain('- [ ] Deploy\n');
+      expect(result).not.toContain('Mention the new endpoint');
+    });
+    
+    it('rejects an index that is out of range', () => {
+      expect(() => removeTask(content, 3)).toThrow('Task index out of range: 3');
+    });
+  });
+  
+  describe('moveTask', () => {
+    it('moves the task with its indented lines', () => {
+      const result = moveTask(content, 1, 0);
+      
+      expect(result).toContain('## Tasks\n- [ ] Update API docs\n  Mention the new endpoint\n- [x] Write migration\n- [ ] Deploy');
+    });
+    
+    it('keeps references pointing at the same tasks', () => {
+      const result = moveTask(content, 2, 0);
+      
+      expect(result).toContain('## Tasks\n- [ ] Deploy after:1,2\n- [x] Write migration\n- [ ] Update API docs');
+    });
+    
+    it('keeps blank lines between the tasks and the next section', () => {
+      const result = moveTask(content, 0, 2);
+      
+      expect(result).toContain('- [x] Write migration\n\n## Instructions');
+    });
+    
+    it('returns the content unchanged when the task stays in place', () => {
+      expect(moveTask(content, 1, 1)).toBe(content);
+    });
+    
+    it('rejects a target index that is out of range', () => {
+      expect(() => moveTask(content, 0, 5)).toThrow('Task index out of range: 5');
+    });
+  });
+  
+  describe('subtasks', () => {
+    const nested = `## Tasks
+- [ ] Build login
+  - [ ] Write tests
+  - [ ] Implement form
+- [ ] Deploy after:2
+`;
+    
+    it('records the parent of each task and the extent of its subtasks', () => {
+      expect(findTaskBlocks(nested)).toEqual([
+        { index: 0, parentIndex: null, indent: 0, start: 1, end: 2, subtreeEnd: 4 },
+        { index: 1, parentIndex: 0, indent: 2, start: 2, end: 3, subtreeEnd: 3 },
+        { index: 2, parentIndex: 0, indent: 2, start: 3, end: 4, subtreeEnd: 4 },
+        { index: 3, parentIndex: null, indent: 0, start: 4, end: 5, subtreeEnd: 5 }
+      ]);
+    });
+    
+    it('keeps subtasks and indentation when a task is replaced', () => {
+      expect(replaceTask(nested, 0, ['- [ ] Build the login page'])).toContain('- [ ] Build the login page\n  - [ ] Write tests');
+      expect(replaceTask(nested, 1, ['- [ ] Write failing tests'])).toContain('  - [ ] Write failing tests\n  - [ ] Implement form');
+    });
+    
+    it('removes a task together with its subtasks', () => {
+      expect(removeTask(nested, 0)).toBe('## Tasks\n- [ ] Deploy\n');
+    });
+    
+    it('moves subtasks among the subtasks of the same task', () => {
+      expect(moveTask(nested, 2, 1)).toBe('## Tasks\n- [ ] Build login\n  - [ ] Implement form\n  - [ ] Write tests\n- [ ] Deploy after:1\n');
+    });
+    
+    it('moves a parent task with its subtasks', () => {
+      expect(moveTask(nested, 3, 0)).toBe('## Tasks\n- [ ] Deploy after:3\n- [ ] Build login\n  - [ ] Write tests\n  - [ ] Implement form\n');
+    });
+    
+    it('refuses to move a subtask to another parent', () => {
+      expect(() => moveTask(nested, 1, 3)).toThrow('Tasks 1 and 3 belong to different parent tasks');
+    });
+  });
+  
+  describe('parseTaskIndex', () => {
+    it('parses whole numbers', () => {
+      expect(parseTaskIndex('2')).toBe(2);
+      expect(parseTaskIndex(0)).toBe(0);
+    });
+    
+    it('rejects anything else', () => {
+      expect(() => parseTaskIndex('-1')).toThrow(UserError);
+      expect(() => parseTaskIndex('first')).toThrow('Invalid task index: first');
+    });
+  });
+  
+  describe('getEditableTask', () => {
+    const tasks = [
+      { index: 0, text: 'Write migration', completed: true },
+      { index: 1, text: 'Update API docs', completed: false }
+    ];
+    
+    it('returns an open task', () => {
+      expect(getEditableTask(tasks, 1)).toBe(tasks[1]);
+    });
+    
+    it('refuses a completed task unless forced', () => {
+      expect(() => getEditableTask(tasks, 0)).toThrow('Task 0 is already completed: Write migration');
+      expect(getEditableTask(tasks, 0, { force: true })).toBe(tasks[0]);
+    });
+    
+    it('uses the given hint for completed tasks', () => {
+      try {
+        getEditableTask(tasks, 0, { forceHint: 'Set force to true' });
+        throw new Error('Expected an error');
+      } catch (error) {
+        expect(error.recoveryHint).toBe('Set force to true');
+      }
+    });
+  });
+  
+  describe('loadTaskIssue', () => {
+    it('loads the current issue when no number is given', async () => {
+      issueManager.getCurrentIssue.mockResolvedValue({ issueNumber: '0001' });
+      issueManager.readIssue.mockResolvedValue(content);
+      
+      const issue = await loadTaskIssue();
+      
+      expect(issue.issueNumber).toBe('0001');
+      expect(issue.filePath).toBe('/project/.issues/open/issue-0001.md');
+      expect(issue.tasks).toHaveLength(3);
+    });
+    
+    it('pads the issue number', async () => {
+      issueManager.readIssue.mockResolvedValue(content);
+      
+      const issue = await loadTaskIssue('7');
+      
+      expect(issue.issueNumber).toBe('0007');
+      expect(issueManager.getCurrentIssue).not.toHaveBeenCalled();
+    });
+    
+    it('requires a current issue when no number is given', async () => {
+      issueManager.getCurrentIssue.mockResolvedValue(null);
+      
+      await expect(loadTaskIssue()).rejects.toThrow('No current issue found');
+    });
+    
+    it('reports issues that are not open', async () => {
+      issueManager.readIssue.mockRejectedValue(new Error('ENOENT'));
+      
+      await expect(loadTaskIssue('9')).rejects.toThrow(IssueNotFoundError);
+    });
+  });
+});
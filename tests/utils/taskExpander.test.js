@@ -7,7 +7,9 @@ const {
   combineSteps,
   createExpandedTaskList,
   validateTagTemplate,
-  getMergedTagSteps
+  getMergedTagSteps,
+  getTagParameterDefinitions,
+  resolveTagParameters
 } = require('../../src/utils/taskExpander');
 const template = require('../../src/utils/template');
 const taskParser = require('../../src/utils/taskParser');
@@ -98,6 +100,91 @@ Some content without a Steps section.
       expect(placeholders).toHaveLength(1);
       expect(placeholders).toContain('component');
     });
+    
+    test('replaces included tag templates with their steps', async () => {
+      const templates = {
+        review: '# review\n\n## Steps\n- Read the diff\n- [ACTUAL TASK GOES HERE]\n- {{> lint-and-commit}}\n',
+        'lint-and-commit': '# lint-and-commit\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n- Run the linter\n- Commit\n'
+      };
+      template.loadTemplate.mockImplementation(async name => templates[name]);
+      template.validateTemplate.mockImplementation(async name => name in templates);
+      
+      const steps = await extractTagSteps('review');
+      
+      expect(steps).toEqual(['Read the diff', '[ACTUAL TASK GOES HERE]', 'Run the linter', 'Commit']);
+    });
+    
+    test('returns no steps when included tag templates form a cycle', async () => {
+      const templates = {
+        review: '# review\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n- {{> checks}}\n',
+        checks: '# checks\n\n## Steps\n- {{> review}}\n'
+      };
+      template.loadTemplate.mockImplementation(async name => templates[name]);
+      template.validateTemplate.mockImplementation(async name => name in templates);
+      
+      expect(await extractTagSteps('review')).toEqual([]);
+    });
+  });
+  
+  describe('tag parameters', () => {
+    const unitTestTemplate = `# unit-test
+
+## Parameters
+- component: Component under test
+- snapshots = false: Update the snapshots after the tests pass
+
+## Steps
+- Write failing unit tests for {{component}}
+- [ACTUAL TASK GOES HERE]
+{{#if snapshots}}
+- Update the snapshots
+{{/if}}
+- Run tests and verify they pass
+`;
+    
+    beforeEach(() => {
+      template.loadTemplate.mockResolvedValue(unitTestTemplate);
+      template.validateTemplate.mockResolvedValue(true);
+    });
+    
+    test('reads the declared parameters and their defaults', () => {
+      expect(getTagParameterDefinitions(unitTestTemplate)).toEqual([
+        { name: 'component', required: true, description: 'Component under test' },
+        { name: 'snapshots', required: false, description: 'Update the snapshots after the tests pass', default: false }
+      ]);
+      expect(getTagParameterDefinitions('## Steps\n- [ACTUAL TASK GOES HERE]\n')).toEqual([]);
+    });
+    
+    test('only includes guarded steps when their condition holds', async () => {
+      expect(await extractTagSteps('unit-test', false, { component: 'User' })).toEqual([
+        'Write failing unit tests for User',
+        '[ACTUAL TASK GOES HERE]',
+        'Run tests and verify they pass'
+      ]);
+      expect(await extractTagSteps('unit-test', false, { component: 'User', snapshots: 'true' })).toContain('Update the snapshots');
+    });
+    
+    test('fills in defaults and reports missing required parameters', async () => {
+      expect(await resolveTagParameters('unit-test', { component: 'User' })).toEqual({ component: 'User', snapshots: false });
+      
+      await expect(resolveTagParameters('unit-test', { snapshots: 'true' })).rejects.toThrow(expect.objectContaining({
+        message: 'Missing required parameter for +unit-test: component',
+        recoveryHint: 'Use +unit-test(component=value)'
+      }));
+    });
+    
+    test('passes the parameters of each tag when expanding a task', async () => {
+      taskParser.extractExpandTagsFromTask.mockReturnValue([{ name: 'unit-test', params: { component: 'User', snapshots: 'true' } }]);
+      
+      const steps = await expandTask({ text: 'Add login +unit-test(component=User,snapshots=true)', completed: false, index: 0 });
+      
+      expect(steps).toEqual([
+        'Write failing unit tests for User',
+        'Add login',
+        'Update the snapshots',
+        'Run tests and verify they pass'
+      ]);
+    });
   });
   
   describe('combineSteps', () => {
@@ -163,6 +250,13 @@ Some content without a Steps section.
       expect(combinedSteps[1]).toBe('Implement feature X');
       expect(combinedSteps[2]).toBe('Update docs for TaskManager');
     });
+    
+    test('leaves the task out when asked', () => {
+      const tagSteps = ['Write tests', '[ACTUAL TASK GOES HERE]', 'Run tests'];
+      
+      expect(combineSteps('Implement feature X', tagSteps, {}, { withoutTask: true })).toEqual(['Write tests', 'Run tests']);
+      expect(combineSteps('Implement feature X', [], {}, { withoutTask: true })).toEqual([]);
+    });
   });
   
   describe('expandTask', () => {
@@ -3,8 +3,11 @@
 
 const {
   extractTasks,
+  parseTaskDependencies,
   findTaskByIndex,
   findCurrentTask,
+  hasOpenSubtasks,
+  getParentTasks,
   extractTagsFromTask,
   extractTagNamesFromTask,
   parseTag,
@@ -50,6 +53,44 @@ describe('Task parser utilities', () => {
       const tasks = await extractTasks(invalidContent);
       expect(Array.isArray(tasks)).toBe(true);
     });
+    
+    test('extracts nested checkbox items as subtasks', async () => {
+      const content = '# Test Issue\n\n## Tasks\n- [ ] Parent\n  - [x] Child 1\n  - [ ] Child 2\n    - [ ] Grandchild\n- [ ] Sibling';
+      
+      const tasks = await extractTasks(content);
+      
+      expect(tasks).toEqual([
+        { text: 'Parent', completed: false, index: 0, childIndices: [1, 2] },
+        { text: 'Child 1', completed: true, index: 1, parentIndex: 0 },
+        { text: 'Child 2', completed: false, index: 2, parentIndex: 0, childIndices: [3] },
+        { text: 'Grandchild', completed: false, index: 3, parentIndex: 2 },
+        { text: 'Sibling', completed: false, index: 4 }
+      ]);
+    });
+    
+    test('attaches dependencies to tasks with dependency markers', async () => {
+      const content = '# Test Issue\n\n## Tasks\n- [ ] Deploy depends:#12 after:0,1\n- [ ] Plain task';
+      
+      const tasks = await extractTasks(content);
+      
+      expect(tasks[0].dependencies).toEqual({ issues: ['0012'], tasks: [0, 1], questions: [] });
+      expect(tasks[1]).not.toHaveProperty('dependencies');
+    });
+  });
+  
+  describe('parseTaskDependencies', () => {
+    test('parses issue, task and question references', () => {
+      expect(parseTaskDependencies('Ship it depends:#0012,#0014 after:3 question:0')).toEqual({
+        issues: ['0012', '0014'],
+        tasks: [3],
+        questions: [0]
+      });
+    });
+    
+    test('returns null when there are no markers', () => {
+      expect(parseTaskDependencies('Fix the bug after lunch')).toBeNull();
+      expect(parseTaskDependencies('See notes:after:3')).toBeNull();
+    });
   });
   
   describe('findTaskByIndex', () => {
@@ -105,6 +146,49 @@ describe('Task parser utilities', () => {
       
       expect(currentTask).toBeNull();
     });
+    
+    test('skips parent tasks until their subtasks are done', () => {
+      const tasks = [
+        { text: 'Parent', completed: false, index: 0, childIndices: [1, 2] },
+        { text: 'Child 1', completed: true, index: 1, parentIndex: 0 },
+        { text: 'Child 2', completed: false, index: 2, parentIndex: 0 }
+      ];
+      
+      expect(findCurrentTask(tasks)).toEqual(tasks[2]);
+      
+      tasks[2].completed = true;
+      expect(findCurrentTask(tasks)).toEqual(tasks[0]);
+    });
+    
+    test('skips blocked tasks', () => {
+      const tasks = [
+        { text: 'Task 1', completed: false, index: 0 },
+        { text: 'Task 2', completed: false, index: 1 }
+      ];
+      const blockedTasks = new Map([[0, [{ type: 'task', ref: 1, message: 'Waiting on task 1: Task 2' }]]]);
+      
+      expect(findCurrentTask(tasks, blockedTasks)).toEqual(tasks[1]);
+      expect(findCurrentTask(tasks, new Map([[0, []], [1, []]]))).toBeNull();
+    });
+  });
+  
+  describe('subtask helpers', () => {
+    const tasks = [
+      { text: 'Parent', completed: false, index: 0, childIndices: [1] },
+      { text: 'Child', completed: false, index: 1, parentIndex: 0, childIndices: [2] },
+      { text: 'Grandchild', completed: true, index: 2, parentIndex: 1 }
+    ];
+    
+    test('hasOpenSubtasks checks the direct subtasks', () => {
+      expect(hasOpenSubtasks(tasks, tasks[0])).toBe(true);
+      expect(hasOpenSubtasks(tasks, tasks[1])).toBe(false);
+      expect(hasOpenSubtasks(tasks, tasks[2])).toBe(false);
+    });
+    
+    test('getParentTasks returns the parents outermost first', () => {
+      expect(getParentTasks(tasks, tasks[2]).map(task => task.text)).toEqual(['Parent', 'Child']);
+      expect(getParentTasks(tasks, tasks[0])).toEqual([]);
+    });
   });
   
   describe('parseTag', () => {
@@ -261,6 +345,12 @@ describe('Task parser utilities', () => {
       const result = isTagAtEnd('Implement feature X +unit-test +update-docs', '+update-docs');
       expect(result).toBe(true);
     });
+    
+    test('returns true for a tag followed only by other tags', () => {
+      expect(isTagAtEnd('Implement feature X +unit-test(component=Auth) +update-docs', '+unit-test(component=Auth)')).toBe(true);
+      expect(isTagAtEnd('Implement feature X +unit-test +update-docs now', '+unit-test')).toBe(false);
+      expect(isTagAtEnd('Implement feature X +unit-tests', '+unit-test')).toBe(false);
+    });
   });
   
   describe('extractTagNamesFromTask', () => {
@@ -394,5 +484,29 @@ describe('Task parser utilities', () => {
       
       await expect(updateTaskStatus(content, 1, true)).rejects.toThrow('Task index out of bounds');
     });
+    
+    test('completes parent tasks once all of their subtasks are done', async () => {
+      const content = '## Tasks\n- [ ] Parent\n  - [x] Child 1\n  - [ ] Child 2\n    - [ ] Grandchild\n- [ ] Sibling';
+      
+      const result = await updateTaskStatus(content, 3, true);
+      
+      expect(result).toBe('## Tasks\n- [x] Parent\n  - [x] Child 1\n  - [x] Child 2\n    - [x] Grandchild\n- [ ] Sibling');
+    });
+    
+    test('leaves the parent open while other subtasks are open', async () => {
+      const content = '## Tasks\n- [ ] Parent\n  - [ ] Child 1\n  - [ ] Child 2';
+      
+      const result = await updateTaskStatus(content, 1, true);
+      
+      expect(result).toBe('## Tasks\n- [ ] Parent\n  - [x] Child 1\n  - [ ] Child 2');
+    });
+    
+    test('reopens completed parents when a subtask is marked as not done', async () => {
+      const content = '## Tasks\n- [x] Parent\n  - [x] Child 1\n  - [x] Child 2';
+      
+      const result = await updateTaskStatus(content, 2, false);
+      
+      expect(result).toBe('## Tasks\n- [ ] Parent\n  - [x] Child 1\n  - [ ] Child 2');
+    });
   });
 });
\ No newline at end of file
@@ -97,7 +97,18 @@ describe('Template utilities', () => {
       
       expect(result).toBe('# Issue 1: Test Issue');
       expect(Handlebars.compile).toHaveBeenCalledWith(mockTemplate);
-      expect(mockCompiledTemplate).toHaveBeenCalledWith(data);
+      expect(mockCompiledTemplate).toHaveBeenCalledWith(data, { partials: {} });
+    });
+    
+    test('renders a template that extends another with the given partials', () => {
+      const mockCompiledTemplate = jest.fn().mockReturnValue('# Issue 1: Fix Test Issue');
+      Handlebars.compile.mockReturnValue(mockCompiledTemplate);
+      const partials = { _base: '# Issue {{number}}: {{#> heading}}{{title}}{{/heading}}' };
+      
+      renderTemplate('extends: _base\n{{#*inline "heading"}}Fix {{title}}{{/inline}}\n', { number: 1 }, partials);
+      
+      expect(Handlebars.compile).toHaveBeenCalledWith('{{#> _base}}\n{{#*inline "heading"}}Fix {{title}}{{/inline}}\n{{/_base}}');
+      expect(mockCompiledTemplate).toHaveBeenCalledWith({ number: 1 }, { partials });
     });
   });
   
@@ -112,6 +123,13 @@ describe('Template utilities', () => {
       expect(fs.promises.readdir).toHaveBeenCalledWith(issueTemplateDir);
     });
     
+    test('leaves out bases and partials unless asked for', async () => {
+      fs.promises.readdir.mockResolvedValue(['_base.md', 'feature.md']);
+      
+      expect(await getTemplateList('issue')).toEqual(['feature']);
+      expect(await getTemplateList('issue', { includePartials: true })).toEqual(['_base', 'feature']);
+    });
+    
     test('returns empty array when no templates found', async () => {
       fs.promises.readdir.mockResolvedValue([]);
       
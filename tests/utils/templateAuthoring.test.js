@@ -0,0 +1,248 @@
+// ABOUTME: Tests for template authoring utilities
+// ABOUTME: Verifies creating, copying, updating, removing and diffing project templates
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { UserError, TemplateNotFoundError } = require('../../src/utils/errors');
+const {
+  resolveTemplateType,
+  getTemplateSkeleton,
+  createTemplate,
+  copyTemplate,
+  updateTemplate,
+  removeTemplate,
+  diffLines,
+  formatUnifiedDiff,
+  diffTemplate
+} = require('../../src/utils/templateAuthoring');
+
+describe('Template authoring', () => {
+  let issuesDir;
+  
+  const templatePath = (name, type) => path.join(issuesDir, 'config/templates', type, `${name}.md`);
+  const writeProjectTemplate = (name, type, content) => {
+    fs.mkdirSync(path.dirname(templatePath(name, type)), { recursive: true });
+    fs.writeFileSync(templatePath(name, type), content);
+  };
+  
+  beforeEach(() => {
+    issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-authoring-'));
+    getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(issuesDir, { recursive: true, force: true });
+  });
+  
+  describe('createTemplate', () => {
+    it('creates a tag template from the skeleton', async () => {
+      const result = await createTemplate('code-review', 'tag');
+      
+      expect(result).toEqual({ name: 'code-review', type: 'tag', path: templatePath('code-review', 'tag') });
+      expect(fs.readFileSync(result.path, 'utf8')).toBe(getTemplateSkeleton('code-review', 'tag'));
+    });
+    
+    it('creates an issue template from the skeleton', async () => {
+      const result = await createTemplate('spike', 'issue');
+      
+      expect(fs.readFileSync(result.path, 'utf8')).toContain('## Problem to be solved');
+    });
+    
+    it('writes the given content with a trailing newline', async () => {
+      await createTemplate('review', 'tag', '# review\n\n## Steps\n- [ACTUAL TASK GOES HERE]');
+      
+      expect(fs.readFileSync(templatePath('review', 'tag'), 'utf8')).toBe('# review\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n');
+    });
+    
+    it('rejects content that fails validation', async () => {
+      await expect(createTemplate('review', 'tag', '# review\n\n- no steps\n'))
+        .rejects.toThrow('Invalid tag template: Missing required section: Steps');
+      expect(fs.existsSync(templatePath('review', 'tag'))).toBe(false);
+    });
+    
+    it('creates bases and partials, checking only what they refer to', async () => {
+      await createTemplate('_notes', 'issue', '## Notes\n{{NOTES}}\n');
+      
+      expect(fs.readFileSync(templatePath('_notes', 'issue'), 'utf8')).toBe('## Notes\n{{NOTES}}\n');
+      await expect(createTemplate('_links', 'issue', '{{> _links}}\n')).rejects.toThrow('Template cycle: _links -> _links');
+    });
+    
+    it('validates templates with the template they extend filled in', async () => {
+      writeProjectTemplate('_base', 'issue', getTemplateSkeleton('_base', 'issue'));
+      
+      await createTemplate('spike', 'issue', 'extends: _base\n');
+      await expect(createTemplate('hack', 'issue', 'extends: _missing\n')).rejects.toThrow('Template not found: _missing (issue)');
+    });
+    
+    it('rejects invalid names and types', async () => {
+      await expect(createTemplate('../evil', 'tag')).rejects.toThrow('Invalid template name: ../evil');
+      await expect(createTemplate('review', 'note')).rejects.toThrow('Invalid template type: note');
+    });
+    
+    it('only replaces an existing template when forced', async () => {
+      writeProjectTemplate('review', 'tag', 'old\n');
+      
+      const error = await createTemplate('review', 'tag', undefined, { forceHint: 'Set force' }).catch(e => e);
+      expect(error).toBeInstanceOf(UserError);
+      expect(error.message).toBe('Template already exists: review (tag)');
+      expect(error.recoveryHint).toBe('Set force');
+      
+      await createTemplate('review', 'tag', undefined, { force: true });
+      expect(fs.readFileSync(templatePath('review', 'tag'), 'utf8')).toContain('## Steps');
+    });
+  });
+  
+  describe('resolveTemplateType', () => {
+    it('finds the type of a template', async () => {
+      writeProjectTemplate('feature', 'issue', 'x\n');
+      
+      expect(await resolveTemplateType('feature')).toBe('issue');
+      expect(await resolveTemplateType('feature', 'issue')).toBe('issue');
+    });
+    
+    it('throws when the template does not exist', async () => {
+      await expect(resolveTemplateType('missing')).rejects.toBeInstanceOf(TemplateNotFoundError);
+      await expect(resolveTemplateType('missing', 'tag')).rejects.toBeInstanceOf(TemplateNotFoundError);
+    });
+    
+    it('asks for a type when both kinds of template share the name', async () => {
+      writeProjectTemplate('docs', 'issue', 'x\n');
+      writeProjectTemplate('docs', 'tag', 'x\n');
+      
+      await expect(resolveTemplateType('docs')).rejects.toThrow('Both an issue and a tag template are named docs');
+    });
+  });
+  
+  describe('copyTemplate', () => {
+    it('copies a tag template and renames its heading', async () => {
+      writeProjectTemplate('unit-test', 'tag', '# unit-test\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n');
+      
+      const result = await copyTemplate('unit-test', 'api-test');
+      
+      expect(result).toEqual({ source: 'unit-test', name: 'api-test', type: 'tag', path: templatePath('api-test', 'tag') });
+      expect(fs.readFileSync(result.path, 'utf8')).toBe('# api-test\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n');
+    });
+    
+    it('refuses to overwrite an existing template', async () => {
+      writeProjectTemplate('unit-test', 'tag', '# unit-test\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n');
+      writeProjectTemplate('api-test', 'tag', 'x\n');
+      
+      await expect(copyTemplate('unit-test', 'api-test')).rejects.toThrow('Template already exists: api-test (tag)');
+    });
+  });
+  
+  describe('updateTemplate', () => {
+    const content = '# review\n\n## Steps\n- [ACTUAL TASK GOES HERE]\n';
+    
+    it('replaces the template content', async () => {
+      writeProjectTemplate('review', 'tag', content);
+      
+      const result = await updateTemplate('review', undefined, content.replace('## Steps', '## Steps\n- Read the diff'));
+      
+      expect(result).toEqual(expect.objectContaining({ name: 'review', type: 'tag', changed: true }));
+      expect(fs.readFileSync(templatePath('review', 'tag'), 'utf8')).toContain('- Read the diff');
+    });
+    
+    it('reports unchanged content', async () => {
+      writeProjectTemplate('review', 'tag', content);
+      
+      expect((await updateTemplate('review', 'tag', content.trimEnd())).changed).toBe(false);
+    });
+    
+    it('keeps the template when the new content is invalid', async () => {
+      writeProjectTemplate('review', 'tag', content);
+      
+      await expect(updateTemplate('review', 'tag', '# review\n')).rejects.toThrow('Invalid tag template');
+      expect(fs.readFileSync(templatePath('review', 'tag'), 'utf8')).toBe(content);
+    });
+  });
+  
+  describe('removeTemplate', () => {
+    it('removes the template and reports whether a default exists', async () => {
+      writeProjectTemplate('unit-test', 'tag', 'x\n');
+      writeProjectTemplate('review', 'tag', 'x\n');
+      
+      expect(await removeTemplate('unit-test')).toEqual({ name: 'unit-test', type: 'tag', hasDefault: true });
+      expect(await removeTemplate('review', 'tag')).toEqual({ name: 'review', type: 'tag', hasDefault: false });
+      expect(fs.existsSync(templatePath('unit-test', 'tag'))).toBe(false);
+    });
+    
+    it('refuses to remove a template other templates extend or include', async () => {
+      writeProjectTemplate('_base', 'issue', '# {{title}}\n');
+      writeProjectTemplate('_notes', 'issue', '## Notes\n');
+      writeProjectTemplate('feature', 'issue', 'extends: _base\n{{> _notes}}\n');
+      writeProjectTemplate('bugfix', 'issue', 'extends: _base\n');
+      
+      await expect(removeTemplate('_base', 'issue')).rejects.toThrow('Template _base is used by bugfix, feature');
+      await expect(removeTemplate('_notes', 'issue')).rejects.toThrow('Template _notes is used by feature');
+      expect(fs.existsSync(templatePath('_base', 'issue'))).toBe(true);
+    });
+    
+    it('removes a template other templates refer to when forced', async () => {
+      writeProjectTemplate('_base', 'issue', '# {{title}}\n');
+      writeProjectTemplate('feature', 'issue', 'extends: _base\n');
+      
+      await removeTemplate('_base', 'issue', { force: true });
+      
+      expect(fs.existsSync(templatePath('_base', 'issue'))).toBe(false);
+    });
+  });
+  
+  describe('diffLines and formatUnifiedDiff', () => {
+    it('marks removed and added lines', () => {
+      expect(diffLines('a\nb\nc\n', 'a\nx\nc\n')).toEqual([
+        { op: ' ', text: 'a' },
+        { op: '-', text: 'b' },
+        { op: '+', text: 'x' },
+        { op: ' ', text: 'c' }
+      ]);
+    });
+    
+    it('formats hunks with context', () => {
+      const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+      const newText = oldText.replace('2', 'two').replace('9', 'nine');
+      
+      expect(formatUnifiedDiff(diffLines(oldText, newText), 1)).toEqual([
+        '@@ -1,3 +1,3 @@', ' 1', '-2', '+two', ' 3',
+        '@@ -8,3 +8,3 @@', ' 8', '-9', '+nine', ' 10'
+      ]);
+    });
+    
+    it('returns no lines for identical text', () => {
+      expect(formatUnifiedDiff(diffLines('a\nb\n', 'a\nb\n'))).toEqual([]);
+    });
+  });
+  
+  describe('diffTemplate', () => {
+    const defaultContent = fs.readFileSync(path.join(__dirname, '../../templates/tag/unit-test.md'), 'utf8');
+    
+    it('compares a project template with the packaged default', async () => {
+      writeProjectTemplate('unit-test', 'tag', defaultContent.replace('## Steps', '## Steps\n- Check coverage'));
+      
+      const result = await diffTemplate('unit-test');
+      
+      expect(result.identical).toBe(false);
+      expect(result.diff).toContain('+- Check coverage');
+      expect(result.diff[0]).toMatch(/^@@ -\d+,\d+ \+\d+,\d+ @@$/);
+    });
+    
+    it('reports an unchanged template as identical', async () => {
+      writeProjectTemplate('unit-test', 'tag', defaultContent);
+      
+      expect(await diffTemplate('unit-test', 'tag')).toEqual({ name: 'unit-test', type: 'tag', identical: true, diff: [] });
+    });
+    
+    it('throws for templates without a packaged default', async () => {
+      writeProjectTemplate('review', 'tag', 'x\n');
+      
+      await expect(diffTemplate('review')).rejects.toThrow('There is no default tag template named review');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// ABOUTME: Tests for template field utilities
+// ABOUTME: Verifies placeholder discovery and checking of custom field values
+
+const {
+  getTemplatePlaceholders,
+  getTemplateFields,
+  parseFieldAssignments,
+  parseFieldsFile,
+  resolveTemplateFields
+} = require('../../src/utils/templateFields');
+const { UserError } = require('../../src/utils/errors');
+
+describe('Template fields', () => {
+  const spike = `# Issue {{NUMBER}}: {{TITLE}}
+
+## Timebox
+{{TIMEBOX}}
+{{#if OWNER}}
+Owner: {{OWNER}}
+{{else}}
+{{FALLBACK}}
+{{/if}}
+{{#each LINKS}}
+- {{url}}
+{{/each}}
+{{{NOTES}}}
+`;
+  
+  describe('getTemplatePlaceholders', () => {
+    it('finds placeholders and which of them are required', () => {
+      expect(getTemplatePlaceholders(spike)).toEqual([
+        { name: 'NUMBER', required: true },
+        { name: 'TITLE', required: true },
+        { name: 'TIMEBOX', required: true },
+        { name: 'OWNER', required: false },
+        { name: 'FALLBACK', required: false },
+        { name: 'LINKS', required: false },
+        { name: 'NOTES', required: true }
+      ]);
+    });
+    
+    it('treats a placeholder as required when any use of it is', () => {
+      expect(getTemplatePlaceholders('{{#if A}}x{{/if}} {{A}} {{helper B key=C}}')).toEqual([
+        { name: 'A', required: true },
+        { name: 'B', required: false },
+        { name: 'C', required: false }
+      ]);
+    });
+    
+    it('includes the placeholders of the templates it extends and includes', () => {
+      const partials = {
+        _base: '# {{#> heading}}{{DEFAULT_HEADING}}{{/heading}}\n{{#> notes}}{{NOTES}}{{/notes}}\n{{> _footer}}\n',
+        _footer: '{{FOOTER}}{{> _base}}'
+      };
+      
+      expect(getTemplatePlaceholders('extends: _base\n{{#*inline "heading"}}{{OWNER}}{{/inline}}\n', partials)).toEqual([
+        { name: 'DEFAULT_HEADING', required: false },
+        { name: 'NOTES', required: true },
+        { name: 'FOOTER', required: true },
+        { name: 'OWNER', required: true }
+      ]);
+    });
+  });
+  
+  describe('getTemplateFields', () => {
+    it('leaves out the built-in placeholders', () => {
+      expect(getTemplateFields(spike).map(field => field.name)).toEqual(['TIMEBOX', 'OWNER', 'FALLBACK', 'LINKS', 'NOTES']);
+      expect(getTemplateFields('# Issue {{NUMBER}}: {{TITLE}}\n{{PROBLEM}}\n{{NEXT_STEPS}}')).toEqual([]);
+    });
+  });
+  
+  describe('parseFieldAssignments', () => {
+    it('splits assignments at the first equals sign', () => {
+      expect(parseFieldAssignments(['TIMEBOX=2 days', 'QUERY=a=b', 'EMPTY='])).toEqual({
+        TIMEBOX: '2 days',
+        QUERY: 'a=b',
+        EMPTY: ''
+      });
+      expect(parseFieldAssignments()).toEqual({});
+    });
+    
+    it('rejects assignments without a key', () => {
+      expect(() => parseFieldAssignments(['TIMEBOX'])).toThrow('Invalid field: TIMEBOX');
+      expect(() => parseFieldAssignments(['=value'])).toThrow(UserError);
+    });
+  });
+  
+  describe('parseFieldsFile', () => {
+    it('reads JSON files', () => {
+      expect(parseFieldsFile('{"TIMEBOX": "2 days", "LINKS": ["a", "b"]}', 'fields.json')).toEqual({
+        TIMEBOX: '2 days',
+        LINKS: ['a', 'b']
+      });
+    });
+    
+    it('reads simple YAML files', () => {
+      expect(parseFieldsFile('# Spike fields\nTIMEBOX: "2 days"\nLINKS: [a, b]\n', 'fields.yml')).toEqual({
+        TIMEBOX: '2 days',
+        LINKS: ['a', 'b']
+      });
+    });
+    
+    it('rejects invalid JSON', () => {
+      expect(() => parseFieldsFile('{"TIMEBOX": ', 'fields.json')).toThrow('Invalid JSON in fields file fields.json');
+      expect(() => parseFieldsFile('["a"]', 'fields.json')).toThrow('must contain an object');
+    });
+  });
+  
+  describe('resolveTemplateFields', () => {
+    it('returns template data for the given fields', () => {
+      expect(resolveTemplateFields(spike, { timebox: '2 days', OWNER: 'alice', LINKS: ['a', ' ', 'b'], NOTES: 3 })).toEqual({
+        TIMEBOX: '2 days',
+        OWNER: 'alice',
+        LINKS: '- a\n- b',
+        NOTES: '3'
+      });
+    });
+    
+    it('reports missing required fields', () => {
+      expect(() => resolveTemplateFields(spike, { TIMEBOX: ' ' }, { templateName: 'spike' }))
+        .toThrow('Missing required fields for template spike: TIMEBOX, NOTES');
+      
+      expect(() => resolveTemplateFields(spike, {}, { missingHint: 'Add them to the fields parameter' }))
+        .toThrow(expect.objectContaining({ recoveryHint: 'Add them to the fields parameter' }));
+    });
+    
+    it('rejects unknown and built-in fields', () => {
+      expect(() => resolveTemplateFields(spike, { COLOR: 'red' }, { templateName: 'spike' })).toThrow(expect.objectContaining({
+        message: 'Unknown field for template spike: COLOR',
+        recoveryHint: 'Fields of template spike: TIMEBOX, OWNER (optional), FALLBACK (optional), LINKS (optional), NOTES'
+      }));
+      
+      expect(() => resolveTemplateFields(spike, { problem: 'x' })).toThrow('PROBLEM cannot be set as a field');
+      expect(() => resolveTemplateFields('{{TITLE}}', { COLOR: 'red' })).toThrow(UserError);
+    });
+    
+    it('checks the fields of the templates it refers to', () => {
+      expect(resolveTemplateFields('extends: _base\n', { TIMEBOX: '1 day' }, { partials: { _base: '{{TIMEBOX}}' } }))
+        .toEqual({ TIMEBOX: '1 day' });
+      expect(() => resolveTemplateFields('extends: _base\n', {}, { partials: { _base: '{{TIMEBOX}}' } }))
+        .toThrow('Missing required field for this template: TIMEBOX');
+    });
+    
+    it('rejects object values', () => {
+      expect(() => resolveTemplateFields(spike, { TIMEBOX: { days: 2 }, NOTES: 'x' })).toThrow('Invalid value for field TIMEBOX');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// ABOUTME: Tests for template inheritance utilities
+// ABOUTME: Verifies extends declarations, includes and how the templates they refer to are loaded
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { renderTemplate } = require('../../src/utils/template');
+const { copyDefaultTemplates } = require('../../src/utils/templateInit');
+const { UserError, TemplateNotFoundError } = require('../../src/utils/errors');
+const {
+  getExtendedTemplate,
+  applyExtends,
+  getTemplateReferences,
+  loadTemplatePartials
+} = require('../../src/utils/templateInheritance');
+
+describe('Template inheritance', () => {
+  describe('applyExtends', () => {
+    it('turns the declaration into a partial block for the base', () => {
+      expect(getExtendedTemplate('extends: _base\n{{#*inline "heading"}}Fix{{/inline}}\n')).toBe('_base');
+      expect(applyExtends('extends: _base\n{{#*inline "heading"}}Fix{{/inline}}'))
+        .toBe('{{#> _base}}\n{{#*inline "heading"}}Fix{{/inline}}\n{{/_base}}');
+      expect(applyExtends('extends: _base\n')).toBe('{{#> _base}}\n{{/_base}}');
+    });
+    
+    it('leaves templates without a declaration alone', () => {
+      const content = '# Issue {{NUMBER}}\n\nextends: _base\n';
+      
+      expect(getExtendedTemplate(content)).toBeNull();
+      expect(applyExtends(content)).toBe(content);
+    });
+  });
+  
+  describe('getTemplateReferences', () => {
+    it('lists the base and the includes once each, but not slots', () => {
+      expect(getTemplateReferences('extends: _base\n{{> notes}}\n{{#> heading}}x{{/heading}}\n{{~> notes}}\n{{> lint-and-commit}}'))
+        .toEqual(['_base', 'notes', 'lint-and-commit']);
+      expect(getTemplateReferences('# Issue {{NUMBER}}')).toEqual([]);
+    });
+  });
+  
+  describe('loadTemplatePartials', () => {
+    let issuesDir;
+    
+    const writeProjectTemplate = (name, type, content) => {
+      const templatePath = path.join(issuesDir, 'config/templates', type, `${name}.md`);
+      fs.mkdirSync(path.dirname(templatePath), { recursive: true });
+      fs.writeFileSync(templatePath, content);
+    };
+    
+    beforeEach(async () => {
+      issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-inheritance-'));
+      getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+      await copyDefaultTemplates();
+    });
+    
+    afterEach(() => {
+      fs.rmSync(issuesDir, { recursive: true, force: true });
+    });
+    
+    it('loads the templates referred to, and the ones they refer to', async () => {
+      writeProjectTemplate('_notes', 'issue', '## Notes\n{{> _links}}\n');
+      writeProjectTemplate('_links', 'issue', '{{LINKS}}\n');
+      writeProjectTemplate('spike', 'issue', 'extends: _base\n{{#*inline "extraTasks"}}\n{{> _notes}}\n{{/inline}}\n');
+      
+      const partials = await loadTemplatePartials('spike', 'issue');
+      
+      expect(Object.keys(partials)).toEqual(['_base', '_notes', '_links']);
+      expect(partials._links).toBe('{{LINKS}}\n');
+    });
+    
+    it('renders the packaged issue templates from their base', async () => {
+      const data = { NUMBER: '0001', TITLE: 'Login', TASKS: '- [ ] Check A', INSTRUCTIONS: 'Be careful' };
+      const render = async name => {
+        const content = fs.readFileSync(path.join(issuesDir, 'config/templates/issue', `${name}.md`), 'utf8');
+        return renderTemplate(content, data, await loadTemplatePartials(name, 'issue', content));
+      };
+      
+      const feature = await render('feature');
+      expect(feature.startsWith('# Issue 0001: Login\n\n## Problem to be solved\n\n\n## Planned approach\n')).toBe(true);
+      expect(feature.endsWith('## Tasks\n- [ ] Check A\n\n## Instructions\nBe careful\n\n')).toBe(true);
+      expect(await render('bugfix')).toBe(feature.replace('# Issue 0001: Login', '# Issue 0001: Fix Login'));
+      expect(await render('audit')).toBe(feature
+        .replace('# Issue 0001: Login', '# Issue 0001: Audit Login')
+        .replace('## Tasks\n', '## Tasks\n- [ ] Review component\n- [ ] Document findings\n- [ ] Recommend improvements\n'));
+    });
+    
+    it('reports cycles', async () => {
+      writeProjectTemplate('review', 'tag', '## Steps\n- [ACTUAL TASK GOES HERE]\n- {{> checks}}\n');
+      writeProjectTemplate('checks', 'tag', '## Steps\n- {{> review}}\n');
+      
+      const error = await loadTemplatePartials('review', 'tag').catch(e => e);
+      expect(error).toBeInstanceOf(UserError);
+      expect(error.message).toBe('Template cycle: review -> checks -> review');
+      
+      await expect(loadTemplatePartials('self', 'issue', 'extends: self\n')).rejects.toThrow('Template cycle: self -> self');
+    });
+    
+    it('reports missing templates', async () => {
+      const error = await loadTemplatePartials('spike', 'issue', 'extends: _missing\n').catch(e => e);
+      
+      expect(error).toBeInstanceOf(TemplateNotFoundError);
+      expect(error.message).toBe('Template not found: _missing (issue)');
+      expect(error.recoveryHint).toContain('Template spike refers to it');
+    });
+  });
+});
@@ -6,7 +6,8 @@ const path = require('path');
 const { 
   copyDefaultTemplates, 
   getDefaultTemplatesDir,
-  getDefaultTemplatePath
+  getDefaultTemplatePath,
+  hashTemplate
 } = require('../../src/utils/templateInit');
 const directory = require('../../src/utils/directory');
 
@@ -39,6 +40,7 @@ describe('Template initialization utilities', () => {
       if (subdir === 'config/templates') return projectTemplatesDir;
       if (subdir === 'config/templates/issue') return path.join(projectTemplatesDir, 'issue');
       if (subdir === 'config/templates/tag') return path.join(projectTemplatesDir, 'tag');
+      if (subdir === 'config/templates/defaults.json') return path.join(projectTemplatesDir, 'defaults.json');
       return '/project/.issues';
     });
   });
@@ -129,8 +131,14 @@ describe('Template initialization utilities', () => {
         'utf8'
       );
       
-      // Should have been called 8 times (4 issue templates + 4 tag templates)
-      expect(fs.promises.writeFile).toHaveBeenCalledTimes(8);
+      // Records which defaults were copied, for templates sync
+      const recordCall = fs.promises.writeFile.mock.calls.find(([file]) => file.endsWith('defaults.json'));
+      const record = JSON.parse(recordCall[1]);
+      expect(Object.keys(record.templates)).toEqual(expect.arrayContaining(['issue/feature', 'tag/unit-test']));
+      expect(record.templates['issue/feature']).toBe(hashTemplate('# Template content'));
+      
+      // Should have been called 9 times (4 issue templates + 4 tag templates + the record)
+      expect(fs.promises.writeFile).toHaveBeenCalledTimes(9);
     });
     
     test('handles case when default templates are not found', async () => {
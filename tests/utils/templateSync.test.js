@@ -0,0 +1,133 @@
+// ABOUTME: Tests for template sync utilities
+// ABOUTME: Verifies how project templates are compared with and updated to the packaged defaults
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/directory', () => ({
+  getIssueDirectoryPath: jest.fn()
+}));
+
+const { getIssueDirectoryPath } = require('../../src/utils/directory');
+const { copyDefaultTemplates, hashTemplate, readDefaultsRecord } = require('../../src/utils/templateInit');
+const { getTemplateStatus, syncTemplates } = require('../../src/utils/templateSync');
+
+describe('Template sync', () => {
+  describe('getTemplateStatus', () => {
+    it('compares the project copy with the default and its base', () => {
+      const base = hashTemplate('old');
+      
+      expect(getTemplateStatus('new', 'new', base)).toBe('current');
+      expect(getTemplateStatus('old', 'new', base)).toBe('outdated');
+      expect(getTemplateStatus('mine', 'new', base)).toBe('customized');
+      expect(getTemplateStatus('old', 'new', undefined)).toBe('customized');
+      expect(getTemplateStatus(null, 'new', undefined)).toBe('new');
+      expect(getTemplateStatus(null, 'new', base)).toBe('removed');
+      expect(getTemplateStatus('mine', null, undefined)).toBe('local');
+    });
+  });
+  
+  describe('syncTemplates', () => {
+    let issuesDir;
+    
+    const templatePath = (name, type) => path.join(issuesDir, 'config/templates', type, `${name}.md`);
+    const statusOf = (result, key) => result.templates.find(template => `${template.type}/${template.name}` === key);
+    
+    beforeEach(async () => {
+      issuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-cards-sync-'));
+      getIssueDirectoryPath.mockImplementation(subdir => (subdir ? path.join(issuesDir, subdir) : issuesDir));
+      await copyDefaultTemplates();
+    });
+    
+    afterEach(() => {
+      fs.rmSync(issuesDir, { recursive: true, force: true });
+    });
+    
+    it('reports freshly copied templates as current', async () => {
+      const result = await syncTemplates();
+      
+      expect(result.recordedVersion).toBe(require('../../package.json').version);
+      expect(result.templates.length).toBeGreaterThan(0);
+      expect(result.templates.every(template => template.status === 'current' && template.action === null)).toBe(true);
+    });
+    
+    it('updates untouched templates whose default changed and leaves customized ones alone', async () => {
+      // Pretend bugfix was copied from an older default and never touched
+      const record = await readDefaultsRecord();
+      record.templates['issue/bugfix'] = hashTemplate('# Old bugfix\n');
+      fs.writeFileSync(path.join(issuesDir, 'config/templates/defaults.json'), JSON.stringify(record));
+      fs.writeFileSync(templatePath('bugfix', 'issue'), '# Old bugfix\n');
+      fs.appendFileSync(templatePath('unit-test', 'tag'), '- Our extra step\n');
+      
+      const result = await syncTemplates();
+      
+      expect(statusOf(result, 'issue/bugfix')).toEqual({ name: 'bugfix', type: 'issue', status: 'outdated', action: 'update' });
+      expect(statusOf(result, 'tag/unit-test')).toEqual(expect.objectContaining({ status: 'customized', action: null }));
+      expect(fs.readFileSync(templatePath('bugfix', 'issue'), 'utf8')).toContain('{{TITLE}}');
+      expect(fs.readFileSync(templatePath('unit-test', 'tag'), 'utf8')).toContain('- Our extra step');
+      expect((await syncTemplates()).templates.find(template => template.name === 'bugfix').status).toBe('current');
+    });
+    
+    it('adds new defaults but only restores removed ones when asked', async () => {
+      const record = await readDefaultsRecord();
+      delete record.templates['issue/audit'];
+      fs.writeFileSync(path.join(issuesDir, 'config/templates/defaults.json'), JSON.stringify(record));
+      fs.unlinkSync(templatePath('audit', 'issue'));
+      fs.unlinkSync(templatePath('e2e-test', 'tag'));
+      
+      const result = await syncTemplates();
+      
+      expect(statusOf(result, 'issue/audit')).toEqual(expect.objectContaining({ status: 'new', action: 'add' }));
+      expect(statusOf(result, 'tag/e2e-test')).toEqual(expect.objectContaining({ status: 'removed', action: null }));
+      expect(fs.existsSync(templatePath('audit', 'issue'))).toBe(true);
+      expect(fs.existsSync(templatePath('e2e-test', 'tag'))).toBe(false);
+      
+      await syncTemplates({ type: 'tag', restore: true });
+      expect(fs.existsSync(templatePath('e2e-test', 'tag'))).toBe(true);
+    });
+    
+    it('updates untouched copies of earlier defaults in projects without a record', async () => {
+      // The bugfix template that issue-cards shipped before the defaults record was kept
+      const earlierBugfix = '# Issue {{NUMBER}}: Fix {{TITLE}}\n\n## Problem to be solved\n{{PROBLEM}}\n\n## Planned approach\n{{APPROACH}}\n\n## Failed approaches\n{{FAILED_APPROACHES}}\n\n## Questions to resolve\n{{QUESTIONS}}\n\n## Tasks\n{{TASKS}}\n\n## Instructions\n{{INSTRUCTIONS}}\n\n';
+      fs.unlinkSync(path.join(issuesDir, 'config/templates/defaults.json'));
+      fs.writeFileSync(templatePath('bugfix', 'issue'), earlierBugfix);
+      fs.writeFileSync(templatePath('feature', 'issue'), `${earlierBugfix}- Our extra line\n`);
+      
+      const preview = await syncTemplates({ dryRun: true, type: 'issue' });
+      
+      expect(statusOf(preview, 'issue/bugfix')).toEqual({ name: 'bugfix', type: 'issue', status: 'outdated', action: 'update' });
+      expect(statusOf(preview, 'issue/feature')).toEqual(expect.objectContaining({ status: 'customized', action: null }));
+      expect(fs.readFileSync(templatePath('bugfix', 'issue'), 'utf8')).toBe(earlierBugfix);
+      
+      await syncTemplates();
+      
+      expect(fs.readFileSync(templatePath('bugfix', 'issue'), 'utf8')).toContain('extends: _base');
+      expect((await readDefaultsRecord()).templates['issue/bugfix']).toBeDefined();
+    });
+    
+    it('changes nothing in a dry run', async () => {
+      fs.unlinkSync(path.join(issuesDir, 'config/templates/defaults.json'));
+      fs.unlinkSync(templatePath('audit', 'issue'));
+      
+      const result = await syncTemplates({ dryRun: true, type: 'issue' });
+      
+      expect(result.dryRun).toBe(true);
+      expect(result.recordedVersion).toBeNull();
+      expect(statusOf(result, 'issue/audit').action).toBe('add');
+      expect(result.templates.every(template => template.type === 'issue')).toBe(true);
+      expect(fs.existsSync(templatePath('audit', 'issue'))).toBe(false);
+      expect(fs.existsSync(path.join(issuesDir, 'config/templates/defaults.json'))).toBe(false);
+    });
+    
+    it('reports templates that only exist in the project', async () => {
+      fs.writeFileSync(templatePath('review', 'tag'), '# review\n');
+      
+      expect(statusOf(await syncTemplates(), 'tag/review').status).toBe('local');
+    });
+    
+    it('rejects unknown template types', async () => {
+      await expect(syncTemplates({ type: 'note' })).rejects.toThrow('Invalid template type: note');
+    });
+  });
+});